@@ -1,14 +1,25 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import SvgDisplay from "./SvgDisplay";
 import MemoryModelsUserInput from "./MemoryModelsUserInput";
 import { ErrorBoundary } from "react-error-boundary";
 import DownloadSVGButton from "./DownloadSVGButton";
-import { Alert } from "@mui/material";
-import { configDataPropTypes } from "./MemoryModelsUserInput";
+import DownloadPNGButton from "./DownloadPNGButton";
+import DownloadPDFButton from "./DownloadPDFButton";
+import { Alert, FormControlLabel, Stack, Switch } from "@mui/material";
+import {
+    configDataPropTypes,
+    DiagramSource,
+    InputMode,
+} from "./MemoryModelsUserInput";
 import MemoryModelsSample from "./MemoryModelsSample";
+import mem from "memory-viz";
+
+// How long (in ms) the text must stay unchanged in edit mode before the diagram is redrawn.
+const EDIT_MODE_DELAY = 300;
 
 export default function App() {
     const [textData, setTextData] = useState("");
+    const [inputMode, setInputMode] = useState<InputMode>("json");
     const [configData, setConfigData] = useState<configDataPropTypes>({
         useAutomation: true,
         overallDrawConfig: {
@@ -18,44 +29,173 @@ export default function App() {
     const [jsonResult, setJsonResult] = useState(null);
     const [svgResult, setSvgResult] = useState(null);
     const [failureBanner, setFailureBanner] = useState("");
+    const [warningBanner, setWarningBanner] = useState("");
+    const [editMode, setEditMode] = useState(false);
+    // The text that was last drawn (or failed to be), so that edit mode does not draw the same text twice.
+    const submittedText = useRef(null);
 
-    const onTextDataSubmit = (event?) => {
-        event?.preventDefault();
+    const submitText = (text: string) => {
+        submittedText.current = text;
+        const format = inputMode === "text" ? "MemoryViz notation" : "JSON";
+        let parsedData;
         try {
-            setJsonResult(JSON.parse(textData));
-            setFailureBanner("");
+            parsedData =
+                inputMode === "text"
+                    ? mem.parseNotation(text)
+                    : JSON.parse(text);
         } catch (error) {
-            const errorMessage = `Error parsing inputted JSON: ${error.message}`;
+            const errorMessage = `Error parsing inputted ${format}: ${error.message}`;
             console.error(errorMessage);
             setFailureBanner(errorMessage);
+            setWarningBanner("");
+            setJsonResult(null);
+            return;
+        }
+
+        const validationErrors = mem.validate(
+            parsedData,
+            configData.useAutomation
+        );
+        const describe = (severity: string) =>
+            validationErrors
+                .filter((error) => error.severity === severity)
+                .map((error) => `${error.path}: ${error.message}`)
+                .join("\n");
+
+        if (describe("error")) {
+            setFailureBanner(
+                `This is valid ${format} but not valid Memory Models JSON:\n${describe(
+                    "error"
+                )}`
+            );
+            setWarningBanner("");
             setJsonResult(null);
+        } else {
+            setFailureBanner("");
+            setWarningBanner(describe("warning"));
+            setJsonResult(parsedData);
+        }
+    };
+
+    const onTextDataSubmit = (event?) => {
+        event?.preventDefault();
+        submitText(textData);
+    };
+
+    // In edit mode, the diagram is redrawn once the JSON stops changing (rather than on every keystroke, as parsing
+    // and drawing large diagrams takes a while).
+    useEffect(() => {
+        if (!editMode || !textData || textData === submittedText.current) {
+            return;
         }
+        const timeout = setTimeout(() => submitText(textData), EDIT_MODE_DELAY);
+        return () => clearTimeout(timeout);
+    }, [editMode, textData]);
+
+    // Dragging an object redraws the diagram right away.
+    const onLayoutChange = (objects: object[]) => {
+        const text =
+            inputMode === "text"
+                ? mem.toNotation(objects)
+                : JSON.stringify(objects, null, 4);
+        // The dragged objects now have coordinates, which are only used when drawing without automation.
+        setConfigData({ ...configData, useAutomation: false });
+        setTextData(text);
+        submitText(text);
+    };
+
+    // The text is converted to the new format, unless it cannot be parsed (e.g. while it is being written).
+    const onInputModeChange = (mode: InputMode) => {
+        try {
+            setTextData(
+                mode === "text"
+                    ? mem.toNotation(JSON.parse(textData))
+                    : JSON.stringify(mem.parseNotation(textData), null, 4)
+            );
+        } catch (error) {
+            // Keep the text as it is.
+        }
+        setInputMode(mode);
+    };
+
+    // The objects of an uploaded SVG diagram are shown in JSON, and drawn with its configuration.
+    const onSourceLoad = (source: DiagramSource) => {
+        setInputMode("json");
+        setConfigData({
+            useAutomation: source.automation,
+            // The seed of the rendering options is kept, so that its field stays filled in.
+            overallDrawConfig: {
+                seed: configData.overallDrawConfig.seed,
+                ...source.configuration,
+            },
+        });
+        setTextData(JSON.stringify(source.objects, null, 4));
+    };
+
+    // The samples are written in JSON.
+    const setSampleText = (text: string) => {
+        setInputMode("json");
+        setTextData(text);
     };
 
     return (
         <>
             {failureBanner && (
-                <Alert severity="error" data-testid="json-parse-alert">
+                <Alert
+                    severity="error"
+                    data-testid="json-parse-alert"
+                    sx={{ whiteSpace: "pre-line" }}
+                >
                     {failureBanner}
                 </Alert>
             )}
+            {warningBanner && (
+                <Alert
+                    severity="warning"
+                    data-testid="json-validation-warning"
+                    sx={{ whiteSpace: "pre-line" }}
+                >
+                    {warningBanner}
+                </Alert>
+            )}
             <MemoryModelsSample
-                setTextData={setTextData}
+                setTextData={setSampleText}
                 setConfigData={setConfigData}
                 onTextDataSubmit={onTextDataSubmit}
             />
             <MemoryModelsUserInput
                 textData={textData}
                 setTextData={setTextData}
+                inputMode={inputMode}
+                onInputModeChange={onInputModeChange}
                 configData={configData}
                 setConfigData={setConfigData}
                 onTextDataSubmit={onTextDataSubmit}
                 setFailureBanner={setFailureBanner}
                 jsonResult={jsonResult}
+                onSourceLoad={onSourceLoad}
             />
             <section>
                 <h2>Output</h2>
-                <DownloadSVGButton svgResult={svgResult} />
+                <Stack direction="row" spacing={2}>
+                    <DownloadSVGButton svgResult={svgResult} />
+                    <DownloadPNGButton svgResult={svgResult} />
+                    <DownloadPDFButton svgResult={svgResult} />
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={editMode}
+                                onChange={(event) =>
+                                    setEditMode(event.target.checked)
+                                }
+                                inputProps={{
+                                    "data-testid": "edit-mode-switch",
+                                }}
+                            />
+                        }
+                        label="Edit layout"
+                    />
+                </Stack>
                 <ErrorBoundary
                     fallback={
                         <p data-testid="svg-display-error-boundary">
@@ -69,6 +209,8 @@ export default function App() {
                         jsonResult={jsonResult}
                         configData={configData}
                         setSvgResult={setSvgResult}
+                        editMode={editMode}
+                        onLayoutChange={onLayoutChange}
                     />
                 </ErrorBoundary>
             </section>
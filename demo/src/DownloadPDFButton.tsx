@@ -0,0 +1,38 @@
+import React from "react";
+import { Button } from "@mui/material";
+import { rasterizeSVG } from "./rasterizeSVG";
+
+type DownloadPDFButtonPropTypes = {
+    svgResult: string;
+};
+export default function DownloadPDFButton(props: DownloadPDFButtonPropTypes) {
+    const onClick = async () => {
+        const canvas = await rasterizeSVG(props.svgResult, 2);
+        const width = canvas.width / 2;
+        const height = canvas.height / 2;
+
+        // jsPDF is only loaded once it is needed, as it is large.
+        const { jsPDF } = await import("jspdf");
+        const pdf = new jsPDF({
+            orientation: width > height ? "landscape" : "portrait",
+            unit: "px",
+            format: [width, height],
+            hotfixes: ["px_scaling"],
+        });
+        pdf.addImage(canvas, "PNG", 0, 0, width, height);
+        pdf.save("output.pdf");
+    };
+
+    return (
+        <Button
+            variant="contained"
+            color="primary"
+            data-testid="download-pdf-btn"
+            disabled={!props.svgResult}
+            onClick={onClick}
+            sx={{ textTransform: "none" }}
+        >
+            Download This PDF
+        </Button>
+    );
+}
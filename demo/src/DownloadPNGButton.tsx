@@ -0,0 +1,27 @@
+import React from "react";
+import { Button } from "@mui/material";
+import { downloadURL, rasterizeSVG } from "./rasterizeSVG";
+
+type DownloadPNGButtonPropTypes = {
+    svgResult: string;
+};
+export default function DownloadPNGButton(props: DownloadPNGButtonPropTypes) {
+    const onClick = async () => {
+        // Render at twice the size, so that the image stays sharp on high-DPI screens and in slides.
+        const canvas = await rasterizeSVG(props.svgResult, 2);
+        downloadURL(canvas.toDataURL("image/png"), "output.png");
+    };
+
+    return (
+        <Button
+            variant="contained"
+            color="primary"
+            data-testid="download-png-btn"
+            disabled={!props.svgResult}
+            onClick={onClick}
+            sx={{ textTransform: "none" }}
+        >
+            Download This PNG
+        </Button>
+    );
+}
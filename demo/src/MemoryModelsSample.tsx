@@ -13,7 +13,7 @@ import { ExpandMore } from "@mui/icons-material";
 import { SAMPLES } from "./sample";
 
 type MemoryModelsSamplePropTypes = {
-    setTextData: React.Dispatch<React.SetStateAction<string>>;
+    setTextData: (text: string) => void;
     setConfigData: React.Dispatch<React.SetStateAction<object>>;
     onTextDataSubmit: () => void;
 };
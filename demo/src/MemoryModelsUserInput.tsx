@@ -12,10 +12,23 @@ import {
     Input,
     Stack,
     TextField,
+    ToggleButton,
+    ToggleButtonGroup,
     Tooltip,
 } from "@mui/material";
 import DownloadJSONButton from "./DownloadJSONButton";
 import { ExpandMore } from "@mui/icons-material";
+import mem from "memory-viz";
+
+// The format of the text input: MemoryViz JSON, or the more concise MemoryViz notation.
+type InputMode = "json" | "text";
+
+// What a diagram was drawn from, as embedded in the SVG files downloaded from this website (see 'load').
+type DiagramSource = {
+    objects: object[];
+    automation: boolean;
+    configuration: { [key: string]: any };
+};
 
 interface configDataPropTypes {
     useAutomation: boolean;
@@ -34,11 +47,14 @@ type MemoryModelsFileInputPropTypes = {
     textData: string;
     setFailureBanner: React.Dispatch<React.SetStateAction<string>>;
     jsonResult: string | null;
+    onSourceLoad: (source: DiagramSource) => void;
 };
 
 type MemoryModelsTextInputPropTypes = {
     setTextData: React.Dispatch<React.SetStateAction<string>>;
     textData: string;
+    inputMode: InputMode;
+    onInputModeChange: (mode: InputMode) => void;
 };
 
 type MemoryModelsUserInputPropTypes = MemoryModelsFileInputPropTypes &
@@ -50,6 +66,21 @@ type MemoryModelsUserInputPropTypes = MemoryModelsFileInputPropTypes &
 function MemoryModelsFileInput(props: MemoryModelsFileInputPropTypes) {
     const [uploadedFileString, setUploadedFileString] = useState("");
 
+    // SVG diagrams (which start with a tag, unlike JSON) are opened from the objects and configuration embedded in them.
+    const loadFile = (fileString: string) => {
+        if (!fileString.trimStart().startsWith("<")) {
+            props.setTextData(fileString);
+            return;
+        }
+        try {
+            props.onSourceLoad(mem.load(fileString));
+        } catch (error) {
+            const errorMessage = `Error opening uploaded SVG: ${error.message}`;
+            console.error(errorMessage);
+            props.setFailureBanner(errorMessage);
+        }
+    };
+
     const onChange = (event) => {
         try {
             const uploadedFile = event.target.files[0];
@@ -58,7 +89,7 @@ function MemoryModelsFileInput(props: MemoryModelsFileInputPropTypes) {
             fileReader.onload = (event) => {
                 const fileString = event.target.result as string;
                 setUploadedFileString(fileString);
-                props.setTextData(fileString);
+                loadFile(fileString);
             };
         } catch (error) {
             const errorMessage = `Error reading uploaded file as text. Please ensure it's in UTF-8 encoding: ${error.message}`;
@@ -69,7 +100,7 @@ function MemoryModelsFileInput(props: MemoryModelsFileInputPropTypes) {
     };
 
     const onLoadButtonClick = () => {
-        props.setTextData(uploadedFileString);
+        loadFile(uploadedFileString);
     };
 
     return (
@@ -82,7 +113,7 @@ function MemoryModelsFileInput(props: MemoryModelsFileInputPropTypes) {
                     type="file"
                     onChange={onChange}
                     inputProps={{
-                        accept: "application/JSON",
+                        accept: "application/JSON,image/svg+xml,.svg",
                         "data-testid": "file-input",
                     }}
                     sx={{ width: "33.33%" }}
@@ -111,12 +142,38 @@ function MemoryModelsTextInput(props: MemoryModelsTextInputPropTypes) {
         props.setTextData(event.target.value);
     };
 
+    const handleInputModeChange = (event, mode: InputMode | null) => {
+        // Clicking the selected button deselects it, which leaves the mode unchanged.
+        if (mode !== null) {
+            props.onInputModeChange(mode);
+        }
+    };
+
     return (
         <CardContent>
+            <ToggleButtonGroup
+                value={props.inputMode}
+                exclusive
+                size="small"
+                onChange={handleInputModeChange}
+                aria-label="Input format"
+                sx={{ mb: 2 }}
+            >
+                <ToggleButton value="json" data-testid="input-mode-json">
+                    JSON
+                </ToggleButton>
+                <ToggleButton value="text" data-testid="input-mode-text">
+                    Text notation
+                </ToggleButton>
+            </ToggleButtonGroup>
             <TextField
                 id="multiline-memory-models-textfield"
                 data-testid="textfield-input"
-                label="Enter memory model JSON here"
+                label={
+                    props.inputMode === "text"
+                        ? "Enter memory model notation here"
+                        : "Enter memory model JSON here"
+                }
                 multiline
                 fullWidth
                 rows={10}
@@ -203,10 +260,13 @@ export default function MemoryModelsUserInput(
                             setTextData={props.setTextData}
                             setFailureBanner={props.setFailureBanner}
                             jsonResult={props.jsonResult}
+                            onSourceLoad={props.onSourceLoad}
                         />
                         <MemoryModelsTextInput
                             textData={props.textData}
                             setTextData={props.setTextData}
+                            inputMode={props.inputMode}
+                            onInputModeChange={props.onInputModeChange}
                         />
                         <Accordion>
                             <AccordionSummary
@@ -246,4 +306,4 @@ export default function MemoryModelsUserInput(
 }
 
 export { MemoryModelsFileInput };
-export type { configDataPropTypes };
+export type { configDataPropTypes, DiagramSource, InputMode };
@@ -1,39 +1,217 @@
-import React, { useRef, useEffect } from "react";
+import React, { useRef, useEffect, useState } from "react";
 import mem from "memory-viz";
 import { configDataPropTypes } from "./MemoryModelsUserInput";
+import { Box, GRID_SIZE, findFreePosition } from "./dragLayout";
 
 type SvgDisplayPropTypes = {
     jsonResult: object | null;
     configData: configDataPropTypes;
     setSvgResult: React.Dispatch<React.SetStateAction<string>>;
+    editMode?: boolean;
+    onLayoutChange?: (objects: object[]) => void;
 };
 
+type DragState = {
+    index: number;
+    startX: number;
+    startY: number;
+    position: { x: number; y: number };
+};
+
+/**
+ * Return the box of each of the given objects, as drawn in the diagram (or null for objects that are not drawn).
+ * @param {object[]} objects - the objects passed to the draw function
+ * @param {object[]} drawnObjects - the same objects, after the draw function gave them coordinates
+ */
+function objectBoxes(objects: object[], drawnObjects: any[]): (Box | null)[] {
+    return objects.map((obj, i) => {
+        const { type, x, y } = drawnObjects[i];
+        if ([".blank", ".blank-frame"].includes(type) || x === undefined) {
+            return null;
+        }
+        // getSize sets the coordinates of the object it is given, so it is given a copy.
+        const { width, height } = mem.getSize(structuredClone(obj));
+        return { x, y, width, height };
+    });
+}
+
 export default function SvgDisplay(props: SvgDisplayPropTypes) {
-    const canvasRef = useRef(null);
+    const diagramRef = useRef(null);
     const canvasWidth = 1300;
-    const canvasHeight = 1000;
+    const [svgMarkup, setSvgMarkup] = useState("");
+    const [svgSize, setSvgSize] = useState({ width: 0, height: 0 });
+    const [boxes, setBoxes] = useState<(Box | null)[]>([]);
+    const [drag, setDrag] = useState<DragState | null>(null);
 
     useEffect(() => {
         if (props.jsonResult !== null) {
             // deep copy jsonResult as mem.draw mutates input JSON
             // https://github.com/david-yz-liu/memory-viz/pull/20#discussion_r1513235452
             const jsonResultCopy = structuredClone(props.jsonResult);
+            // The configuration of an uploaded SVG diagram has its own width.
             const m = mem.draw(jsonResultCopy, props.configData.useAutomation, {
-                ...props.configData.overallDrawConfig,
                 width: canvasWidth,
+                ...props.configData.overallDrawConfig,
+                // The boxes of the editor are drawn over the diagram, which would not receive the mouse events.
+                interactive: !props.editMode,
+                // Downloaded diagrams can be uploaded again, to edit them.
+                embed_source: true,
             });
             props.setSvgResult(m.serializeSVG());
-            m.clear(canvasRef.current);
-            m.render(canvasRef.current);
+            setSvgMarkup(m.serializeSVG());
+            if (props.editMode) {
+                setSvgSize({
+                    width: Number(m.svg.getAttribute("width")),
+                    height: Number(m.svg.getAttribute("height")),
+                });
+                setBoxes(
+                    objectBoxes(
+                        props.jsonResult as object[],
+                        jsonResultCopy as object[]
+                    )
+                );
+                setDrag(null);
+            }
+        }
+    }, [props.jsonResult, props.editMode]);
+
+    // Highlight the objects and references under the mouse in the inline diagram.
+    useEffect(() => {
+        const svg = diagramRef.current?.querySelector("svg");
+        if (props.editMode || !svg) {
+            return;
         }
-    }, [props.jsonResult]);
+        return mem.enableInteraction(svg);
+    }, [svgMarkup, props.editMode]);
+
+    if (!props.editMode) {
+        return (
+            <div
+                data-testid="memory-models-diagram"
+                ref={diagramRef}
+                style={{ overflow: "auto" }}
+                dangerouslySetInnerHTML={{ __html: svgMarkup }}
+            />
+        );
+    }
+
+    // Return the position the dragged object would be dropped at, if the mouse was released at the given point.
+    const dropPosition = (event: React.MouseEvent) => {
+        const box = boxes[drag.index];
+        return findFreePosition(
+            {
+                ...box,
+                x: box.x + event.clientX - drag.startX,
+                y: box.y + event.clientY - drag.startY,
+            },
+            boxes.filter((other, i) => other !== null && i !== drag.index)
+        );
+    };
+
+    const onMouseDown = (index: number) => (event: React.MouseEvent) => {
+        event.preventDefault();
+        setDrag({
+            index: index,
+            startX: event.clientX,
+            startY: event.clientY,
+            position: { x: boxes[index].x, y: boxes[index].y },
+        });
+    };
+
+    const onMouseMove = (event: React.MouseEvent) => {
+        if (drag !== null) {
+            setDrag({ ...drag, position: dropPosition(event) });
+        }
+    };
+
+    const onMouseUp = (event: React.MouseEvent) => {
+        if (drag === null) {
+            return;
+        }
+        const position = dropPosition(event);
+        const box = boxes[drag.index];
+        setDrag(null);
+        if (position.x === box.x && position.y === box.y) {
+            return;
+        }
+
+        // Every drawn object is given its current coordinates, so that the diagram can be drawn without automation.
+        const objects = (props.jsonResult as object[]).map((obj, i) => {
+            if (i === drag.index) {
+                return { ...obj, ...position };
+            } else if (boxes[i] !== null) {
+                return { ...obj, x: boxes[i].x, y: boxes[i].y };
+            }
+            return obj;
+        });
+        props.onLayoutChange?.(objects);
+    };
 
     return (
-        <canvas
-            data-testid="memory-models-canvas"
-            ref={canvasRef}
-            width={canvasWidth}
-            height={canvasHeight}
-        />
+        <div
+            data-testid="memory-models-editor"
+            style={{ position: "relative", overflow: "auto" }}
+        >
+            <div dangerouslySetInnerHTML={{ __html: svgMarkup }} />
+            <svg
+                data-testid="memory-models-editor-overlay"
+                width={svgSize.width}
+                height={svgSize.height}
+                style={{ position: "absolute", top: 0, left: 0 }}
+                onMouseMove={onMouseMove}
+                onMouseUp={onMouseUp}
+                onMouseLeave={onMouseUp}
+            >
+                <defs>
+                    <pattern
+                        id="memory-models-editor-grid"
+                        width={GRID_SIZE}
+                        height={GRID_SIZE}
+                        patternUnits="userSpaceOnUse"
+                    >
+                        <path
+                            d={`M ${GRID_SIZE} 0 L 0 0 0 ${GRID_SIZE}`}
+                            fill="none"
+                            stroke="#e0e0e0"
+                            strokeWidth={0.5}
+                        />
+                    </pattern>
+                </defs>
+                {drag !== null && (
+                    <rect
+                        width="100%"
+                        height="100%"
+                        fill="url(#memory-models-editor-grid)"
+                        pointerEvents="none"
+                    />
+                )}
+                {boxes.map(
+                    (box, i) =>
+                        box !== null && (
+                            <rect
+                                key={i}
+                                data-testid={`memory-models-editor-box-${i}`}
+                                className="memory-models-editor-box"
+                                x={box.x}
+                                y={box.y}
+                                width={box.width}
+                                height={box.height}
+                                onMouseDown={onMouseDown(i)}
+                            />
+                        )
+                )}
+                {drag !== null && (
+                    <rect
+                        data-testid="memory-models-editor-drop-preview"
+                        className="memory-models-editor-drop-preview"
+                        x={drag.position.x}
+                        y={drag.position.y}
+                        width={boxes[drag.index].width}
+                        height={boxes[drag.index].height}
+                        pointerEvents="none"
+                    />
+                )}
+            </svg>
+        </div>
     );
 }
@@ -8,6 +8,10 @@ describe("App", () => {
         render(<App />);
     });
 
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
     it("renders Output heading", () => {
         expect(screen.getByText("Output").nodeName).toEqual("H2");
     });
@@ -20,8 +24,11 @@ describe("App", () => {
         });
 
         const input = screen.getByLabelText("Enter memory model JSON here");
-        // In order to get to draw function, input has to be valid json otherwise JSON.parse fails
-        fireEvent.change(input, { target: { value: "[{}]" } });
+        // In order to get to draw function, input has to be valid json otherwise JSON.parse fails,
+        // and valid Memory Models JSON otherwise validation fails
+        fireEvent.change(input, {
+            target: { value: '[{"type": "int", "id": 1, "value": 7}]' },
+        });
         const button = screen.getByTestId("input-submit-button");
         fireEvent.click(button);
 
@@ -31,6 +38,35 @@ describe("App", () => {
         );
     });
 
+    it("renders Alert banner listing every problem when the input is not valid Memory Models JSON", () => {
+        const input = screen.getByLabelText("Enter memory model JSON here");
+        fireEvent.change(input, {
+            target: {
+                value: '[{"type": "list", "id": 1, "value": {}}, {"id": 2}]',
+            },
+        });
+        const button = screen.getByTestId("input-submit-button");
+        fireEvent.click(button);
+
+        const alertBanner = screen.getByTestId("json-parse-alert");
+        expect(alertBanner.textContent).toContain("[0].value");
+        expect(alertBanner.textContent).toContain("[1].type");
+        expect(screen.queryByTestId("svg-display-error-boundary")).toBeNull();
+    });
+
+    it("renders warning banner for ids that do not refer to any object", () => {
+        const input = screen.getByLabelText("Enter memory model JSON here");
+        fireEvent.change(input, {
+            target: { value: '[{"type": "list", "id": 1, "value": [2]}]' },
+        });
+        const button = screen.getByTestId("input-submit-button");
+        fireEvent.click(button);
+
+        const warningBanner = screen.getByTestId("json-validation-warning");
+        expect(warningBanner.textContent).toContain("[0].value[0]");
+        expect(screen.queryByTestId("json-parse-alert")).toBeNull();
+    });
+
     it("calls console error, renders Alert banner, and renders disabled download button when the input is not valid JSON", () => {
         const consoleErrorSpy = jest
             .spyOn(console, "error")
@@ -54,4 +90,160 @@ describe("App", () => {
         const downloadSVGButton = screen.queryByTestId("download-svg-btn");
         expect(downloadSVGButton).toHaveProperty("disabled");
     });
+
+    describe("with the text notation", () => {
+        it("converts the JSON to the notation when switching to it", () => {
+            const input = screen.getByLabelText("Enter memory model JSON here");
+            fireEvent.change(input, {
+                target: { value: '[{"type": "int", "id": 1, "value": 7}]' },
+            });
+            fireEvent.click(screen.getByTestId("input-mode-text"));
+
+            const textInput = screen.getByLabelText(
+                "Enter memory model notation here"
+            ) as HTMLInputElement;
+            expect(textInput.value).toEqual("id1 int 7\n");
+        });
+
+        it("draws the diagram from the notation", () => {
+            fireEvent.click(screen.getByTestId("input-mode-text"));
+            const input = screen.getByLabelText(
+                "Enter memory model notation here"
+            );
+            fireEvent.change(input, {
+                target: { value: "frame __main__: x=id1\nid1 int 7" },
+            });
+            fireEvent.click(screen.getByTestId("input-submit-button"));
+
+            expect(screen.queryByTestId("json-parse-alert")).toBeNull();
+            const downloadJSONButton = screen.getByTestId("download-json-btn");
+            expect(downloadJSONButton).toHaveProperty("disabled", false);
+        });
+
+        it("renders Alert banner with the position of the problem when the notation cannot be parsed", () => {
+            jest.spyOn(console, "error").mockImplementation();
+            fireEvent.click(screen.getByTestId("input-mode-text"));
+            const input = screen.getByLabelText(
+                "Enter memory model notation here"
+            );
+            fireEvent.change(input, { target: { value: "id1 list 7" } });
+            fireEvent.click(screen.getByTestId("input-submit-button"));
+
+            const alertBanner = screen.getByTestId("json-parse-alert");
+            expect(alertBanner.textContent).toContain(
+                "Error parsing inputted MemoryViz notation: line 1, column 10"
+            );
+        });
+    });
+
+    it("opens an uploaded SVG diagram, and draws it again from its source", async () => {
+        const objects = [{ type: "int", id: 1, value: 7, x: 10, y: 10 }];
+        const svg = String(
+            mem
+                .draw(structuredClone(objects), false, {
+                    width: 500,
+                    embed_source: true,
+                })
+                .serializeSVG()
+        );
+        const file = new File([svg], "diagram.svg", {
+            type: "image/svg+xml",
+        });
+        fireEvent.change(screen.getByTestId("file-input"), {
+            target: { files: [file] },
+        });
+
+        const input = screen.getByLabelText(
+            "Enter memory model JSON here"
+        ) as HTMLTextAreaElement;
+        await waitFor(() => {
+            expect(JSON.parse(input.value)).toEqual(objects);
+        });
+        expect(screen.getByLabelText("Use automatic layout")).toHaveProperty(
+            "checked",
+            false
+        );
+
+        fireEvent.click(screen.getByTestId("input-submit-button"));
+        const diagram = screen
+            .getByTestId("memory-models-diagram")
+            .querySelector("svg");
+        expect(diagram.getAttribute("width")).toEqual("500");
+        expect(mem.load(diagram.outerHTML).objects).toEqual(objects);
+    });
+
+    it("highlights the object a reference refers to when hovering the reference", () => {
+        const input = screen.getByLabelText("Enter memory model JSON here");
+        fireEvent.change(input, {
+            target: {
+                value: '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 7}]',
+            },
+        });
+        fireEvent.click(screen.getByTestId("input-submit-button"));
+
+        const diagram = screen.getByTestId("memory-models-diagram");
+        const slot = diagram.querySelector('.memory-viz-slot[data-ref="1"]');
+        const object = diagram.querySelector('.memory-viz-entity[data-id="1"]');
+        fireEvent.mouseOver(slot);
+        expect(object.classList).toContain("memory-viz-highlighted");
+        fireEvent.mouseLeave(diagram.querySelector("svg"));
+        expect(object.classList).not.toContain("memory-viz-highlighted");
+    });
+
+    describe("in edit mode", () => {
+        beforeEach(() => {
+            fireEvent.click(screen.getByTestId("edit-mode-switch"));
+            const input = screen.getByLabelText("Enter memory model JSON here");
+            fireEvent.change(input, {
+                target: {
+                    value: '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 7}]',
+                },
+            });
+        });
+
+        it("draws the diagram once the JSON stops changing", async () => {
+            const drawSpy = jest.spyOn(mem, "draw");
+            const input = screen.getByLabelText("Enter memory model JSON here");
+            const text =
+                '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 7}, {"type": "int", "id": 2, "value": 8}]';
+            // The incomplete JSON (as it is typed) is never drawn.
+            fireEvent.change(input, { target: { value: text.slice(0, -1) } });
+            fireEvent.change(input, { target: { value: text } });
+            expect(
+                await screen.findByTestId("memory-models-editor-box-2")
+            ).not.toBeNull();
+            expect(drawSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it("updates the JSON with the coordinates of the dragged objects, and turns off automatic layout", async () => {
+            const box = await screen.findByTestId("memory-models-editor-box-1");
+            const x = Number(box.getAttribute("x"));
+            const y = Number(box.getAttribute("y"));
+            const overlay = screen.getByTestId("memory-models-editor-overlay");
+            fireEvent.mouseDown(box, { clientX: 0, clientY: 0 });
+            fireEvent.mouseUp(overlay, { clientX: 100, clientY: 200 });
+
+            const input = screen.getByLabelText(
+                "Enter memory model JSON here"
+            ) as HTMLInputElement;
+            const objects = JSON.parse(input.value);
+            expect(objects[1]).toMatchObject({
+                x: Math.round((x + 100) / 10) * 10,
+                y: Math.round((y + 200) / 10) * 10,
+            });
+            expect(objects[0]).toHaveProperty("x");
+            expect(
+                (
+                    screen.getByLabelText(
+                        "Use automatic layout"
+                    ) as HTMLInputElement
+                ).checked
+            ).toBe(false);
+            expect(
+                screen
+                    .getByTestId("memory-models-editor-box-1")
+                    .getAttribute("y")
+            ).toEqual(String(objects[1].y));
+        });
+    });
 });
@@ -0,0 +1,21 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import DownloadPDFButton from "../DownloadPDFButton";
+
+describe("DownloadPDFButton", () => {
+    const mockSvgStr = "<svg>...</svg>";
+    beforeEach(() => {
+        render(<DownloadPDFButton svgResult={mockSvgStr} />);
+    });
+
+    test("renders with correct text", () => {
+        const downloadButton = screen.getByText("Download This PDF");
+        expect(downloadButton).toBeDefined();
+    });
+
+    test("is disabled when there is no SVG", () => {
+        render(<DownloadPDFButton svgResult="" />);
+        const downloadButtons = screen.getAllByTestId("download-pdf-btn");
+        expect(downloadButtons[1].hasAttribute("disabled")).toBe(true);
+    });
+});
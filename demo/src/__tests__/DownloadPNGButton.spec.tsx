@@ -0,0 +1,21 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import DownloadPNGButton from "../DownloadPNGButton";
+
+describe("DownloadPNGButton", () => {
+    const mockSvgStr = "<svg>...</svg>";
+    beforeEach(() => {
+        render(<DownloadPNGButton svgResult={mockSvgStr} />);
+    });
+
+    test("renders with correct text", () => {
+        const downloadButton = screen.getByText("Download This PNG");
+        expect(downloadButton).toBeDefined();
+    });
+
+    test("is disabled when there is no SVG", () => {
+        render(<DownloadPNGButton svgResult="" />);
+        const downloadButtons = screen.getAllByTestId("download-png-btn");
+        expect(downloadButtons[1].hasAttribute("disabled")).toBe(true);
+    });
+});
@@ -14,6 +14,7 @@ describe("MemoryModelsUserInput", () => {
         },
     };
     const setConfigDataMock = jest.fn();
+    const onSourceLoadMock = jest.fn();
     const jsonResult = "";
     let textDataMock: string;
 
@@ -31,6 +32,7 @@ describe("MemoryModelsUserInput", () => {
                 jsonResult={jsonResult}
                 configData={configDataMock}
                 setConfigData={setConfigDataMock}
+                onSourceLoad={onSourceLoadMock}
             />
         );
         expect(
@@ -48,6 +50,7 @@ describe("MemoryModelsUserInput", () => {
                 jsonResult={jsonResult}
                 configData={configDataMock}
                 setConfigData={setConfigDataMock}
+                onSourceLoad={onSourceLoadMock}
             />
         );
 
@@ -68,6 +71,7 @@ describe("MemoryModelsUserInput", () => {
                 jsonResult={jsonResult}
                 configData={configDataMock}
                 setConfigData={setConfigDataMock}
+                onSourceLoad={onSourceLoadMock}
             />
         );
 
@@ -90,6 +94,8 @@ describe("MemoryModelsUserInput", () => {
                     jsonResult={jsonResult}
                     configData={configDataMock}
                     setConfigData={setConfigDataMock}
+                    onSourceLoad={onSourceLoadMock}
+                    onSourceLoad={onSourceLoadMock}
                 />
             );
         });
@@ -118,6 +124,8 @@ describe("MemoryModelsUserInput", () => {
                     jsonResult={jsonResult}
                     configData={configDataMock}
                     setConfigData={setConfigDataMock}
+                    onSourceLoad={onSourceLoadMock}
+                    onSourceLoad={onSourceLoadMock}
                 />
             );
         });
@@ -205,6 +213,49 @@ describe("MemoryModelsUserInput", () => {
                 });
             });
         });
+
+        describe("when an SVG file is uploaded", () => {
+            const upload = (contents: string) => {
+                const file = new File([contents], "diagram.svg", {
+                    type: "image/svg+xml",
+                });
+                fireEvent.change(screen.getByTestId("file-input"), {
+                    target: { files: [file] },
+                });
+            };
+
+            it("opens the source embedded in the diagram", async () => {
+                const source = {
+                    objects: [{ type: "int", id: 1, value: 7 }],
+                    automation: true,
+                    configuration: { width: 800 },
+                };
+                upload(
+                    `<svg xmlns="http://www.w3.org/2000/svg"><metadata id="memory-viz-source">${JSON.stringify(
+                        source
+                    )}</metadata></svg>`
+                );
+
+                await waitFor(() => {
+                    expect(onSourceLoadMock).toHaveBeenCalledWith(source);
+                });
+                expect(setTextDataMock).not.toHaveBeenCalled();
+            });
+
+            it("renders an error when the diagram has no embedded source", async () => {
+                jest.spyOn(console, "error").mockImplementation(() => {});
+                upload('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+
+                await waitFor(() => {
+                    expect(setFailureBannerMock).toHaveBeenCalledWith(
+                        expect.stringContaining(
+                            "Error opening uploaded SVG: The SVG has no embedded source"
+                        )
+                    );
+                });
+                expect(onSourceLoadMock).not.toHaveBeenCalled();
+            });
+        });
     });
 
     describe("MemoryModelsConfigInput", () => {
@@ -218,6 +269,8 @@ describe("MemoryModelsUserInput", () => {
                     jsonResult={jsonResult}
                     configData={configDataMock}
                     setConfigData={setConfigDataMock}
+                    onSourceLoad={onSourceLoadMock}
+                    onSourceLoad={onSourceLoadMock}
                 />
             );
         });
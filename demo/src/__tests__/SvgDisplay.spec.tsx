@@ -1,17 +1,18 @@
 import React from "react";
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen } from "@testing-library/react";
 import SvgDisplay from "../SvgDisplay";
 import mem from "memory-viz";
-const { draw } = mem;
+const { draw, enableInteraction } = mem;
 
 const mockMemoryModels = {
     serializeSVG: jest.fn(),
-    clear: jest.fn(),
-    render: jest.fn(),
+    svg: { getAttribute: jest.fn(() => "500") },
 };
 
 jest.mock("memory-viz", () => ({
     draw: jest.fn(() => mockMemoryModels),
+    getSize: jest.fn(() => ({ width: 100, height: 50 })),
+    enableInteraction: jest.fn(() => jest.fn()),
 }));
 
 describe("SvgDisplay", () => {
@@ -49,6 +50,9 @@ describe("SvgDisplay", () => {
         ],
     ])("when jsonResult is not null and %s", (_, jsonResult) => {
         beforeEach(() => {
+            mockMemoryModels.serializeSVG.mockReturnValue(
+                '<svg data-testid="drawn-svg"></svg>'
+            );
             render(
                 <SvgDisplay
                     jsonResult={jsonResult}
@@ -58,23 +62,30 @@ describe("SvgDisplay", () => {
             );
         });
 
-        it("renders canvas element with specified dimensions", () => {
-            const canvasElement = screen.getByTestId("memory-models-canvas");
-            expect(canvasElement.getAttribute("width")).toEqual("1300");
-            expect(canvasElement.getAttribute("height")).toEqual("1000");
+        it("renders the diagram inline", () => {
+            const diagram = screen.getByTestId("memory-models-diagram");
+            expect(diagram.querySelector("svg")).toBe(
+                screen.getByTestId("drawn-svg")
+            );
         });
 
         it("calls functions with correct parameters", () => {
             expect(draw).toHaveBeenNthCalledWith(1, jsonResult, true, {
                 seed: seedMock,
                 width: 1300,
+                interactive: true,
+                embed_source: true,
             });
             expect(setSvgResultMock).toHaveBeenNthCalledWith(
                 1,
                 mockMemoryModels.serializeSVG()
             );
-            expect(mockMemoryModels.clear).toHaveBeenCalledTimes(1);
-            expect(mockMemoryModels.render).toHaveBeenCalledTimes(1);
+        });
+
+        it("enables the interaction with the inline diagram", () => {
+            expect(enableInteraction).toHaveBeenCalledWith(
+                screen.getByTestId("drawn-svg")
+            );
         });
     });
 
@@ -86,7 +97,126 @@ describe("SvgDisplay", () => {
                 configData={configDataMock}
             />
         );
-        const canvasElement = screen.getByTestId("memory-models-canvas");
-        expect(canvasElement.getAttribute("ref")).toBeNull();
+        expect(draw).not.toHaveBeenCalled();
+        expect(
+            screen.getByTestId("memory-models-diagram").querySelector("svg")
+        ).toBeNull();
+    });
+
+    describe("in edit mode", () => {
+        const onLayoutChangeMock = jest.fn();
+        const jsonResult = [
+            { type: ".frame", name: "__main__", id: null, value: {} },
+            { type: ".blank", width: 100, height: 100 },
+            { type: "int", id: 1, value: 7 },
+        ];
+
+        beforeEach(() => {
+            // Draw the objects at fixed coordinates, as the automatic layout would.
+            (draw as jest.Mock).mockImplementationOnce((objects) => {
+                objects[0].x = 10;
+                objects[0].y = 10;
+                objects[1].x = 200;
+                objects[1].y = 10;
+                objects[2].x = 200;
+                objects[2].y = 130;
+                return mockMemoryModels;
+            });
+            mockMemoryModels.serializeSVG.mockReturnValue(
+                '<svg data-testid="drawn-svg"></svg>'
+            );
+            render(
+                <SvgDisplay
+                    jsonResult={jsonResult}
+                    setSvgResult={setSvgResultMock}
+                    configData={configDataMock}
+                    editMode={true}
+                    onLayoutChange={onLayoutChangeMock}
+                />
+            );
+        });
+
+        it("renders the diagram without interaction under the editor", () => {
+            expect(screen.getByTestId("drawn-svg")).not.toBeNull();
+            expect(draw).toHaveBeenCalledWith(expect.anything(), true, {
+                seed: seedMock,
+                width: 1300,
+                interactive: false,
+                embed_source: true,
+            });
+            expect(enableInteraction).not.toHaveBeenCalled();
+        });
+
+        it("renders a draggable box over every drawn object", () => {
+            const box = screen.getByTestId("memory-models-editor-box-2");
+            expect(box.getAttribute("x")).toEqual("200");
+            expect(box.getAttribute("y")).toEqual("130");
+            expect(box.getAttribute("width")).toEqual("100");
+            expect(box.getAttribute("height")).toEqual("50");
+            expect(
+                screen.getByTestId("memory-models-editor-box-0")
+            ).not.toBeNull();
+            expect(
+                screen.queryByTestId("memory-models-editor-box-1")
+            ).toBeNull();
+        });
+
+        it("calls onLayoutChange with the snapped coordinates of every drawn object when an object is dropped", () => {
+            const overlay = screen.getByTestId("memory-models-editor-overlay");
+            fireEvent.mouseDown(
+                screen.getByTestId("memory-models-editor-box-2"),
+                {
+                    clientX: 50,
+                    clientY: 50,
+                }
+            );
+            fireEvent.mouseMove(overlay, { clientX: 73, clientY: 96 });
+            const preview = screen.getByTestId(
+                "memory-models-editor-drop-preview"
+            );
+            expect(preview.getAttribute("x")).toEqual("220");
+            expect(preview.getAttribute("y")).toEqual("180");
+            fireEvent.mouseUp(overlay, { clientX: 73, clientY: 96 });
+
+            expect(onLayoutChangeMock).toHaveBeenCalledWith([
+                { ...jsonResult[0], x: 10, y: 10 },
+                jsonResult[1],
+                { ...jsonResult[2], x: 220, y: 180 },
+            ]);
+            expect(
+                screen.queryByTestId("memory-models-editor-drop-preview")
+            ).toBeNull();
+        });
+
+        it("does not drop an object on top of another one", () => {
+            const overlay = screen.getByTestId("memory-models-editor-overlay");
+            fireEvent.mouseDown(
+                screen.getByTestId("memory-models-editor-box-2"),
+                {
+                    clientX: 0,
+                    clientY: 0,
+                }
+            );
+            fireEvent.mouseUp(overlay, { clientX: -150, clientY: -110 });
+
+            expect(onLayoutChangeMock).toHaveBeenCalledWith([
+                { ...jsonResult[0], x: 10, y: 10 },
+                jsonResult[1],
+                { ...jsonResult[2], x: 50, y: 60 },
+            ]);
+        });
+
+        it("does not call onLayoutChange when an object is not moved", () => {
+            const overlay = screen.getByTestId("memory-models-editor-overlay");
+            fireEvent.mouseDown(
+                screen.getByTestId("memory-models-editor-box-0"),
+                {
+                    clientX: 50,
+                    clientY: 50,
+                }
+            );
+            fireEvent.mouseUp(overlay, { clientX: 52, clientY: 51 });
+            expect(onLayoutChangeMock).not.toHaveBeenCalled();
+        });
     });
 });
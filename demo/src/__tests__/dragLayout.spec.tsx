@@ -0,0 +1,67 @@
+import { boxesOverlap, findFreePosition, snapToGrid } from "../dragLayout";
+
+describe("snapToGrid", () => {
+    it("rounds coordinates to the nearest grid line", () => {
+        expect(snapToGrid(14)).toEqual(10);
+        expect(snapToGrid(15)).toEqual(20);
+        expect(snapToGrid(37, 25)).toEqual(25);
+    });
+
+    it("does not return negative coordinates", () => {
+        expect(snapToGrid(-32)).toEqual(0);
+    });
+});
+
+describe("boxesOverlap", () => {
+    const box = { x: 10, y: 10, width: 100, height: 50 };
+
+    it("returns true for boxes that share some area", () => {
+        expect(
+            boxesOverlap(box, { x: 100, y: 50, width: 20, height: 20 })
+        ).toBe(true);
+    });
+
+    it("returns false for boxes that only touch", () => {
+        expect(
+            boxesOverlap(box, { x: 110, y: 10, width: 20, height: 20 })
+        ).toBe(false);
+        expect(boxesOverlap(box, { x: 10, y: 60, width: 20, height: 20 })).toBe(
+            false
+        );
+    });
+});
+
+describe("findFreePosition", () => {
+    const other = { x: 100, y: 100, width: 100, height: 100 };
+
+    it("returns the snapped position when it is free", () => {
+        expect(
+            findFreePosition({ x: 13, y: 28, width: 50, height: 50 }, [other])
+        ).toEqual({ x: 10, y: 30 });
+    });
+
+    it("returns the closest free position when the box would overlap another box", () => {
+        expect(
+            findFreePosition({ x: 182, y: 120, width: 50, height: 50 }, [other])
+        ).toEqual({ x: 200, y: 120 });
+        expect(
+            findFreePosition({ x: 120, y: 62, width: 50, height: 50 }, [other])
+        ).toEqual({ x: 120, y: 50 });
+    });
+
+    it("returns the closest free position far from the drop position", () => {
+        expect(
+            findFreePosition({ x: 200, y: 210, width: 50, height: 50 }, [
+                { x: 0, y: 0, width: 500, height: 500 },
+            ])
+        ).toEqual({ x: 200, y: 500 });
+    });
+
+    it("does not return negative coordinates", () => {
+        expect(
+            findFreePosition({ x: 0, y: 0, width: 50, height: 50 }, [
+                { x: 0, y: 0, width: 30, height: 40 },
+            ])
+        ).toEqual({ x: 30, y: 0 });
+    });
+});
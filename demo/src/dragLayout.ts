@@ -0,0 +1,85 @@
+export type Box = {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+};
+
+// The size (in pixels) of the grid that dragged objects snap to.
+export const GRID_SIZE = 10;
+
+// How many grid cells away from the drop position to look for a free position.
+const MAX_SEARCH_DISTANCE = 100;
+
+/**
+ * Round the given coordinate to the nearest grid line (and to 0 if it is negative).
+ * @param {number} value - the coordinate
+ * @param {number} gridSize - the distance between grid lines
+ * @returns {number} the coordinate of the nearest grid line
+ */
+export function snapToGrid(value: number, gridSize: number = GRID_SIZE) {
+    return Math.max(0, Math.round(value / gridSize) * gridSize);
+}
+
+/**
+ * Return whether the two boxes overlap. Boxes whose edges only touch do not overlap.
+ */
+export function boxesOverlap(a: Box, b: Box) {
+    return (
+        a.x < b.x + b.width &&
+        b.x < a.x + a.width &&
+        a.y < b.y + b.height &&
+        b.y < a.y + a.height
+    );
+}
+
+/**
+ * Return the position on the grid that is closest to the given box's position, and at which the box would not
+ * overlap any of the other boxes.
+ * @param {Box} box - the box at the position it is dropped at
+ * @param {Box[]} others - the boxes of the other objects in the diagram
+ * @param {number} gridSize - the distance between grid lines
+ * @returns {{x: number, y: number}} the free position (or the snapped position, if no free position was found)
+ */
+export function findFreePosition(
+    box: Box,
+    others: Box[],
+    gridSize: number = GRID_SIZE
+) {
+    const x = snapToGrid(box.x, gridSize);
+    const y = snapToGrid(box.y, gridSize);
+    const isFree = (candidate: Box) =>
+        others.every((other) => !boxesOverlap(candidate, other));
+
+    // Search the squares of grid positions around (x, y), from the innermost outwards. Only the cells on the edge of
+    // each square are new: those inside it were searched by the smaller squares.
+    for (let distance = 0; distance <= MAX_SEARCH_DISTANCE; distance++) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (let i = -distance; i <= distance; i++) {
+            // The first and last columns of the square, and only the top and bottom cells of the others.
+            const step = Math.abs(i) === distance ? 1 : 2 * distance;
+            for (let j = -distance; j <= distance; j += step) {
+                const candidate = {
+                    ...box,
+                    x: x + i * gridSize,
+                    y: y + j * gridSize,
+                };
+                const candidateDistance = i * i + j * j;
+                if (
+                    candidate.x >= 0 &&
+                    candidate.y >= 0 &&
+                    candidateDistance < bestDistance &&
+                    isFree(candidate)
+                ) {
+                    best = { x: candidate.x, y: candidate.y };
+                    bestDistance = candidateDistance;
+                }
+            }
+        }
+        if (best !== null) {
+            return best;
+        }
+    }
+    return { x, y };
+}
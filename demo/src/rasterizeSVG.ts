@@ -0,0 +1,45 @@
+/**
+ * Draw the given SVG onto a new canvas, scaled by the given factor.
+ * @param {string} svg - the serialized SVG
+ * @param {number} scale - the factor by which to scale the SVG's width and height
+ * @returns {Promise<HTMLCanvasElement>} the canvas the SVG was drawn on
+ */
+export function rasterizeSVG(
+    svg: string,
+    scale: number
+): Promise<HTMLCanvasElement> {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = image.naturalWidth * scale;
+            canvas.height = image.naturalHeight * scale;
+            const context = canvas.getContext("2d");
+            // Fill in a white background, as the SVG's background is transparent.
+            context.fillStyle = "white";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("The SVG could not be loaded."));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Prompt the user to download the file at the given URL.
+ * @param {string} url - the URL of the file (e.g., a data URL)
+ * @param {string} fileName - the name to save the file under
+ */
+export function downloadURL(url: string, fileName: string) {
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+}
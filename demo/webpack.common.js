@@ -32,6 +32,12 @@ module.exports = {
     },
     externals: {
         fs: "fs",
+        // Only used by memory-viz in Node (to export PNG and PDF files, and to trace Python scripts).
+        path: "path",
+        child_process: "child_process",
+        "@resvg/resvg-js": "@resvg/resvg-js",
+        pdfkit: "pdfkit",
+        "svg-to-pdfkit": "svg-to-pdfkit",
     },
     externalsType: "window",
     plugins: [
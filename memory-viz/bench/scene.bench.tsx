@@ -0,0 +1,101 @@
+import rough from "roughjs";
+import { DOMImplementation } from "@xmldom/xmldom";
+import exports from "../src/index";
+import { MemoryModel } from "../src/memory_model";
+const { draw, getSize } = exports;
+
+// Benchmarks of the layout of large diagrams, run with `npm run bench` (rather than with the tests, as their timings
+// depend on the load of the machine). They report their timings, and check the work that makes the layout fast (how
+// many documents, Rough.js canvases and objects are created or drawn), which does not depend on the machine, along
+// with a loose bound on the speedup.
+
+/**
+ * Return a large diagram: a stack frame holding a list of 'count' objects of various types.
+ */
+function largeObjects(count: number): any[] {
+    const ids = Array.from({ length: count }, (_, i) => i + 2);
+    return [
+        { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+        { type: "list", id: 1, value: ids, max_items: count },
+        ...ids.map((id) =>
+            id % 3 === 0
+                ? { type: "str", id, value: `string ${id}` }
+                : id % 3 === 1
+                ? { type: "dict", id, value: { [id - 1]: id + 1 } }
+                : { type: "int", id, value: id * 7 }
+        ),
+    ];
+}
+
+/**
+ * Return the shortest number of milliseconds taken by the given function, over a few runs (so that garbage collection
+ * and other processes do not skew the benchmark).
+ */
+function duration(f: () => void): number {
+    let shortest = Infinity;
+    for (let run = 0; run < 3; run++) {
+        const start = performance.now();
+        f();
+        shortest = Math.min(shortest, performance.now() - start);
+    }
+    return shortest;
+}
+
+describe("layout of large diagrams", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("measures objects without rendering them", () => {
+        const large = largeObjects(200);
+        // How 'getSize' used to measure objects: by drawing each of them in a new diagram, rendered to SVG.
+        const drawn = duration(() => {
+            for (const obj of structuredClone(large)) {
+                const m = new MemoryModel();
+                m.drawAll([{ ...obj, x: 10, y: 10 }]);
+                m.renderScene();
+            }
+        });
+        const documents = jest.spyOn(
+            DOMImplementation.prototype,
+            "createDocument"
+        );
+        const canvases = jest.spyOn(rough, "svg");
+        const measured = duration(() => {
+            for (const obj of structuredClone(large)) {
+                getSize(obj);
+            }
+        });
+        console.log(
+            `Measuring 200 objects: ${measured.toFixed(1)} ms ` +
+                `(drawing them: ${drawn.toFixed(1)} ms, ` +
+                `${(drawn / measured).toFixed(1)} times as long)`
+        );
+        expect(documents).not.toHaveBeenCalled();
+        expect(canvases).not.toHaveBeenCalled();
+        // Rendering takes most of the time of drawing, so measuring is much faster, even on a busy machine.
+        expect(drawn / measured).toBeGreaterThan(1.5);
+    });
+
+    it("draws a large diagram with automatic layout", () => {
+        const large = largeObjects(200);
+        const drawObject = jest.spyOn(MemoryModel.prototype, "drawObject");
+        const canvases = jest.spyOn(rough, "svg");
+        draw(structuredClone(large), true, {
+            width: 1300,
+            items_per_row: 20,
+        }).renderScene();
+        // Each object is drawn once (the layout reuses the shapes it measured), in a single diagram.
+        expect(drawObject).toHaveBeenCalledTimes(large.length - 1);
+        expect(canvases).toHaveBeenCalledTimes(1);
+        jest.restoreAllMocks();
+
+        const drawing = duration(() => {
+            draw(structuredClone(large), true, {
+                width: 1300,
+                items_per_row: 20,
+            }).renderScene();
+        });
+        console.log(`Drawing 200 objects: ${drawing.toFixed(1)} ms`);
+    });
+});
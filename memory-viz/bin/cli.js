@@ -2,8 +2,128 @@
 
 const fs = require("fs");
 const path = require("path");
-const { draw } = require("memory-viz");
-const { program } = require("commander");
+const {
+    animate,
+    animationPlayer,
+    diff,
+    draw,
+    exercise,
+    load,
+    parseNotation,
+    presets,
+    renderText,
+    validate,
+    tracePython,
+    themes,
+} = require("memory-viz");
+const { program, Option, InvalidArgumentError } = require("commander");
+
+const FORMATS = ["svg", "png", "pdf", "dot", "mermaid", "tikz", "text"];
+
+// The file extension of each output format.
+const FORMAT_EXTENSIONS = {
+    svg: "svg",
+    png: "png",
+    pdf: "pdf",
+    dot: "dot",
+    mermaid: "mmd",
+    tikz: "tex",
+    text: "txt",
+};
+
+// The output format of each file extension (other than the extensions in FORMAT_EXTENSIONS).
+const EXTENSION_FORMATS = { gv: "dot" };
+
+function parsePositive(input) {
+    const value = Number(input);
+    if (!(value > 0)) {
+        throw new InvalidArgumentError("Expected a positive number.");
+    }
+    return value;
+}
+
+function parseNonNegative(input) {
+    const value = Number(input);
+    if (!(value >= 0)) {
+        throw new InvalidArgumentError("Expected a non-negative number.");
+    }
+    return value;
+}
+
+function parseColumns(input) {
+    const columns = Number(input);
+    if (!Number.isInteger(columns) || columns < 1) {
+        throw new InvalidArgumentError("Expected a positive integer.");
+    }
+    return columns;
+}
+
+function parseLimit(input) {
+    const limit = Number(input);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new InvalidArgumentError("Expected a positive integer.");
+    }
+    return limit;
+}
+
+function parseList(input) {
+    return input.split(",").filter((item) => item !== "");
+}
+
+function parseFraction(input) {
+    const fraction = Number(input);
+    if (!(fraction > 0 && fraction <= 1)) {
+        throw new InvalidArgumentError(
+            "Expected a number greater than 0 and at most 1."
+        );
+    }
+    return fraction;
+}
+
+function parseSeed(input) {
+    const seed = Number(input);
+    if (!Number.isInteger(seed)) {
+        throw new InvalidArgumentError("Expected an integer.");
+    }
+    return seed;
+}
+
+function parseLine(input, previous = []) {
+    const line = Number(input);
+    if (!Number.isInteger(line) || line < 1) {
+        throw new InvalidArgumentError("Expected a positive integer.");
+    }
+    return previous.concat([line]);
+}
+
+function parseOccurrence(input) {
+    const occurrence = Number(input);
+    if (!Number.isInteger(occurrence) || occurrence < 1) {
+        throw new InvalidArgumentError("Expected a positive integer.");
+    }
+    return occurrence;
+}
+
+function parseTheme(input) {
+    if (themes.hasOwnProperty(input)) {
+        return input;
+    }
+    let contents;
+    try {
+        contents = fs.readFileSync(path.resolve(process.cwd(), input), "utf8");
+    } catch (err) {
+        throw new InvalidArgumentError(
+            `Expected one of ${Object.keys(themes).join(
+                ", "
+            )}, or the path to a JSON theme file.`
+        );
+    }
+    try {
+        return JSON.parse(contents);
+    } catch (err) {
+        throw new InvalidArgumentError(`Invalid JSON in ${input}.`);
+    }
+}
 
 function parseRoughjsConfig(input) {
     const pairs = input.split(",");
@@ -11,61 +131,815 @@ function parseRoughjsConfig(input) {
     return Object.fromEntries(keyValuePairs);
 }
 
-program
-    .description(
-        "Command line interface for generating memory model diagrams with MemoryViz"
-    )
-    .argument(
-        "<filepath>",
-        "path to a file containing MemoryViz-compatible JSON"
-    )
-    .option("--width <value>", "width of generated SVG", "1300")
-    .option("--height <value>", "height of generated SVG")
-    .option(
-        "--roughjs-config <key1=value1,key2=value2,...>",
-        "options to configure how the SVG is drawn" +
-            " - refer to rough.js documentation for available options",
-        parseRoughjsConfig
+function addDrawingOptions(command) {
+    return command
+        .option("--width <value>", "width of generated SVG", "1300")
+        .option("--height <value>", "height of generated SVG")
+        .addOption(
+            new Option(
+                "--format <format>",
+                "file format of the output (default: the extension of the output file, or svg)"
+            ).choices(FORMATS)
+        )
+        .option(
+            "--scale <value>",
+            "factor by which to scale up PNG images (e.g. 2 for high-DPI screens)",
+            parsePositive,
+            1
+        )
+        .option(
+            "--columns <value>",
+            "maximum length of the lines of text diagrams",
+            parseColumns,
+            80
+        )
+        .option(
+            "--ascii",
+            "draw text diagrams with ASCII characters only, rather than box-drawing characters"
+        )
+        .option(
+            "--theme <name|path>",
+            "colors and font of the diagram: light, dark, high-contrast, or the path to a JSON theme file",
+            parseTheme
+        )
+        .addOption(
+            new Option(
+                "--renderer <renderer>",
+                "how boxes and arrows are drawn: rough (hand-drawn) or clean (plain shapes)"
+            ).choices(["rough", "clean"])
+        )
+        .addOption(
+            new Option(
+                "--language <language>",
+                "the memory model of the diagram: python, java, javascript or c (e.g. java draws ints in the variables that hold them, and references as @id)"
+            ).choices(["python", "java", "javascript", "c"])
+        )
+        .option(
+            "--interactive",
+            "make SVG diagrams interactive: in a browser, hovering a reference highlights the object it refers to, and hovering an object highlights the references to it"
+        )
+        .option(
+            "--embed-source",
+            "embed the objects and the configuration in SVG diagrams, so that they can be drawn again with --from-svg"
+        )
+        .option(
+            "--max-items <value>",
+            "show only the first and last elements (or entries) of larger collections",
+            parseLimit
+        )
+        .option(
+            "--items-per-row <value>",
+            "wrap the elements of sequences into rows of at most this many elements",
+            parseLimit
+        )
+        .option(
+            "--max-value-length <value>",
+            "truncate primitive values longer than this many characters",
+            parseLimit
+        )
+        .option(
+            "--wrap-values",
+            "wrap primitive values longer than --max-value-length over several lines, rather than truncating them"
+        )
+        .option(
+            "--roughjs-config <key1=value1,key2=value2,...>",
+            "options to configure how the SVG is drawn" +
+                " - refer to rough.js documentation for available options",
+            parseRoughjsConfig
+        )
+        .addOption(
+            new Option(
+                "--sort-by <criterion>",
+                "order of the objects in the automatic layout"
+            ).choices(["height", "id", "references"])
+        )
+        .addOption(
+            new Option(
+                "--stack-direction <direction>",
+                "direction in which the call stack grows in the automatic layout (default: down)"
+            ).choices(["up", "down"])
+        )
+        .option(
+            "--region-headings",
+            'draw "Call stack" and "Objects" headings in the automatic layout'
+        )
+        .option(
+            "--padding <value>",
+            "space between objects in the automatic layout",
+            parseNonNegative
+        )
+        .option(
+            "--top-margin <value>",
+            "space above the diagram in the automatic layout",
+            parseNonNegative
+        )
+        .option(
+            "--bottom-margin <value>",
+            "space below the diagram in the automatic layout",
+            parseNonNegative
+        )
+        .option(
+            "--left-margin <value>",
+            "space left of the diagram in the automatic layout",
+            parseNonNegative
+        )
+        .option(
+            "--right-margin <value>",
+            "space right of the diagram in the automatic layout",
+            parseNonNegative
+        )
+        .addOption(
+            new Option(
+                "--mark-garbage [preset]",
+                "draw the objects that cannot be reached from any stack frame with the given preset (default: fade)"
+            ).choices(Object.keys(presets))
+        )
+        .option(
+            "--garbage-region",
+            "place the objects that cannot be reached from any stack frame below the others in the automatic layout"
+        );
+}
+
+/**
+ * Return the configuration passed to 'draw', from the command line options.
+ * In manual layout, the width and height are computed from the objects unless they are given.
+ */
+function drawingConfiguration(options, command) {
+    const configuration = {};
+    if (options.roughjsConfig !== undefined) {
+        configuration.roughjs_config = { options: options.roughjsConfig };
+    }
+    if (options.theme !== undefined) {
+        configuration.theme = options.theme;
+    }
+    if (
+        options.width !== undefined &&
+        (options.automation !== false ||
+            command.getOptionValueSource("width") !== "default")
+    ) {
+        configuration.width = Number(options.width);
+    }
+    if (options.height !== undefined) {
+        configuration.height = Number(options.height);
+    }
+    if (options.sortBy !== undefined) {
+        configuration.sort_by = options.sortBy;
+    }
+    if (options.renderer !== undefined) {
+        configuration.renderer = options.renderer;
+    }
+    if (options.language !== undefined) {
+        configuration.language = options.language;
+    }
+    if (options.stackDirection !== undefined) {
+        configuration.stack_direction = options.stackDirection;
+    }
+    if (options.regionHeadings) {
+        configuration.region_headings = true;
+    }
+    if (options.interactive) {
+        // The diagrams are standalone files, which need the script to respond to the mouse.
+        configuration.interactive = true;
+        configuration.embed_script = true;
+    }
+    if (options.embedSource) {
+        configuration.embed_source = true;
+    }
+    if (options.markGarbage !== undefined) {
+        configuration.mark_garbage = true;
+        if (options.markGarbage !== true) {
+            configuration.garbage_style = options.markGarbage;
+        }
+    }
+    if (options.garbageRegion) {
+        configuration.garbage_region = true;
+    }
+    if (options.wrapValues) {
+        configuration.wrap_values = true;
+    }
+    for (const [option, key] of [
+        ["maxItems", "max_items"],
+        ["itemsPerRow", "items_per_row"],
+        ["maxValueLength", "max_value_length"],
+        ["padding", "padding"],
+        ["topMargin", "top_margin"],
+        ["bottomMargin", "bottom_margin"],
+        ["leftMargin", "left_margin"],
+        ["rightMargin", "right_margin"],
+    ]) {
+        if (options[option] !== undefined) {
+            configuration[key] = options[option];
+        }
+    }
+    return configuration;
+}
+
+/**
+ * Draw the given objects and write the diagram to outputPath ("-" for stdout), in the format given by the
+ * command line options. Text diagrams are always laid out automatically.
+ * The source of the objects loaded from an SVG file (with --from-svg) is given to 'drawingSettings'.
+ */
+async function writeDiagram(data, outputPath, options, command, source = null) {
+    if (outputFormat(outputPath, options) === "text") {
+        writeContents(
+            renderText(data, {
+                columns: options.columns,
+                sort_by: options.sortBy,
+                ascii: options.ascii === true,
+                language: options.language ?? source?.configuration.language,
+            }),
+            outputPath
+        );
+        return;
+    }
+    const { automation, configuration } = drawingSettings(
+        options,
+        command,
+        source
+    );
+    const m = draw(data, automation, configuration);
+    await writeModel(m, outputPath, options);
+}
+
+/**
+ * Return the automation and the configuration passed to 'draw', from the command line options. For objects loaded
+ * from an SVG file, these are the automation and configuration embedded in it, except for the drawing options given
+ * on the command line.
+ */
+function drawingSettings(options, command, source = null) {
+    if (source === null) {
+        return {
+            automation: options.automation !== false,
+            configuration: drawingConfiguration(options, command),
+        };
+    }
+    const given = givenOptions(options, command);
+    return {
+        automation:
+            given.automation === undefined
+                ? source.automation
+                : given.automation !== false,
+        configuration: {
+            ...source.configuration,
+            ...drawingConfiguration(given, command),
+        },
+    };
+}
+
+/**
+ * Return the command line options that were given on the command line (rather than taking their default values).
+ */
+function givenOptions(options, command) {
+    return Object.fromEntries(
+        Object.entries(options).filter(
+            ([option]) => command.getOptionValueSource(option) === "cli"
+        )
     );
+}
 
-program.parse();
+/**
+ * Write the given diagram to outputPath ("-" for stdout), in the format given by the command line options.
+ */
+async function writeModel(m, outputPath, options) {
+    const format = outputFormat(outputPath, options);
 
-const filePath = program.args[0];
-const absolutePath = path.resolve(process.cwd(), filePath);
+    let contents;
+    if (format === "png") {
+        contents = m.toPNG(options.scale);
+    } else if (format === "pdf") {
+        contents = await m.toPDF();
+    } else if (format === "dot") {
+        contents = m.toDOT();
+    } else if (format === "mermaid") {
+        contents = m.toMermaid();
+    } else if (format === "tikz") {
+        contents = m.toTikZ();
+    } else if (format === "text") {
+        throw new Error("The text format is not supported by this command.");
+    } else {
+        contents = m.serializeSVG();
+    }
+    writeContents(contents, outputPath);
+}
 
-// Checks if absolutePath exists
-let fileContent;
-if (!fs.existsSync(absolutePath)) {
-    console.error(`Error: File ${absolutePath} does not exist.`);
-    process.exit(1);
-} else {
-    fileContent = fs.readFileSync(absolutePath, "utf8");
+/**
+ * Write the given contents to outputPath ("-" for stdout).
+ */
+function writeContents(contents, outputPath) {
+    if (outputPath === "-") {
+        process.stdout.write(contents);
+    } else {
+        fs.writeFileSync(outputPath, contents);
+    }
 }
 
-let data;
-try {
-    data = JSON.parse(fileContent);
-} catch (err) {
-    console.error(`Error: Invalid JSON\n${err.message}.`);
-    process.exit(1);
+/**
+ * Return the format of the diagram written to outputPath: the format given by the command line options,
+ * or else the format given by the extension of outputPath (SVG by default).
+ */
+function outputFormat(outputPath, options) {
+    if (options.format !== undefined) {
+        return options.format;
+    }
+    const extension = path.extname(outputPath).slice(1).toLowerCase();
+    const format = Object.keys(FORMAT_EXTENSIONS).find(
+        (f) => FORMAT_EXTENSIONS[f] === extension
+    );
+    return format || EXTENSION_FORMATS[extension] || "svg";
 }
 
-let m;
-try {
-    m = draw(data, true, {
-        width: program.opts().width,
-        height: program.opts().height,
-        roughjs_config: { options: program.opts().roughjsConfig },
-    });
-} catch (err) {
-    console.error(`Error: ${err.message}`);
-    process.exit(1);
+/**
+ * Return the extension of the files written in the format given by the command line options (svg by default).
+ */
+function outputExtension(options) {
+    return FORMAT_EXTENSIONS[options.format || "svg"];
+}
+
+/**
+ * Return the path the diagram of the given input is written to ("-" for stdout).
+ * By default, the diagram of a file is written to the current directory, and the diagram of stdin to stdout.
+ * If the output option is a directory (or if there are several inputs), the diagram is written to that directory.
+ */
+function outputPath(input, options, multiple) {
+    const name = `${
+        input === "-" ? "stdin" : path.parse(input).name
+    }.${outputExtension(options)}`;
+    const output = options.output;
+    if (output === "-" || (output === undefined && input === "-")) {
+        return "-";
+    } else if (output === undefined) {
+        return name;
+    } else if (
+        multiple ||
+        /[\\/]$/.test(output) ||
+        (fs.existsSync(output) && fs.statSync(output).isDirectory())
+    ) {
+        fs.mkdirSync(output, { recursive: true });
+        return path.join(output, name);
+    }
+    return output;
+}
+
+/**
+ * Return the files matching the given glob pattern, in which "*" and "?" match any characters (except "/") in a
+ * file name, "**" matches any number of directories, and "[...]" matches any of the given characters.
+ * Files and directories whose names start with "." are not matched.
+ */
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex((segment) => /[*?[]/.test(segment));
+    const base = segments.slice(0, firstGlob).join("/");
+    const globSegments = segments.slice(firstGlob);
+    const regex = new RegExp(
+        "^" +
+            globSegments
+                .map((segment) =>
+                    segment === "**"
+                        ? "(?:[^/]+/)*"
+                        : segment
+                              .replace(/[.+^${}()|\\]/g, "\\$&")
+                              .replace(/\*/g, "[^/]*")
+                              .replace(/\?/g, "[^/]")
+                              .replace(/\[!/g, "[^") + "/"
+                )
+                .join("")
+                .replace(/\/$/, "") +
+            "$"
+    );
+    // Without "**", files are only searched for as deep as the pattern goes.
+    const maxDepth = globSegments.includes("**")
+        ? Infinity
+        : globSegments.length;
+
+    const matches = [];
+    const walk = (relative, depth) => {
+        const directory = path.join(base || ".", relative);
+        if (
+            !fs.existsSync(directory) ||
+            !fs.statSync(directory).isDirectory()
+        ) {
+            return;
+        }
+        for (const entry of fs.readdirSync(directory, {
+            withFileTypes: true,
+        })) {
+            if (entry.name.startsWith(".")) {
+                continue;
+            }
+            const entryPath = relative
+                ? `${relative}/${entry.name}`
+                : entry.name;
+            if (entry.isDirectory()) {
+                if (depth < maxDepth) {
+                    walk(entryPath, depth + 1);
+                }
+            } else if (regex.test(entryPath)) {
+                matches.push(base ? `${base}/${entryPath}` : entryPath);
+            }
+        }
+    };
+    walk("", 1);
+    return matches.sort();
 }
 
-const outputName = path.parse(filePath).name + ".svg";
-try {
-    m.save(outputName);
-} catch (err) {
+/**
+ * Return the objects read from the given input ("-" for stdin): MemoryViz JSON, or the MemoryViz notation for files
+ * ending in ".mvz".
+ */
+function readInput(input) {
+    const fileContent = readContents(input);
+    if (path.extname(input) === ".mvz") {
+        try {
+            return parseNotation(fileContent);
+        } catch (err) {
+            throw new Error(`Invalid MemoryViz notation\n${err.message}.`);
+        }
+    }
+    try {
+        return JSON.parse(fileContent);
+    } catch (err) {
+        throw new Error(`Invalid JSON\n${err.message}.`);
+    }
+}
+
+/**
+ * Return the contents of the given input file ("-" for stdin).
+ */
+function readContents(input) {
+    if (input === "-") {
+        return fs.readFileSync(0, "utf8");
+    }
+    const absolutePath = path.resolve(process.cwd(), input);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`File ${absolutePath} does not exist.`);
+    }
+    return fs.readFileSync(absolutePath, "utf8");
+}
+
+/**
+ * Read the MemoryViz JSON of the given input ("-" for stdin), draw it and write the diagram.
+ * With --from-svg, the input is an SVG diagram drawn with --embed-source, which is drawn again from its source.
+ */
+async function drawInput(input, options, command, multiple) {
+    const source = options.fromSvg ? load(readContents(input)) : null;
+    const data = source === null ? readInput(input) : source.objects;
+
+    const prefix = multiple ? `${input}: ` : "";
+    const { automation, configuration } = drawingSettings(
+        options,
+        command,
+        source
+    );
+    for (const warning of validate(
+        data,
+        automation,
+        configuration.language
+    ).filter((error) => error.severity === "warning")) {
+        console.warn(`Warning: ${prefix}${warning.path}: ${warning.message}`);
+    }
+
+    await writeDiagram(
+        data,
+        outputPath(input, options, multiple),
+        options,
+        command,
+        source
+    );
+}
+
+function exitWithError(err) {
     console.error(`Error: ${err.message}`);
     process.exit(1);
 }
+
+// The drawing options of the trace command are separate from those of the main program.
+program.enablePositionalOptions();
+
+addDrawingOptions(program)
+    .description(
+        "Command line interface for generating memory model diagrams with MemoryViz"
+    )
+    .argument(
+        "<filepath...>",
+        'paths (or glob patterns) of files containing MemoryViz-compatible JSON (or the MemoryViz notation, in .mvz files), or "-" for stdin'
+    )
+    .option(
+        "--output <path>",
+        'file or directory to write the diagrams to, or "-" for stdout'
+    )
+    .option(
+        "--no-automation",
+        "draw the objects at their own coordinates instead of laying them out automatically"
+    )
+    .option("--watch", "draw the diagrams again whenever the files change")
+    .option(
+        "--from-svg",
+        "read SVG diagrams drawn with --embed-source, and draw them again from their embedded objects and configuration (overridden by the drawing options given)"
+    )
+    .action(async (patterns, options, command) => {
+        const inputs = [];
+        const unmatched = [];
+        for (const pattern of patterns) {
+            const matches =
+                pattern !== "-" && /[*?[]/.test(pattern)
+                    ? expandGlob(pattern)
+                    : [pattern];
+            if (matches.length === 0) {
+                console.error(`Error: No files match ${pattern}.`);
+                unmatched.push(pattern);
+            }
+            // Files matched by several patterns are only drawn once.
+            inputs.push(...matches.filter((match) => !inputs.includes(match)));
+        }
+
+        const total = inputs.length + unmatched.length;
+        const multiple = total > 1;
+        if (multiple && options.output === "-") {
+            exitWithError(
+                new Error("Cannot write more than one diagram to stdout.")
+            );
+        }
+        if (options.watch && inputs.includes("-")) {
+            exitWithError(new Error("Cannot watch stdin for changes."));
+        }
+
+        const render = async (input) => {
+            try {
+                await drawInput(input, options, command, multiple);
+                return true;
+            } catch (err) {
+                console.error(
+                    `Error: ${multiple ? `${input}: ` : ""}${err.message}`
+                );
+                return false;
+            }
+        };
+
+        const failed = [...unmatched];
+        for (const input of inputs) {
+            if (!(await render(input))) {
+                failed.push(input);
+            }
+        }
+
+        if (options.watch) {
+            console.error(
+                `Watching ${inputs.length} file(s) for changes (press Ctrl+C to stop).`
+            );
+            for (const input of inputs) {
+                fs.watchFile(input, { interval: 200 }, (current, previous) => {
+                    if (current.mtimeMs !== previous.mtimeMs) {
+                        render(input).then(
+                            (success) =>
+                                success && console.error(`Updated ${input}.`)
+                        );
+                    }
+                });
+            }
+        } else if (failed.length > 0) {
+            if (multiple) {
+                console.error(
+                    `Error: ${
+                        failed.length
+                    } of ${total} inputs failed: ${failed.join(", ")}`
+                );
+            }
+            process.exitCode = 1;
+        }
+    });
+
+addDrawingOptions(program.command("trace"))
+    .description(
+        "Run a Python script and draw the state of its memory just before the given line(s) are executed"
+    )
+    .argument("<script>", "path to the Python script")
+    .argument("[args...]", "command line arguments for the script")
+    .requiredOption(
+        "--line <number>",
+        "line to draw the state of memory at (can be repeated)",
+        parseLine
+    )
+    .option(
+        "--occurrence <number>",
+        "draw each line the n-th time it is reached",
+        parseOccurrence,
+        1
+    )
+    .option(
+        "--python <path>",
+        "Python interpreter used to run the script (defaults to $PYTHON, or python3)"
+    )
+    .option(
+        "--json",
+        "write the MemoryViz JSON of each state instead of drawing it"
+    )
+    .action(async (script, args, options, command) => {
+        let snapshots;
+        try {
+            snapshots = tracePython(path.resolve(process.cwd(), script), {
+                lines: options.line,
+                occurrence: options.occurrence,
+                python: options.python,
+                args,
+            });
+        } catch (err) {
+            exitWithError(err);
+        }
+
+        const name = path.parse(script).name;
+        try {
+            for (let i = 0; i < snapshots.length; i++) {
+                const outputName = `${name}-line${options.line[i]}`;
+                if (options.json) {
+                    fs.writeFileSync(
+                        `${outputName}.json`,
+                        JSON.stringify(snapshots[i], null, 4)
+                    );
+                } else {
+                    await writeDiagram(
+                        snapshots[i],
+                        `${outputName}.${outputExtension(options)}`,
+                        options,
+                        command
+                    );
+                }
+            }
+        } catch (err) {
+            exitWithError(err);
+        }
+    });
+
+addDrawingOptions(program.command("diff"))
+    .description(
+        "Draw the second state of memory, marking the objects and references that changed since the first state"
+    )
+    .argument(
+        "<before>",
+        'path to a file containing the MemoryViz-compatible JSON of the first state, or "-" for stdin'
+    )
+    .argument(
+        "<after>",
+        'path to a file containing the MemoryViz-compatible JSON of the second state, or "-" for stdin'
+    )
+    .option(
+        "--output <path>",
+        'file to write the diagram to, or "-" for stdout (default: <after>-diff.svg)'
+    )
+    .option("--side-by-side", "draw the first state next to the second one")
+    .action(async (before, after, options, command) => {
+        if (before === "-" && after === "-") {
+            exitWithError(new Error("Cannot read both states from stdin."));
+        }
+        try {
+            const m = diff(readInput(before), readInput(after), {
+                ...drawingConfiguration(options, command),
+                side_by_side: options.sideBySide === true,
+            });
+            const output =
+                options.output ||
+                `${
+                    after === "-" ? "stdin" : path.parse(after).name
+                }-diff.${outputExtension(options)}`;
+            await writeModel(m, output, options);
+        } catch (err) {
+            exitWithError(err);
+        }
+    });
+
+addDrawingOptions(program.command("exercise"))
+    .description(
+        "Draw a fill-in-the-blanks exercise from a diagram, along with its answer key and the list of answers"
+    )
+    .argument(
+        "<filepath>",
+        'path to a file containing MemoryViz-compatible JSON, or "-" for stdin'
+    )
+    .option(
+        "--ids <ids>",
+        "blank out the ids of the objects with these (comma-separated) ids",
+        parseList
+    )
+    .option("--all-ids", "blank out the ids of every object")
+    .option(
+        "--types <types>",
+        "blank out the values of the objects of these (comma-separated) types",
+        parseList
+    )
+    .option(
+        "--frame-variables [names]",
+        "blank out the variables of every stack frame, or of the stack frames with these (comma-separated) names",
+        parseList
+    )
+    .option(
+        "--fraction <value>",
+        "blank out only this fraction of the selected parts (or of every part, if none is selected), chosen at random",
+        parseFraction
+    )
+    .option(
+        "--seed <value>",
+        "seed of the random choice of blanks",
+        parseSeed,
+        0
+    )
+    .option(
+        "--output <directory>",
+        "directory to write the exercise, the answer key and the answers to (default: the current directory)"
+    )
+    .option(
+        "--no-automation",
+        "draw the objects at their own coordinates instead of laying them out automatically"
+    )
+    .action(async (input, options, command) => {
+        const selection = {
+            types: options.types,
+            fraction: options.fraction,
+            seed: options.seed,
+        };
+        if (options.allIds) {
+            selection.ids = "all";
+        } else if (options.ids !== undefined) {
+            selection.ids = options.ids;
+        }
+        if (options.frameVariables !== undefined) {
+            selection.frame_variables = options.frameVariables;
+        }
+
+        const name = input === "-" ? "stdin" : path.parse(input).name;
+        const directory = path.resolve(process.cwd(), options.output || "");
+        const extension = outputExtension(options);
+        try {
+            const { student, key, answers } = exercise(
+                readInput(input),
+                selection,
+                options.automation,
+                drawingConfiguration(options, command)
+            );
+            await writeModel(
+                student,
+                path.join(directory, `${name}-exercise.${extension}`),
+                options
+            );
+            await writeModel(
+                key,
+                path.join(directory, `${name}-key.${extension}`),
+                options
+            );
+            writeContents(
+                JSON.stringify(answers, null, 4),
+                path.join(directory, `${name}-answers.json`)
+            );
+        } catch (err) {
+            exitWithError(err);
+        }
+    });
+
+addDrawingOptions(program.command("animate"))
+    .description(
+        "Draw an animation of several states of memory, in which objects move, appear and disappear between states"
+    )
+    .argument(
+        "<states...>",
+        'paths to files containing the MemoryViz-compatible JSON (or the MemoryViz notation) of each state, in order ("-" for stdin)'
+    )
+    .option(
+        "--output <path>",
+        'file to write the animation to (an SVG file, or an HTML page with playback controls if it ends in .html), or "-" for stdout (default: <first state>-animation.svg)'
+    )
+    .option(
+        "--no-automation",
+        "draw the objects at their own coordinates instead of laying them out automatically"
+    )
+    .option(
+        "--hold <milliseconds>",
+        "how long each state is shown",
+        parsePositive
+    )
+    .option(
+        "--transition <milliseconds>",
+        "how long each transition between two states lasts",
+        parsePositive
+    )
+    .option("--no-loop", "stop at the last state instead of starting over")
+    .action(async (states, options, command) => {
+        const name = states[0] === "-" ? "stdin" : path.parse(states[0]).name;
+        const output = options.output || `${name}-animation.svg`;
+        const html = path.extname(output).toLowerCase() === ".html";
+        try {
+            if (!html && outputFormat(output, options) !== "svg") {
+                throw new Error(
+                    "Animations can only be written to SVG or HTML files."
+                );
+            }
+            const m = animate(states.map(readInput), options.automation, {
+                ...drawingConfiguration(options, command),
+                hold: options.hold,
+                transition: options.transition,
+                loop: options.loop,
+            });
+            writeContents(html ? animationPlayer(m) : m.serializeSVG(), output);
+        } catch (err) {
+            exitWithError(err);
+        }
+    });
+
+program.parseAsync();
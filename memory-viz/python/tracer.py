@@ -0,0 +1,221 @@
+"""Run a Python script and print the state of its memory at the requested lines, as MemoryViz JSON.
+
+Usage: python tracer.py <script> <lines> <occurrence> [<script arguments>...]
+
+<lines> is a JSON array of line numbers. The state is captured just before each of these lines is executed for the
+<occurrence>-th time (starting at 1); lines that are not reached that many times are left out of the result.
+The result is printed to stdout as a JSON object of the form
+    {"snapshots": [{"line": <line>, "objects": [...]}, ...]}
+where each list of objects can be passed to MemoryViz's draw function. If the script cannot be run, the result is
+    {"error": "<message>"}
+Anything the script itself prints is redirected to stderr.
+
+This script is used by the tracePython function of MemoryViz and must run on any Python 3.8+ interpreter, using only
+the standard library.
+"""
+import decimal
+import json
+import math
+import os
+import sys
+import types
+
+MAX_OBJECTS = 500
+
+PRIMITIVE_TYPES = (bool, int, float, str, type(None))
+SEQUENCE_TYPES = {list: "list", tuple: "tuple"}
+SET_TYPES = {set: "set", frozenset: "frozenset"}
+
+# Values that are not shown as variables in the __main__ frame.
+HIDDEN_VALUE_TYPES = (
+    types.ModuleType,
+    types.FunctionType,
+    types.BuiltinFunctionType,
+    type,
+)
+
+
+class _Done(Exception):
+    """Raised to stop the script once every requested line has been captured."""
+
+
+class Snapshotter:
+    """Convert frames, and the objects reachable from them, into MemoryViz objects.
+
+    Python ids are renumbered in the order in which the objects are found (starting at 1), so that they are short.
+    """
+
+    def __init__(self):
+        self.ids = {}
+        self.objects = []
+        self.queue = []
+
+    def convert(self, frames):
+        drawn_frames = []
+        for frame in frames:
+            variables = {}
+            for name, value in frame_variables(frame).items():
+                variables[name] = self.reference(value)
+            drawn_frames.append(
+                {"type": ".frame", "name": frame_name(frame), "id": None, "value": variables}
+            )
+
+        while self.queue and len(self.objects) < MAX_OBJECTS:
+            self.objects.append(self.convert_object(self.queue.pop(0)))
+
+        return drawn_frames + self.objects
+
+    def reference(self, obj):
+        """Return the MemoryViz id of obj, queuing it to be converted if it has not been seen yet."""
+        key = id(obj)
+        if key not in self.ids:
+            self.ids[key] = len(self.ids) + 1
+            self.queue.append(obj)
+        return self.ids[key]
+
+    def convert_object(self, obj):
+        obj_id = self.ids[id(obj)]
+        obj_type = type(obj)
+
+        if isinstance(obj, PRIMITIVE_TYPES):
+            return {"type": primitive_type_name(obj), "id": obj_id, "value": primitive_value(obj)}
+        elif obj_type in SEQUENCE_TYPES:
+            return {
+                "type": SEQUENCE_TYPES[obj_type],
+                "id": obj_id,
+                "value": [self.reference(element) for element in obj],
+            }
+        elif obj_type in SET_TYPES:
+            return {
+                "type": SET_TYPES[obj_type],
+                "id": obj_id,
+                "value": [self.reference(element) for element in obj],
+            }
+        elif obj_type is dict:
+            # Keys are converted before values, so that they get the smaller ids.
+            keys = [self.reference(key) for key in obj]
+            values = [self.reference(value) for value in obj.values()]
+            return {
+                "type": "dict",
+                "id": obj_id,
+                "value": {str(key): value for key, value in zip(keys, values)},
+            }
+        elif obj_type is bytes:
+            # Each byte is shown as the character with the same code point.
+            return {"type": "bytes", "id": obj_id, "value": obj.decode("latin-1")}
+        elif obj_type is decimal.Decimal:
+            return {"type": "Decimal", "id": obj_id, "value": str(obj)}
+        elif is_user_instance(obj):
+            return {
+                "type": ".class",
+                "name": obj_type.__name__,
+                "id": obj_id,
+                "value": {name: self.reference(value) for name, value in instance_attributes(obj).items()},
+            }
+        else:
+            # Any other object (e.g., a complex number or a range) is drawn as a primitive, showing its repr.
+            return {"type": obj_type.__name__, "id": obj_id, "value": repr(obj)}
+
+
+def primitive_type_name(obj):
+    return "None" if obj is None else type(obj).__name__
+
+
+def primitive_value(obj):
+    if isinstance(obj, float) and not math.isfinite(obj):
+        return repr(obj)
+    return obj
+
+
+def is_user_instance(obj):
+    """Return whether obj is an instance of a class defined in Python code (rather than a built-in type)."""
+    if isinstance(obj, type) or type(obj).__module__ == "builtins":
+        return False
+    return hasattr(obj, "__dict__") or hasattr(type(obj), "__slots__")
+
+
+def instance_attributes(obj):
+    attributes = {}
+    for cls in reversed(type(obj).__mro__):
+        for name in getattr(cls, "__slots__", ()):
+            if hasattr(obj, name):
+                attributes[name] = getattr(obj, name)
+    attributes.update(getattr(obj, "__dict__", {}))
+    return attributes
+
+
+def frame_name(frame):
+    if frame.f_code.co_name == "<module>":
+        return "__main__"
+    return getattr(frame.f_code, "co_qualname", frame.f_code.co_name)
+
+
+def frame_variables(frame):
+    if frame.f_code.co_name == "<module>":
+        return {
+            name: value
+            for name, value in frame.f_globals.items()
+            if not name.startswith("__") and not isinstance(value, HIDDEN_VALUE_TYPES)
+        }
+    return dict(frame.f_locals)
+
+
+def trace(script, lines, occurrence, argv):
+    script = os.path.abspath(script)
+    with open(script, encoding="utf-8") as f:
+        code = compile(f.read(), script, "exec")
+
+    hits = {line: 0 for line in lines}
+    snapshots = {}
+
+    def trace_line(frame, event, arg):
+        if event == "line" and frame.f_lineno in hits and frame.f_lineno not in snapshots:
+            hits[frame.f_lineno] += 1
+            if hits[frame.f_lineno] == occurrence:
+                snapshots[frame.f_lineno] = Snapshotter().convert(script_frames(frame))
+                if len(snapshots) == len(hits):
+                    raise _Done()
+        return trace_line
+
+    def trace_call(frame, event, arg):
+        if frame.f_code.co_filename == script:
+            return trace_line
+        return None
+
+    def script_frames(frame):
+        frames = []
+        while frame is not None:
+            if frame.f_code.co_filename == script:
+                frames.append(frame)
+            frame = frame.f_back
+        return frames[::-1]
+
+    sys.argv = [script] + argv
+    sys.path[0] = os.path.dirname(script)
+    script_globals = {"__name__": "__main__", "__file__": script, "__builtins__": __builtins__}
+
+    stdout = sys.stdout
+    sys.stdout = sys.stderr
+    sys.settrace(trace_call)
+    try:
+        exec(code, script_globals)
+    except (_Done, SystemExit):
+        pass
+    finally:
+        sys.settrace(None)
+        sys.stdout = stdout
+
+    return [{"line": line, "objects": snapshots[line]} for line in lines if line in snapshots]
+
+
+def main():
+    script, lines, occurrence = sys.argv[1], json.loads(sys.argv[2]), int(sys.argv[3])
+    try:
+        result = {"snapshots": trace(script, lines, occurrence, sys.argv[4:])}
+    except BaseException as e:
+        result = {"error": "{}: {}".format(type(e).__name__, e)}
+    print(json.dumps(result))
+
+
+if __name__ == "__main__":
+    main()
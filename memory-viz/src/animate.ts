@@ -0,0 +1,512 @@
+import { XMLSerializer } from "@xmldom/xmldom";
+import { MemoryModel } from "./memory_model";
+import { draw, readObjects, seededConfiguration } from "./user_functions";
+import { entityKeys } from "./trace";
+import { AnimationTiming, DrawnEntity, Point } from "./types";
+import { InvalidInputError, validate } from "./validate";
+
+const DEFAULT_TIMING: AnimationTiming = {
+    hold: 1500,
+    transition: 1000,
+    loop: true,
+};
+
+// The elements of the diagram of one state: each object (by key, see 'entityKeys'), each arrow, the definitions of
+// fill patterns, and every other element (e.g. the background and region headings).
+interface StateElements {
+    entities: Map<string, { group: Element; signature: string } & Point>;
+    arrows: Element[];
+    definitions: Element[];
+    others: Element[];
+}
+
+// An element shown in the consecutive states first to last. Objects are moved to their position in each state.
+interface Span {
+    element: Element;
+    first: number;
+    last: number;
+    key?: string; // The key of the object, for the elements of objects
+    origin?: Point; // The position of the object in the drawn element
+}
+
+interface Keyframe {
+    time: number;
+    opacity: number;
+    offset: Point;
+}
+
+/**
+ * Draw an animation of the given states of memory, as a single SVG diagram that shows each state in turn.
+ *
+ * Each state is drawn as by 'draw' (with the same automation and configuration), with a fixed seed for the
+ * hand-drawn shapes unless one is given in `roughjs_config`, so that the shapes of unchanged objects do not jitter
+ * from one state to the next. Objects are matched across states by their id, and stack frames by their name (and, for
+ * recursive calls, by how many frames with the same name are below them). In the transition from a state to the
+ * next one:
+ *  - objects that are unchanged move to their new position;
+ *  - objects that changed (e.g. a list that was appended to, or a frame whose variable was rebound) move to their new
+ *    position while their old version fades out and their new version fades in;
+ *  - objects that were added fade in, and objects that were removed fade out;
+ *  - arrows and the other elements of the diagrams (e.g. region headings) fade out and in, unless they are unchanged.
+ *
+ * The animation uses CSS animations, which browsers play when the SVG is opened on its own or embedded in a web page
+ * (see 'animationPlayer' to control it). Images rendered without CSS animations (e.g. with toPNG) show the first
+ * state.
+ *
+ * @param {(string | DrawnEntity[])[]} states - the objects of each state (in the format described in
+ *                                             MemoryModel.drawAll), or the path to a file containing them (as for
+ *                                             'draw')
+ * @param {boolean} automation - whether the objects of each state are laid out automatically, as for 'draw'
+ * @param {Object} configuration - the configuration (display settings) defined by the user, as for 'draw'. Set `hold`
+ *                                 and `transition` to how long each state is shown and how long each transition lasts
+ *                                 (in milliseconds; by default, 1500 and 1000), and `loop` to false to stop at the
+ *                                 last state rather than starting over.
+ * @returns {MemoryModel} the animated diagram, which is as large as the largest state
+ * @throws {InvalidInputError} if a state is not valid MemoryViz input (see 'validate'); the path of each problem
+ *                             starts with the index of the state, e.g. "states[1][0].id"
+ */
+function animate(
+    states: (string | DrawnEntity[])[],
+    automation: boolean,
+    configuration
+): MemoryModel {
+    if (states.length === 0) {
+        throw new Error("Expected at least one state to animate.");
+    }
+    const timing = animationTiming(configuration);
+    const objects: DrawnEntity[][] = states.map((state) =>
+        typeof state === "string" ? readObjects(state) : state
+    );
+
+    const errors = [];
+    objects.forEach((objs, i) => {
+        for (const error of validate(
+            objs,
+            automation,
+            configuration.language
+        )) {
+            if (error.severity === "error") {
+                errors.push({ ...error, path: `states[${i}]${error.path}` });
+            }
+        }
+    });
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+
+    // The elements of each object are found in the groups of interactive diagrams. The states are drawn from
+    // different objects, so none of them is the source of the animation.
+    const drawing_configuration = {
+        ...seededConfiguration(configuration),
+        interactive: true,
+        embed_script: false,
+        embed_source: false,
+    };
+    const models = objects.map((objs) =>
+        draw(structuredClone(objs), automation, { ...drawing_configuration })
+    );
+    const elements = models.map(stateElements);
+
+    // The background is part of the elements of every state.
+    const m = new MemoryModel({
+        width: Math.max(...models.map((model) => size(model, "width"))),
+        height: Math.max(...models.map((model) => size(model, "height"))),
+        theme: { ...models[0].theme, background: "none" },
+    });
+    m.svg.setAttribute("data-states", String(states.length));
+    m.svg.setAttribute("data-hold", String(timing.hold));
+    m.svg.setAttribute("data-transition", String(timing.transition));
+
+    const definitions = new Map<string, Element>();
+    for (const state of elements) {
+        for (const definition of state.definitions) {
+            definitions.set(definition.getAttribute("id"), definition);
+        }
+    }
+    if (definitions.size > 0) {
+        const defs = m.document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "defs"
+        );
+        for (const definition of definitions.values()) {
+            defs.appendChild(m.document.importNode(definition, true));
+        }
+        m.svg.appendChild(defs);
+    }
+
+    const spans = [
+        ...markupSpans(elements.map((state) => state.others)),
+        ...entitySpans(elements),
+        ...markupSpans(elements.map((state) => state.arrows)),
+    ];
+
+    const rules = [];
+    spans.forEach((span, i) => {
+        const id = `memory-viz-animation-${i}`;
+        const group = m.document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "g"
+        );
+        group.setAttribute("id", id);
+        if (span.first > 0) {
+            // Only the first state is shown without CSS animations.
+            group.setAttribute("opacity", "0");
+        }
+        group.appendChild(m.document.importNode(span.element, true));
+        m.svg.appendChild(group);
+        const keyframes = spanKeyframes(span, elements, timing);
+        const still = keyframes.every(
+            ({ opacity, offset }) =>
+                opacity === 1 &&
+                (offset === null || (offset.x === 0 && offset.y === 0))
+        );
+        if (!still) {
+            rules.push(
+                animationRule(id, keyframes, {
+                    ...timing,
+                    moves: span.key !== undefined,
+                    duration: animationDuration(states.length, timing),
+                })
+            );
+        }
+    });
+
+    if (rules.length > 0) {
+        const style = m.document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "style"
+        );
+        style.appendChild(m.document.createTextNode(rules.join("\n")));
+        m.svg.insertBefore(style, m.svg.firstChild);
+    }
+
+    return m;
+}
+
+/**
+ * Return the timing of an animation drawn with the given configuration (see 'animate').
+ */
+function animationTiming(configuration): AnimationTiming {
+    const timing = {
+        hold: configuration.hold ?? DEFAULT_TIMING.hold,
+        transition: configuration.transition ?? DEFAULT_TIMING.transition,
+        loop: configuration.loop ?? DEFAULT_TIMING.loop,
+    };
+    for (const key of ["hold", "transition"]) {
+        if (!(typeof timing[key] === "number" && timing[key] > 0)) {
+            throw new Error(
+                `Expected ${key} to be a positive number of milliseconds.`
+            );
+        }
+    }
+    return timing;
+}
+
+/**
+ * Return the total length of an animation of the given number of states, in milliseconds.
+ */
+function animationDuration(states: number, timing: AnimationTiming): number {
+    return states * timing.hold + (states - 1) * timing.transition;
+}
+
+function size(m: MemoryModel, dimension: "width" | "height"): number {
+    return Number(m.svg.getAttribute(dimension));
+}
+
+/**
+ * Return the elements of the given diagram, drawn with `interactive: true`.
+ */
+function stateElements(m: MemoryModel): StateElements {
+    const keys = entityKeys(m.drawn_boxes.map((box) => box.entity));
+    const state: StateElements = {
+        entities: new Map(),
+        arrows: [],
+        definitions: [],
+        others: [],
+    };
+
+    let index = 0;
+    for (const node of Array.from(m.svg.childNodes) as Element[]) {
+        const class_name = node.getAttribute?.("class");
+        if (node.nodeName === "style" || node.nodeName === "script") {
+            continue;
+        } else if (node.nodeName === "defs") {
+            state.definitions.push(
+                ...(Array.from(node.childNodes) as Element[])
+            );
+        } else if (class_name === "memory-viz-entity") {
+            const box = m.drawn_boxes[index];
+            state.entities.set(keys[index], {
+                group: node,
+                signature: entitySignature(box.entity),
+                x: box.x,
+                y: box.y,
+            });
+            index++;
+        } else if (class_name === "memory-viz-arrow") {
+            state.arrows.push(node);
+        } else if (node.nodeType === node.ELEMENT_NODE) {
+            state.others.push(node);
+        }
+    }
+    return state;
+}
+
+/**
+ * Return a string identifying how the given object (as drawn by drawAll) looks, apart from its position: its
+ * properties and style, without the coordinates that drawing and the automatic layout add to them.
+ */
+function entitySignature(entity: DrawnEntity): string {
+    const { x, y, rowBreaker, style, ...properties } = entity as any;
+    const parts = Object.entries(style || {}).map(([part, part_style]) => {
+        const { x, y, ...attributes } = part_style as object & Point;
+        return [part, attributes];
+    });
+    return JSON.stringify({ ...properties, style: Object.fromEntries(parts) });
+}
+
+/**
+ * Return the spans of the objects of the given states. An object keeps the element of the first state of a span for
+ * as long as it is unchanged (i.e. its entity is the same, apart from its position).
+ */
+function entitySpans(states: StateElements[]): Span[] {
+    const spans: Span[] = [];
+    const current = new Map<string, Span>();
+    states.forEach((state, i) => {
+        for (const [key, { group, signature, x, y }] of state.entities) {
+            const span = current.get(key);
+            if (
+                span !== undefined &&
+                span.last === i - 1 &&
+                states[span.first].entities.get(key).signature === signature
+            ) {
+                span.last = i;
+            } else {
+                const new_span = {
+                    element: group,
+                    first: i,
+                    last: i,
+                    key,
+                    origin: { x, y },
+                };
+                spans.push(new_span);
+                current.set(key, new_span);
+            }
+        }
+    });
+    return spans;
+}
+
+/**
+ * Return the spans of the given elements of each state, in which identical elements in consecutive states are shown
+ * as a single element.
+ */
+function markupSpans(states: Element[][]): Span[] {
+    const serializer = new XMLSerializer();
+    const spans: Span[] = [];
+    let previous = new Map<string, Span[]>();
+    states.forEach((elements, i) => {
+        const current = new Map<string, Span[]>();
+        for (const element of elements) {
+            // Arrow groups are tagged with the index of their slot, which does not change how they look.
+            const markup =
+                element.getAttribute("class") === "memory-viz-arrow"
+                    ? Array.from(element.childNodes)
+                          .map((node) => serializer.serializeToString(node))
+                          .join("")
+                    : serializer.serializeToString(element);
+            let span = previous.get(markup)?.shift();
+            if (span === undefined) {
+                span = { element, first: i, last: i };
+                spans.push(span);
+            } else {
+                span.last = i;
+            }
+            current.set(markup, [...(current.get(markup) || []), span]);
+        }
+        previous = current;
+    });
+    return spans;
+}
+
+/**
+ * Return the keyframes of the given span: it fades in during the transition to its first state (moving from the
+ * position of its object in the previous state, if any), is shown during its states, and fades out during the
+ * transition from its last state (moving to the position of its object in the next state, if any).
+ */
+function spanKeyframes(
+    span: Span,
+    states: StateElements[],
+    timing: AnimationTiming
+): Keyframe[] {
+    const period = timing.hold + timing.transition;
+    const offset = (state: number): Point => {
+        const entity = span.key && states[state]?.entities.get(span.key);
+        return entity
+            ? { x: entity.x - span.origin.x, y: entity.y - span.origin.y }
+            : null;
+    };
+
+    const keyframes: Keyframe[] = [];
+    if (span.first > 0) {
+        keyframes.push({
+            time: span.first * period - timing.transition,
+            opacity: 0,
+            offset: offset(span.first - 1) ?? offset(span.first),
+        });
+    }
+    for (let i = span.first; i <= span.last; i++) {
+        keyframes.push(
+            { time: i * period, opacity: 1, offset: offset(i) },
+            { time: i * period + timing.hold, opacity: 1, offset: offset(i) }
+        );
+    }
+    if (span.last < states.length - 1) {
+        keyframes.push({
+            time: (span.last + 1) * period,
+            opacity: 0,
+            offset: offset(span.last + 1) ?? offset(span.last),
+        });
+    }
+    return keyframes;
+}
+
+/**
+ * Return the CSS animating the element with the given id through the given keyframes, over the whole animation.
+ */
+function animationRule(
+    id: string,
+    keyframes: Keyframe[],
+    options: AnimationTiming & { duration: number; moves: boolean }
+): string {
+    const { duration } = options;
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    const steps = new Map<string, string>();
+    for (const { time, opacity, offset } of [
+        { ...first, time: 0 },
+        ...keyframes,
+        { ...last, time: duration },
+    ]) {
+        const percentage = `${Number(((100 * time) / duration).toFixed(3))}%`;
+        const transform = options.moves
+            ? ` transform: translate(${offset.x}px, ${offset.y}px);`
+            : "";
+        // A later keyframe at the same time takes precedence.
+        steps.set(percentage, `opacity: ${opacity};${transform}`);
+    }
+
+    const iterations = options.loop ? "infinite" : "1";
+    return [
+        `@keyframes ${id} {`,
+        ...Array.from(steps, ([step, values]) => `  ${step} { ${values} }`),
+        "}",
+        `#${id} { animation: ${id} ${duration}ms ease-in-out ${iterations} both; }`,
+    ].join("\n");
+}
+
+/**
+ * Return an HTML page showing the given animation (see 'animate'), with buttons to play or pause it and to step to
+ * the previous or next state.
+ * @param {MemoryModel} animation - the animated diagram
+ * @param {string} title - the title of the page
+ * @returns {string} the contents of the HTML file
+ */
+function animationPlayer(
+    animation: MemoryModel,
+    title: string = "MemoryViz animation"
+): string {
+    const escaped_title = title
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escaped_title}</title>
+<style>
+body { font-family: sans-serif; }
+.memory-viz-player-controls { display: flex; gap: 8px; align-items: center; margin: 8px 0; }
+</style>
+</head>
+<body>
+<div class="memory-viz-player-controls">
+<button data-action="previous">Previous</button>
+<button data-action="play">Pause</button>
+<button data-action="next">Next</button>
+<span data-state></span>
+</div>
+${animation.serializeSVG()}
+<script>
+(${controlAnimation.toString()})(document.querySelector("svg"), document.querySelector(".memory-viz-player-controls"));
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Control the given animation (see 'animate') with the buttons in the given element: the buttons with
+ * data-action="play", "previous" and "next" play or pause the animation and step to the previous or next state, and
+ * the element with a data-state attribute (if any) shows the current state.
+ *
+ * This function is embedded in the pages of 'animationPlayer', so it must not refer to anything outside of its body
+ * (loops and spreads are transpiled into calls to helpers defined outside of it, so arrays are only iterated with
+ * their methods).
+ *
+ * @param {SVGSVGElement} svg - the animated diagram, in a web page
+ * @param {Element} controls - the element containing the buttons
+ */
+function controlAnimation(svg: SVGSVGElement, controls: Element) {
+    const states = Number(svg.getAttribute("data-states"));
+    const hold = Number(svg.getAttribute("data-hold"));
+    const period = hold + Number(svg.getAttribute("data-transition"));
+    const duration = states * period - (period - hold);
+    const animations = svg.getAnimations({ subtree: true });
+    const button = (action: string) =>
+        controls.querySelector(`[data-action="${action}"]`);
+    let paused = false;
+
+    // The state being shown, or the last state shown before the current transition.
+    const current = () => {
+        if (animations.length === 0) {
+            return 0;
+        }
+        const time = Number(animations[0].currentTime) % duration;
+        return Math.min(states - 1, Math.floor(time / period));
+    };
+    const update = () => {
+        const label = controls.querySelector("[data-state]");
+        if (label !== null) {
+            label.textContent = "State " + (current() + 1) + " of " + states;
+        }
+        button("play").textContent = paused ? "Play" : "Pause";
+    };
+    const show = (state: number) => {
+        paused = true;
+        animations.forEach((animation) => {
+            animation.pause();
+            animation.currentTime = state * period;
+        });
+        update();
+    };
+
+    button("play").addEventListener("click", () => {
+        paused = !paused;
+        animations.forEach((animation) =>
+            paused ? animation.pause() : animation.play()
+        );
+        update();
+    });
+    button("previous").addEventListener("click", () =>
+        show(Math.max(0, current() - 1))
+    );
+    button("next").addEventListener("click", () =>
+        show(Math.min(states - 1, current() + 1))
+    );
+    update();
+    setInterval(update, 100);
+}
+
+export { animate, animationPlayer, controlAnimation };
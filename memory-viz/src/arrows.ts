@@ -0,0 +1,220 @@
+import { Bounds, Point } from "./types";
+
+/**
+ * Clip the line segment from 'p' to 'q' against the rectangle 'rect', using the Liang-Barsky algorithm.
+ * @param {Point} p - one endpoint of the segment
+ * @param {Point} q - the other endpoint of the segment
+ * @param {Bounds} rect - the clipping rectangle
+ * @returns {number[] | null} the fractions [t0, t1] of the way from 'p' to 'q' where the segment enters and leaves
+ * the rectangle, or null if the segment misses the rectangle
+ */
+function clipSegment(p: Point, q: Point, rect: Bounds): number[] | null {
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const checks = [
+        [-dx, p.x - rect.x],
+        [dx, rect.x + rect.width - p.x],
+        [-dy, p.y - rect.y],
+        [dy, rect.y + rect.height - p.y],
+    ];
+
+    let t0 = 0;
+    let t1 = 1;
+    for (const [denominator, numerator] of checks) {
+        if (denominator === 0) {
+            if (numerator < 0) {
+                return null;
+            }
+        } else {
+            const t = numerator / denominator;
+            if (denominator < 0) {
+                t0 = Math.max(t0, t);
+            } else {
+                t1 = Math.min(t1, t);
+            }
+        }
+    }
+
+    return t0 <= t1 ? [t0, t1] : null;
+}
+
+/**
+ * Return whether the line segment from 'p' to 'q' passes through the interior of the rectangle 'rect'.
+ * @param {Point} p - one endpoint of the segment
+ * @param {Point} q - the other endpoint of the segment
+ * @param {Bounds} rect - the rectangle to be tested
+ * @returns {boolean} true if the segment and the rectangle overlap
+ */
+function segmentIntersectsRect(p: Point, q: Point, rect: Bounds): boolean {
+    const clipped = clipSegment(p, q, rect);
+    return clipped !== null && clipped[0] < clipped[1];
+}
+
+/**
+ * Return the point where the segment from 'p' towards the centre of 'rect' first meets the border of 'rect'.
+ * Precondition: 'p' lies outside of 'rect'.
+ * @param {Point} p - the starting point of the segment
+ * @param {Bounds} rect - the rectangle the segment is heading towards
+ * @returns {Point} the point on the border of 'rect'
+ */
+function borderPoint(p: Point, rect: Bounds): Point {
+    const centre = rectCentre(rect);
+    const t = clipSegment(p, centre, rect)[0];
+    return { x: p.x + t * (centre.x - p.x), y: p.y + t * (centre.y - p.y) };
+}
+
+/**
+ * Return the centre point of the given rectangle.
+ * @param {Bounds} rect - the rectangle
+ * @returns {Point} the centre of 'rect'
+ */
+function rectCentre(rect: Bounds): Point {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+/**
+ * Return whether the point 'p' lies within the rectangle 'rect' (borders included).
+ * @param {Point} p - the point
+ * @param {Bounds} rect - the rectangle
+ * @returns {boolean} true if 'p' lies within 'rect'
+ */
+function rectContains(rect: Bounds, p: Point): boolean {
+    return (
+        p.x >= rect.x &&
+        p.x <= rect.x + rect.width &&
+        p.y >= rect.y &&
+        p.y <= rect.y + rect.height
+    );
+}
+
+/**
+ * Count the number of rectangles in 'obstacles' that the polyline through 'points' passes through.
+ * @param {Point[]} points - the points of the polyline
+ * @param {Bounds[]} obstacles - the rectangles to avoid
+ * @returns {number} the number of crossed rectangles
+ */
+function countCrossings(points: Point[], obstacles: Bounds[]): number {
+    let crossings = 0;
+    for (const rect of obstacles) {
+        for (let i = 0; i < points.length - 1; i++) {
+            if (segmentIntersectsRect(points[i], points[i + 1], rect)) {
+                crossings++;
+                break;
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Return the total length of the polyline through 'points'.
+ * @param {Point[]} points - the points of the polyline
+ * @returns {number} the length of the polyline
+ */
+function pathLength(points: Point[]): number {
+    let length = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        length += Math.hypot(
+            points[i + 1].x - points[i].x,
+            points[i + 1].y - points[i].y
+        );
+    }
+    return length;
+}
+
+/**
+ * Compute the route of an arrow going from the reference slot 'slot' to the box 'target'.
+ *
+ * A straight route is preferred. If the straight route crosses any of the 'obstacles', two routes with a single
+ * (horizontal-then-vertical and vertical-then-horizontal) bend are also considered, and the route crossing the fewest
+ * obstacles is returned (ties are broken by the length of the route).
+ *
+ * @param {Bounds} slot - the box holding the reference (e.g., a list element box)
+ * @param {Bounds} target - the box of the object that is being referred to
+ * @param {Bounds[]} obstacles - the boxes that the route should avoid crossing
+ * @param {number} gap - the distance kept between a looping arrow and the box it loops around
+ * @returns {Point[]} the points of the route, starting at the slot and ending on the border of 'target'
+ */
+function routeArrow(
+    slot: Bounds,
+    target: Bounds,
+    obstacles: Bounds[],
+    gap: number
+): Point[] {
+    const start = rectCentre(slot);
+
+    if (rectContains(target, start)) {
+        // The object refers to itself, so we loop around the top-right corner of its box.
+        const top = target.y - gap;
+        const right = target.x + target.width + gap;
+        const end_y = target.y + target.height / 2;
+        return [
+            start,
+            { x: start.x, y: top },
+            { x: right, y: top },
+            { x: right, y: end_y },
+            { x: target.x + target.width, y: end_y },
+        ];
+    }
+
+    const centre = rectCentre(target);
+    const candidates: Point[][] = [[start, borderPoint(start, target)]];
+
+    // Horizontal, then vertical.
+    if (start.y < target.y || start.y > target.y + target.height) {
+        const corner = { x: centre.x, y: start.y };
+        const end_y = start.y < target.y ? target.y : target.y + target.height;
+        candidates.push([start, corner, { x: centre.x, y: end_y }]);
+    }
+
+    // Vertical, then horizontal.
+    if (start.x < target.x || start.x > target.x + target.width) {
+        const corner = { x: start.x, y: centre.y };
+        const end_x = start.x < target.x ? target.x : target.x + target.width;
+        candidates.push([start, corner, { x: end_x, y: centre.y }]);
+    }
+
+    let best = candidates[0];
+    let best_crossings = countCrossings(best, obstacles);
+    for (const candidate of candidates.slice(1)) {
+        const crossings = countCrossings(candidate, obstacles);
+        if (
+            crossings < best_crossings ||
+            (crossings === best_crossings &&
+                best_crossings > 0 &&
+                pathLength(candidate) < pathLength(best))
+        ) {
+            best = candidate;
+            best_crossings = crossings;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Return the three corners of an arrowhead whose tip is at the last point of 'points'.
+ * @param {Point[]} points - the route of the arrow (at least two points)
+ * @param {number} size - the length of the arrowhead
+ * @returns {Point[]} the corners of the arrowhead
+ */
+function arrowHead(points: Point[], size: number): Point[] {
+    const tip = points[points.length - 1];
+    const prev = points[points.length - 2];
+    const angle = Math.atan2(tip.y - prev.y, tip.x - prev.x);
+    const spread = Math.PI / 7;
+
+    return [
+        tip,
+        {
+            x: tip.x - size * Math.cos(angle - spread),
+            y: tip.y - size * Math.sin(angle - spread),
+        },
+        {
+            x: tip.x - size * Math.cos(angle + spread),
+            y: tip.y - size * Math.sin(angle + spread),
+        },
+    ];
+}
+
+export { routeArrow, arrowHead, segmentIntersectsRect };
@@ -1,6 +1,12 @@
 import { MemoryModel } from "./memory_model";
 import { config } from "./config";
-import { DrawnEntity } from "./types";
+import { DrawnEntity, SizeLimits, Theme } from "./types";
+import { sizeLimits } from "./size_limits";
+import { interactivity } from "./interactive";
+import { objectReferences, reachability } from "./reachability";
+
+// The width and the height of a drawn object.
+type Size = { width: number; height: number };
 
 /**
  * Draws the objects given in the path in an automated fashion.
@@ -10,19 +16,64 @@ import { DrawnEntity } from "./types";
  * @param {number} width - User-defined width of the canvas.
  * @returns {MemoryModel} - The memory model that is created according to the objects given in the path (the JSON
  * file)
+ *
+ * Each object is drawn once: the layout measures it with the diagram (see 'MemoryModel.measure'), which then reuses
+ * its shapes when drawing it at its position.
  */
 function drawAutomated(objects: DrawnEntity[], width, configuration) {
-    const { stack_frames, other_items } = separateObjects(objects);
+    let { stack_frames, other_items } = separateObjects(objects);
+
+    // The size of the canvas is only known once the objects are laid out.
+    const m = new MemoryModel({
+        roughjs_config: configuration.roughjs_config,
+        renderer: configuration.renderer,
+        theme: configuration.theme,
+        language: configuration.language,
+        font_size: configuration.font_size ?? config.font_size,
+        ...sizeLimits(configuration),
+        ...interactivity(configuration),
+    });
+    const garbage_style = configuration.mark_garbage
+        ? configuration.garbage_style || "fade"
+        : null;
+    const unreachable_ids =
+        garbage_style === null
+            ? new Set()
+            : new Set(
+                  Array.from(
+                      reachability(objects, configuration.language).unreachable,
+                      String
+                  )
+              );
+    // The objects are measured with the style they are drawn with, as in 'drawAll'.
+    const measure = (obj: DrawnEntity): Size =>
+        m.measurements.get(obj) ??
+        m.measure(
+            obj,
+            unreachable_ids.has(String(obj.id)) && obj.type !== ".frame"
+                ? garbage_style
+                : null
+        );
+
+    // The region headings are drawn above the stack frames and the other objects, in a height of twice the font size.
+    setDefaultMargins(configuration);
+    const headings_top = configuration.top_margin;
+    if (configuration.region_headings) {
+        configuration = {
+            ...configuration,
+            top_margin: headings_top + 2 * m.font_size,
+        };
+    }
 
     // Assigning the objects with coordinates.
     const { StackFrames, requiredHeight, requiredWidth } =
-        drawAutomatedStackFrames(stack_frames, configuration);
+        drawAutomatedStackFrames(stack_frames, configuration, measure);
 
     // Determining the minimum width of the canvas.
     let min_width = 0;
     let item_width;
     for (const item of other_items) {
-        item_width = getSize(item).width;
+        item_width = measure(item).width;
         if (item_width > min_width) {
             min_width = item_width;
         }
@@ -39,52 +90,164 @@ function drawAutomated(objects: DrawnEntity[], width, configuration) {
         width = min_width;
     }
 
-    const { objs, canvas_height } = drawAutomatedOtherItems(
-        other_items,
-        width,
-        configuration.sort_by,
-        configuration,
-        requiredWidth
-    );
+    let garbage = [];
+    if (configuration.garbage_region) {
+        const { unreachable } = reachability(objects, configuration.language);
+        garbage = other_items.filter((item) => unreachable.has(item.id));
+        other_items = other_items.filter((item) => !unreachable.has(item.id));
+    }
+
+    let objs = [];
+    let canvas_height = 0;
+    if (other_items.length > 0) {
+        ({ objs, canvas_height } = drawAutomatedOtherItems(
+            other_items,
+            width,
+            configuration.sort_by,
+            configuration,
+            requiredWidth,
+            StackFrames,
+            measure
+        ));
+    }
+
+    let garbage_objs = [];
+    let region_top;
+    if (garbage.length > 0) {
+        // The garbage region spans the width of the canvas, below the stack frames and the other objects.
+        region_top = Math.max(canvas_height, requiredHeight);
+        const layout = drawAutomatedOtherItems(
+            garbage,
+            width,
+            configuration.sort_by,
+            {
+                ...configuration,
+                top_margin:
+                    region_top + configuration.padding + 2 * m.font_size,
+            },
+            configuration.left_margin - configuration.padding,
+            [],
+            measure
+        );
+        garbage_objs = layout.objs;
+        canvas_height = layout.canvas_height;
+    }
 
     const final_height = Math.max(canvas_height, requiredHeight) + 100;
-    const m = new MemoryModel({
-        width: width,
-        height: final_height,
-        roughjs_config: configuration.roughjs_config,
-    });
+    m.svg.setAttribute("width", String(width));
+    m.svg.setAttribute("height", String(final_height));
 
-    m.drawAll(StackFrames);
-    m.drawAll(objs);
+    m.drawAll(
+        [...StackFrames, ...objs, ...garbage_objs],
+        configuration.arrows,
+        garbage_style
+    );
+
+    if (configuration.region_headings) {
+        drawRegionHeadings(
+            m,
+            headings_top,
+            region_top ?? Math.max(canvas_height, requiredHeight),
+            requiredWidth,
+            stack_frames.length > 0,
+            other_items.length > 0,
+            configuration
+        );
+    }
+
+    if (garbage.length > 0) {
+        const line_y = region_top + configuration.padding / 2;
+        m.drawLine(
+            [
+                { x: configuration.left_margin, y: line_y },
+                { x: width - configuration.right_margin, y: line_y },
+            ],
+            { strokeLineDash: [8, 8] }
+        );
+        m.drawText(
+            "Garbage",
+            configuration.left_margin,
+            line_y + 1.5 * m.font_size,
+            { "text-anchor": "start", "font-weight": "bold" }
+        );
+    }
 
     return m;
 }
 
+/**
+ * Draw the "Call stack" heading above the stack frames and the "Objects" heading above the other objects, with a
+ * dashed divider between the two regions.
+ * @param {MemoryModel} m - the memory model the headings are drawn in
+ * @param {number} top - the y-coordinate of the top of the headings
+ * @param {number} bottom - the y-coordinate of the bottom of the regions (where the divider ends)
+ * @param {number} frames_width - the width of the stack frame column, plus padding (as returned by
+ *                                drawAutomatedStackFrames)
+ * @param {boolean} has_frames - whether there are stack frames
+ * @param {boolean} has_objects - whether there are objects to the right of the stack frames
+ * @param {object} configuration - the configuration of the automatic layout (with its margins and padding)
+ */
+function drawRegionHeadings(
+    m: MemoryModel,
+    top: number,
+    bottom: number,
+    frames_width: number,
+    has_frames: boolean,
+    has_objects: boolean,
+    configuration
+) {
+    const heading_style = { "text-anchor": "start", "font-weight": "bold" };
+    const text_y = top + 1.5 * m.font_size;
+    if (has_frames) {
+        m.drawText("Call stack", configuration.left_margin, text_y, {
+            ...heading_style,
+        });
+    }
+    if (has_objects) {
+        // The other objects start one padding to the right of the stack frame column (see drawAutomatedOtherItems).
+        m.drawText("Objects", frames_width + configuration.padding, text_y, {
+            ...heading_style,
+        });
+    }
+    if (has_frames && has_objects) {
+        const line_x = frames_width + configuration.padding / 2;
+        m.drawLine(
+            [
+                { x: line_x, y: top },
+                { x: line_x, y: bottom },
+            ],
+            { strokeLineDash: [8, 8] }
+        );
+    }
+}
+
 /**
  * Return the stack-frames with generated x and y coordinates, as well as the minimum required
  * height for drawing the stack-frames. The returned collection of stack-frames is the augmented version
  * of the input such that the x and y coordinates of the stack-frames are determined automatically.
  *
- * @param {Object} configuration - The configuration set by the user.
+ * @param {Object} configuration - The configuration set by the user (in particular, stack_direction is "up" for the
+ * first stack frame to be drawn at the bottom, or "down" for it to be drawn at the top, which is the default).
  * @param {DrawnEntity[]} stack_frames - The list of stack-frames that will be drawn
  * (without the specified x and y coordinates)
  * @returns {Object} - Returns the object consisting of three attributes as follows: stack-frames which will be drawn,
  * the minimum required height of the canvas for drawing stack frames and required width for drawing all the stack
  * frames. Notably, the last two attributes will be useful in terms of dynamically deciding the width and the height
  * of the canvas.
+ * @param {function} measure - returns the box of a stack frame, as it is drawn (by default, with 'getSize')
  */
-function drawAutomatedStackFrames(stack_frames: DrawnEntity[], configuration) {
-    for (const req_prop of [
-        "padding",
-        "top_margin",
-        "left_margin",
-        "bottom_margin",
-        "right_margin",
-    ]) {
-        if (!configuration.hasOwnProperty(req_prop)) {
-            configuration[req_prop] = config.obj_x_padding;
-        }
-    }
+function drawAutomatedStackFrames(
+    stack_frames: DrawnEntity[],
+    configuration,
+    measure: (obj: DrawnEntity) => Size = (obj) =>
+        getSize(
+            obj,
+            configuration.theme,
+            sizeLimits(configuration),
+            configuration.language
+        )
+) {
+    setDefaultMargins(configuration);
 
     let min_required_height = configuration.top_margin;
 
@@ -92,12 +255,18 @@ function drawAutomatedStackFrames(stack_frames: DrawnEntity[], configuration) {
 
     let draw_stack_frames = [];
 
-    for (const stack_frame of stack_frames) {
+    // When the stack grows up, the frames are placed from the last one (at the top) to the first one.
+    const ordered_frames =
+        configuration.stack_direction === "up"
+            ? [...stack_frames].reverse()
+            : stack_frames;
+
+    for (const stack_frame of ordered_frames) {
         let width;
         let height;
 
         if (stack_frame.type !== ".blank-frame") {
-            const size = getSize(stack_frame);
+            const size = measure(stack_frame);
             height = size.height;
             width = size.width;
         } else {
@@ -121,6 +290,11 @@ function drawAutomatedStackFrames(stack_frames: DrawnEntity[], configuration) {
 
     required_width += configuration.padding;
 
+    // The stack frames are returned in the order they were given.
+    if (ordered_frames !== stack_frames) {
+        draw_stack_frames.reverse();
+    }
+
     return {
         StackFrames: draw_stack_frames,
         requiredHeight: min_required_height,
@@ -137,10 +311,14 @@ function drawAutomatedStackFrames(stack_frames: DrawnEntity[], configuration) {
  *
  * @param {DrawnEntity[]} objs - list of objects in the format described in MemoryModel.drawAll
  * @param {number} max_width - the desired width of the canvas
- * @param {*} sort_by - the sorting criterion; must be "height" or "id", otherwise no sorting takes place.
+ * @param {*} sort_by - the sorting criterion; must be "height" or "id", otherwise no sorting takes place. Alternatively,
+ *                      "references" places the objects in columns by reference depth (see 'placeInColumns').
  * @param {object} config_aut - additional configuration options, such as margins, paddings, e.t.c.
  * @param {number} sf_endpoint - the x-coordinate of the right edge of the stackframe column; this will determine
  *                              where the object space begins.
+ * @param {DrawnEntity[]} stack_frames - the stack frames (already equipped with coordinates), whose references are
+ *                                       followed when sort_by is "references"
+ * @param {function} measure - returns the box of an object, as it is drawn (by default, with 'getSize')
  * @returns {object} the mutates list of objects (where each object is now equipped with x-y coordinates) and the
  * dynamically determined height the canvas will need to be.
  */
@@ -149,19 +327,17 @@ function drawAutomatedOtherItems(
     max_width,
     sort_by,
     config_aut: any = {} /* to avoid undefined error */,
-    sf_endpoint
+    sf_endpoint,
+    stack_frames: DrawnEntity[] = [],
+    measure: (obj: DrawnEntity) => Size = (obj) =>
+        getSize(
+            obj,
+            config_aut.theme,
+            sizeLimits(config_aut),
+            config_aut.language
+        )
 ) {
-    for (const req_prop of [
-        "padding",
-        "top_margin",
-        "left_margin",
-        "bottom_margin",
-        "right_margin",
-    ]) {
-        if (!config_aut.hasOwnProperty(req_prop)) {
-            config_aut[req_prop] = config.obj_x_padding;
-        }
-    }
+    setDefaultMargins(config_aut);
 
     const PADDING = config_aut.padding;
 
@@ -173,35 +349,79 @@ function drawAutomatedOtherItems(
 
     for (const item of objs) {
         if (item.type !== ".blank") {
-            const dimensions = getSize(item);
+            const dimensions = measure(item);
             item.height = dimensions.height;
             item.width = dimensions.width;
         }
     }
 
-    /**
-     * The 'sort' function optionally accepts a "compare" function used to determine the basis upon which to sort the array.
-     * This "compare" function is created and assigned to the variable 'compareFunc' in the following switch statement.
-     * @param a - an object in objs
-     * @param b - another object in objs
-     * @returns {number} negative if 'a' is taller, 0 if they have the same height, and positive if 'b' is taller.
-     */
-    let compareFunc;
-
-    switch (sort_by) {
-        case "height":
-            compareFunc = compareByHeight;
-            break;
-        case "id":
-            compareFunc = compareByID;
-            break;
-    }
+    if (sort_by === "references") {
+        placeInColumns(objs, stack_frames, START_X, max_width, config_aut);
+    } else {
+        /**
+         * The 'sort' function optionally accepts a "compare" function used to determine the basis upon which to sort the array.
+         * This "compare" function is created and assigned to the variable 'compareFunc' in the following switch statement.
+         * @param a - an object in objs
+         * @param b - another object in objs
+         * @returns {number} negative if 'a' is taller, 0 if they have the same height, and positive if 'b' is taller.
+         */
+        let compareFunc;
+
+        switch (sort_by) {
+            case "height":
+                compareFunc = compareByHeight;
+                break;
+            case "id":
+                compareFunc = compareByID;
+                break;
+        }
 
-    if (sort_by !== null) {
-        objs.sort(compareFunc);
+        if (sort_by !== null) {
+            objs.sort(compareFunc);
+        }
+
+        placeInRows(objs, START_X, max_width, config_aut);
     }
 
-    let x_coord = START_X;
+    const right_most_obj = objs.reduce((prev, curr) =>
+        compareByRightness(prev, curr) <= 0 ? prev : curr
+    );
+    const down_most_obj = objs.reduce((prev, curr) =>
+        compareByBottomness(prev, curr) <= 0 ? prev : curr
+    );
+
+    const canvas_width =
+        right_most_obj.x + right_most_obj.width + config_aut.right_margin;
+    const canvas_height =
+        down_most_obj.y + down_most_obj.height + config_aut.bottom_margin;
+
+    // Additional -- to extend the program for the .blank option.
+    const objs_filtered = objs.filter((item) => {
+        return item.type !== ".blank";
+    });
+    objs = objs_filtered;
+
+    return { objs, canvas_height, canvas_width };
+}
+
+/**
+ * Equip the given objects (which have already been equipped with their dimensions) with coordinates, placing them
+ * from left to right in rows, in the given order. An object that does not fit in the current row starts a new row,
+ * and is marked as a 'rowBreaker'.
+ * @param {DrawnEntity[]} objs - the objects to be placed, in order
+ * @param {number} start_x - the x-coordinate where the object space begins
+ * @param {number} max_width - the desired width of the canvas
+ * @param {object} config_aut - the layout configuration (with its margins and padding defined)
+ */
+function placeInRows(
+    objs: DrawnEntity[],
+    start_x: number,
+    max_width,
+    config_aut
+) {
+    const PADDING = config_aut.padding;
+
+    let x_coord = start_x;
     let y_coord = config_aut.top_margin;
 
     // Once a row is occupied, we must establish its height to determine the y-coordinate of the next row's boxes.
@@ -225,7 +445,7 @@ function drawAutomatedOtherItems(
 
             curr_row_objects = [];
 
-            x_coord = START_X;
+            x_coord = start_x;
             y_coord = y_coord + row_height;
 
             item.x = x_coord;
@@ -240,26 +460,324 @@ function drawAutomatedOtherItems(
 
         x_coord = hor_reach;
     }
+}
 
-    const right_most_obj = objs.reduce((prev, curr) =>
-        compareByRightness(prev, curr) <= 0 ? prev : curr
-    );
-    const down_most_obj = objs.reduce((prev, curr) =>
-        compareByBottomness(prev, curr) <= 0 ? prev : curr
+/**
+ * Equip the given objects (which have already been equipped with their dimensions) with coordinates, placing them
+ * in columns by their reference depth: the first column holds the objects referred to by the stack frames, the second
+ * column the objects that these refer to, and so on (see 'referenceColumns').
+ *
+ * Each object is placed as high as possible in its column, but no higher than the highest frame or object that refers
+ * to it, so that objects end up next to the variables that use them. Columns that do not fit in the width of the
+ * canvas continue below the previous ones; the first object of each such row of columns is marked as a 'rowBreaker'.
+ * @param {DrawnEntity[]} objs - the objects to be placed
+ * @param {DrawnEntity[]} stack_frames - the stack frames, with their coordinates
+ * @param {number} start_x - the x-coordinate where the object space begins
+ * @param {number} max_width - the desired width of the canvas
+ * @param {object} config_aut - the layout configuration (with its margins and padding defined)
+ */
+function placeInColumns(
+    objs: DrawnEntity[],
+    stack_frames: DrawnEntity[],
+    start_x: number,
+    max_width,
+    config_aut
+) {
+    const PADDING = config_aut.padding;
+    const columns = referenceColumns(objs, stack_frames, config_aut.language);
+
+    // The frames and objects that refer to each object (by id), which have been placed so far.
+    const ids = new Set(objs.map((item) => String(item.id)));
+    const placed_referrers = new Map<string, DrawnEntity[]>();
+    const markPlaced = (item: DrawnEntity) => {
+        for (const id of objectReferences(item, config_aut.language)) {
+            if (ids.has(id)) {
+                if (!placed_referrers.has(id)) {
+                    placed_referrers.set(id, []);
+                }
+                placed_referrers.get(id).push(item);
+            }
+        }
+    };
+    stack_frames.forEach(markPlaced);
+
+    let x_coord = start_x;
+    let rows_top = config_aut.top_margin;
+    let rows_bottom = rows_top;
+    for (const column of columns) {
+        const column_width = Math.max(...column.map((item) => item.width));
+        if (
+            x_coord + column_width + PADDING >= max_width &&
+            x_coord > start_x
+        ) {
+            x_coord = start_x;
+            rows_top = rows_bottom;
+            column[0].rowBreaker = true;
+        }
+
+        let y_coord = rows_top;
+        for (const item of column) {
+            const referrers = placed_referrers.get(String(item.id)) || [];
+            item.x = x_coord;
+            item.y =
+                referrers.length > 0
+                    ? Math.max(
+                          y_coord,
+                          Math.min(...referrers.map((ref) => ref.y))
+                      )
+                    : y_coord;
+            y_coord = item.y + item.height + PADDING;
+            rows_bottom = Math.max(rows_bottom, y_coord);
+        }
+        column.forEach(markPlaced);
+
+        x_coord += column_width + PADDING;
+    }
+}
+
+/**
+ * Group the given objects into columns by their reference depth from the given stack frames, and order each column
+ * so as to reduce the number of crossing references.
+ *
+ * Objects referred to by a stack frame are in the first column, and every other object is in the column after the
+ * first (closest) object that refers to it. Objects that cannot be reached from the stack frames are treated the same
+ * way, starting from those that no other unreachable object refers to. Blank spaces without an id stay right after
+ * the object that precedes them in 'objs'.
+ *
+ * Within a column, objects are ordered by the average position of the frames and objects referring to them (a
+ * barycenter heuristic), keeping the ordering with the fewest crossings between neighbouring columns.
+ * @param {DrawnEntity[]} objs - the objects to be grouped
+ * @param {DrawnEntity[]} stack_frames - the stack frames
+ * @param {string} language - the language whose built-in types are known (see 'languages'; by default, "python")
+ * @returns {DrawnEntity[][]} the columns, from left to right
+ */
+function referenceColumns(
+    objs: DrawnEntity[],
+    stack_frames: DrawnEntity[],
+    language: string = "python"
+): DrawnEntity[][] {
+    const isSpacer = (item: DrawnEntity) =>
+        item.type === ".blank" && (item.id === undefined || item.id === null);
+    const nodes = objs.filter((item) => !isSpacer(item));
+
+    const by_id = new Map<string, DrawnEntity>();
+    for (const item of nodes) {
+        if (!by_id.has(String(item.id))) {
+            by_id.set(String(item.id), item);
+        }
+    }
+    const children = (item: DrawnEntity) =>
+        objectReferences(item, language)
+            .filter((id) => by_id.has(id))
+            .map((id) => by_id.get(id));
+
+    // Breadth-first search for the depth of every object, starting from the stack frames.
+    const depths = new Map<DrawnEntity, number>();
+    const search = (roots: DrawnEntity[]) => {
+        const queue = roots.filter((root) => !depths.has(root));
+        queue.forEach((root) => depths.set(root, 0));
+        while (queue.length > 0) {
+            const item = queue.shift();
+            for (const child of children(item)) {
+                if (!depths.has(child)) {
+                    depths.set(child, depths.get(item) + 1);
+                    queue.push(child);
+                }
+            }
+        }
+    };
+    search(stack_frames.flatMap(children));
+
+    let unreached = nodes.filter((item) => !depths.has(item));
+    while (unreached.length > 0) {
+        const referred = new Set(unreached.flatMap(children));
+        const roots = unreached.filter((item) => !referred.has(item));
+        // If every unreachable object is referred to, they are part of a cycle: start from an object in it.
+        search(
+            roots.length > 0
+                ? roots
+                : [
+                      unreached.find((item) => children(item).length > 0) ||
+                          unreached[0],
+                  ]
+        );
+        unreached = unreached.filter((item) => !depths.has(item));
+    }
+
+    const columns: DrawnEntity[][] = [];
+    for (const item of nodes) {
+        const depth = depths.get(item);
+        while (columns.length <= depth) {
+            columns.push([]);
+        }
+    }
+    // Add the objects in the order in which they were found, so that the initial order follows the stack frames.
+    const found = [...depths.keys()];
+    for (const item of found) {
+        columns[depths.get(item)].push(item);
+    }
+
+    orderColumns(columns, stack_frames, children);
+
+    // Put each blank space back right after the object that preceded it.
+    let previous: DrawnEntity | null = null;
+    for (const item of objs) {
+        if (!isSpacer(item)) {
+            previous = item;
+        } else if (previous === null) {
+            if (columns.length === 0) {
+                columns.push([]);
+            }
+            columns[0].unshift(item);
+        } else {
+            const column = columns.find((col) => col.includes(previous));
+            column.splice(column.indexOf(previous) + 1, 0, item);
+            previous = item;
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Order the objects of each column (in place) to reduce the number of references crossing each other, by alternately
+ * sorting each column by the average position of the objects referring to it (from left to right) and by the average
+ * position of the objects it refers to (from right to left). The stack frames act as a column before the first one.
+ */
+function orderColumns(
+    columns: DrawnEntity[][],
+    stack_frames: DrawnEntity[],
+    children: (item: DrawnEntity) => DrawnEntity[]
+) {
+    const levels = [stack_frames, ...columns];
+
+    // The position of every object within its level, between 0 and 1.
+    const positions = new Map<DrawnEntity, number>();
+    const updatePositions = (level: DrawnEntity[]) => {
+        level.forEach((item, i) =>
+            positions.set(item, (i + 0.5) / level.length)
+        );
+    };
+    levels.forEach(updatePositions);
+
+    const level_of = new Map<DrawnEntity, number>();
+    levels.forEach((level, i) =>
+        level.forEach((item) => level_of.set(item, i))
     );
 
-    const canvas_width =
-        right_most_obj.x + right_most_obj.width + config_aut.right_margin;
-    const canvas_height =
-        down_most_obj.y + down_most_obj.height + config_aut.bottom_margin;
+    // The objects that each object refers to, and those that refer to it.
+    const targets = new Map<DrawnEntity, DrawnEntity[]>();
+    const sources = new Map<DrawnEntity, DrawnEntity[]>();
+    for (const level of levels) {
+        for (const item of level) {
+            targets.set(item, children(item));
+            for (const child of targets.get(item)) {
+                if (!sources.has(child)) {
+                    sources.set(child, []);
+                }
+                sources.get(child).push(item);
+            }
+        }
+    }
 
-    // Additional -- to extend the program for the .blank option.
-    const objs_filtered = objs.filter((item) => {
-        return item.type !== ".blank";
-    });
-    objs = objs_filtered;
+    const sortLevel = (
+        i: number,
+        neighbours: Map<DrawnEntity, DrawnEntity[]>,
+        before: boolean
+    ) => {
+        const barycenters = new Map<DrawnEntity, number>();
+        for (const item of levels[i]) {
+            const placed = (neighbours.get(item) || []).filter((other) =>
+                before ? level_of.get(other) < i : level_of.get(other) > i
+            );
+            barycenters.set(
+                item,
+                placed.length > 0
+                    ? placed.reduce(
+                          (sum, other) => sum + positions.get(other),
+                          0
+                      ) / placed.length
+                    : positions.get(item)
+            );
+        }
+        levels[i].sort((a, b) => barycenters.get(a) - barycenters.get(b));
+        updatePositions(levels[i]);
+    };
 
-    return { objs, canvas_height, canvas_width };
+    let best = levels.map((level) => [...level]);
+    let fewest = countAllCrossings(levels, targets, level_of);
+    for (const downwards of [true, false, true]) {
+        if (downwards) {
+            for (let i = 1; i < levels.length; i++) {
+                sortLevel(i, sources, true);
+            }
+        } else {
+            for (let i = levels.length - 2; i >= 1; i--) {
+                sortLevel(i, targets, false);
+            }
+        }
+        const crossings = countAllCrossings(levels, targets, level_of);
+        if (crossings < fewest) {
+            fewest = crossings;
+            best = levels.map((level) => [...level]);
+        }
+    }
+
+    columns.forEach((column, i) =>
+        column.splice(0, column.length, ...best[i + 1])
+    );
+}
+
+/**
+ * Return the number of pairs of references between neighbouring levels that cross each other.
+ */
+function countAllCrossings(
+    levels: DrawnEntity[][],
+    targets: Map<DrawnEntity, DrawnEntity[]>,
+    level_of: Map<DrawnEntity, number>
+): number {
+    let crossings = 0;
+    for (let i = 0; i < levels.length - 1; i++) {
+        const index = new Map(levels[i + 1].map((item, j) => [item, j]));
+        const edges: number[][] = [];
+        levels[i].forEach((item, j) => {
+            for (const target of targets.get(item)) {
+                if (level_of.get(target) === i + 1) {
+                    edges.push([j, index.get(target)]);
+                }
+            }
+        });
+        for (let a = 0; a < edges.length; a++) {
+            for (let b = a + 1; b < edges.length; b++) {
+                if (
+                    (edges[a][0] - edges[b][0]) * (edges[a][1] - edges[b][1]) <
+                    0
+                ) {
+                    crossings++;
+                }
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Equip the given layout configuration with the default value of every padding and margin option that the user
+ * has not defined. The configuration object is mutated.
+ * @param {object} configuration - the configuration set by the user
+ */
+function setDefaultMargins(configuration) {
+    for (const req_prop of [
+        "padding",
+        "top_margin",
+        "left_margin",
+        "bottom_margin",
+        "right_margin",
+    ]) {
+        if (!configuration.hasOwnProperty(req_prop)) {
+            configuration[req_prop] = config.obj_x_padding;
+        }
+    }
 }
 
 /**
@@ -300,19 +818,29 @@ function separateObjects(objects: DrawnEntity[]) {
 /**
  * Return the dimensions that the passed object will have if drawn on a canvas (in the context of the MemoryModel class).
  * This function can be used to determine how much space an object box will take on canvas (like a dry-run), given the
- * implementations of the 'draw' methods in MemoryModel.
- * @param {DrawnEntity} obj - an object as specified in MemoryModel.drawAll, except that coordinates are missing.
+ * implementations of the 'draw' methods in MemoryModel. In particular, text is measured exactly as when drawing (using
+ * 'measureText' with the style of each text element), so that the computed layout matches the drawn boxes. Only the
+ * geometry of the object is computed (see 'MemoryModel.measure'): nothing is rendered to SVG.
+ * @param {DrawnEntity} obj - an object as specified in MemoryModel.drawAll, except that coordinates are missing (the
+ *                            object is not changed).
+ * @param {string | Partial<Theme>} theme - the theme the object would be drawn with (its font affects the size).
+ * @param {SizeLimits} limits - the size limits of the diagram the object would be drawn in (see 'SizeLimits').
+ * @param {string} language - the language of the diagram the object would be drawn in (see 'languages').
  * @returns {object} the width and the height the drawn object would have.
  */
-function getSize(obj: DrawnEntity) {
-    // The x and y values here are unimportant; 'obj' must simply have these properties for processing by 'drawAll'.
-    obj.x = obj.x || 10;
-    obj.y = obj.y || 10;
-
-    const m = new MemoryModel();
-
-    // As 'drawAll' provides a size list, where our case has just one element, we extract the element at index 0.
-    const size = m.drawAll([obj])[0];
+function getSize(
+    obj: DrawnEntity,
+    theme?: string | Partial<Theme>,
+    limits: SizeLimits = {},
+    language: string = "python"
+) {
+    const m = new MemoryModel({
+        theme,
+        language,
+        ...limits,
+        layout_only: true,
+    });
+    const size = m.measure(obj);
 
     return { height: size.height, width: size.width };
 }
@@ -375,5 +903,11 @@ export {
     drawAutomatedOtherItems,
     drawAutomatedStackFrames,
     separateObjects,
+    setDefaultMargins,
     getSize,
+    objectReferences,
+    placeInRows,
+    placeInColumns,
+    compareByHeight,
+    compareByID,
 };
@@ -0,0 +1,197 @@
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// The default angle of hachure lines (in degrees), as in Rough.js.
+const DEFAULT_HACHURE_ANGLE = -41;
+
+/**
+ * Draws plain SVG shapes, with the same interface as the RoughSVG objects of Rough.js (for the shapes used by
+ * MemoryModel), so that diagrams can be drawn without the hand-drawn look.
+ *
+ * The Rough.js options that have an SVG equivalent are kept: stroke, strokeWidth and strokeLineDash, and fill with
+ * its fillStyle ("solid", or a pattern of lines or dots approximating the other fill styles, with their
+ * hachureAngle and hachureGap). Other options, such as roughness and seed, are ignored.
+ */
+class CleanSVG {
+    svg: SVGSVGElement;
+    document: Document;
+
+    /**
+     * @param {SVGSVGElement} svg - the SVG element that the shapes are drawn in (fill patterns are added to it)
+     */
+    constructor(svg: SVGSVGElement) {
+        this.svg = svg;
+        this.document = svg.ownerDocument;
+    }
+
+    /**
+     * Return a rect element with the given position, size and style.
+     */
+    rectangle(x: number, y: number, width: number, height: number, style) {
+        return this.shape(
+            "rect",
+            { x, y, width, height },
+            this.fillAttributes(style),
+            style
+        );
+    }
+
+    /**
+     * Return a line element (or a polyline element, for more than two points) through the given points.
+     */
+    linearPath(points: number[][], style) {
+        if (points.length === 2) {
+            const [[x1, y1], [x2, y2]] = points;
+            return this.shape("line", { x1, y1, x2, y2 }, {}, style);
+        }
+        return this.shape(
+            "polyline",
+            { points: points.map((p) => p.join(",")).join(" ") },
+            { fill: "none" },
+            style
+        );
+    }
+
+    /**
+     * Return a polygon element with the given vertices.
+     */
+    polygon(points: number[][], style) {
+        return this.shape(
+            "polygon",
+            { points: points.map((p) => p.join(",")).join(" ") },
+            this.fillAttributes(style),
+            style
+        );
+    }
+
+    /**
+     * Return an element with the given geometry, fill and stroke.
+     */
+    shape(
+        tag: string,
+        geometry: Record<string, string | number>,
+        fill: Record<string, string>,
+        style
+    ): SVGElement {
+        const element = this.document.createElementNS(SVG_NS, tag);
+        const attributes = {
+            ...geometry,
+            ...fill,
+            stroke: style.stroke ?? "black",
+            "stroke-width": style.strokeWidth ?? 1,
+        };
+        if (Array.isArray(style.strokeLineDash)) {
+            attributes["stroke-dasharray"] = style.strokeLineDash.join(" ");
+        }
+        for (const [name, value] of Object.entries(attributes)) {
+            element.setAttribute(name, String(value));
+        }
+        return element as SVGElement;
+    }
+
+    /**
+     * Return the fill attribute of a shape with the given style: the fill color for the "solid" fill style, or a
+     * pattern for the other fill styles (by default, "hachure").
+     */
+    fillAttributes(style): Record<string, string> {
+        if (style.fill === undefined || style.fill === "none") {
+            return { fill: "none" };
+        }
+        const fill_style = style.fillStyle ?? "hachure";
+        if (fill_style === "solid") {
+            return { fill: style.fill };
+        }
+        return { fill: `url(#${this.pattern(style, fill_style)})` };
+    }
+
+    /**
+     * Add a pattern approximating the given fill style to the SVG (unless it already has it), and return its id.
+     * The id is derived from the pattern's properties, so that shapes with the same fill share a single pattern.
+     */
+    pattern(style, fill_style: string): string {
+        const stroke_width = Number(style.strokeWidth ?? 1);
+        const weight = Number(style.fillWeight ?? stroke_width / 2);
+        const gap =
+            style.hachureGap > 0 ? Number(style.hachureGap) : 4 * stroke_width;
+        const angle = Number(style.hachureAngle ?? DEFAULT_HACHURE_ANGLE);
+        const kind =
+            fill_style === "dots"
+                ? "dots"
+                : fill_style === "cross-hatch"
+                ? "cross-hatch"
+                : "hachure";
+        const id = `memory-viz-${kind}-${[style.fill, weight, gap, angle]
+            .join("-")
+            .replace(/[^a-zA-Z0-9-]/g, "_")}`;
+
+        if (this.hasPattern(id)) {
+            return id;
+        }
+
+        const pattern = this.document.createElementNS(SVG_NS, "pattern");
+        pattern.setAttribute("id", id);
+        pattern.setAttribute("patternUnits", "userSpaceOnUse");
+        pattern.setAttribute("width", String(gap));
+        pattern.setAttribute("height", String(gap));
+        if (kind === "dots") {
+            const dot = this.document.createElementNS(SVG_NS, "circle");
+            dot.setAttribute("cx", String(gap / 2));
+            dot.setAttribute("cy", String(gap / 2));
+            dot.setAttribute("r", String(Math.max(weight, 0.5)));
+            dot.setAttribute("fill", style.fill);
+            pattern.appendChild(dot);
+        } else {
+            // Lines across the pattern tile, which is rotated to the hachure angle.
+            pattern.setAttribute("patternTransform", `rotate(${angle})`);
+            const lines = kind === "cross-hatch" ? [0, 90] : [0];
+            for (const rotation of lines) {
+                const line = this.document.createElementNS(SVG_NS, "line");
+                line.setAttribute("x1", "0");
+                line.setAttribute("y1", String(gap / 2));
+                line.setAttribute("x2", String(gap));
+                line.setAttribute("y2", String(gap / 2));
+                line.setAttribute("stroke", style.fill);
+                line.setAttribute("stroke-width", String(weight));
+                if (rotation !== 0) {
+                    line.setAttribute(
+                        "transform",
+                        `rotate(${rotation} ${gap / 2} ${gap / 2})`
+                    );
+                }
+                pattern.appendChild(line);
+            }
+        }
+        this.definitions().appendChild(pattern);
+        return id;
+    }
+
+    /**
+     * Return whether the defs element of the SVG already has a pattern with the given id.
+     */
+    hasPattern(id: string): boolean {
+        const defs = this.definitions();
+        for (let i = 0; i < defs.childNodes.length; i++) {
+            const child = defs.childNodes[i] as Element;
+            if (child.getAttribute && child.getAttribute("id") === id) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Return the defs element of the SVG, adding it (as the first child) if there is none.
+     */
+    definitions(): Element {
+        for (let i = 0; i < this.svg.childNodes.length; i++) {
+            const child = this.svg.childNodes[i] as Element;
+            if (child.nodeName === "defs") {
+                return child;
+            }
+        }
+        const defs = this.document.createElementNS(SVG_NS, "defs");
+        this.svg.insertBefore(defs, this.svg.firstChild);
+        return defs;
+    }
+}
+
+export { CleanSVG };
@@ -1,8 +1,4 @@
 export const config = {
-    rect_style: { stroke: "rgb(0, 0, 0)" },
-    text_color: "rgb(0, 0, 0)", // Default text color
-    value_color: "rgb(27, 14, 139)", // Text color for primitive values
-    id_color: "rgb(150, 100, 28)", // Text color for object ids
     item_min_width: 50, // Minimum width of an item box in a collection
     item_min_height: 50, // Minimum height of an item box in a collection
     obj_min_width: 200, // Minimum width of object rectangle
@@ -13,5 +9,11 @@ export const config = {
     double_rect_sep: 6, // Separation between double boxes around immutable objects
     list_index_sep: 20, // Vertical offset for list index labels
     font_size: 20, // Font size, in px
+    arrow_head_size: 12, // Length of the arrowheads drawn on reference arrows
+    arrow_loop_gap: 15, // Distance between a box and an arrow looping around it (for self-references)
+    max_items: Infinity, // Maximum number of elements (or entries) shown in a collection (see 'SizeLimits')
+    items_per_row: Infinity, // Maximum number of elements in each row of a sequence
+    max_value_length: Infinity, // Maximum number of characters in each line of a primitive value
+    wrap_values: false, // Whether long primitive values are wrapped over several lines, rather than truncated
     browser: false, // Whether this library is being used in a browser context
 };
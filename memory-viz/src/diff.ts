@@ -0,0 +1,437 @@
+import { MemoryModel } from "./memory_model";
+import { separateObjects } from "./automate";
+import { config } from "./config";
+import { resolveTheme } from "./themes";
+import { clone, entityKeys, layoutStates, withPreset } from "./trace";
+import { typeCategory } from "./type_registry";
+import { DiffStatus, DrawnEntity, EntityDiff, Theme } from "./types";
+import { sizeLimits } from "./size_limits";
+import { interactivity } from "./interactive";
+import { inlineValues, isInlineValue } from "./inline_values";
+import { InvalidInputError, validate, validateConfiguration } from "./validate";
+
+let fs;
+if (typeof window === "undefined") {
+    fs = require("fs");
+}
+
+// The gap between a slot box and the rectangle marking it as changed.
+const SLOT_MARK_GAP = 3;
+
+/**
+ * Compare two states of memory, and classify how each object and each of its slots changed.
+ *
+ * Objects are matched by their id, and stack frames by their name (and, for recursive calls, by how many frames with
+ * the same name are below them). The slots of an object are the variables of a stack frame, the attributes of a
+ * class instance, the indexes of a sequence, the keys of a dictionary and the elements of a set. Each slot is
+ * "added" or "removed" if it is only in one of the states, "rebound" if it refers to a different id in each state,
+ * and "unchanged" otherwise.
+ *
+ * An object is "added" or "removed" if it is only in one of the states. An object in both states is "rebound" if any
+ * of its slots changed (i.e., it was mutated), or if its type or primitive value changed, and "unchanged" otherwise.
+ *
+ * The states are compared as they are drawn in the memory model of the given language: a value held directly by its
+ * slots (see 'inlineValues') is not an object, and its slots are "rebound" if the value changed.
+ *
+ * @param {DrawnEntity[]} before - the objects of the first state, in the format described in MemoryModel.drawAll
+ * @param {DrawnEntity[]} after - the objects of the second state
+ * @param {string} language - the language of the memory model (see 'languages'; by default, "python")
+ * @returns {EntityDiff[]} how each object of the second state changed, followed by the objects that were removed
+ */
+function compareStates(
+    before: DrawnEntity[],
+    after: DrawnEntity[],
+    language: string = "python"
+): EntityDiff[] {
+    return Array.from(
+        compareEntities(
+            inlineValues(before, language),
+            inlineValues(after, language),
+            language
+        ).values()
+    );
+}
+
+/**
+ * Return how each object changed between the two states, by the key identifying it (see 'entityKeys').
+ * Blank spaces are not compared.
+ */
+function compareEntities(
+    before: DrawnEntity[],
+    after: DrawnEntity[],
+    language: string = "python"
+): Map<string, EntityDiff> {
+    const before_entities = keyedEntities(before);
+    const after_entities = keyedEntities(after);
+
+    const diffs = new Map<string, EntityDiff>();
+    for (const [key, obj] of after_entities) {
+        diffs.set(key, compareEntity(before_entities.get(key), obj, language));
+    }
+    for (const [key, obj] of before_entities) {
+        if (!after_entities.has(key)) {
+            diffs.set(key, compareEntity(obj, undefined, language));
+        }
+    }
+    return diffs;
+}
+
+/**
+ * Return how the given object changed. Either version may be undefined, if the object is only in one state.
+ */
+function compareEntity(
+    before: DrawnEntity | undefined,
+    after: DrawnEntity | undefined,
+    language: string
+): EntityDiff {
+    const old_slots =
+        before === undefined ? new Map() : entitySlots(before, language);
+    const new_slots =
+        after === undefined ? new Map() : entitySlots(after, language);
+
+    const slots: Record<string, DiffStatus> = {};
+    for (const [key, target] of new_slots) {
+        if (!old_slots.has(key)) {
+            slots[key] = "added";
+        } else {
+            slots[key] =
+                slotTarget(old_slots.get(key)) === slotTarget(target)
+                    ? "unchanged"
+                    : "rebound";
+        }
+    }
+    for (const key of old_slots.keys()) {
+        if (!new_slots.has(key)) {
+            slots[key] = "removed";
+        }
+    }
+
+    let status: DiffStatus;
+    if (before === undefined) {
+        status = "added";
+    } else if (after === undefined) {
+        status = "removed";
+    } else if (
+        before.type !== after.type ||
+        Object.values(slots).some((slot) => slot !== "unchanged") ||
+        (old_slots.size === 0 &&
+            new_slots.size === 0 &&
+            JSON.stringify(before.value) !== JSON.stringify(after.value))
+    ) {
+        status = "rebound";
+    } else {
+        status = "unchanged";
+    }
+
+    const obj = after === undefined ? before : after;
+    const diff: EntityDiff = {
+        id: obj.type === ".frame" ? null : obj.id,
+        type: obj.type,
+        status,
+        slots,
+    };
+    if (obj.name !== undefined) {
+        diff.name = obj.name;
+    }
+    return diff;
+}
+
+/**
+ * Return the objects that are not blank spaces, by the key identifying them (see 'entityKeys').
+ */
+function keyedEntities(objects: DrawnEntity[]): Map<string, DrawnEntity> {
+    const entities = new Map<string, DrawnEntity>();
+    entityKeys(objects).forEach((key, i) => {
+        if (!objects[i].type.startsWith(".blank")) {
+            entities.set(key, objects[i]);
+        }
+    });
+    return entities;
+}
+
+/**
+ * Return the id held in each slot of the given object, by the name, index, dictionary key or element id of the slot
+ * (the return value of a stack frame is in its "return" slot). Primitive objects have no slots.
+ */
+function entitySlots(obj: DrawnEntity, language: string): Map<string, any> {
+    const slots = new Map<string, any>();
+    const category =
+        obj.type === ".frame" || obj.type === ".class"
+            ? "class"
+            : typeCategory(obj.type, language);
+
+    if (category === "sequence") {
+        obj.value.forEach((id, i) => slots.set(String(i), id));
+    } else if (category === "set") {
+        obj.value.forEach((id) => slots.set(slotTarget(id), id));
+    } else if (category === "mapping" || category === "class") {
+        for (const key in obj.value || {}) {
+            slots.set(key, obj.value[key]);
+        }
+    }
+    if (obj.type === ".frame" && obj.return_value !== undefined) {
+        slots.set("return", obj.return_value);
+    }
+    return slots;
+}
+
+/**
+ * Return the text identifying what the given slot holds: its id, or the type and value inlined in it.
+ */
+function slotTarget(target): string {
+    return isInlineValue(target) ? JSON.stringify(target) : String(target);
+}
+
+/**
+ * Draw the second of two states of memory, marking what changed since the first state.
+ *
+ * Objects and slots are compared as described in 'compareStates'. Added objects are drawn with the `highlight`
+ * preset, and objects whose slots changed are drawn with a thicker border. Added and rebound slots are outlined.
+ * Removed objects are drawn faded and crossed out, at the position they had in the first state.
+ * The colors of the markings are given by the theme: `added_color`, `rebound_color` and `removed_color`.
+ *
+ * The layout is computed once for both states, so that every object has the same position in both of them.
+ *
+ * @param {string | DrawnEntity[]} before - the objects of the first state (in the format described in
+ *                                          MemoryModel.drawAll), or the path to a JSON file containing them
+ * @param {string | DrawnEntity[]} after - the objects of the second state, or the path to a JSON file containing them
+ * @param {Object} configuration - The configuration (display settings) defined by the user, as for 'draw' with
+ *                                 automation. Set `side_by_side` to true to draw the first state to the left of the
+ *                                 second one (with its removed and rebound slots outlined), in the same diagram.
+ * @returns {MemoryModel} the produced canvas
+ * @throws {InvalidInputError} if either state is not valid MemoryViz input (see 'validate'), or if the size limits of
+ * the configuration are not (see 'validateConfiguration')
+ */
+function diff(
+    before: string | DrawnEntity[],
+    after: string | DrawnEntity[],
+    configuration
+) {
+    const objects = [readState(before), readState(after)];
+
+    if (!configuration.hasOwnProperty("width")) {
+        throw new Error("Width argument for drawing a diff is required.");
+    }
+
+    const errors = validateConfiguration(configuration);
+    ["before", "after"].forEach((state_name, i) => {
+        for (const error of validate(
+            objects[i],
+            true,
+            configuration.language
+        )) {
+            if (error.severity === "error") {
+                errors.push({ ...error, path: `${state_name}${error.path}` });
+            }
+        }
+    });
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+
+    // Primitive values held directly by variables and containers (e.g. a Java int) are not drawn as objects.
+    const states = objects.map((state) =>
+        inlineValues(state, configuration.language)
+    );
+    const diffs = compareEntities(states[0], states[1], configuration.language);
+    const theme = resolveTheme(configuration.theme);
+    const side_by_side = configuration.side_by_side === true;
+    const caption_height = side_by_side ? config.font_size * 2 : 0;
+
+    // Added objects are highlighted, so the layout reserves the space of their highlighted version.
+    const { positions, width, height, right } = layoutStates(
+        states,
+        configuration,
+        caption_height,
+        true
+    );
+    const panel_width = right + configuration.right_margin;
+
+    const m = new MemoryModel({
+        width: side_by_side ? 2 * panel_width : width,
+        height,
+        roughjs_config: configuration.roughjs_config,
+        renderer: configuration.renderer,
+        theme: configuration.theme,
+        language: configuration.language,
+        ...sizeLimits(configuration),
+        ...interactivity(configuration),
+    });
+
+    const removed = [];
+    keyedEntities(states[0]).forEach((obj, key) => {
+        if (diffs.get(key).status === "removed") {
+            removed.push([key, obj]);
+        }
+    });
+    const after_entities = [...keyedEntities(states[1]), ...removed];
+
+    const context = { positions, diffs, theme, arrows: configuration.arrows };
+    if (side_by_side) {
+        drawPanel(m, [...keyedEntities(states[0])], "before", 0, context);
+        drawPanel(m, after_entities, "after", panel_width, context);
+        ["Before", "After"].forEach((caption, i) => {
+            m.drawText(
+                caption,
+                i * panel_width + configuration.left_margin,
+                configuration.top_margin + config.font_size,
+                { "text-anchor": "start", "font-weight": "bold" }
+            );
+        });
+    } else {
+        drawPanel(m, after_entities, "after", 0, context);
+    }
+
+    return m;
+}
+
+/**
+ * Draw the given objects (with their keys) of one of the states, shifted right by 'offset', and mark what changed.
+ * @param {MemoryModel} m - the canvas to draw on
+ * @param {[string, DrawnEntity][]} entities - the objects to draw, with the keys identifying them
+ * @param {string} side - which state the objects are from ("before" or "after")
+ * @param {number} offset - the distance to shift the objects right by
+ * @param {object} context - the position of each object (by key), how each object changed (by key), the theme, and
+ *                           whether to draw arrows
+ */
+function drawPanel(
+    m: MemoryModel,
+    entities: [string, DrawnEntity][],
+    side: "before" | "after",
+    offset: number,
+    context: {
+        positions: Map<string, { x: number; y: number }>;
+        diffs: Map<string, EntityDiff>;
+        theme: Theme;
+        arrows: boolean;
+    }
+) {
+    const { positions, diffs, theme } = context;
+    const keys = new Map<DrawnEntity, string>();
+    const drawn = entities.map(([key, obj]) => {
+        const position = positions.get(key);
+        const entity = {
+            ...obj,
+            x: position.x + offset,
+            y: position.y,
+            style: diffStyle(obj.style, diffs.get(key).status, side, theme),
+        };
+        keys.set(entity, key);
+        return entity;
+    });
+
+    // Stack frames are drawn first, as in drawAutomated.
+    const { stack_frames, other_items } = separateObjects(drawn);
+    const ordered = [...stack_frames, ...other_items];
+    const sizes = m.drawAll(ordered, context.arrows);
+
+    for (const slot of m.reference_slots) {
+        const { status, slots } = diffs.get(
+            keys.get(ordered[sizes.indexOf(slot.source)])
+        );
+        // The slots of added and removed objects are not marked separately. The key of a mapping entry is marked
+        // only when the entry itself was added or removed, not when its value was rebound.
+        let slot_status =
+            status === "added" || status === "removed"
+                ? "unchanged"
+                : slots[slot.key];
+        if (slot.mapping_key && slot_status === "rebound") {
+            slot_status = "unchanged";
+        }
+        const color = markColor(slot_status, side, theme);
+        if (color !== null) {
+            m.drawRect(
+                slot.x - SLOT_MARK_GAP,
+                slot.y - SLOT_MARK_GAP,
+                slot.width + 2 * SLOT_MARK_GAP,
+                slot.height + 2 * SLOT_MARK_GAP,
+                { stroke: color, strokeWidth: 2 * theme.stroke_width }
+            );
+        }
+    }
+
+    if (side === "after") {
+        ordered.forEach((obj, i) => {
+            if (diffs.get(keys.get(obj)).status === "removed") {
+                const { x, y, width, height } = sizes[i];
+                const style = {
+                    stroke: theme.removed_color,
+                    strokeWidth: 2 * theme.stroke_width,
+                };
+                m.drawLine(
+                    [
+                        { x, y },
+                        { x: x + width, y: y + height },
+                    ],
+                    style
+                );
+                m.drawLine(
+                    [
+                        { x: x + width, y },
+                        { x, y: y + height },
+                    ],
+                    style
+                );
+            }
+        });
+    }
+}
+
+/**
+ * Return the style of an object with the given status, in the diagram of the given state.
+ */
+function diffStyle(
+    style,
+    status: DiffStatus,
+    side: "before" | "after",
+    theme: Theme
+) {
+    const border = (color: string) => ({
+        box_container: { stroke: color, strokeWidth: 2 * theme.stroke_width },
+    });
+
+    if (side === "before") {
+        return status === "removed"
+            ? withPreset(style, border(theme.removed_color))
+            : style;
+    } else if (status === "added") {
+        return withPreset(
+            withPreset(style, "highlight"),
+            border(theme.added_color)
+        );
+    } else if (status === "rebound") {
+        return withPreset(style, border(theme.rebound_color));
+    } else if (status === "removed") {
+        return withPreset(style, "fade");
+    }
+    return style;
+}
+
+/**
+ * Return the color marking a slot with the given status in the diagram of the given state, or null if the slot is
+ * not marked. Rebound slots are marked in both states, added slots only in the second one, and removed slots only in
+ * the first one.
+ */
+function markColor(
+    status: DiffStatus,
+    side: "before" | "after",
+    theme: Theme
+): string | null {
+    if (status === "rebound") {
+        return theme.rebound_color;
+    } else if (status === "added" && side === "after") {
+        return theme.added_color;
+    } else if (status === "removed" && side === "before") {
+        return theme.removed_color;
+    }
+    return null;
+}
+
+function readState(state: string | DrawnEntity[]): DrawnEntity[] {
+    if (typeof state === "string") {
+        return JSON.parse(fs.readFileSync(state, "utf-8"));
+    }
+    return clone(state);
+}
+
+export { compareStates, diff };
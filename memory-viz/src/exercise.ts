@@ -0,0 +1,307 @@
+import { MemoryModel } from "./memory_model";
+import { draw, seededConfiguration } from "./user_functions";
+import { config } from "./config";
+import { typeCategory } from "./type_registry";
+import {
+    Bounds,
+    DrawnBox,
+    DrawnEntity,
+    ExerciseAnswer,
+    ExerciseSelection,
+} from "./types";
+
+// Dynamic import of Node fs module
+let fs;
+if (typeof window === "undefined") {
+    fs = require("fs");
+}
+
+interface Blank {
+    answer: ExerciseAnswer;
+    hides: (text: DrawnText) => boolean; // Whether the given text element is part of the blank
+}
+
+interface DrawnText {
+    content: string;
+    x: number;
+    y: number;
+}
+
+/**
+ * Draw a "fill in the memory model" exercise from the given objects: the diagram with some of its ids, values and
+ * references blanked out, and its answer key (the full diagram, with the same layout and boxes).
+ *
+ * Blanked out parts keep their (empty) boxes, so that both diagrams have the same size and shapes. The selection
+ * picks what is blanked out:
+ *  - `ids`: the ids of the objects with these ids, or of every object with "all";
+ *  - `types`: the values of the primitive objects of these types (e.g. "int"), and the references held by the
+ *    collections and instances of these types (for instances of `.class`, the type is the name of the class);
+ *  - `frame_variables`: the references held by the variables (and return value) of every stack frame, or of the stack
+ *    frames with the given names;
+ *  - `fraction` (and `seed`): keep only this fraction of the blanks selected above, chosen at random with the given
+ *    seed (by default, 0). If nothing else is selected, the blanks are chosen among every part that can be blanked out.
+ * Empty slots (holding null) and the objects hidden by size limits (see 'SizeLimits') are never blanked out.
+ *
+ * @param {string | DrawnEntity[]} objects - the objects to be drawn (in the format described in MemoryModel.drawAll),
+ *                                           or the path to a JSON file containing them
+ * @param {ExerciseSelection} selection - what to blank out
+ * @param {boolean} automation - whether the objects are laid out automatically, as for 'draw'
+ * @param {Object} configuration - the configuration (display settings) defined by the user, as for 'draw'
+ * @returns {object} the exercise (`student`) and the answer key (`key`), as MemoryModel objects, and the `answers`:
+ *                   what each blank holds, in the order in which the objects are drawn
+ * @throws {InvalidInputError} if the objects are not valid MemoryViz input (see 'validate')
+ */
+function exercise(
+    objects: string | DrawnEntity[],
+    selection: ExerciseSelection,
+    automation: boolean,
+    configuration
+): { student: MemoryModel; key: MemoryModel; answers: ExerciseAnswer[] } {
+    const objs: DrawnEntity[] =
+        typeof objects === "string"
+            ? JSON.parse(fs.readFileSync(objects, "utf-8"))
+            : objects;
+    checkSelection(selection);
+
+    // The exercise and its answer key are drawn with the same shapes. The source of the exercise would give its
+    // answers away, so it is never embedded.
+    const drawing_configuration = {
+        ...seededConfiguration(configuration),
+        embed_source: false,
+    };
+    const drawDiagram = () =>
+        draw(structuredClone(objs), automation, {
+            ...drawing_configuration,
+        });
+
+    const key = drawDiagram();
+    const student = drawDiagram();
+
+    const blanks = selectBlanks(student.drawn_boxes, selection);
+    // The texts are nested in groups in interactive diagrams.
+    const texts = Array.from(
+        student.svg.getElementsByTagName("text")
+    ) as Element[];
+    for (const text of texts) {
+        const drawn = {
+            content: text.textContent,
+            x: Number(text.getAttribute("x")),
+            y: Number(text.getAttribute("y")),
+        };
+        if (blanks.some((blank) => blank.hides(drawn))) {
+            text.parentNode.removeChild(text);
+        }
+    }
+
+    return { student, key, answers: blanks.map((blank) => blank.answer) };
+}
+
+/**
+ * Check that the given selection is valid, and throw an error describing the first problem otherwise.
+ */
+function checkSelection(selection: ExerciseSelection) {
+    if (
+        selection.ids !== undefined &&
+        selection.ids !== "all" &&
+        !Array.isArray(selection.ids)
+    ) {
+        throw new Error('Expected the selected ids to be an array, or "all".');
+    }
+    if (selection.types !== undefined && !Array.isArray(selection.types)) {
+        throw new Error("Expected the selected types to be an array.");
+    }
+    if (
+        selection.frame_variables !== undefined &&
+        typeof selection.frame_variables !== "boolean" &&
+        !Array.isArray(selection.frame_variables)
+    ) {
+        throw new Error(
+            "Expected the selected frame variables to be a boolean or an array of frame names."
+        );
+    }
+    if (
+        selection.fraction !== undefined &&
+        !(selection.fraction > 0 && selection.fraction <= 1)
+    ) {
+        throw new Error("Expected the fraction to be between 0 and 1.");
+    }
+}
+
+/**
+ * Return the blanks of the given selection in the drawn boxes, in the order in which the boxes were drawn.
+ */
+function selectBlanks(
+    boxes: DrawnBox[],
+    selection: ExerciseSelection
+): Blank[] {
+    const selects_parts =
+        selection.ids !== undefined ||
+        selection.types !== undefined ||
+        (selection.frame_variables !== undefined &&
+            selection.frame_variables !== false);
+    const ids =
+        Array.isArray(selection.ids) && new Set(selection.ids.map(String));
+    const types = new Set(selection.types || []);
+    const frame_names = Array.isArray(selection.frame_variables)
+        ? new Set(selection.frame_variables)
+        : null;
+
+    const frame_counts = new Map<string, number>();
+    let blanks: Blank[] = [];
+    for (const box of boxes) {
+        const obj = box.entity;
+        if (obj.type === ".frame") {
+            const frame_index = frame_counts.get(obj.name) || 0;
+            frame_counts.set(obj.name, frame_index + 1);
+            if (
+                !selects_parts ||
+                selection.frame_variables === true ||
+                frame_names?.has(obj.name)
+            ) {
+                blanks.push(
+                    ...slotBlanks(box, { frame: obj.name, frame_index })
+                );
+            }
+            continue;
+        } else if (obj.type.startsWith(".blank")) {
+            continue;
+        }
+
+        if (
+            obj.id !== null &&
+            (!selects_parts ||
+                selection.ids === "all" ||
+                (ids && ids.has(String(obj.id))))
+        ) {
+            blanks.push(idBlank(box));
+        }
+
+        const type = obj.type === ".class" ? obj.name : obj.type;
+        if (!selects_parts || types.has(type)) {
+            if (
+                obj.type !== ".class" &&
+                typeCategory(obj.type) === "primitive"
+            ) {
+                const blank = valueBlank(box);
+                if (blank !== null) {
+                    blanks.push(blank);
+                }
+            } else {
+                blanks.push(...slotBlanks(box, { id: obj.id }));
+            }
+        }
+    }
+
+    if (selection.fraction !== undefined) {
+        const random = randomNumbers(selection.seed ?? 0);
+        const count = Math.round(selection.fraction * blanks.length);
+        // Shuffle the indexes (with the Fisher-Yates algorithm), and keep the blanks at the first ones in order.
+        const indexes = blanks.map((_, i) => i);
+        for (let i = indexes.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+        }
+        const kept = new Set(indexes.slice(0, count));
+        blanks = blanks.filter((_, i) => kept.has(i));
+    }
+
+    return blanks;
+}
+
+/**
+ * Return the blank of the id of the object in the given box: the text of its id box.
+ */
+function idBlank(box: DrawnBox): Blank {
+    const { entity } = box;
+    const text = `id${entity.id}`;
+    return {
+        answer: { kind: "id", id: entity.id, answer: entity.id },
+        hides: ({ content, x, y }) =>
+            content === text &&
+            inBounds(x, y, {
+                ...box,
+                y: entity.y,
+                height: config.prop_min_height,
+            }),
+    };
+}
+
+/**
+ * Return the blank of the value of the primitive object in the given box (every text below its id and type boxes),
+ * or null if it has no value.
+ */
+function valueBlank(box: DrawnBox): Blank | null {
+    const { entity } = box;
+    if (entity.value === null || entity.value === undefined) {
+        return null;
+    }
+    const value_top = entity.y + config.prop_min_height;
+    return {
+        answer: { kind: "value", id: entity.id, answer: entity.value },
+        hides: ({ x, y }) =>
+            inBounds(x, y, {
+                ...box,
+                y: value_top,
+                height: box.y + box.height - value_top,
+            }),
+    };
+}
+
+/**
+ * Return the blanks of the references held by the object (or stack frame) in the given box: the texts of its slots.
+ * A slot is identified by the index of the element in a sequence or set, by the key of a mapping (only the values of
+ * mappings are blanked out), and by the name of a variable or attribute ("return" for the return value of a frame).
+ * @param {DrawnBox} box - the drawn object
+ * @param {object} location - where the slots are, for the answers: the id of the object, or the name of the stack
+ *                            frame (with its index among the stack frames with the same name)
+ */
+function slotBlanks(
+    box: DrawnBox,
+    location: Pick<ExerciseAnswer, "id" | "frame" | "frame_index">
+): Blank[] {
+    const { entity } = box;
+    // Only the values of mappings are blanked out.
+    const slots = box.slots.filter((slot) => !slot.mapping_key);
+    const category = entity.type.startsWith(".")
+        ? "class"
+        : typeCategory(entity.type);
+
+    return slots.map((slot) => ({
+        answer: {
+            kind: "slot",
+            ...location,
+            slot:
+                category === "set"
+                    ? String(entity.value.indexOf(slot.target))
+                    : slot.key,
+            answer: slot.target,
+        },
+        hides: ({ x, y }) => inBounds(x, y, slot),
+    }));
+}
+
+function inBounds(x: number, y: number, bounds: Bounds): boolean {
+    return (
+        x >= bounds.x &&
+        x <= bounds.x + bounds.width &&
+        y >= bounds.y &&
+        y <= bounds.y + bounds.height
+    );
+}
+
+/**
+ * Return a function generating pseudo-random numbers between 0 (inclusive) and 1 (exclusive), which generates the
+ * same numbers for the same seed (using the Mulberry32 algorithm).
+ */
+function randomNumbers(seed: number): () => number {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export { exercise };
@@ -0,0 +1,118 @@
+import { ExportFormat } from "./types";
+
+// Dynamic import of Node modules. The PNG and PDF libraries are loaded on first use, as they are not needed to
+// draw diagrams (and are not available in the browser).
+let fs, path;
+if (typeof window === "undefined") {
+    fs = require("fs");
+    path = require("path");
+}
+
+// Diagrams are drawn in Consolas (falling back to Courier). So that exported images look the same on every machine,
+// the Inconsolata font (bundled in the fonts/ directory) is used whenever neither of these is installed.
+const FONT_FAMILY = "Inconsolata";
+
+/**
+ * Return the path to the bundled Inconsolata font file with the given weight.
+ * @param {boolean} bold - whether to return the bold font
+ * @returns {string} the path to the font file
+ */
+function fontFile(bold: boolean): string {
+    return path.join(
+        __dirname,
+        "..",
+        "fonts",
+        bold ? "Inconsolata-Bold.ttf" : "Inconsolata-Regular.ttf"
+    );
+}
+
+/**
+ * Render the given SVG to a PNG image.
+ * @param {string} svg - the serialized SVG, as returned by MemoryModel.serializeSVG
+ * @param {number} scale - the factor by which to scale the SVG's width and height (e.g. 2 for high-DPI screens)
+ * @returns {Buffer} the contents of the PNG file
+ */
+function svgToPNG(svg: string, scale: number = 1): Buffer {
+    if (!(scale > 0)) {
+        throw new Error(`Invalid scale ${scale}: expected a positive number.`);
+    }
+    const { Resvg } = require("@resvg/resvg-js");
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: "zoom", value: scale },
+        font: {
+            fontFiles: [fontFile(false), fontFile(true)],
+            loadSystemFonts: true,
+            defaultFontFamily: FONT_FAMILY,
+            monospaceFamily: FONT_FAMILY,
+        },
+    });
+    return resvg.render().asPng();
+}
+
+/**
+ * Render the given SVG to a single-page PDF document with the same dimensions as the SVG (in pixels,
+ * i.e., at 72 DPI). The text is kept as (selectable) text rather than being rasterized.
+ * @param {string} svg - the serialized SVG, as returned by MemoryModel.serializeSVG
+ * @returns {Promise<Buffer>} the contents of the PDF file
+ */
+function svgToPDF(svg: string): Promise<Buffer> {
+    const PDFDocument = require("pdfkit");
+    const SVGtoPDF = require("svg-to-pdfkit");
+
+    const { width, height } = svgDimensions(svg);
+    const doc = new PDFDocument({ size: [width, height], margin: 0 });
+    doc.registerFont(FONT_FAMILY, fontFile(false));
+    doc.registerFont(`${FONT_FAMILY}-Bold`, fontFile(true));
+
+    SVGtoPDF(doc, svg, 0, 0, {
+        width,
+        height,
+        assumePt: true,
+        fontCallback: (family, bold) =>
+            bold ? `${FONT_FAMILY}-Bold` : FONT_FAMILY,
+    });
+
+    return new Promise((resolve, reject) => {
+        const chunks: Buffer[] = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+        doc.end();
+    });
+}
+
+/**
+ * Return the width and height attributes of the root element of the given SVG.
+ */
+function svgDimensions(svg: string): { width: number; height: number } {
+    const root = svg.match(/<svg\b[^>]*>/);
+    const attribute = (name: string) => {
+        const match = root && root[0].match(new RegExp(`\\s${name}="([^"]*)"`));
+        return match ? parseFloat(match[1]) : NaN;
+    };
+    return { width: attribute("width"), height: attribute("height") };
+}
+
+// The export format of each file extension (other than ".svg").
+const EXTENSION_FORMATS: Record<string, ExportFormat> = {
+    ".png": "png",
+    ".pdf": "pdf",
+    ".dot": "dot",
+    ".gv": "dot",
+    ".mmd": "mermaid",
+    ".tex": "tikz",
+};
+
+/**
+ * Return the export format to use for the given file path, based on its extension ("svg" if it is not recognized).
+ * @param {string} file_path - the path of the file to be written
+ * @returns {ExportFormat} the format
+ */
+function formatFromPath(file_path: string): ExportFormat {
+    const extension = path.extname(file_path).toLowerCase();
+    return EXTENSION_FORMATS.hasOwnProperty(extension)
+        ? EXTENSION_FORMATS[extension]
+        : "svg";
+}
+
+export { svgToPNG, svgToPDF, formatFromPath };
@@ -7,13 +7,51 @@ import {
     getSize,
 } from "./automate";
 import { draw } from "./user_functions";
+import { InvalidInputError, validate } from "./validate";
+import { drawTrace } from "./trace";
+import { compareStates, diff } from "./diff";
+import { measureText, setTextMeasurer } from "./text_measurement";
+import { tracePython } from "./python_trace";
+import { registerType, typeInfo } from "./type_registry";
+import { themes } from "./themes";
+import { presets } from "./style";
+import { reachability } from "./reachability";
+import { renderText } from "./text_render";
+import { exercise } from "./exercise";
+import { animate, animationPlayer, controlAnimation } from "./animate";
+import { enableInteraction } from "./interactive";
+import { NotationError, parseNotation, toNotation } from "./notation";
+import { load } from "./source";
 
 export default {
     MemoryModel,
+    animate,
+    animationPlayer,
+    compareStates,
     config,
+    controlAnimation,
+    diff,
     drawAutomated,
     drawAutomatedOtherItems,
     drawAutomatedStackFrames,
     draw,
+    drawTrace,
+    enableInteraction,
+    exercise,
     getSize,
+    load,
+    measureText,
+    parseNotation,
+    presets,
+    reachability,
+    registerType,
+    renderText,
+    setTextMeasurer,
+    themes,
+    toNotation,
+    tracePython,
+    typeInfo,
+    validate,
+    InvalidInputError,
+    NotationError,
 };
@@ -0,0 +1,110 @@
+import { languageProfile } from "./languages";
+import { typeCategory } from "./type_registry";
+import { DrawnEntity, InlineValue } from "./types";
+
+/**
+ * Return the given objects as they are drawn in the memory model of the given language, in which the values of some
+ * primitive types (e.g. a Java int) are held directly by the variables, attributes and elements that refer to them
+ * (see 'LanguageProfile.inline'). Every reference to an object of such a type is replaced by its value (an
+ * InlineValue), and the objects that are inlined are left out, unless they are
+ * keys of mappings (which remain references).
+ *
+ * The given objects are not modified.
+ * @param {DrawnEntity[]} objects - the objects, in the format described in MemoryModel.drawAll
+ * @param {string} language - the language of the memory model (see 'languages'; by default, "python")
+ * @returns {DrawnEntity[]} the objects to draw
+ */
+function inlineValues(
+    objects: DrawnEntity[],
+    language: string = "python"
+): DrawnEntity[] {
+    const inline = languageProfile(language).inline;
+    const values = new Map<string, InlineValue>();
+    for (const obj of objects) {
+        if (
+            inline.includes(obj.type) &&
+            obj.id !== null &&
+            obj.id !== undefined
+        ) {
+            values.set(String(obj.id), { type: obj.type, value: obj.value });
+        }
+    }
+    if (values.size === 0) {
+        return objects;
+    }
+
+    // The ids of the objects that are inlined in at least one slot, and of those that are keys of mappings.
+    const inlined = new Set<string>();
+    const keys = new Set<string>();
+    const inlineValue = (id) => {
+        if (id === null || id === undefined || !values.has(String(id))) {
+            return id;
+        }
+        inlined.add(String(id));
+        return values.get(String(id));
+    };
+
+    const drawn = objects.map((obj) => {
+        const category = typeCategory(obj.type, language);
+        if (
+            obj.type === ".frame" ||
+            obj.type === ".class" ||
+            category === "class" ||
+            category === "mapping"
+        ) {
+            if (obj.value === null || typeof obj.value !== "object") {
+                return obj;
+            }
+            if (category === "mapping") {
+                Object.keys(obj.value).forEach((key) => keys.add(key));
+            }
+            const value = Object.fromEntries(
+                Object.entries(obj.value).map(([key, id]) => [
+                    key,
+                    inlineValue(id),
+                ])
+            );
+            return obj.type === ".frame" && obj.return_value !== undefined
+                ? { ...obj, value, return_value: inlineValue(obj.return_value) }
+                : { ...obj, value };
+        } else if (category === "sequence" || category === "set") {
+            return Array.isArray(obj.value)
+                ? { ...obj, value: obj.value.map(inlineValue) }
+                : obj;
+        }
+        return obj;
+    });
+    return drawn.filter(
+        (obj) =>
+            !inline.includes(obj.type) ||
+            obj.id === null ||
+            obj.id === undefined ||
+            !inlined.has(String(obj.id)) ||
+            keys.has(String(obj.id))
+    );
+}
+
+/**
+ * Return whether the given value of a slot is an inlined value (see 'inlineValues'), rather than an id.
+ */
+function isInlineValue(value): value is InlineValue {
+    return value !== null && typeof value === "object";
+}
+
+/**
+ * Return the text of a slot holding a reference: the id written as in the given language (e.g. "id3" in Python, or
+ * "@3" in Java), the literal of a value inlined in the slot (see 'inlineValues'), or the text of a null reference.
+ * @param {number | string | InlineValue | null} target - the id (or value) held in the slot
+ * @param {string} language - the language of the memory model (see 'languages'; by default, "python")
+ */
+function slotText(target, language: string = "python"): string {
+    const profile = languageProfile(language);
+    if (target === null || target === undefined) {
+        return profile.null_reference;
+    } else if (isInlineValue(target)) {
+        return profile.literal(target.type, target.value);
+    }
+    return profile.reference(target);
+}
+
+export { inlineValues, isInlineValue, slotText };
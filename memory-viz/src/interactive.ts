@@ -0,0 +1,109 @@
+import { Theme } from "./types";
+
+/**
+ * Return the interactivity options of a diagram drawn with the given configuration (see 'draw').
+ */
+function interactivity(configuration): {
+    interactive: boolean;
+    embed_script: boolean;
+} {
+    return {
+        interactive: Boolean(configuration.interactive),
+        embed_script: Boolean(configuration.embed_script),
+    };
+}
+
+/**
+ * Return the CSS that shows the elements highlighted by 'enableInteraction', in the colors of the given theme.
+ */
+function interactiveStyle(theme: Theme): string {
+    const fill = theme.highlight_fill;
+    return [
+        ".memory-viz-entity[data-id], .memory-viz-slot { cursor: pointer; }",
+        `.memory-viz-entity.memory-viz-highlighted > .memory-viz-hit { fill: ${fill}; fill-opacity: 0.4; }`,
+        `.memory-viz-entity.memory-viz-related > .memory-viz-hit { fill: ${fill}; fill-opacity: 0.15; }`,
+        `.memory-viz-slot.memory-viz-highlighted { fill: ${fill}; fill-opacity: 0.4; stroke: ${theme.stroke}; stroke-width: 3; }`,
+        ".memory-viz-arrow.memory-viz-highlighted * { stroke-width: 3; }",
+    ].join("\n");
+}
+
+/**
+ * Make a diagram drawn with `interactive: true` respond to the mouse: hovering a reference slot (e.g. id3 in a list)
+ * highlights the object it refers to (object 3) and its arrow, and hovering an object highlights every slot (and
+ * arrow) that refers to it, along with the objects and stack frames containing these slots.
+ *
+ * Highlighted elements are given the "memory-viz-highlighted" class, and the objects containing the slots that refer
+ * to a hovered object the "memory-viz-related" class, which are styled by the CSS embedded in interactive diagrams.
+ * This function is also embedded in the diagram with `embed_script: true`, so it must not refer to anything outside
+ * of its body.
+ *
+ * @param {SVGSVGElement} svg - the diagram, in a browser (e.g. the SVG element of the serialized diagram, inserted in
+ *                              a web page)
+ * @returns {function} a function that removes the highlights and stops responding to the mouse
+ */
+function enableInteraction(svg: SVGSVGElement): () => void {
+    const HIGHLIGHTED = "memory-viz-highlighted";
+    const RELATED = "memory-viz-related";
+
+    // Loops and spreads are transpiled into calls to helpers defined outside of this function, so arrays are only
+    // iterated with their methods.
+    const elements = (class_name: string, attribute: string, value: string) =>
+        Array.from(svg.getElementsByClassName(class_name)).filter(
+            (element) => element.getAttribute(attribute) === value
+        );
+    const highlight = (element: Element) => element.classList.add(HIGHLIGHTED);
+
+    const clear = () => {
+        [HIGHLIGHTED, RELATED].forEach((class_name) => {
+            Array.from(svg.getElementsByClassName(class_name)).forEach(
+                (element) => element.classList.remove(class_name)
+            );
+        });
+    };
+
+    const onMouseOver = (event: Event) => {
+        clear();
+        const target = event.target as Element;
+        const slot = target.closest(".memory-viz-slot");
+        if (slot !== null) {
+            // A reference: the object it refers to, and its arrow.
+            highlight(slot);
+            elements(
+                "memory-viz-entity",
+                "data-id",
+                slot.getAttribute("data-ref")
+            ).forEach(highlight);
+            elements(
+                "memory-viz-arrow",
+                "data-slot",
+                slot.getAttribute("data-slot")
+            ).forEach(highlight);
+            return;
+        }
+
+        const entity = target.closest(".memory-viz-entity[data-id]");
+        if (entity !== null) {
+            // An object: every reference to it, and the objects holding these references.
+            const id = entity.getAttribute("data-id");
+            highlight(entity);
+            elements("memory-viz-arrow", "data-ref", id).forEach(highlight);
+            elements("memory-viz-slot", "data-ref", id).forEach((reference) => {
+                highlight(reference);
+                const holder = reference.closest(".memory-viz-entity");
+                if (holder !== entity) {
+                    holder.classList.add(RELATED);
+                }
+            });
+        }
+    };
+
+    svg.addEventListener("mouseover", onMouseOver);
+    svg.addEventListener("mouseleave", clear);
+    return () => {
+        svg.removeEventListener("mouseover", onMouseOver);
+        svg.removeEventListener("mouseleave", clear);
+        clear();
+    };
+}
+
+export { enableInteraction, interactiveStyle, interactivity };
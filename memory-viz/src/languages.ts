@@ -0,0 +1,214 @@
+import { Language, LanguageProfile, TypeInfo } from "./types";
+
+const primitive: Required<TypeInfo> = { category: "primitive", mutable: false };
+
+/**
+ * Return a table of the given types, which all have the same category and mutability.
+ */
+function typesOf(
+    names: string[],
+    info: Required<TypeInfo>
+): Record<string, Required<TypeInfo>> {
+    return Object.fromEntries(names.map((name) => [name, info]));
+}
+
+/**
+ * Return the Python literal for the bytes whose values are the code points of the characters of 'value'
+ * (e.g., b"a\x00"), in the same quotes as strings.
+ */
+function bytesLiteral(value: string): string {
+    const escapes = { "\t": "\\t", "\n": "\\n", "\r": "\\r" };
+    const body = value
+        .replace(/[\\"]/g, "\\$&")
+        .replace(/[^\x20-\x7e]/g, (char) =>
+            escapes.hasOwnProperty(char)
+                ? escapes[char]
+                : `\\x${char.charCodeAt(0).toString(16).padStart(2, "0")}`
+        );
+    return `b"${body}"`;
+}
+
+/**
+ * Return the literal of a character, in single quotes (e.g., 'c' or '\'').
+ */
+function charLiteral(value): string {
+    return `'${String(value).replace(/[\\']/g, "\\$&")}'`;
+}
+
+// Java primitives live in the variables and arrays that hold them, while everything else is an object on the heap.
+const java_primitives = [
+    "int",
+    "long",
+    "short",
+    "byte",
+    "double",
+    "float",
+    "char",
+    "boolean",
+];
+
+// JavaScript primitives are values, which are never shared between variables.
+const javascript_primitives = [
+    "number",
+    "string",
+    "boolean",
+    "bigint",
+    "symbol",
+    "undefined",
+    "null",
+];
+
+// C has no objects: variables and array elements hold values, or pointers to other memory.
+const c_primitives = [
+    "int",
+    "long",
+    "short",
+    "char",
+    "float",
+    "double",
+    "bool",
+    "size_t",
+    "unsigned",
+];
+
+/**
+ * The memory model of each language: the types MemoryViz knows how to draw (see 'registerType' for what their
+ * categories mean), which primitive values are drawn in the slots that hold them, and how values and references
+ * are written.
+ */
+const languages: Record<Language, LanguageProfile> = {
+    python: {
+        types: {
+            ...typesOf(
+                [
+                    "int",
+                    "float",
+                    "complex",
+                    "bool",
+                    "str",
+                    "bytes",
+                    "None",
+                    "range",
+                    "Decimal",
+                    "date",
+                ],
+                primitive
+            ),
+            list: { category: "sequence", mutable: true },
+            tuple: { category: "sequence", mutable: false },
+            set: { category: "set", mutable: true },
+            frozenset: { category: "set", mutable: false },
+            dict: { category: "mapping", mutable: true },
+        },
+        inline: [],
+        null_reference: "",
+        literal: (type, value) => {
+            if (type === "bool") {
+                return value ? "True" : "False";
+            } else if (type === "str") {
+                return JSON.stringify(value);
+            } else if (type === "bytes") {
+                return bytesLiteral(String(value));
+            }
+            return String(value);
+        },
+        reference: (id) => `id${id}`,
+    },
+    java: {
+        types: {
+            ...typesOf(
+                [
+                    ...java_primitives,
+                    "Integer",
+                    "Long",
+                    "Short",
+                    "Byte",
+                    "Double",
+                    "Float",
+                    "Character",
+                    "Boolean",
+                    "String",
+                ],
+                primitive
+            ),
+            ...typesOf(["ArrayList", "LinkedList", "List"], {
+                category: "sequence",
+                mutable: true,
+            }),
+            ...typesOf(["HashSet", "LinkedHashSet", "TreeSet", "Set"], {
+                category: "set",
+                mutable: true,
+            }),
+            ...typesOf(["HashMap", "LinkedHashMap", "TreeMap", "Map"], {
+                category: "mapping",
+                mutable: true,
+            }),
+        },
+        array_type: /\[\]$/,
+        inline: java_primitives,
+        null_reference: "null",
+        literal: (type, value) => {
+            if (type === "char" || type === "Character") {
+                return charLiteral(value);
+            } else if (type === "String") {
+                return JSON.stringify(value);
+            }
+            return String(value);
+        },
+        reference: (id) => `@${id}`,
+    },
+    javascript: {
+        types: {
+            ...typesOf(javascript_primitives, primitive),
+            Array: { category: "sequence", mutable: true },
+            Set: { category: "set", mutable: true },
+            Map: { category: "mapping", mutable: true },
+            Object: { category: "class", mutable: true },
+        },
+        inline: javascript_primitives,
+        null_reference: "null",
+        literal: (type, value) => {
+            if (type === "string") {
+                return JSON.stringify(value);
+            } else if (type === "bigint") {
+                return `${value}n`;
+            } else if (type === "null" || type === "undefined") {
+                return type;
+            }
+            return String(value);
+        },
+        reference: (id) => `@${id}`,
+    },
+    c: {
+        types: typesOf(c_primitives, primitive),
+        array_type: /\[\d*\]$/,
+        inline: c_primitives,
+        null_reference: "NULL",
+        literal: (type, value) =>
+            type === "char" ? charLiteral(value) : String(value),
+        // Numeric ids are written as (hexadecimal) addresses, e.g. 0x001c for 28.
+        reference: (id) =>
+            typeof id === "number"
+                ? `0x${id.toString(16).padStart(4, "0")}`
+                : `0x${id}`,
+    },
+};
+
+/**
+ * Return the profile of the given language (see 'languages').
+ * @param {string} language - the name of the language (by default, "python")
+ * @returns {LanguageProfile} the profile of the language
+ * @throws {Error} if the language is not one of those in 'languages'
+ */
+function languageProfile(language: string = "python"): LanguageProfile {
+    if (!languages.hasOwnProperty(language)) {
+        throw new Error(
+            `Unknown language '${language}': expected one of ${Object.keys(
+                languages
+            ).join(", ")}.`
+        );
+    }
+    return languages[language];
+}
+
+export { languages, languageProfile };
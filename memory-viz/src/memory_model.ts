@@ -2,16 +2,46 @@ import rough from "roughjs";
 
 import merge from "deepmerge";
 
-import {
-    collections,
-    default_text_style,
-    immutable,
-    populateStyleObject,
-    presets,
-} from "./style";
+import { defaultTextStyle, populateStyleObject, themePresets } from "./style";
 import { config } from "./config";
 import { DOMImplementation, XMLSerializer } from "@xmldom/xmldom";
-import { DrawnEntity } from "./types";
+import {
+    AttributeStyle,
+    Bounds,
+    DiagramSource,
+    DrawnBox,
+    DrawnEntity,
+    ExportOptions,
+    Language,
+    Measurement,
+    Point,
+    ReferenceSlot,
+    Renderer,
+    SceneShape,
+    SizeLimits,
+    Style,
+    Theme,
+} from "./types";
+import { arrowHead, routeArrow } from "./arrows";
+import { formatFromPath, svgToPDF, svgToPNG } from "./export";
+import { modelToDOT, modelToMermaid, modelToTikZ } from "./text_export";
+import { measureText } from "./text_measurement";
+import { isImmutable, primitiveText, typeCategory } from "./type_registry";
+import { resolveTheme } from "./themes";
+import { languageProfile } from "./languages";
+import { isInlineValue, slotText } from "./inline_values";
+import { reachability } from "./reachability";
+import { CleanSVG } from "./clean_svg";
+import { renderShape, translateShape, translateSlot } from "./scene";
+import { SOURCE_METADATA_ID } from "./source";
+import { enableInteraction, interactiveStyle } from "./interactive";
+import {
+    hiddenItemsText,
+    intoRows,
+    shownIndexes,
+    sizeLimits,
+    valueLines,
+} from "./size_limits";
 
 // Dynamic import of Node fs module
 let fs;
@@ -28,18 +58,39 @@ export class MemoryModel {
      * @property {object} rough_svg - Instantiating a RoughSVG object by passing the root svg node (this.svg) to the
      *                                'rough.svg()' method. As per the documentation of the 'rough' library,
      *                                "RoughSVG provides the main interface to work with this library".
+     *                                With the "clean" renderer, this is a CleanSVG object instead, which has the same
+     *                                drawing methods but draws plain SVG shapes.
      *
      * NOTE: Other properties of this class are a consequence of the constant 'config' object in the bottom of this file.
-     *       These include 'id_colour', 'obj_min_width', and 'font_size'. The 'config' constant also contains default
+     *       These include 'obj_min_width' and 'font_size'. The 'config' constant also contains default
      *       values for these properties.
      *       Moreover, width and height can be optionally set for the canvas by passing them as attributes
-     *       to the 'options' argument.
+     *       to the 'options' argument, and the colors and font can be set with the 'theme' option (the name of a
+     *       built-in theme, or a theme object). The 'text_color', 'value_color', 'id_color' and 'rect_style'
+     *       options take precedence over the theme. The 'renderer' option is "rough" (the default) for the
+     *       hand-drawn look, or "clean" for plain SVG shapes with the same geometry. With the 'interactive' option,
+     *       the shapes of each object are grouped and tagged (see 'drawAll'), and with 'embed_script', the diagram
+     *       also contains the script of 'enableInteraction'.
+     *       The 'language' option (by default, "python") sets the memory model of the diagram (see 'languages'):
+     *       the built-in types, the literals of primitive values and how references are written.
+     *       The 'draw' methods only compute the shapes of the diagram (in 'scene'), which are rendered to the SVG
+     *       element by 'renderScene' when the SVG is first used (see 'svg'). With the 'layout_only' option, the
+     *       shapes are never rendered, so that no DOM document, SVG element or Rough.js object is created: this is
+     *       how 'getSize' measures objects.
      *
      */
     document: Document;
-    svg: SVGSVGElement;
+    svg_element: SVGSVGElement; // The SVG element the scene is rendered to (see 'svg')
     rough_svg: any;
-    rect_style: object;
+    renderer: Renderer; // Whether shapes are drawn by Rough.js ("rough") or as plain SVG shapes ("clean")
+    interactive: boolean; // Whether objects and reference slots are tagged, so that they can be highlighted
+    embed_script: boolean; // Whether interactive diagrams contain the script that highlights them
+    layout_only: boolean; // Whether the shapes are only computed, without rendering them to SVG
+    language: Language; // The language whose memory model is drawn
+    theme: Theme; // The colors and font of the diagram
+    rect_style: object; // Default style of boxes and arrows
+    default_text_style: AttributeStyle; // Default style of text
+    presets: Record<string, Style>; // The style presets, with the colors of the theme
     text_color: string; // Default text color
     value_color: string; // Text color for primitive values
     id_color: string; // Text color for object ids
@@ -53,30 +104,61 @@ export class MemoryModel {
     double_rect_sep: number; // Separation between double boxes around immutable objects
     list_index_sep: number; // Vertical offset for list index labels
     font_size: number; // Font size, in px
+    arrow_head_size: number; // Length of the arrowheads drawn on reference arrows
+    arrow_loop_gap: number; // Distance between a box and an arrow looping around it (for self-references)
+    max_items: number; // Maximum number of elements (or entries) shown in a collection
+    items_per_row: number; // Maximum number of elements in each row of a sequence
+    max_value_length: number; // Maximum number of characters in each line of a primitive value
+    wrap_values: boolean; // Whether long primitive values are wrapped over several lines, rather than truncated
     browser: boolean; // Whether this library is being used in a browser context
     roughjs_config: object; // Configuration object used to pass in options to rough.js
+    reference_slots: ReferenceSlot[] = []; // The reference slots drawn by the most recent call to drawAll
+    drawn_boxes: DrawnBox[] = []; // The boxes of every object drawn by drawAll, in the order they were drawn
+    scene: SceneShape[] = []; // The geometry of every shape drawn, in the order they were drawn
+    rendered_shapes: number = 0; // How many shapes of the scene have been rendered to the SVG element
+    measurements = new WeakMap<DrawnEntity, Measurement>(); // The objects measured by 'measure', which 'drawAll' reuses
+    source: DiagramSource | null = null; // What the diagram was drawn from, if it is embedded (see 'embedSource')
 
     constructor(options?: any) {
         options = options || {};
-        if (options.browser) {
-            this.document = document;
-        } else {
-            this.document = new DOMImplementation().createDocument(
-                "http://www.w3.org/1999/xhtml",
-                "html",
-                null
+        this.roughjs_config = options.roughjs_config;
+        this.renderer = options.renderer ?? "rough";
+        this.layout_only = Boolean(options.layout_only);
+        // Layout-only models have no SVG to tag for interactivity.
+        this.interactive = Boolean(options.interactive) && !this.layout_only;
+        this.embed_script = Boolean(options.embed_script);
+        if (this.renderer !== "clean" && this.renderer !== "rough") {
+            throw new Error(
+                `Unknown renderer '${this.renderer}': expected "rough" or "clean".`
             );
         }
+        this.language = options.language ?? "python";
+        // Unknown languages are reported as soon as the diagram is created.
+        languageProfile(this.language);
 
-        this.svg = this.document.createElementNS(
-            "http://www.w3.org/2000/svg",
-            "svg"
-        );
+        if (!this.layout_only) {
+            if (options.browser) {
+                this.document = document;
+            } else {
+                this.document = new DOMImplementation().createDocument(
+                    "http://www.w3.org/1999/xhtml",
+                    "html",
+                    null
+                );
+            }
 
-        this.svg.setAttribute("width", options.width || 800);
-        this.svg.setAttribute("height", options.height || 800);
-        this.roughjs_config = options.roughjs_config;
-        this.rough_svg = rough.svg(this.svg, this.roughjs_config);
+            this.svg_element = this.document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "svg"
+            );
+
+            this.svg_element.setAttribute("width", options.width || 800);
+            this.svg_element.setAttribute("height", options.height || 800);
+            this.rough_svg =
+                this.renderer === "clean"
+                    ? new CleanSVG(this.svg_element)
+                    : rough.svg(this.svg_element, this.roughjs_config);
+        }
 
         // The user must not directly use this constructor; their only interaction should be with 'user_functions.draw'.
         for (const key in config) {
@@ -84,6 +166,61 @@ export class MemoryModel {
                 ? options[key]
                 : config[key];
         }
+
+        this.theme = { ...resolveTheme(options.theme) };
+        for (const key of ["text_color", "value_color", "id_color"]) {
+            if (options.hasOwnProperty(key)) {
+                this.theme[key] = options[key];
+            }
+        }
+        this.text_color = this.theme.text_color;
+        this.value_color = this.theme.value_color;
+        this.id_color = this.theme.id_color;
+        this.rect_style = {
+            stroke: this.theme.stroke,
+            strokeWidth: this.theme.stroke_width,
+            ...options.rect_style,
+        };
+        this.default_text_style = defaultTextStyle(this.theme, this.font_size);
+        this.presets = themePresets(this.theme);
+
+        if (!this.layout_only && this.theme.background !== "none") {
+            const background = this.document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "rect"
+            );
+            background.setAttribute("width", "100%");
+            background.setAttribute("height", "100%");
+            background.setAttribute("fill", this.theme.background);
+            this.svg_element.appendChild(background);
+        }
+    }
+
+    /**
+     * The SVG element of the diagram, with every shape of the scene rendered to it (see 'renderScene').
+     */
+    get svg(): SVGSVGElement {
+        this.renderScene();
+        return this.svg_element;
+    }
+
+    /**
+     * Render the shapes added to the scene since the last call to the SVG element, in order (nothing is rendered if
+     * the model is layout-only). This is the only step of drawing that creates DOM elements and Rough.js shapes.
+     */
+    renderScene() {
+        if (this.layout_only || this.rendered_shapes === this.scene.length) {
+            return;
+        }
+        for (const shape of this.scene.slice(this.rendered_shapes)) {
+            this.svg_element.appendChild(
+                renderShape(shape, this.rough_svg, this.document)
+            );
+        }
+        this.rendered_shapes = this.scene.length;
+        if (this.interactive) {
+            this.addInteractivity();
+        }
     }
 
     /**
@@ -97,24 +234,136 @@ export class MemoryModel {
     }
 
     /**
-     * Save the current image to an SVG file at the given path.
-     * If path is undefined, write the svg to stdout instead.
+     * Embed the given source of the diagram in a metadata element at the start of the SVG, so that it is kept in the
+     * serialized SVG and in saved SVG files, where 'load' can read it back. This is done by 'draw' with
+     * `embed_source: true`.
+     * @param {DiagramSource} source - the objects, automation and configuration the diagram was drawn with
+     */
+    embedSource(source: DiagramSource) {
+        this.source = source;
+        const metadata = this.document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "metadata"
+        );
+        metadata.setAttribute("id", SOURCE_METADATA_ID);
+        metadata.appendChild(
+            this.document.createTextNode(JSON.stringify(source))
+        );
+        this.svg.insertBefore(metadata, this.svg.firstChild);
+    }
+
+    /**
+     * Save the current image to a file at the given path.
+     * If path is undefined, write the image to stdout instead.
+     * The image is saved as an SVG, unless another format is given or the path ends in the extension of another
+     * format (".png", ".pdf", ".dot" or ".gv", ".mmd" or ".tex").
      * @param path - The repository (local location that the image
      * will be saved).
+     * @param {ExportOptions} options - The format of the image ("svg", "png", "pdf", "dot", "mermaid" or "tikz"), and
+     *                                  the scale of PNG images.
+     * @returns {Promise<void>} a promise that resolves once the image has been written
      */
-    save(path) {
-        const xml = this.serializeSVG();
-        if (path === undefined) {
-            console.log(xml);
-        } else {
-            fs.writeFile(path, xml, (err) => {
-                if (err) {
-                    console.error(err);
+    async save(path?: string, options: ExportOptions = {}): Promise<void> {
+        const format =
+            options.format ||
+            (path === undefined ? "svg" : formatFromPath(path));
+        try {
+            let contents: string | Buffer;
+            if (format === "svg") {
+                contents = this.serializeSVG() as string;
+            } else if (format === "png") {
+                contents = this.toPNG(options.scale);
+            } else if (format === "pdf") {
+                contents = await this.toPDF();
+            } else if (format === "dot") {
+                contents = this.toDOT();
+            } else if (format === "mermaid") {
+                contents = this.toMermaid();
+            } else if (format === "tikz") {
+                contents = this.toTikZ();
+            } else {
+                throw new Error(
+                    `Unsupported format '${format}' (expected svg, png, pdf, dot, mermaid or tikz).`
+                );
+            }
+
+            if (path === undefined) {
+                if (typeof contents === "string") {
+                    console.log(contents);
+                } else {
+                    process.stdout.write(contents);
                 }
-            });
+            } else {
+                await fs.promises.writeFile(path, contents);
+            }
+        } catch (err) {
+            console.error(err);
         }
     }
 
+    /**
+     * Save the current image to a PNG file at the given path.
+     * @param path - The local location that the image will be saved.
+     * @param {number} scale - The factor by which to scale the image up (e.g. 2 for high-DPI screens).
+     * @returns {Promise<void>} a promise that resolves once the image has been written
+     */
+    savePNG(path?: string, scale: number = 1): Promise<void> {
+        return this.save(path, { format: "png", scale });
+    }
+
+    /**
+     * Save the current image to a PDF file at the given path.
+     * @param path - The local location that the image will be saved.
+     * @returns {Promise<void>} a promise that resolves once the image has been written
+     */
+    savePDF(path?: string): Promise<void> {
+        return this.save(path, { format: "pdf" });
+    }
+
+    /**
+     * Render the current image to PNG. This is only available in Node.
+     * @param {number} scale - The factor by which to scale the image up (e.g. 2 for high-DPI screens).
+     * @returns {Buffer} the contents of the PNG file
+     */
+    toPNG(scale: number = 1): Buffer {
+        return svgToPNG(this.serializeSVG() as string, scale);
+    }
+
+    /**
+     * Render the current image to a single-page PDF, keeping the text selectable. This is only available in Node.
+     * @returns {Promise<Buffer>} the contents of the PDF file
+     */
+    toPDF(): Promise<Buffer> {
+        return svgToPDF(this.serializeSVG() as string);
+    }
+
+    /**
+     * Return the Graphviz DOT code of the objects drawn by drawAll: stack frames and objects are record nodes, pinned
+     * to their positions in the SVG, and references are edges. Render it with `neato -n` (or `dot -Kneato -n`).
+     * @returns {string} the DOT code
+     */
+    toDOT(): string {
+        return modelToDOT(this);
+    }
+
+    /**
+     * Return the Mermaid flowchart of the objects drawn by drawAll, with an edge for every reference. Mermaid lays out
+     * flowcharts itself, so the nodes are only declared in the order of their positions in the SVG.
+     * @returns {string} the Mermaid code
+     */
+    toMermaid(): string {
+        return modelToMermaid(this);
+    }
+
+    /**
+     * Return the TikZ code (for LaTeX) of the objects drawn by drawAll, with every box at its position in the SVG.
+     * @param {boolean} arrows - whether to draw an arrow from every reference to the object it refers to
+     * @returns {string} the code of a tikzpicture environment
+     */
+    toTikZ(arrows: boolean = false): string {
+        return modelToTikZ(this, arrows);
+    }
+
     /**
      * Render the image (show the output) SVG to a given canvas object.
      * @param canvas - the element that will be used to draw graphics
@@ -140,7 +389,24 @@ export class MemoryModel {
     }
 
     /**
-     * Distribute the object drawing depending on type
+     * Return the size limits of an object with the given limits, where the limits it does not set are those of the
+     * diagram.
+     * @param {SizeLimits} limits - the limits set for the object
+     * @returns {Required<SizeLimits>} every size limit of the object
+     */
+    sizeLimits(limits: SizeLimits = {}): Required<SizeLimits> {
+        return {
+            max_items: this.max_items,
+            items_per_row: this.items_per_row,
+            max_value_length: this.max_value_length,
+            wrap_values: this.wrap_values,
+            ...sizeLimits(limits),
+        };
+    }
+
+    /**
+     * Distribute the object drawing depending on the category of its type (see 'registerType'). Types that are
+     * neither built-in nor registered are drawn as primitives.
      * @param {number} x - value for x coordinate of top left corner
      * @param {number} y - value for y coordinate of top left corner
      * @param {string} type - the data type (e.g. list, int) of the object we want draw
@@ -150,14 +416,24 @@ export class MemoryModel {
      * @param {Object} style - The style configuration for the drawings on the canvas (e.g. highlighting, bold texts)
      * For style, firstly refer to `style.md` and `presets.md`. For the styling options in terms of texts, refer to
      * the SVG documentation. For the styling options in terms of boxes, refer to the Rough.js documentation.
+     * @param {SizeLimits} limits - the size limits of this object, which take precedence over those of the diagram
      */
-    drawObject(x, y, type, id, value, show_indexes, style) {
-        if (collections.includes(type)) {
-            if (type === "dict") {
-                return this.drawDict(x, y, id, value, style);
-            } else if (type === "set") {
-                return this.drawSet(x, y, id, value, style);
-            } else if (type === "list" || type === "tuple") {
+    drawObject(
+        x,
+        y,
+        type,
+        id,
+        value,
+        show_indexes,
+        style,
+        limits: SizeLimits = {}
+    ) {
+        switch (typeCategory(type, this.language)) {
+            case "mapping":
+                return this.drawDict(x, y, id, value, style, type, limits);
+            case "set":
+                return this.drawSet(x, y, id, value, style, type, limits);
+            case "sequence":
                 return this.drawSequence(
                     x,
                     y,
@@ -165,11 +441,13 @@ export class MemoryModel {
                     id,
                     value,
                     show_indexes,
-                    style
+                    style,
+                    limits
                 );
-            }
-        } else {
-            return this.drawPrimitive(x, y, type, id, value, style);
+            case "class":
+                return this.drawClass(x, y, type, id, value, false, style);
+            default:
+                return this.drawPrimitive(x, y, type, id, value, style, limits);
         }
     }
 
@@ -183,60 +461,60 @@ export class MemoryModel {
      * @param {Object} style - The style configuration for the drawings on the canvas (e.g. highlighting, bold texts)
      * For the styling options in terms of texts, refer to the SVG documentation. For the styling options in terms of
      * boxes, refer to the Rough.js documentation.
+     * @param {SizeLimits} limits - the size limits of this object (max_value_length and wrap_values), which take precedence over those of the diagram
      */
-    drawPrimitive(x, y, type, id, value, style) {
+    drawPrimitive(x, y, type, id, value, style, limits: SizeLimits = {}) {
+        const { max_value_length, wrap_values } = this.sizeLimits(limits);
+        const lines =
+            value === null || value === undefined
+                ? []
+                : valueLines(
+                      primitiveText(type, value, this.language),
+                      max_value_length,
+                      wrap_values
+                  );
+        // Every line after the first one makes the box taller.
+        const line_height = 1.2 * this.font_size;
+        const box_height =
+            this.obj_min_height + Math.max(lines.length - 1, 0) * line_height;
+
         let box_width = Math.max(
             this.obj_min_width,
-            this.getTextLength(String(value)) + this.obj_x_padding
-        );
-        this.drawRect(
-            x,
-            y,
-            box_width,
-            this.obj_min_height,
-            style.box_container
+            ...lines.map(
+                (line) =>
+                    this.getTextLength(line, style.text_value) +
+                    this.obj_x_padding
+            )
         );
+        this.drawRect(x, y, box_width, box_height, style.box_container);
 
         let size = {
             width: box_width,
-            height: this.obj_min_height,
+            height: box_height,
             x: x,
             y: y,
         };
 
-        if (immutable.includes(type)) {
-            this.drawRect(
-                // While no style argument is provided, the drawRect method manages this scenario automatically.
-                x - this.double_rect_sep,
-                y - this.double_rect_sep,
-                box_width + 2 * this.double_rect_sep,
-                this.obj_min_height + 2 * this.double_rect_sep
-            );
+        if (isImmutable(type, this.language)) {
+            this.drawDoubleBorder(x, y, box_width, box_height);
             size = {
                 width: box_width + 2 * this.double_rect_sep,
-                height: this.obj_min_height + 2 * this.double_rect_sep,
+                height: box_height + 2 * this.double_rect_sep,
                 x: x - this.double_rect_sep,
                 y: y - this.double_rect_sep,
             };
         }
 
-        let display_text;
-        if (type === "bool") {
-            display_text = value ? "True" : "False";
-        } else if (type === "str") {
-            display_text = JSON.stringify(value);
-        } else {
-            display_text = String(value);
-        }
-
-        if (value !== null && value !== undefined) {
+        lines.forEach((line, i) => {
             this.drawText(
-                display_text,
+                line,
                 x + box_width / 2,
-                y + (this.obj_min_height + this.prop_min_height) / 2,
+                y +
+                    (this.obj_min_height + this.prop_min_height) / 2 +
+                    i * line_height,
                 style.text_value
             );
-        }
+        });
 
         this.drawProperties(id, type, x, y, box_width, style);
 
@@ -257,12 +535,12 @@ export class MemoryModel {
     drawProperties(id, type, x, y, width, style) {
         let id_box = Math.max(
             this.prop_min_width,
-            this.getTextLength(`id${id}`) + 10
+            this.getTextLength(this.referenceText(id), style.text_id) + 10
         );
 
         let type_box = Math.max(
             this.prop_min_width,
-            this.getTextLength(type) + 10
+            this.getTextLength(type, style.text_type) + 10
         );
 
         this.drawRect(x, y, id_box, this.prop_min_height, style.box_id);
@@ -275,7 +553,7 @@ export class MemoryModel {
         );
 
         this.drawText(
-            id === null ? "" : `id${id}`,
+            id === null ? "" : this.referenceText(id),
             x + id_box / 2,
             y + this.font_size * 1.5,
             style.text_id
@@ -290,10 +568,10 @@ export class MemoryModel {
     }
 
     /**
-     * Draw a sequence object (must be either a list or a tuple).
+     * Draw a sequence object (e.g., a list or a tuple).
      * @param {number} x - value for x coordinate of top left corner
      * @param {number} y - value for y coordinate of top left corner
-     * @param {string} type - the data type of the given object (tuple or list)
+     * @param {string} type - the data type of the given object (e.g., tuple or list)
      * @param {number} id - the hypothetical memory address number
      * @param {number[]} element_ids - the list of id's corresponding to the values stored in this set.
      *      NOTE:
@@ -317,20 +595,60 @@ export class MemoryModel {
      * @param {Object} style -  The style configuration for the drawings on the canvas (e.g. highlighting, bold texts)
      * For the styling options in terms of texts, refer to the SVG documentation. For the styling options in terms of
      * boxes, refer to the Rough.js documentation.
+     * @param {SizeLimits} limits - the size limits of this sequence (max_items and items_per_row), which take precedence over those of the diagram
      */
-    drawSequence(x, y, type, id, element_ids, show_idx, style) {
-        let box_width = this.obj_x_padding * 2;
-
-        element_ids.forEach((v) => {
-            box_width += Math.max(
-                this.item_min_width,
-                this.getTextLength(v === null ? "" : `id${v}`) + 10
-            );
-        });
+    drawSequence(
+        x,
+        y,
+        type,
+        id,
+        element_ids,
+        show_idx,
+        style,
+        limits: SizeLimits = {}
+    ) {
+        const { max_items, items_per_row } = this.sizeLimits(limits);
+        const indexes = shownIndexes(element_ids.length, max_items);
+        const hidden = element_ids.length - indexes.length + 1;
+
+        // The cells of the shown elements (and of the hidden elements, which share a single cell), in rows.
+        const rows = intoRows(
+            indexes.map((i) => {
+                const text =
+                    i === null
+                        ? hiddenItemsText(hidden)
+                        : this.referenceText(element_ids[i]);
+                return {
+                    index: i,
+                    text,
+                    width: Math.max(
+                        this.item_min_width,
+                        this.getTextLength(
+                            text,
+                            i === null ? {} : style.text_value
+                        ) + 10
+                    ),
+                };
+            }),
+            items_per_row
+        );
 
-        box_width = Math.max(this.obj_min_width, box_width);
+        let box_width = Math.max(
+            this.obj_min_width,
+            this.obj_x_padding * 2 +
+                Math.max(
+                    ...rows.map((row) =>
+                        row.reduce((total, cell) => total + cell.width, 0)
+                    )
+                )
+        );
 
-        let box_height = this.obj_min_height;
+        // Every row after the first one makes the box taller (leaving room for the indexes above it).
+        const row_step =
+            this.item_min_height +
+            this.item_min_height / 4 +
+            (show_idx ? this.list_index_sep : 0);
+        let box_height = this.obj_min_height + (rows.length - 1) * row_step;
         if (show_idx) {
             box_height += this.list_index_sep;
         }
@@ -339,16 +657,10 @@ export class MemoryModel {
 
         const size = { width: box_width, height: box_height, x: x, y: y };
 
-        if (immutable.includes(type)) {
-            this.drawRect(
-                x - this.double_rect_sep,
-                y - this.double_rect_sep,
-                box_width + 2 * this.double_rect_sep,
-                box_height + 2 * this.double_rect_sep
-            );
+        if (isImmutable(type, this.language)) {
+            this.drawDoubleBorder(x, y, box_width, box_height);
         }
 
-        let curr_x = x + this.item_min_width / 2;
         let item_y =
             y +
             this.prop_min_height +
@@ -359,42 +671,57 @@ export class MemoryModel {
         if (show_idx) {
             item_y += this.list_index_sep;
         }
-        element_ids.forEach((v, i) => {
-            const idv = v === null ? "" : `id${v}`;
-            const item_length = Math.max(
-                this.item_min_width,
-                this.getTextLength(idv) + 10
-            );
-            this.drawRect(curr_x, item_y, item_length, this.item_min_height);
-            this.drawText(
-                idv,
-                curr_x + item_length / 2,
-                item_y + this.item_min_height / 2 + this.font_size / 4,
-                style.text_value
-            );
-            if (show_idx) {
+        for (const row of rows) {
+            let curr_x = x + this.item_min_width / 2;
+            for (const { index, text, width } of row) {
+                if (index === null) {
+                    // The hidden elements are not in a box, as they do not stand for a single reference.
+                    this.drawText(
+                        text,
+                        curr_x + width / 2,
+                        item_y + this.item_min_height / 2 + this.font_size / 4,
+                        { ...this.default_text_style }
+                    );
+                    curr_x += width;
+                    continue;
+                }
+
+                this.drawRect(curr_x, item_y, width, this.item_min_height);
+                this.recordReference(
+                    element_ids[index],
+                    curr_x,
+                    item_y,
+                    width,
+                    this.item_min_height,
+                    String(index)
+                );
                 this.drawText(
-                    i,
-                    curr_x + item_length / 2,
-                    item_y - this.item_min_height / 4,
-                    style.text_id
+                    text,
+                    curr_x + width / 2,
+                    item_y + this.item_min_height / 2 + this.font_size / 4,
+                    style.text_value
                 );
-            }
-
-            curr_x += item_length;
-        });
+                if (show_idx) {
+                    this.drawText(
+                        index,
+                        curr_x + width / 2,
+                        item_y - this.item_min_height / 4,
+                        style.text_id
+                    );
+                }
 
-        if (type === "list") {
-            this.drawProperties(id, "list", x, y, box_width, style);
-        } else {
-            this.drawProperties(id, "tuple", x, y, box_width, style);
+                curr_x += width;
+            }
+            item_y += row_step;
         }
 
+        this.drawProperties(id, type, x, y, box_width, style);
+
         return size;
     }
 
     /**
-     * Draw a set object.
+     * Draw a set object (e.g., a set or a frozenset).
      * @param {number} x - value for x coordinate of top left corner
      * @param {number} y - value for y coordinate of top left corner
      * @param {number} id - the hypothetical memory address number
@@ -407,22 +734,50 @@ export class MemoryModel {
      *             memory boxes for all elements (with id's that match the id's held in 'element_ids').
      * @param {object} style - object defining the desired style of the sequence. Must abide by the structure defined
      *            in 'drawAll'.
+     * @param {string} type - the data type of the given object (e.g., set or frozenset)
+     * @param {SizeLimits} limits - the size limits of this set (max_items), which take precedence over those of the diagram
      *
      * Moreover, note that this program does not force that for every id in the element_ids argument there is
      * a corresponding object (and its memory box) in our canvas.
      *
      * @returns {number[]} the top-left coordinates, width, and height of the outermost box
      */
-    drawSet(x, y, id, element_ids, style) {
+    drawSet(
+        x,
+        y,
+        id,
+        element_ids,
+        style,
+        type = "set",
+        limits: SizeLimits = {}
+    ) {
+        const { max_items } = this.sizeLimits(limits);
+        const indexes = shownIndexes(element_ids.length, max_items);
+        const hidden = element_ids.length - indexes.length + 1;
+        const cells = indexes.map((i) => {
+            const text =
+                i === null
+                    ? hiddenItemsText(hidden)
+                    : this.referenceText(element_ids[i]);
+            return {
+                index: i,
+                text,
+                width: Math.max(
+                    this.item_min_width,
+                    this.getTextLength(
+                        text,
+                        i === null ? {} : style.text_value
+                    ) + 10
+                ),
+            };
+        });
+
         let box_width = this.obj_x_padding * 2;
-        element_ids.forEach((v) => {
-            box_width += Math.max(
-                this.item_min_width,
-                this.getTextLength(v === null ? "" : `id${v}`) + 10
-            );
+        cells.forEach((cell) => {
+            box_width += cell.width;
         });
         box_width = Math.max(this.obj_min_width, box_width);
-        box_width += ((element_ids.length - 1) * this.item_min_width) / 4; // Space for separators
+        box_width += ((cells.length - 1) * this.item_min_width) / 4; // Space for separators
 
         this.drawRect(
             x,
@@ -434,6 +789,10 @@ export class MemoryModel {
 
         const SIZE = { x, y, width: box_width, height: this.obj_min_height };
 
+        if (isImmutable(type, this.language)) {
+            this.drawDoubleBorder(x, y, box_width, this.obj_min_height);
+        }
+
         let curr_x = x + this.item_min_width / 2;
         let item_y =
             y +
@@ -445,74 +804,103 @@ export class MemoryModel {
         let item_text_y =
             item_y + this.item_min_height / 2 + this.font_size / 4;
 
-        element_ids.forEach((v, i) => {
-            const idv = v === null ? "" : `id${v}`;
-            const item_length = Math.max(
-                this.item_min_width,
-                this.getTextLength(idv) + 10
-            );
-            this.drawRect(curr_x, item_y, item_length, this.item_min_height);
-            this.drawText(
-                idv,
-                curr_x + item_length / 2,
-                item_text_y,
-                style.text_value
-            );
+        cells.forEach(({ index, text, width }, i) => {
+            if (index === null) {
+                this.drawText(text, curr_x + width / 2, item_text_y, {
+                    ...this.default_text_style,
+                });
+            } else {
+                const v = element_ids[index];
+                this.drawRect(curr_x, item_y, width, this.item_min_height);
+                this.recordReference(
+                    v,
+                    curr_x,
+                    item_y,
+                    width,
+                    this.item_min_height,
+                    String(v)
+                );
+                this.drawText(
+                    text,
+                    curr_x + width / 2,
+                    item_text_y,
+                    style.text_value
+                );
+            }
             if (i > 0) {
                 this.drawText(
                     ",",
                     curr_x - this.item_min_width / 8,
                     item_text_y,
-                    default_text_style
+                    { ...this.default_text_style }
                 );
             }
-            curr_x += item_length + this.item_min_height / 4;
+            curr_x += width + this.item_min_height / 4;
         });
 
-        this.drawProperties(id, "set", x, y, box_width, style);
-        this.drawText(
-            "{",
-            x + this.item_min_width / 4,
-            item_text_y,
-            default_text_style
-        );
+        this.drawProperties(id, type, x, y, box_width, style);
+        this.drawText("{", x + this.item_min_width / 4, item_text_y, {
+            ...this.default_text_style,
+        });
         this.drawText(
             "}",
             x + box_width - this.item_min_width / 4,
             item_text_y,
-            default_text_style
+            { ...this.default_text_style }
         );
 
         return SIZE;
     }
 
     /**
-     * Draw a dictionary object
+     * Draw a dictionary object (or any other mapping)
      * @param {number} x - value for x coordinate of top left corner
      * @param {number} y - value for y coordinate of top left corner
      * @param {number} id - the hypothetical memory address number
      * @param {object} obj - the object that will be drawn
      * @param {object} style - object defining the desired style of the sequence. Must abide by the structure defined
      *            in 'drawAll'.
+     * @param {string} type - the data type of the given object (e.g., dict)
+     * @param {SizeLimits} limits - the size limits of this mapping (max_items), which take precedence over those of the diagram
      *
      * @returns {object} the top-left coordinates, width, and height of the outermost box
      */
-    drawDict(x, y, id, obj, style) {
+    drawDict(x, y, id, obj, style, type = "dict", limits: SizeLimits = {}) {
+        const { max_items } = this.sizeLimits(limits);
+        const keys = Object.keys(obj);
+        const shown_keys = shownIndexes(keys.length, max_items).map((i) =>
+            i === null ? null : keys[i]
+        );
+        const hidden_text = hiddenItemsText(
+            keys.length - shown_keys.length + 1
+        );
+
         let box_width = this.obj_min_width;
         let box_height = this.prop_min_height + this.item_min_height / 2;
 
         let curr_y = y + this.prop_min_height + this.item_min_height / 2;
-        for (const k in obj) {
-            let idk = k === null ? "" : `id${k}`;
-            let idv = k === null || obj[k] === null ? "" : `id${obj[k]}`;
+        for (const k of shown_keys) {
+            if (k === null) {
+                // The hidden entries take up a row, with no key or value box.
+                box_width = Math.max(
+                    box_width,
+                    this.obj_x_padding * 2 + this.getTextLength(hidden_text)
+                );
+                curr_y += this.item_min_height * 1.5;
+                box_height += 1.5 * this.item_min_height;
+                continue;
+            }
+
+            let idk = this.referenceText(k);
+            let idv = this.referenceText(obj[k]);
 
             let key_box = Math.max(
                 this.item_min_width,
-                this.getTextLength(idk + 5)
+                this.getTextLength(idk + 5, style.text_value)
             );
             let value_box = Math.max(
                 this.item_min_width,
-                this.getTextLength(idv + 5)
+                this.getTextLength(idv + 5, style.text_value)
             );
 
             // Draw the rectangles representing the keys.
@@ -522,6 +910,15 @@ export class MemoryModel {
                 key_box,
                 this.item_min_height
             );
+            this.recordReference(
+                k,
+                x + this.obj_x_padding,
+                curr_y,
+                key_box,
+                this.item_min_height,
+                k,
+                true
+            );
 
             this.drawText(
                 idk,
@@ -545,14 +942,29 @@ export class MemoryModel {
         this.drawRect(x, y, box_width, box_height, style.box_container);
         const SIZE = { x, y, width: box_width, height: box_height };
 
+        if (isImmutable(type, this.language)) {
+            this.drawDoubleBorder(x, y, box_width, box_height);
+        }
+
         // A second loop, so that we can position the colon and value boxes correctly.
         curr_y = y + this.prop_min_height + this.item_min_height / 2;
-        for (const k in obj) {
-            let idv = k === null || obj[k] === null ? "" : `id${obj[k]}`;
+        for (const k of shown_keys) {
+            if (k === null) {
+                this.drawText(
+                    hidden_text,
+                    x + box_width / 2,
+                    curr_y + this.item_min_height / 2 + this.font_size / 4,
+                    { ...this.default_text_style }
+                );
+                curr_y += this.item_min_height * 1.5;
+                continue;
+            }
+
+            let idv = this.referenceText(obj[k]);
 
             let value_box = Math.max(
                 this.item_min_width,
-                this.getTextLength(idv + 5)
+                this.getTextLength(idv + 5, style.text_value)
             );
 
             // Draw the rectangle for values.
@@ -562,6 +974,14 @@ export class MemoryModel {
                 value_box,
                 this.item_min_height
             );
+            this.recordReference(
+                obj[k],
+                x + box_width / 2 + this.font_size,
+                curr_y,
+                value_box,
+                this.item_min_height,
+                k
+            );
 
             this.drawText(
                 ":",
@@ -580,7 +1000,7 @@ export class MemoryModel {
             curr_y += this.item_min_height * 1.5;
         }
 
-        this.drawProperties(id, "dict", x, y, box_width, style);
+        this.drawProperties(id, type, x, y, box_width, style);
 
         return SIZE;
     }
@@ -595,28 +1015,52 @@ export class MemoryModel {
      * @param {boolean} stack_frame - set to true if you are drawing a stack frame
      * @param {object} style - object defining the desired style of the sequence. Must abide by the structure defined
      *            in 'drawAll'.
+     * @param {number | string | null} return_value - the id of the value returned by a stack frame, which is drawn
+     *            in a "return" slot below its variables (below a dashed line); there is no such slot if undefined
      *
      * @returns {number[]} the top-left coordinates, width, and height of the outermost box
      */
-    drawClass(x, y, name, id, attributes, stack_frame, style) {
+    drawClass(
+        x,
+        y,
+        name,
+        id,
+        attributes,
+        stack_frame,
+        style,
+        return_value = undefined
+    ) {
+        const has_return = stack_frame && return_value !== undefined;
+        const return_style = { ...style.text_value, "font-style": "italic" };
+        const row_count =
+            Object.keys(attributes ?? {}).length + (has_return ? 1 : 0);
+
         let box_width = this.obj_min_width;
         let longest = 0;
         for (const attribute in attributes) {
-            longest = Math.max(longest, this.getTextLength(attribute));
+            longest = Math.max(
+                longest,
+                this.getTextLength(attribute, style.text_value)
+            );
+        }
+        if (has_return) {
+            longest = Math.max(
+                longest,
+                this.getTextLength("return", return_style)
+            );
         }
         if (longest > 0) {
             box_width = longest + this.item_min_width * 3;
         }
         box_width = Math.max(
             box_width,
-            this.prop_min_width + this.getTextLength(name) + 10
+            this.prop_min_width + this.getTextLength(name, style.text_type) + 10
         );
 
         let box_height = 0;
-        if (Object.keys(attributes).length > 0) {
+        if (row_count > 0) {
             box_height =
-                ((this.item_min_width * 3) / 2) *
-                    Object.keys(attributes).length +
+                ((this.item_min_width * 3) / 2) * row_count +
                 this.item_min_width / 2 +
                 this.prop_min_height;
         } else {
@@ -626,14 +1070,18 @@ export class MemoryModel {
 
         const SIZE = { x, y, width: box_width, height: box_height };
 
+        // Instances of classes registered as immutable (see 'registerType').
+        if (!stack_frame && isImmutable(name, this.language)) {
+            this.drawDoubleBorder(x, y, box_width, box_height);
+        }
+
         // Draw element boxes.
         let curr_y = y + this.prop_min_height + this.item_min_height / 2;
-        for (const attribute in attributes) {
-            const val = attributes[attribute];
-            let idv = val === null ? "" : `id${val}`;
+        const drawRow = (attribute, val, text_style) => {
+            let idv = this.referenceText(val);
             let attr_box = Math.max(
                 this.item_min_width,
-                this.getTextLength(idv) + 10
+                this.getTextLength(idv, style.text_id) + 10
             );
             this.drawRect(
                 x + box_width - this.item_min_width * 1.5,
@@ -641,13 +1089,21 @@ export class MemoryModel {
                 attr_box,
                 this.item_min_height
             );
+            this.recordReference(
+                val,
+                x + box_width - this.item_min_width * 1.5,
+                curr_y,
+                attr_box,
+                this.item_min_height,
+                attribute
+            );
 
             if (!stack_frame) {
-                if (!style.text_value.hasOwnProperty("fill")) {
-                    style.text_value["fill"] = this.text_color;
+                if (!text_style.hasOwnProperty("fill")) {
+                    text_style["fill"] = this.text_color;
                 }
-                if (!style.text_value.hasOwnProperty("text-anchor")) {
-                    style.text_value["text-anchor"] = "start";
+                if (!text_style.hasOwnProperty("text-anchor")) {
+                    text_style["text-anchor"] = "start";
                 }
             }
 
@@ -655,7 +1111,7 @@ export class MemoryModel {
                 attribute,
                 x + this.item_min_width / 2,
                 curr_y + this.item_min_height / 2 + this.font_size / 4,
-                style.text_value
+                text_style
             );
             this.drawText(
                 idv,
@@ -664,10 +1120,26 @@ export class MemoryModel {
                 style.text_id
             );
             curr_y += this.item_min_height * 1.5;
+        };
+        for (const attribute in attributes) {
+            drawRow(attribute, attributes[attribute], style.text_value);
+        }
+
+        if (has_return) {
+            // The return value is set apart from the variables of the frame.
+            const line_y = curr_y - this.item_min_height / 4;
+            this.drawLine(
+                [
+                    { x, y: line_y },
+                    { x: x + box_width, y: line_y },
+                ],
+                { strokeLineDash: [6, 6] }
+            );
+            drawRow("return", return_value, return_style);
         }
 
         if (stack_frame) {
-            let text_length = this.getTextLength(name);
+            let text_length = this.getTextLength(name, style.text_type);
             this.drawRect(
                 x,
                 y,
@@ -704,13 +1176,24 @@ export class MemoryModel {
         height: number,
         style?: object
     ) {
-        if (style === undefined) {
-            style = this.rect_style;
-        }
-        style = { ...style, config: this.roughjs_config };
+        style = { ...this.rect_style, ...style, config: this.roughjs_config };
+
+        this.addShape({ kind: "rect", x, y, width, height, style });
+    }
 
-        this.svg.appendChild(
-            this.rough_svg.rectangle(x, y, width, height, style)
+    /**
+     * Draw the second (outer) border around the box of an immutable object.
+     * @param {number} x - value for x coordinate of top left corner of the object's box
+     * @param {number} y - value for y coordinate of top left corner of the object's box
+     * @param {number} width - the width of the object's box
+     * @param {number} height - the height of the object's box
+     */
+    drawDoubleBorder(x: number, y: number, width: number, height: number) {
+        this.drawRect(
+            x - this.double_rect_sep,
+            y - this.double_rect_sep,
+            width + 2 * this.double_rect_sep,
+            height + 2 * this.double_rect_sep
         );
     }
 
@@ -729,31 +1212,232 @@ export class MemoryModel {
         style["x"] = x;
         style["y"] = y;
 
-        for (const style_attribute of Object.keys(default_text_style)) {
+        for (const style_attribute of Object.keys(this.default_text_style)) {
             if (!style.hasOwnProperty(style_attribute)) {
-                style[style_attribute] = default_text_style[style_attribute];
+                style[style_attribute] =
+                    this.default_text_style[style_attribute];
             }
         }
 
-        const newElement = this.document.createElementNS(
-            "http://www.w3.org/2000/svg",
-            "text"
+        this.addShape({
+            kind: "text",
+            text: String(text),
+            attributes: { ...style },
+        });
+    }
+
+    /**
+     * Add the given shape at the end of the scene (it is rendered to the SVG by 'renderScene').
+     * @param {SceneShape} shape - the geometry and style of the shape
+     */
+    addShape(shape: SceneShape) {
+        this.scene.push(shape);
+    }
+
+    /**
+     * Return the text of a box holding a reference, in the language of the diagram (see 'slotText').
+     * @param {number | string | InlineValue | null} target - the id (or value) held in the box
+     */
+    referenceText(target): string {
+        return slotText(target, this.language);
+    }
+
+    /**
+     * Record that a box holding a reference (an id) has been drawn, so that an arrow can later be drawn from it.
+     * @param {number | string | null} target - the id held in the box; nothing is recorded if this is null
+     * @param {number} x - value for x coordinate of top left corner of the box
+     * @param {number} y - value for y coordinate of top left corner of the box
+     * @param {number} width - the width of the box
+     * @param {number} height - the height of the box
+     * @param {string} key - the name, index, dictionary key or element id of the box in the object that contains it
+     * @param {boolean} mapping_key - whether the box holds the key (rather than the value) of an entry of a mapping
+     */
+    recordReference(
+        target,
+        x,
+        y,
+        width,
+        height,
+        key?: string,
+        mapping_key: boolean = false
+    ) {
+        if (target === null || target === undefined || isInlineValue(target)) {
+            return;
+        }
+        this.reference_slots.push(
+            mapping_key
+                ? { target, key, mapping_key, x, y, width, height }
+                : { target, key, x, y, width, height }
         );
+    }
 
-        for (const style_attribute of Object.keys(style)) {
-            newElement.setAttribute(style_attribute, style[style_attribute]);
+    /**
+     * Draw a line through the given points.
+     * @param {Point[]} points - the points of the line, in order
+     * @param {object | undefined} style - 1-D object with style properties for a Rough.js object, as per the
+     *                        Rough.js API. For instance, {stroke: 'red', strokeWidth: 2}.
+     */
+    drawLine(points: Point[], style?: object) {
+        style = { ...this.rect_style, ...style, config: this.roughjs_config };
+
+        this.addShape({ kind: "line", points, style });
+    }
+
+    /**
+     * Draw an arrow along the given route, with an arrowhead at its last point.
+     * @param {Point[]} points - the route of the arrow, as computed by 'routeArrow'
+     * @param {object | undefined} style - 1-D object with style properties for a Rough.js object, as per the
+     *                        Rough.js API. For instance, {stroke: 'red', strokeWidth: 2}.
+     */
+    drawArrow(points, style?: object) {
+        style = { ...this.rect_style, ...style, config: this.roughjs_config };
+
+        this.addShape({ kind: "line", points, style });
+        this.addShape({
+            kind: "polygon",
+            points: arrowHead(points, this.arrow_head_size),
+            style: { ...style, fill: style["stroke"], fillStyle: "solid" },
+        });
+    }
+
+    /**
+     * Draw an arrow from every recorded reference slot to the box of the object whose id the slot holds.
+     * Slots holding ids that do not belong to any drawn object are skipped.
+     * @param {Map} targets - a map from object ids (as strings, since dictionary keys are always strings) to the bounds
+     *                        of the corresponding object boxes
+     */
+    drawArrows(targets: Map<string, Bounds>) {
+        const obstacles = Array.from(targets.values());
+
+        for (const slot of this.reference_slots) {
+            const target = targets.get(String(slot.target));
+            if (target === undefined) {
+                continue;
+            }
+
+            const route = routeArrow(
+                slot,
+                target,
+                obstacles.filter((b) => b !== target && b !== slot.source),
+                this.arrow_loop_gap
+            );
+            const first_shape = this.scene.length;
+            this.drawArrow(route, slot.style);
+            if (this.interactive) {
+                this.groupShapes(first_shape, "memory-viz-arrow", {
+                    "data-ref": slot.target,
+                    "data-slot": this.reference_slots.indexOf(slot),
+                });
+            }
         }
+    }
 
-        newElement.appendChild(this.document.createTextNode(text));
-        this.svg.appendChild(newElement);
+    /**
+     * Replace the shapes of the scene from index 'first_shape' onwards by a group of these shapes with the given class
+     * and attributes (attributes with a null or undefined value are left out), and return the group.
+     */
+    groupShapes(
+        first_shape: number,
+        class_name: string,
+        attributes: Record<string, string | number | null | undefined>
+    ): SceneShape & { kind: "group" } {
+        const group = {
+            kind: "group" as const,
+            attributes: { class: class_name },
+            shapes: this.scene.splice(first_shape),
+        };
+        for (const [name, value] of Object.entries(attributes)) {
+            if (value !== null && value !== undefined) {
+                group.attributes[name] = value;
+            }
+        }
+        this.scene.push(group);
+        return group;
+    }
+
+    /**
+     * Group the shapes of an object drawn from index 'first_shape' of the scene, tagged with the object's id, type and
+     * name (see 'groupShapes'). The group starts with a transparent box over the whole object, and ends with a
+     * transparent box over each of its reference slots, tagged with the id it holds.
+     * @param {DrawnEntity} obj - the drawn object (or stack frame)
+     * @param {Bounds} size - the box of the object
+     * @param {number} first_shape - the index of the first shape of the object in 'scene'
+     * @param {number} first_slot - the index of the first reference slot of the object in 'reference_slots'
+     */
+    groupEntity(
+        obj: DrawnEntity,
+        size: Bounds,
+        first_shape: number,
+        first_slot: number
+    ) {
+        const group = this.groupShapes(first_shape, "memory-viz-entity", {
+            "data-id": obj.id,
+            "data-type": obj.type,
+            "data-name": obj.name,
+        });
+        group.shapes.unshift(this.hitBox(size, { class: "memory-viz-hit" }));
+        this.reference_slots.slice(first_slot).forEach((slot, i) => {
+            const attributes = {
+                class: "memory-viz-slot",
+                "data-ref": String(slot.target),
+                "data-slot": String(first_slot + i),
+            };
+            if (slot.key !== undefined) {
+                attributes["data-key"] = slot.key;
+            }
+            group.shapes.push(this.hitBox(slot, attributes));
+        });
+    }
+
+    /**
+     * Return a transparent box with the given bounds and attributes, which responds to the mouse.
+     */
+    hitBox(bounds: Bounds, attributes: AttributeStyle): SceneShape {
+        const { x, y, width, height } = bounds;
+        return { kind: "hit", x, y, width, height, attributes };
+    }
+
+    /**
+     * Add the CSS that styles highlighted elements to the diagram (and the script of 'enableInteraction', with
+     * 'embed_script'), unless it already has them.
+     */
+    addInteractivity() {
+        const svg_ns = "http://www.w3.org/2000/svg";
+        const svg = this.svg_element;
+        if (svg.getElementsByTagName("style").length === 0) {
+            const style = this.document.createElementNS(svg_ns, "style");
+            style.appendChild(
+                this.document.createTextNode(interactiveStyle(this.theme))
+            );
+            svg.insertBefore(style, svg.firstChild);
+        }
+        if (
+            this.embed_script &&
+            svg.getElementsByTagName("script").length === 0
+        ) {
+            const script = this.document.createElementNS(svg_ns, "script");
+            script.appendChild(
+                this.document.createCDATASection(
+                    `(${enableInteraction.toString()})(document.currentScript.ownerSVGElement || document.documentElement);`
+                )
+            );
+            svg.appendChild(script);
+        }
     }
 
     /**
-     * Return the length of this text.
+     * Return the length of this text (in whole pixels), when drawn with the given style.
      * @param {string} s - The given text.
+     * @param {Object} style - The SVG attributes of the text (e.g., style.text_value). Missing font attributes take
+     *                         their default values.
      */
-    getTextLength(s) {
-        return s.length * 12;
+    getTextLength(s, style = {}) {
+        const length = measureText(String(s), {
+            ...this.default_text_style,
+            ...style,
+        });
+        // Round up to whole pixels, so that box sizes (and the layout) stay readable.
+        return Math.ceil(length);
     }
 
     /**
@@ -783,63 +1467,202 @@ export class MemoryModel {
      *                                                     has a default value of false, and it shall be manually set
      *                                                     only if the object corresponds to a sequence (list or
      *                                                     tuple).
+     * @param {number | string | null=} objects[*].return_value - Applicable only for stack frames. The id of the
+     *                                                     value the frame is about to return, drawn in a "return" slot
+     *                                                     below its variables.
+     * @param {boolean=} objects[*].active = false - Applicable only for stack frames. Whether the frame is the one
+     *                                               currently executing; it is then drawn with the "active" preset
+     *                                               (before its own style).
+     * @param {number=} objects[*].max_items - The size limits of the object (along with items_per_row,
+     *                                         max_value_length and wrap_values), as described in 'SizeLimits'.
      * @param {object} objects[*].style - The style object with which the object will be rendered. Check the
      * `style.md` and `presets.md` documentation files in the `explanations` directory.
      *
+     * @param {boolean} arrows - whether to draw an arrow from every reference (id) held by an object to the box of the
+     *                            object with that id.
+     * @param {string | object | array | null} garbage_style - a style (in any of the forms accepted by objects[*].style,
+     *                            e.g. "fade") that is applied, after the object's own style, to every object that cannot
+     *                            be reached from any stack frame (see 'reachability'). If null, such objects are drawn
+     *                            as usual.
+     *
+     * If the diagram is interactive, the elements of each object are drawn in a "memory-viz-entity" group with
+     * data-id, data-type and data-name attributes, each reference slot is covered by a "memory-viz-slot" box with the
+     * id it holds in data-ref, and each arrow is drawn in a "memory-viz-arrow" group with the same data-ref (see
+     * 'enableInteraction').
+     *
      * Preconditions:
      *      - 'objects' is a valid object with the correct properties, as outlined above.
      */
-    drawAll(objects) {
+    drawAll(objects, arrows = false, garbage_style = null) {
         const sizes_arr = [];
+        const targets = new Map<string, Bounds>();
+        this.reference_slots = [];
+
+        const garbage =
+            garbage_style === null
+                ? new Set()
+                : new Set(
+                      Array.from(
+                          reachability(objects, this.language).unreachable,
+                          String
+                      )
+                  );
 
         for (const obj of objects) {
-            if (Array.isArray(obj.style)) {
-                // Parsing the 'objects' array is essential, potentially converting preset keywords into the
-                // current item's 'style' object.
-                let styleSoFar = {};
-
-                for (let el of obj.style) {
-                    if (typeof el === "string") {
-                        el = presets[el];
-                    }
-
-                    // Note that, the later will take precedence over styleSoFar.
-                    styleSoFar = merge(styleSoFar, el);
-                }
+            const obj_garbage_style =
+                garbage.has(String(obj.id)) && obj.type !== ".frame"
+                    ? garbage_style
+                    : null;
+            // Objects measured with the same style (see 'measure') are not drawn again, but moved to their position.
+            let measurement = this.measurements.get(obj);
+            if (measurement?.garbage_style !== obj_garbage_style) {
+                measurement = this.measure(obj, obj_garbage_style);
+            }
+            obj.style = measurement.style;
 
-                obj.style = styleSoFar;
+            const first_slot = this.reference_slots.length;
+            const first_shape = this.scene.length;
+            for (const shape of measurement.shapes) {
+                this.addShape(translateShape(shape, obj.x, obj.y));
+            }
+            const size = {
+                x: obj.x + measurement.x,
+                y: obj.y + measurement.y,
+                width: measurement.width,
+                height: measurement.height,
+            };
+            sizes_arr.push(size);
+
+            const slots = measurement.slots.map((slot) => ({
+                ...translateSlot(slot, obj.x, obj.y),
+                source: size,
+                style: obj.style.arrow,
+            }));
+            this.reference_slots.push(...slots);
+            this.drawn_boxes.push({ ...size, entity: obj, slots });
+            if (this.interactive) {
+                this.groupEntity(obj, size, first_shape, first_slot);
+            }
+            if (obj.id !== null && obj.id !== undefined) {
+                targets.set(String(obj.id), size);
             }
+        }
 
-            obj.style = populateStyleObject(obj, this.roughjs_config);
+        if (arrows) {
+            this.drawArrows(targets);
+        }
 
-            const frame_types = [".frame", ".blank-frame"];
-            if (frame_types.includes(obj.type) || obj.type === ".class") {
-                let is_frame = frame_types.includes(obj.type);
-
-                const size = this.drawClass(
-                    obj.x,
-                    obj.y,
-                    obj.name,
-                    obj.id,
-                    obj.value,
-                    is_frame,
-                    obj.style
-                );
-                sizes_arr.push(size);
-            } else {
-                const size = this.drawObject(
-                    obj.x,
-                    obj.y,
-                    obj.type,
-                    obj.id,
-                    obj.value,
-                    obj.show_indexes,
-                    obj.style
-                );
-                sizes_arr.push(size);
+        return sizes_arr;
+    }
+
+    /**
+     * Return the complete style of the given object (see 'drawAll'), without changing the object.
+     * @param {DrawnEntity} obj - the object, with its own style (if any)
+     * @param {string | object | array | null} garbage_style - the style applied after the object's own style, if it
+     *                                                          is unreachable (null otherwise)
+     */
+    entityStyle(obj: DrawnEntity, garbage_style = null): Style {
+        let style: any = obj.style;
+        if (garbage_style !== null) {
+            style = [].concat(style === undefined ? [] : style, garbage_style);
+        }
+        if (obj.type === ".frame" && obj.active) {
+            // The style of the object takes precedence over the "active" preset.
+            style = [].concat("active", style === undefined ? [] : style);
+        }
+        if (typeof style === "string") {
+            // A single preset name.
+            style = [style];
+        }
+        if (Array.isArray(style)) {
+            // Parsing the 'objects' array is essential, potentially converting preset keywords into the
+            // current item's 'style' object.
+            let styleSoFar = {};
+
+            for (let el of style) {
+                if (typeof el === "string") {
+                    el = this.presets[el];
+                }
+
+                // Note that, the later will take precedence over styleSoFar.
+                styleSoFar = merge(styleSoFar, el);
             }
+
+            style = styleSoFar;
         }
 
-        return sizes_arr;
+        return populateStyleObject(
+            { ...obj, style },
+            this.roughjs_config,
+            this.theme,
+            this.font_size,
+            this.language
+        );
+    }
+
+    /**
+     * Compute the shapes and reference slots of the given object drawn at (0, 0) with the settings of this diagram,
+     * without adding them to the diagram, and return them with the box of the object. 'drawAll' reuses the shapes of
+     * the objects measured by this diagram (moved to their positions), rather than drawing them again: this is how the
+     * automatic layout draws the objects it measured.
+     * @param {DrawnEntity} obj - the object (or stack frame), as given to 'drawAll' (its coordinates are ignored)
+     * @param {string | object | array | null} garbage_style - the style applied after the object's own style, if it
+     *                                                          is unreachable (null otherwise)
+     * @returns {Measurement} the box of the object, its complete style, and its shapes and reference slots
+     */
+    measure(obj: DrawnEntity, garbage_style = null): Measurement {
+        const style = this.entityStyle(obj, garbage_style);
+        const scene = this.scene;
+        const reference_slots = this.reference_slots;
+        const measurement: Measurement = {
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            style,
+            garbage_style,
+            shapes: [],
+            slots: [],
+        };
+        // The object is drawn in a scene (and with reference slots) of its own.
+        this.scene = measurement.shapes;
+        this.reference_slots = measurement.slots;
+        try {
+            const frame_types = [".frame", ".blank-frame"];
+            const size =
+                frame_types.includes(obj.type) || obj.type === ".class"
+                    ? this.drawClass(
+                          0,
+                          0,
+                          obj.name,
+                          obj.id,
+                          obj.value,
+                          frame_types.includes(obj.type),
+                          style,
+                          obj.type === ".frame" ? obj.return_value : undefined
+                      )
+                    : this.drawObject(
+                          0,
+                          0,
+                          obj.type,
+                          obj.id,
+                          obj.value,
+                          obj.show_indexes,
+                          style,
+                          sizeLimits(obj)
+                      );
+            // The box of immutable objects includes their outer border, which starts left of and above (0, 0).
+            Object.assign(measurement, {
+                x: size.x,
+                y: size.y,
+                width: size.width,
+                height: size.height,
+            });
+        } finally {
+            this.scene = scene;
+            this.reference_slots = reference_slots;
+        }
+        this.measurements.set(obj, measurement);
+        return measurement;
     }
 }
@@ -0,0 +1,709 @@
+import { DrawnEntity } from "./types";
+import { typeCategory } from "./type_registry";
+import { InvalidInputError, validate } from "./validate";
+
+/**
+ * An error thrown when text in the MemoryViz notation cannot be parsed, with the position (both 1-based) of the
+ * problem in the text.
+ */
+class NotationError extends Error {
+    line: number;
+    column: number;
+
+    constructor(message: string, line: number, column: number) {
+        super(`line ${line}, column ${column}: ${message}`);
+        this.name = "NotationError";
+        this.line = line;
+        this.column = column;
+    }
+}
+
+interface Token {
+    kind: "word" | "string" | "punctuation" | "newline" | "end";
+    text: string; // The text of a word or punctuation, or the decoded contents of a string
+    start: number; // The offsets of the token in the parsed text
+    end: number;
+    line: number;
+    column: number;
+}
+
+// The extension of files in the notation.
+const NOTATION_EXTENSION = ".mvz";
+
+const PUNCTUATION = ":,=|[](){}";
+const OPENING_BRACKETS = "[({";
+const CLOSING_BRACKETS = "])}";
+const STRING_ESCAPES = {
+    n: "\n",
+    t: "\t",
+    r: "\r",
+    "0": "\0",
+    "\\": "\\",
+    "'": "'",
+    '"': '"',
+};
+
+// The characters that can be written without quotes (e.g. names, types and ids), and the numbers among them.
+const WORD_PATTERN = /^[^\s:,=|#[\](){}"']+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// The attributes set after "|", by the kind of value they take.
+const FLAG_OPTIONS = ["active", "show_indexes", "wrap_values"];
+const NUMBER_OPTIONS = [
+    "x",
+    "y",
+    "width",
+    "height",
+    "max_items",
+    "items_per_row",
+    "max_value_length",
+];
+
+/**
+ * Parse text in the MemoryViz notation, a concise alternative to JSON input, into the objects accepted by 'draw'.
+ *
+ * Each line describes a stack frame, an object or a blank space (lines may be continued inside brackets, and "#"
+ * starts a comment), e.g.:
+ *
+ *     frame __main__: lst=id1, n=id2
+ *     id1 list [id2, id3] | show_indexes
+ *     id2 int 5
+ *     id3 str "hi" | style=highlight
+ *     id4 Point: x=id2, y=None
+ *     blank | width=100, height=50
+ *
+ * Objects start with their id (id1 for the id 1, idx or id"x" for the string id "x", or None), followed by their type
+ * and value: a list of ids in brackets for sequences, a set of ids or a dictionary of ids in braces for sets and
+ * mappings, a literal (a number, a quoted string, True, False or None) for primitives, and "name: attribute=id, ..."
+ * for class instances (a `.class` object, unless the name is a registered type). Attributes such as `show_indexes`,
+ * `return` (the return value of a stack frame), `x` and `style` (a preset name, or a style object in JSON) are set
+ * after "|".
+ *
+ * @param {string} text - the text to be parsed
+ * @returns {DrawnEntity[]} the objects, in the format described in MemoryModel.drawAll
+ * @throws {NotationError} if the text is not valid notation, with the line and column of the first problem
+ */
+function parseNotation(text: string): DrawnEntity[] {
+    return new NotationParser(text).parseObjects();
+}
+
+/**
+ * Return the given objects in the MemoryViz notation (see 'parseNotation'), one line per object.
+ *
+ * Attributes that have no equivalent in the notation (such as `rowBreaker`) are left out.
+ *
+ * @param {string | DrawnEntity[]} objects - the objects, in the format described in MemoryModel.drawAll
+ * @returns {string} the text, with a newline at the end of every line
+ * @throws {InvalidInputError} if the objects are not valid MemoryViz input (see 'validate')
+ */
+function toNotation(objects: DrawnEntity[]): string {
+    const errors = validate(objects).filter(
+        (error) => error.severity === "error"
+    );
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+    return objects.map((obj) => entityLine(obj) + "\n").join("");
+}
+
+class NotationParser {
+    text: string;
+    tokens: Token[];
+    position: number;
+
+    constructor(text: string) {
+        this.text = text;
+        this.tokens = tokenize(text);
+        this.position = 0;
+    }
+
+    parseObjects(): DrawnEntity[] {
+        const objects: DrawnEntity[] = [];
+        while (this.peek().kind !== "end") {
+            if (this.peek().kind === "newline") {
+                this.next();
+                continue;
+            }
+            objects.push(this.parseEntity());
+            const token = this.next();
+            if (token.kind !== "newline" && token.kind !== "end") {
+                this.expected(token, "the end of the line");
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * Parse a line describing a stack frame, a blank space or an object, with its attributes.
+     */
+    parseEntity(): DrawnEntity {
+        const first = this.next();
+        let obj: DrawnEntity;
+        if (first.kind === "word" && first.text === "frame") {
+            const name = this.parseName("the name of the stack frame");
+            this.expect(":");
+            obj = {
+                type: ".frame",
+                name,
+                id: null,
+                value: this.parseAttributes(),
+            };
+        } else if (
+            first.kind === "word" &&
+            (first.text === "blank" || first.text === "blank-frame")
+        ) {
+            obj = { type: `.${first.text}` } as DrawnEntity;
+        } else {
+            const id = this.parseId(first, "'frame', 'blank' or an id");
+            const type = this.parseName("a type");
+            obj = this.parseObject(id, type);
+        }
+
+        if (this.accept("|")) {
+            this.parseOptions(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Parse the value of an object with the given id and type, according to the category of the type.
+     */
+    parseObject(id: number | string | null, type: string): DrawnEntity {
+        if (this.accept(":")) {
+            const value = this.parseAttributes();
+            return typeCategory(type) === "class"
+                ? { type, id, value }
+                : { type: ".class", name: type, id, value };
+        }
+
+        const category = typeCategory(type);
+        if (category === "sequence") {
+            const open = this.next();
+            if (!isPunctuation(open, "[") && !isPunctuation(open, "(")) {
+                this.expected(
+                    open,
+                    `a list of ids in brackets for objects of type '${type}'`
+                );
+            }
+            return {
+                type,
+                id,
+                value: this.parseIds(open.text === "[" ? "]" : ")"),
+            };
+        } else if (category === "set" || category === "mapping") {
+            const open = this.next();
+            if (!isPunctuation(open, "{")) {
+                this.expected(
+                    open,
+                    `ids in braces for objects of type '${type}'`
+                );
+            }
+            return {
+                type,
+                id,
+                value:
+                    category === "set"
+                        ? this.parseIds("}")
+                        : this.parseDictionary(),
+            };
+        }
+        return { type, id, value: this.parseLiteral() };
+    }
+
+    /**
+     * Parse comma-separated ids (or None) up to the given closing bracket.
+     */
+    parseIds(close: string): (number | string | null)[] {
+        const ids = [];
+        while (!this.accept(close)) {
+            ids.push(this.parseId(this.next(), `an id, None or '${close}'`));
+            if (!this.accept(",")) {
+                this.expect(close);
+                break;
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Parse the comma-separated "key: value" pairs of ids of a dictionary, after its opening brace.
+     */
+    parseDictionary(): Record<string, number | string | null> {
+        const entries = {};
+        while (!this.accept("}")) {
+            const token = this.next();
+            const key = this.parseId(token, "an id or '}'");
+            if (key === null) {
+                this.fail(token, "dictionary keys cannot be None");
+            }
+            this.expect(":");
+            entries[String(key)] = this.parseId(this.next(), "an id or None");
+            if (!this.accept(",")) {
+                this.expect("}");
+                break;
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Parse the comma-separated "name=id" pairs of the variables of a stack frame or the attributes of an object,
+     * up to the end of the line (or the "|" before its options).
+     */
+    parseAttributes(): Record<string, number | string | null> {
+        const attributes = {};
+        while (!this.atEndOfEntity()) {
+            const token = this.peek();
+            const name = this.parseName("a name");
+            if (attributes.hasOwnProperty(name)) {
+                this.fail(token, `'${name}' is already set`);
+            }
+            this.expect("=");
+            attributes[name] = this.parseId(this.next(), "an id or None");
+            if (!this.accept(",")) {
+                break;
+            }
+        }
+        return attributes;
+    }
+
+    /**
+     * Parse the value of a primitive object (null if there is none).
+     */
+    parseLiteral(): string | number | boolean | null {
+        if (this.atEndOfEntity()) {
+            return null;
+        }
+        const token = this.next();
+        if (token.kind === "string") {
+            return token.text;
+        } else if (token.kind === "word") {
+            if (token.text === "True" || token.text === "False") {
+                return token.text === "True";
+            } else if (token.text === "None") {
+                return null;
+            } else if (NUMBER_PATTERN.test(token.text)) {
+                return Number(token.text);
+            }
+        }
+        this.expected(
+            token,
+            "a value (a number, a quoted string, True, False or None)"
+        );
+    }
+
+    /**
+     * Parse the comma-separated attributes after "|", and set them in 'obj'.
+     */
+    parseOptions(obj: DrawnEntity) {
+        const styles = [];
+        do {
+            const token = this.next();
+            if (token.kind !== "word") {
+                this.expected(token, "the name of an attribute");
+            }
+            const name = token.text;
+            if (name !== "style" && obj.hasOwnProperty(optionKey(name))) {
+                this.fail(token, `'${name}' is already set`);
+            }
+
+            if (FLAG_OPTIONS.includes(name)) {
+                obj[name] = true;
+                if (this.accept("=")) {
+                    const value = this.next();
+                    if (value.text !== "True" && value.text !== "False") {
+                        this.expected(value, "True or False");
+                    }
+                    obj[name] = value.text === "True";
+                }
+            } else if (NUMBER_OPTIONS.includes(name)) {
+                this.expect("=");
+                const value = this.next();
+                if (value.kind !== "word" || !NUMBER_PATTERN.test(value.text)) {
+                    this.expected(value, "a number");
+                }
+                obj[name] = Number(value.text);
+            } else if (name === "return") {
+                if (obj.type !== ".frame") {
+                    this.fail(token, "only stack frames have a return value");
+                }
+                this.expect("=");
+                obj.return_value = this.parseId(this.next(), "an id or None");
+            } else if (name === "style") {
+                this.expect("=");
+                const value = this.parseStyle();
+                styles.push(...(Array.isArray(value) ? value : [value]));
+            } else {
+                this.fail(
+                    token,
+                    `unknown attribute '${name}' (expected one of ${[
+                        ...FLAG_OPTIONS,
+                        ...NUMBER_OPTIONS,
+                        "return",
+                        "style",
+                    ].join(", ")})`
+                );
+            }
+        } while (this.accept(","));
+
+        if (styles.length > 0) {
+            obj.style = styles.length === 1 ? styles[0] : styles;
+        }
+    }
+
+    /**
+     * Parse a style: the name of a preset, or a style object (or array) in JSON.
+     */
+    parseStyle() {
+        const token = this.next();
+        if (token.kind === "word" || token.kind === "string") {
+            return token.text;
+        } else if (!isPunctuation(token, "{") && !isPunctuation(token, "[")) {
+            this.expected(token, "a preset name, or a style in JSON");
+        }
+
+        // The tokens of JSON are balanced brackets, strings, words and punctuation, so the style ends at the
+        // bracket that closes the first one.
+        let depth = 1;
+        let last = token;
+        while (depth > 0) {
+            last = this.next();
+            if (last.kind === "end" || last.kind === "newline") {
+                this.fail(token, "this bracket is never closed");
+            } else if (last.kind === "punctuation") {
+                if (OPENING_BRACKETS.includes(last.text)) {
+                    depth++;
+                } else if (CLOSING_BRACKETS.includes(last.text)) {
+                    depth--;
+                }
+            }
+        }
+        try {
+            return JSON.parse(this.text.slice(token.start, last.end));
+        } catch (err) {
+            this.fail(token, `invalid JSON in the style (${err.message})`);
+        }
+    }
+
+    /**
+     * Parse an id (e.g. id1, idx or id"x") or None from the given token, which is described by 'expected' in errors.
+     */
+    parseId(token: Token, expected: string): number | string | null {
+        if (token.kind === "word") {
+            if (token.text === "None") {
+                return null;
+            } else if (token.text.startsWith("id")) {
+                const rest = token.text.slice(2);
+                const next = this.peek();
+                if (
+                    rest === "" &&
+                    next.kind === "string" &&
+                    next.start === token.end
+                ) {
+                    return this.next().text;
+                } else if (rest !== "") {
+                    return NUMBER_PATTERN.test(rest) ? Number(rest) : rest;
+                }
+            }
+        }
+        this.expected(token, expected);
+    }
+
+    /**
+     * Parse a name (of a stack frame, type, variable or attribute), written as a word or a quoted string.
+     */
+    parseName(expected: string): string {
+        const token = this.next();
+        if (token.kind !== "word" && token.kind !== "string") {
+            this.expected(token, expected);
+        }
+        return token.text;
+    }
+
+    atEndOfEntity(): boolean {
+        const token = this.peek();
+        return (
+            token.kind === "newline" ||
+            token.kind === "end" ||
+            isPunctuation(token, "|")
+        );
+    }
+
+    peek(): Token {
+        return this.tokens[this.position];
+    }
+
+    next(): Token {
+        const token = this.tokens[this.position];
+        if (token.kind !== "end") {
+            this.position++;
+        }
+        return token;
+    }
+
+    /**
+     * Consume the next token and return true if it is the given punctuation, or return false otherwise.
+     */
+    accept(punctuation: string): boolean {
+        if (isPunctuation(this.peek(), punctuation)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(punctuation: string) {
+        if (!this.accept(punctuation)) {
+            this.expected(this.peek(), `'${punctuation}'`);
+        }
+    }
+
+    /**
+     * Throw an error at the given token, saying what was expected instead of it.
+     */
+    expected(token: Token, expected: string): never {
+        const found =
+            token.kind === "end"
+                ? "the end of the text"
+                : token.kind === "newline"
+                ? "the end of the line"
+                : token.kind === "string"
+                ? JSON.stringify(token.text)
+                : `'${token.text}'`;
+        this.fail(token, `expected ${expected}, but found ${found}`);
+    }
+
+    fail(token: Token, message: string): never {
+        throw new NotationError(message, token.line, token.column);
+    }
+}
+
+/**
+ * Split the given text into tokens. Newlines inside brackets are skipped, so that an entity can span several lines.
+ */
+function tokenize(text: string): Token[] {
+    const tokens: Token[] = [];
+    let line = 1;
+    let line_start = 0;
+    let depth = 0;
+    let i = 0;
+    const push = (kind: Token["kind"], value: string, start: number) =>
+        tokens.push({
+            kind,
+            text: value,
+            start,
+            end: i,
+            line,
+            column: start - line_start + 1,
+        });
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+        if (char === "\n") {
+            i++;
+            if (depth === 0) {
+                push("newline", "\n", start);
+            }
+            line++;
+            line_start = i;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === "#") {
+            while (i < text.length && text[i] !== "\n") {
+                i++;
+            }
+        } else if (char === '"' || char === "'") {
+            let value = "";
+            i++;
+            while (text[i] !== char) {
+                if (i >= text.length || text[i] === "\n") {
+                    throw new NotationError(
+                        "this string is never closed",
+                        line,
+                        start - line_start + 1
+                    );
+                } else if (text[i] === "\\") {
+                    const escape = text[i + 1];
+                    if (STRING_ESCAPES.hasOwnProperty(escape)) {
+                        value += STRING_ESCAPES[escape];
+                        i += 2;
+                    } else if (
+                        escape === "u" &&
+                        /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))
+                    ) {
+                        value += String.fromCharCode(
+                            parseInt(text.slice(i + 2, i + 6), 16)
+                        );
+                        i += 6;
+                    } else {
+                        throw new NotationError(
+                            "invalid escape sequence in string",
+                            line,
+                            i - line_start + 1
+                        );
+                    }
+                } else {
+                    value += text[i];
+                    i++;
+                }
+            }
+            i++;
+            push("string", value, start);
+        } else if (PUNCTUATION.includes(char)) {
+            i++;
+            if (OPENING_BRACKETS.includes(char)) {
+                depth++;
+            } else if (CLOSING_BRACKETS.includes(char)) {
+                depth = Math.max(0, depth - 1);
+            }
+            push("punctuation", char, start);
+        } else {
+            while (
+                i < text.length &&
+                !/[\s#"']/.test(text[i]) &&
+                !PUNCTUATION.includes(text[i])
+            ) {
+                i++;
+            }
+            push("word", text.slice(start, i), start);
+        }
+    }
+    push("end", "", i);
+    return tokens;
+}
+
+function isPunctuation(token: Token, punctuation: string): boolean {
+    return token.kind === "punctuation" && token.text === punctuation;
+}
+
+/**
+ * Return the attribute of a DrawnEntity set by the option with the given name.
+ */
+function optionKey(name: string): string {
+    return name === "return" ? "return_value" : name;
+}
+
+/**
+ * Return the line of the given object (or stack frame, or blank space) in the notation.
+ */
+function entityLine(obj: DrawnEntity): string {
+    let line: string;
+    const value = obj.value;
+    if (obj.type === ".frame") {
+        line = `frame ${nameText(obj.name)}:${attributesText(value)}`;
+    } else if (obj.type === ".blank" || obj.type === ".blank-frame") {
+        line = obj.type.slice(1);
+    } else if (obj.type === ".class") {
+        line = `${idText(obj.id)} ${nameText(obj.name)}:${attributesText(
+            value
+        )}`;
+    } else {
+        const prefix = `${idText(obj.id)} ${nameText(obj.type)}`;
+        switch (typeCategory(obj.type)) {
+            case "class":
+                line = `${prefix}:${attributesText(value)}`;
+                break;
+            case "sequence":
+                line = `${prefix} [${value.map(idText).join(", ")}]`;
+                break;
+            case "set":
+                line = `${prefix} {${value.map(idText).join(", ")}}`;
+                break;
+            case "mapping":
+                line = `${prefix} {${Object.entries(
+                    value as Record<string, number | string | null>
+                )
+                    .map(([key, id]) => `${keyText(key)}: ${idText(id)}`)
+                    .join(", ")}}`;
+                break;
+            default:
+                line =
+                    value === null || value === undefined
+                        ? prefix
+                        : `${prefix} ${literalText(value)}`;
+        }
+    }
+
+    const options = optionsText(obj);
+    return options.length > 0 ? `${line} | ${options.join(", ")}` : line;
+}
+
+/**
+ * Return the options (written after "|") that set the attributes of the given object.
+ */
+function optionsText(obj: DrawnEntity): string[] {
+    const options = [];
+    if (obj.type === ".frame" && obj.return_value !== undefined) {
+        options.push(`return=${idText(obj.return_value)}`);
+    }
+    for (const name of FLAG_OPTIONS) {
+        if (obj[name] !== undefined) {
+            options.push(obj[name] ? name : `${name}=False`);
+        }
+    }
+    for (const name of NUMBER_OPTIONS) {
+        if (obj[name] !== undefined) {
+            options.push(`${name}=${obj[name]}`);
+        }
+    }
+    if (obj.style !== undefined) {
+        const styles = Array.isArray(obj.style) ? obj.style : [obj.style];
+        for (const style of styles) {
+            options.push(
+                `style=${
+                    typeof style === "string" && WORD_PATTERN.test(style)
+                        ? style
+                        : JSON.stringify(style)
+                }`
+            );
+        }
+    }
+    return options;
+}
+
+/**
+ * Return the "name=id" pairs of the given variables or attributes, preceded by a space (or "" if there are none).
+ */
+function attributesText(value: object): string {
+    const pairs = Object.entries(value).map(
+        ([name, id]) => `${nameText(name)}=${idText(id)}`
+    );
+    return pairs.length > 0 ? ` ${pairs.join(", ")}` : "";
+}
+
+/**
+ * Return the given id (or dictionary key) in the notation: id1 for the id 1, idx or id"x" for the string "x", and
+ * None for null. String ids that look like numbers are quoted, so that they are parsed back as strings.
+ */
+function idText(id: number | string | null): string {
+    if (id === null || id === undefined) {
+        return "None";
+    } else if (typeof id === "number") {
+        return `id${id}`;
+    }
+    return WORD_PATTERN.test(id) && !NUMBER_PATTERN.test(id)
+        ? `id${id}`
+        : `id${JSON.stringify(id)}`;
+}
+
+/**
+ * Return the given dictionary key in the notation. Keys are always strings, so keys that look like numbers are written
+ * as number ids (e.g. id1 for the key "1").
+ */
+function keyText(key: string): string {
+    return NUMBER_PATTERN.test(key) ? `id${key}` : idText(key);
+}
+
+function nameText(name: string): string {
+    return WORD_PATTERN.test(name) ? name : JSON.stringify(name);
+}
+
+function literalText(value: string | number | boolean): string {
+    if (typeof value === "boolean") {
+        return value ? "True" : "False";
+    }
+    return typeof value === "number" ? String(value) : JSON.stringify(value);
+}
+
+export { NOTATION_EXTENSION, NotationError, parseNotation, toNotation };
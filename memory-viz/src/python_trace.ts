@@ -0,0 +1,95 @@
+import { DrawnEntity, PythonTraceOptions } from "./types";
+
+// Dynamic import of Node modules (running Python is not possible in the browser).
+let child_process, path;
+if (typeof window === "undefined") {
+    child_process = require("child_process");
+    path = require("path");
+}
+
+/**
+ * Run the given Python script, and return the state of its memory just before each of the given lines is executed.
+ *
+ * The script is run by a local Python interpreter (version 3.8 or later), using the tracer script bundled in the
+ * python/ directory. Each state consists of the script's stack frames (from `__main__` to the innermost call) and all
+ * the objects reachable from their variables, in the format described in MemoryModel.drawAll. Python ids are
+ * renumbered in the order in which the objects are found, starting at 1. Lists, tuples, sets and dicts are drawn as
+ * such, instances of user-defined classes as `.class` objects, and any other object as a primitive showing its repr.
+ *
+ * @param {string} script_path - the path to the Python script
+ * @param {PythonTraceOptions} options - the lines to stop at, along with settings for running the script
+ * @returns {DrawnEntity[][]} the objects at each of the given lines (in the order in which the lines were given), which
+ *                            can be passed to 'draw' with automation
+ * @throws {Error} if the script cannot be run, raises an error, or does not reach one of the lines
+ */
+function tracePython(
+    script_path: string,
+    options: PythonTraceOptions
+): DrawnEntity[][] {
+    const lines = Array.isArray(options.lines)
+        ? options.lines
+        : [options.lines];
+    const occurrence = options.occurrence || 1;
+    const python = options.python || process.env.PYTHON || "python3";
+    for (const line of lines) {
+        if (!Number.isInteger(line) || line < 1) {
+            throw new Error(`Invalid line number ${line}.`);
+        }
+    }
+
+    const tracer_path = path.join(__dirname, "..", "python", "tracer.py");
+    const result = child_process.spawnSync(
+        python,
+        [
+            tracer_path,
+            script_path,
+            JSON.stringify(lines),
+            String(occurrence),
+            ...(options.args || []),
+        ],
+        { encoding: "utf-8", timeout: options.timeout || 10000 }
+    );
+
+    if (result.error) {
+        if (result.error.code === "ENOENT") {
+            throw new Error(
+                `Could not find the Python interpreter '${python}'. Use the 'python' option (or the PYTHON ` +
+                    `environment variable) to set its path.`
+            );
+        } else if (result.error.code === "ETIMEDOUT") {
+            throw new Error(
+                `The script ${script_path} did not reach the requested lines in time.`
+            );
+        }
+        throw result.error;
+    }
+
+    let output;
+    try {
+        output = JSON.parse(result.stdout);
+    } catch (err) {
+        throw new Error(
+            `Could not trace ${script_path} with '${python}':\n${result.stderr}`
+        );
+    }
+    if (output.error) {
+        throw new Error(`Error while running ${script_path}: ${output.error}`);
+    }
+
+    const snapshots = new Map<number, DrawnEntity[]>();
+    for (const snapshot of output.snapshots) {
+        snapshots.set(snapshot.line, snapshot.objects);
+    }
+    return lines.map((line) => {
+        if (!snapshots.has(line)) {
+            throw new Error(
+                occurrence === 1
+                    ? `Line ${line} of ${script_path} was never reached.`
+                    : `Line ${line} of ${script_path} was reached fewer than ${occurrence} times.`
+            );
+        }
+        return snapshots.get(line);
+    });
+}
+
+export { tracePython };
@@ -0,0 +1,102 @@
+import { DrawnEntity, Reachability } from "./types";
+import { typeCategory } from "./type_registry";
+import { isInlineValue } from "./inline_values";
+
+// Dynamic import of Node fs module
+let fs;
+if (typeof window === "undefined") {
+    fs = require("fs");
+}
+
+/**
+ * Return the ids (as strings) that the given object refers to: the values (and return value) of a stack frame or
+ * class, the keys and values of a mapping (e.g., a dict), and the elements of a sequence or set (see 'registerType').
+ * A blank space that stands in for an object (as in drawTrace) may list the ids of that object in its 'references'
+ * attribute. Values inlined in the slots of the object (see 'inlineValues') are not references.
+ * @param {DrawnEntity} obj - an object as specified in MemoryModel.drawAll
+ * @param {string} language - the language whose built-in types are known (see 'languages'; by default, "python")
+ * @returns {string[]} the ids referred to by the object, in the order in which they are drawn
+ */
+function objectReferences(
+    obj: DrawnEntity & { references?: any[] },
+    language: string = "python"
+): string[] {
+    let ids = [];
+    const category = typeCategory(obj.type, language);
+    if (obj.type === ".blank") {
+        ids = obj.references || [];
+    } else if (
+        obj.type === ".frame" ||
+        obj.type === ".class" ||
+        category === "class"
+    ) {
+        ids = Object.values(obj.value || {});
+        if (obj.type === ".frame" && obj.return_value !== undefined) {
+            ids.push(obj.return_value);
+        }
+    } else if (category === "mapping") {
+        for (const [key, value] of Object.entries(obj.value || {})) {
+            ids.push(key, value);
+        }
+    } else if (category === "sequence" || category === "set") {
+        ids = Array.isArray(obj.value) ? obj.value : [];
+    }
+    return ids
+        .filter((id) => id !== null && id !== undefined && !isInlineValue(id))
+        .map((id) => String(id));
+}
+
+/**
+ * Return the ids of the objects that can be reached from the stack frames, by following the references held by the
+ * stack frames and by the objects they refer to (see 'objectReferences'), and the ids of the other objects, which
+ * are garbage. If there are no stack frames, every object is unreachable.
+ *
+ * @param {string | DrawnEntity[]} objects - the objects (in the format described in MemoryModel.drawAll), or the path
+ *                                           to a JSON file containing them
+ * @param {string} language - the language whose built-in types are known (see 'languages'; by default, "python")
+ * @returns {Reachability} the ids (as given in the objects) of the reachable and of the unreachable objects
+ */
+function reachability(
+    objects: string | DrawnEntity[],
+    language: string = "python"
+): Reachability {
+    const objs: DrawnEntity[] =
+        typeof objects === "string"
+            ? JSON.parse(fs.readFileSync(objects, "utf-8"))
+            : objects;
+
+    // The objects with ids (which excludes stack frames and blank spaces), by id.
+    const by_id = new Map<string, DrawnEntity>();
+    for (const obj of objs) {
+        if (
+            !obj.type.startsWith(".blank") &&
+            obj.type !== ".frame" &&
+            obj.id !== null &&
+            obj.id !== undefined
+        ) {
+            by_id.set(String(obj.id), obj);
+        }
+    }
+
+    const visited = new Set<string>();
+    const queue = objs.filter((obj) => obj.type === ".frame");
+    while (queue.length > 0) {
+        for (const id of objectReferences(queue.shift(), language)) {
+            if (!visited.has(id) && by_id.has(id)) {
+                visited.add(id);
+                queue.push(by_id.get(id));
+            }
+        }
+    }
+
+    const result: Reachability = {
+        reachable: new Set(),
+        unreachable: new Set(),
+    };
+    for (const [id, obj] of by_id) {
+        (visited.has(id) ? result.reachable : result.unreachable).add(obj.id);
+    }
+    return result;
+}
+
+export { objectReferences, reachability };
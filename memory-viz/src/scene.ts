@@ -0,0 +1,120 @@
+import { Point, ReferenceSlot, SceneShape } from "./types";
+
+/**
+ * Return the SVG element of the given shape, drawn by the given RoughSVG object of Rough.js (or CleanSVG object, for
+ * the "clean" renderer). The 'draw' methods of MemoryModel only compute the shapes of a diagram, which are then
+ * rendered with this function (see 'MemoryModel.renderScene'). The shapes of a group are rendered in its element.
+ * @param {SceneShape} shape - the shape to render
+ * @param {object} rough_svg - the object drawing rectangles, lines and polygons
+ * @param {Document} document - the document in which text elements are created
+ * @returns {Element} the element, which is not yet added to the SVG
+ */
+function renderShape(
+    shape: SceneShape,
+    rough_svg: any,
+    document: Document
+): Element {
+    switch (shape.kind) {
+        case "rect":
+            return rough_svg.rectangle(
+                shape.x,
+                shape.y,
+                shape.width,
+                shape.height,
+                shape.style
+            );
+        case "line":
+            return rough_svg.linearPath(
+                shape.points.map((p) => [p.x, p.y]),
+                shape.style
+            );
+        case "polygon":
+            return rough_svg.polygon(
+                shape.points.map((p) => [p.x, p.y]),
+                shape.style
+            );
+        case "text": {
+            const element = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "text"
+            );
+            for (const [name, value] of Object.entries(shape.attributes)) {
+                element.setAttribute(name, String(value));
+            }
+            element.appendChild(document.createTextNode(shape.text));
+            return element;
+        }
+        case "group": {
+            const element = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "g"
+            );
+            for (const [name, value] of Object.entries(shape.attributes)) {
+                element.setAttribute(name, String(value));
+            }
+            for (const child of shape.shapes) {
+                element.appendChild(renderShape(child, rough_svg, document));
+            }
+            return element;
+        }
+        case "hit": {
+            const element = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "rect"
+            );
+            for (const key of ["x", "y", "width", "height"]) {
+                element.setAttribute(key, String(shape[key]));
+            }
+            for (const [name, value] of Object.entries(shape.attributes)) {
+                element.setAttribute(name, String(value));
+            }
+            element.setAttribute("fill", "none");
+            element.setAttribute("pointer-events", "all");
+            return element;
+        }
+    }
+}
+
+/**
+ * Return a copy of the given shape, moved right by 'dx' and down by 'dy'.
+ */
+function translateShape(shape: SceneShape, dx: number, dy: number): SceneShape {
+    const move = (p: Point) => ({ x: p.x + dx, y: p.y + dy });
+    switch (shape.kind) {
+        case "rect":
+        case "hit":
+            return { ...shape, x: shape.x + dx, y: shape.y + dy };
+        case "line":
+        case "polygon":
+            return { ...shape, points: shape.points.map(move) };
+        case "text":
+            return {
+                ...shape,
+                attributes: {
+                    ...shape.attributes,
+                    x: Number(shape.attributes.x) + dx,
+                    y: Number(shape.attributes.y) + dy,
+                },
+            };
+        case "group":
+            return {
+                ...shape,
+                shapes: shape.shapes.map((child) =>
+                    translateShape(child, dx, dy)
+                ),
+            };
+    }
+}
+
+/**
+ * Return a copy of the given reference slot, moved right by 'dx' and down by 'dy'.
+ */
+function translateSlot(
+    slot: ReferenceSlot,
+    dx: number,
+    dy: number
+): ReferenceSlot {
+    return { ...slot, x: slot.x + dx, y: slot.y + dy };
+}
+
+export { renderShape, translateShape, translateSlot };
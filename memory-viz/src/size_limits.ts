@@ -0,0 +1,92 @@
+import { SizeLimits } from "./types";
+
+const size_limit_keys: (keyof SizeLimits)[] = [
+    "max_items",
+    "items_per_row",
+    "max_value_length",
+    "wrap_values",
+];
+
+/**
+ * Return the size limits set in the given object or configuration (leaving out the limits that are not set).
+ * @param {object} source - an object as specified in MemoryModel.drawAll, or the configuration of 'draw'
+ * @returns {SizeLimits} the limits
+ */
+function sizeLimits(source: object = {}): SizeLimits {
+    const limits: SizeLimits = {};
+    for (const key of size_limit_keys) {
+        if (source[key] !== undefined && source[key] !== null) {
+            (limits as any)[key] = source[key];
+        }
+    }
+    return limits;
+}
+
+/**
+ * Return the indexes of the elements of a collection of the given length that are shown when at most max_items of
+ * them are: the first half and the last half of the shown elements, with null in place of the hidden ones.
+ * For instance, shownIndexes(10, 4) is [0, 1, null, 8, 9].
+ * @param {number} length - the number of elements in the collection
+ * @param {number} max_items - the maximum number of elements shown
+ * @returns {(number | null)[]} the indexes of the shown elements, in order
+ */
+function shownIndexes(length: number, max_items: number): (number | null)[] {
+    const indexes = Array.from({ length }, (_, i) => i);
+    if (length <= max_items) {
+        return indexes;
+    }
+    const head = Math.ceil(max_items / 2);
+    const tail = max_items - head;
+    return [...indexes.slice(0, head), null, ...indexes.slice(length - tail)];
+}
+
+/**
+ * Return the text standing for the hidden elements of a collection.
+ * @param {number} hidden - the number of hidden elements
+ */
+function hiddenItemsText(hidden: number): string {
+    return `… ${hidden} more`;
+}
+
+/**
+ * Return the lines of the given text of a primitive value, when its lines are at most max_length characters long:
+ * the text split into lines of max_length characters if wrap is true, or else the text truncated with an ellipsis.
+ * @param {string} text - the text of the value
+ * @param {number} max_length - the maximum number of characters of each line
+ * @param {boolean} wrap - whether to wrap the text, rather than truncating it
+ * @returns {string[]} the lines
+ */
+function valueLines(text: string, max_length: number, wrap: boolean): string[] {
+    if (text.length <= max_length) {
+        return [text];
+    } else if (!wrap) {
+        return [text.slice(0, Math.max(max_length - 1, 0)) + "…"];
+    }
+    const lines = [];
+    for (let i = 0; i < text.length; i += max_length) {
+        lines.push(text.slice(i, i + max_length));
+    }
+    return lines;
+}
+
+/**
+ * Split the given items into rows of at most per_row items.
+ * @throws {Error} if per_row is not at least 1
+ */
+function intoRows<T>(items: T[], per_row: number): T[][] {
+    if (!(per_row >= 1)) {
+        throw new Error(
+            `Expected items_per_row to be a positive integer, not ${per_row}.`
+        );
+    }
+    if (items.length <= per_row) {
+        return [items];
+    }
+    const rows = [];
+    for (let i = 0; i < items.length; i += per_row) {
+        rows.push(items.slice(i, i + per_row));
+    }
+    return rows;
+}
+
+export { sizeLimits, shownIndexes, hiddenItemsText, valueLines, intoRows };
@@ -0,0 +1,56 @@
+import { DOMParser } from "@xmldom/xmldom";
+import { DiagramSource } from "./types";
+
+// The id of the metadata element in which the source of a diagram is embedded.
+const SOURCE_METADATA_ID = "memory-viz-source";
+
+/**
+ * Return the source of a diagram drawn with `embed_source: true` (see 'draw'): the objects, automation and
+ * configuration it was drawn with. Drawing them again, with `draw(source.objects, source.automation,
+ * source.configuration)`, gives the same diagram, and the objects can be edited before they are drawn.
+ * @param {string} svg - the serialized SVG of the diagram (e.g. the contents of an exported SVG file)
+ * @returns {DiagramSource} the source of the diagram
+ * @throws {Error} if the SVG has no embedded source, or if its source is not valid
+ */
+function load(svg: string): DiagramSource {
+    // Parsing problems are reported by the missing (or invalid) source, rather than logged.
+    const document = new DOMParser({ errorHandler: () => {} }).parseFromString(
+        svg,
+        "image/svg+xml"
+    );
+    const metadata = (
+        Array.from(document.getElementsByTagName("metadata")) as Element[]
+    ).find((element) => element.getAttribute("id") === SOURCE_METADATA_ID);
+    if (metadata === undefined) {
+        throw new Error(
+            "The SVG has no embedded source: draw the diagram with `embed_source: true` to embed it."
+        );
+    }
+
+    let source;
+    try {
+        source = JSON.parse(metadata.textContent);
+    } catch (err) {
+        throw new Error(
+            `The embedded source is not valid JSON: ${err.message}`
+        );
+    }
+    if (
+        source === null ||
+        !Array.isArray(source.objects) ||
+        typeof source.automation !== "boolean" ||
+        typeof source.configuration !== "object" ||
+        source.configuration === null
+    ) {
+        throw new Error(
+            "Expected the embedded source to have objects, automation and configuration properties."
+        );
+    }
+    return {
+        objects: source.objects,
+        automation: source.automation,
+        configuration: source.configuration,
+    };
+}
+
+export { SOURCE_METADATA_ID, load };
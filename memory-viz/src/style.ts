@@ -1,73 +1,71 @@
 import merge from "deepmerge";
 import { config } from "./config";
-import { DrawnEntity, AttributeStyle, Style } from "./types";
+import { DrawnEntity, AttributeStyle, Style, Theme } from "./types";
+import { typeCategory } from "./type_registry";
+import { themes } from "./themes";
 
-// Built-in style for drawing text on canvas (if no style is provided by the user).
-const default_text_style: AttributeStyle = {
-    fill: config.text_color,
-    "text-anchor": "middle",
-    "font-family": "Consolas, Courier",
-    "font-size": config.font_size,
-};
-
-// Default style attributes that apply universally to any type of data.
-const common_style: Style = {
-    text_id: {
-        fill: config.id_color,
-        "text-anchor": "middle",
-        "font-family": "Consolas, Courier",
-        "font-size": config.font_size,
-    },
-    text_type: {
-        fill: config.value_color,
-        "text-anchor": "middle",
-        "font-family": "Consolas, Courier",
-        "font-size": config.font_size,
-    },
-    text_value: {
+/**
+ * Return the built-in style for drawing text (if no style is provided by the user).
+ * @param {Theme} theme - the theme of the diagram
+ * @param {number} font_size - the font size, in px
+ * @returns {AttributeStyle}
+ */
+function defaultTextStyle(
+    theme: Theme,
+    font_size: number = config.font_size
+): AttributeStyle {
+    return {
+        fill: theme.text_color,
         "text-anchor": "middle",
-        "font-family": "Consolas, Courier",
-        "font-size": config.font_size,
-    },
-    box_container: {},
-    box_id: {},
-    box_type: {},
-};
-
-const category_specific_styles: Record<string, Style> = {
-    collection: {
-        text_value: { fill: config.id_color },
-    },
-    primitive: {
-        text_value: { fill: config.value_color },
-    },
-    class: {
-        text_value: { fill: config.value_color, "text-anchor": "start" },
-    },
-    stackframe: {
-        text_value: { fill: config.text_color, "text-anchor": "start" },
-    },
-};
+        "font-family": theme.font_family,
+        "font-size": font_size,
+    };
+}
 
-const immutable: Array<string> = [
-    "int",
-    "str",
-    "tuple",
-    "None",
-    "bool",
-    "float",
-    "date",
-];
-const collections: Array<string> = ["list", "set", "tuple", "dict"];
+/**
+ * Return the default style attributes that apply universally to any type of data.
+ * @param {Theme} theme - the theme of the diagram
+ * @param {number} font_size - the font size, in px
+ * @returns {Style}
+ */
+function commonStyle(theme: Theme, font_size: number): Style {
+    const text_style = {
+        "text-anchor": "middle",
+        "font-family": theme.font_family,
+        "font-size": font_size,
+    };
+    return {
+        text_id: { fill: theme.id_color, ...text_style },
+        text_type: { fill: theme.value_color, ...text_style },
+        text_value: text_style,
+        box_container: {},
+        box_id: {},
+        box_type: {},
+        arrow: {},
+    };
+}
 
-const primitives: Array<string> = [
-    "int",
-    "str",
-    "None",
-    "bool",
-    "float",
-    "date",
-];
+/**
+ * Return the style attributes specific to each category of objects.
+ * @param {Theme} theme - the theme of the diagram
+ * @returns {Record<string, Style>}
+ */
+function categorySpecificStyles(theme: Theme): Record<string, Style> {
+    return {
+        collection: {
+            text_value: { fill: theme.id_color },
+        },
+        primitive: {
+            text_value: { fill: theme.value_color },
+        },
+        class: {
+            text_value: { fill: theme.value_color, "text-anchor": "start" },
+        },
+        stackframe: {
+            text_value: { fill: theme.text_color, "text-anchor": "start" },
+        },
+    };
+}
 
 /**
  * Populates a user-passed style object --to the extent needed-- with default data (to adhere to the interface of the
@@ -76,27 +74,42 @@ const primitives: Array<string> = [
  * @param {DrawnEntity} object : the object that represents a Python object the user wants drawn. The style object
  *                          corresponding to 'object' will be extracted be doing object.style.
  * @param {object} roughjs_config : a configuration object used to pass in options to rough.js
+ * @param {Theme} theme : the theme that sets the default colors and font
+ * @param {number} font_size : the default font size, in px
+ * @param {string} language : the language whose built-in types are drawn (see 'languages')
 
 * @returns {Style}
  */
-function populateStyleObject(object: DrawnEntity, roughjs_config: object) {
-    let style_so_far = common_style;
+function populateStyleObject(
+    object: DrawnEntity,
+    roughjs_config: object,
+    theme: Theme = themes.light,
+    font_size: number = config.font_size,
+    language: string = "python"
+) {
+    let style_so_far = commonStyle(theme, font_size);
 
     let object_type;
 
-    if (primitives.includes(object.type)) {
-        object_type = "primitive";
-    } else if (collections.includes(object.type)) {
-        object_type = "collection";
+    if (object.type === ".frame" || object.type === ".blank-frame") {
+        object_type = "stackframe";
     } else if (object.type === ".class") {
         object_type = "class";
     } else {
-        object_type = "stackframe";
+        // Types that are neither built-in nor registered are drawn as primitives (see 'registerType').
+        const category = typeCategory(object.type, language);
+        object_type =
+            category === "primitive" || category === "class"
+                ? category
+                : "collection";
     }
 
     // We then add properties specific to the different type categories.
     // Note that, the later will take precedence over styleSoFar.
-    style_so_far = merge(style_so_far, category_specific_styles[object_type]);
+    style_so_far = merge(
+        style_so_far,
+        categorySpecificStyles(theme)[object_type]
+    );
 
     // Finally, we complement the current style with any user-supplied properties.
     // Note that, the later will take precedence over styleSoFar.
@@ -114,82 +127,98 @@ const FADE_TEXT: AttributeStyle = {
     /*'font-weight': "normal",*/ "fill-opacity": 0.4,
 };
 const HIDE_TEXT: AttributeStyle = { "fill-opacity": 0 };
+const ACTIVE_TEXT: AttributeStyle = { "font-weight": "bolder" };
 const HIGHLIGHT_BOX_LINES: AttributeStyle = { roughness: 0.2, strokeWidth: 4 };
-const HIGHLIGHT_BOX: AttributeStyle = {
-    roughness: 0.2,
-    strokeWidth: 4,
-    fill: "yellow",
-    fillStyle: "solid",
-};
 const FADE_BOX_LINES: AttributeStyle = { roughness: 2.0, strokeWidth: 0.5 };
-const FADE_BOX: AttributeStyle = {
-    roughness: 2.0,
-    strokeWidth: 0.5,
-    fill: "rgb(247, 247, 247)",
-    fillStyle: "solid",
-};
-const HIDE_BOX: AttributeStyle = { fill: "white", fillStyle: "solid" };
+const HIDE_ARROW: AttributeStyle = { stroke: "none" };
 
-const presets: Record<string, Style> = {
-    highlight: {
-        text_value: HIGHLIGHT_TEXT,
-        text_id: HIGHLIGHT_TEXT,
-        text_type: HIGHLIGHT_TEXT,
-        box_id: HIGHLIGHT_BOX_LINES,
-        box_type: HIGHLIGHT_BOX_LINES,
-        box_container: HIGHLIGHT_BOX,
-    },
-    highlight_id: {
-        text_id: HIGHLIGHT_TEXT,
-        box_id: HIGHLIGHT_BOX,
-    },
-    highlight_type: {
-        text_type: HIGHLIGHT_TEXT,
-        box_type: HIGHLIGHT_BOX,
-    },
-    fade: {
-        text_value: FADE_TEXT,
-        text_id: FADE_TEXT,
-        text_type: FADE_TEXT,
-        box_id: FADE_BOX_LINES,
-        box_type: FADE_BOX_LINES,
-        box_container: FADE_BOX,
-    },
-    fade_id: {
-        text_id: FADE_TEXT,
-        box_id: FADE_BOX_LINES,
-    },
-    fade_type: {
-        text_type: FADE_TEXT,
-        box_type: FADE_BOX_LINES,
-    },
-    hide: {
-        text_value: HIDE_TEXT,
-        text_id: HIDE_TEXT,
-        text_type: HIDE_TEXT,
-        box_container: HIDE_BOX,
-        box_id: HIDE_BOX,
-        box_type: HIDE_BOX,
-    },
-    hide_id: {
-        text_id: HIDE_TEXT,
-        box_id: HIDE_BOX,
-    },
-    hide_type: {
-        text_type: HIDE_TEXT,
-        box_type: HIDE_BOX,
-    },
-    hide_container: {
-        text_value: HIDE_TEXT,
-        box_container: HIDE_BOX,
-    },
-};
+/**
+ * Return the style presets, with the box fills of the given theme.
+ * @param {Theme} theme - the theme of the diagram
+ * @returns {Record<string, Style>} the presets, by name
+ */
+function themePresets(theme: Theme): Record<string, Style> {
+    const HIGHLIGHT_BOX: AttributeStyle = {
+        ...HIGHLIGHT_BOX_LINES,
+        fill: theme.highlight_fill,
+        fillStyle: "solid",
+    };
+    const FADE_BOX: AttributeStyle = {
+        ...FADE_BOX_LINES,
+        fill: theme.fade_fill,
+        fillStyle: "solid",
+    };
+    // Hidden boxes are filled with the background color.
+    const HIDE_BOX: AttributeStyle = {
+        fill: theme.background,
+        fillStyle: "solid",
+    };
 
-export {
-    populateStyleObject,
-    immutable,
-    collections,
-    primitives,
-    presets,
-    default_text_style,
-};
+    return {
+        highlight: {
+            text_value: HIGHLIGHT_TEXT,
+            text_id: HIGHLIGHT_TEXT,
+            text_type: HIGHLIGHT_TEXT,
+            box_id: HIGHLIGHT_BOX_LINES,
+            box_type: HIGHLIGHT_BOX_LINES,
+            box_container: HIGHLIGHT_BOX,
+            arrow: HIGHLIGHT_BOX_LINES,
+        },
+        highlight_id: {
+            text_id: HIGHLIGHT_TEXT,
+            box_id: HIGHLIGHT_BOX,
+        },
+        highlight_type: {
+            text_type: HIGHLIGHT_TEXT,
+            box_type: HIGHLIGHT_BOX,
+        },
+        fade: {
+            text_value: FADE_TEXT,
+            text_id: FADE_TEXT,
+            text_type: FADE_TEXT,
+            box_id: FADE_BOX_LINES,
+            box_type: FADE_BOX_LINES,
+            box_container: FADE_BOX,
+            arrow: FADE_BOX_LINES,
+        },
+        fade_id: {
+            text_id: FADE_TEXT,
+            box_id: FADE_BOX_LINES,
+        },
+        fade_type: {
+            text_type: FADE_TEXT,
+            box_type: FADE_BOX_LINES,
+        },
+        hide: {
+            text_value: HIDE_TEXT,
+            text_id: HIDE_TEXT,
+            text_type: HIDE_TEXT,
+            box_container: HIDE_BOX,
+            box_id: HIDE_BOX,
+            box_type: HIDE_BOX,
+            arrow: HIDE_ARROW,
+        },
+        hide_id: {
+            text_id: HIDE_TEXT,
+            box_id: HIDE_BOX,
+        },
+        hide_type: {
+            text_type: HIDE_TEXT,
+            box_type: HIDE_BOX,
+        },
+        hide_container: {
+            text_value: HIDE_TEXT,
+            box_container: HIDE_BOX,
+            arrow: HIDE_ARROW,
+        },
+        active: {
+            text_type: ACTIVE_TEXT,
+            box_container: HIGHLIGHT_BOX_LINES,
+        },
+    };
+}
+
+// The presets of the default (light) theme.
+const presets = themePresets(themes.light);
+
+export { populateStyleObject, presets, themePresets, defaultTextStyle };
@@ -0,0 +1,232 @@
+import exports from "../index";
+import { MemoryModel } from "../memory_model";
+import { InvalidInputError } from "../validate";
+const { animate, animationPlayer } = exports;
+
+const before = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+    { type: "list", id: 1, value: [2] },
+    { type: "int", id: 2, value: 7 },
+];
+const after = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1, x: 3 } },
+    { type: "int", id: 3, value: 8 },
+    { type: "list", id: 1, value: [2, 3] },
+    { type: "int", id: 2, value: 7 },
+];
+
+function animateStates(
+    states: any[][] = [before, after],
+    configuration: object = {}
+): MemoryModel {
+    return animate(structuredClone(states), true, {
+        width: 800,
+        ...configuration,
+    });
+}
+
+/**
+ * Return the animated elements of the given animation that contain the object with the given id (or stack frame with
+ * the given name).
+ */
+function animated(m: MemoryModel, attribute: string, value: string): Element[] {
+    return (Array.from(m.svg.childNodes) as Element[]).filter(
+        (node) =>
+            node.nodeName === "g" &&
+            (node.firstChild as Element).getAttribute(attribute) === value
+    );
+}
+
+/**
+ * Return the keyframes of the given element, as a map from each step (e.g. "37.5%") to its properties.
+ */
+function keyframes(m: MemoryModel, element: Element): Map<string, string> {
+    const style = m.svg.getElementsByTagName("style")[0]?.textContent || "";
+    const id = element.getAttribute("id");
+    const rule = style.match(new RegExp(`@keyframes ${id} \\{([^]*?)\\n\\}`));
+    if (rule === null) {
+        return new Map();
+    }
+    return new Map(
+        Array.from(rule[1].matchAll(/([\d.]+%) \{ ([^}]*) \}/g), (match) => [
+            match[1],
+            match[2],
+        ])
+    );
+}
+
+describe("animate", () => {
+    it("moves an unchanged object to its position in the next state", () => {
+        const m = animateStates();
+        const [int] = animated(m, "data-id", "2");
+        expect(animated(m, "data-id", "2")).toHaveLength(1);
+        const steps = keyframes(m, int);
+        expect(steps.get("37.5%")).toEqual(
+            "opacity: 1; transform: translate(0px, 0px);"
+        );
+        expect(steps.get("62.5%")).toMatch(
+            /^opacity: 1; transform: translate\(-?[1-9]\d*px, -?\d+px\);$/
+        );
+    });
+
+    it("crossfades the two versions of a changed object", () => {
+        const m = animateStates();
+        const [old_frame, new_frame] = animated(m, "data-name", "__main__");
+        expect(keyframes(m, old_frame).get("37.5%")).toContain("opacity: 1;");
+        expect(keyframes(m, old_frame).get("62.5%")).toContain("opacity: 0;");
+        expect(keyframes(m, new_frame).get("37.5%")).toContain("opacity: 0;");
+        expect(keyframes(m, new_frame).get("62.5%")).toContain("opacity: 1;");
+    });
+
+    it("fades added objects in, in place", () => {
+        const m = animateStates();
+        const [added] = animated(m, "data-id", "3");
+        const steps = keyframes(m, added);
+        expect(steps.get("37.5%")).toEqual(
+            "opacity: 0; transform: translate(0px, 0px);"
+        );
+        expect(steps.get("62.5%")).toEqual(
+            "opacity: 1; transform: translate(0px, 0px);"
+        );
+    });
+
+    it("fades removed objects out", () => {
+        const m = animateStates([after, before]);
+        const [removed] = animated(m, "data-id", "3");
+        expect(keyframes(m, removed).get("100%")).toContain("opacity: 0;");
+    });
+
+    it("shows the first state when CSS animations are not played", () => {
+        const m = animateStates();
+        const [added] = animated(m, "data-id", "3");
+        const [old_frame, new_frame] = animated(m, "data-name", "__main__");
+        expect(added.getAttribute("opacity")).toEqual("0");
+        expect(new_frame.getAttribute("opacity")).toEqual("0");
+        expect(old_frame.hasAttribute("opacity")).toBe(false);
+    });
+
+    it("does not animate the elements that are the same in every state", () => {
+        const m = animateStates([before, before]);
+        expect(m.svg.getElementsByTagName("style")).toHaveLength(0);
+        expect(animated(m, "data-id", "1")).toHaveLength(1);
+    });
+
+    it("draws the same shapes every time", () => {
+        expect(String(animateStates().serializeSVG())).toEqual(
+            String(animateStates().serializeSVG())
+        );
+    });
+
+    it("uses the given timing", () => {
+        const m = animateStates([before, after], {
+            hold: 1000,
+            transition: 500,
+            loop: false,
+        });
+        const svg = String(m.serializeSVG());
+        expect(svg).toContain("2500ms ease-in-out 1 both");
+        expect(svg).not.toContain("infinite");
+        expect(m.svg.getAttribute("data-states")).toEqual("2");
+        expect(m.svg.getAttribute("data-hold")).toEqual("1000");
+        expect(m.svg.getAttribute("data-transition")).toEqual("500");
+    });
+
+    it("throws an error for a timing that is not positive", () => {
+        expect(() => animateStates([before, after], { hold: 0 })).toThrow(
+            "Expected hold to be a positive number of milliseconds."
+        );
+    });
+
+    it("throws an error listing the problems of every state", () => {
+        const invalid = [{ type: "int", id: 1, value: 5 }, { type: "int" }];
+        try {
+            animateStates([before, invalid]);
+            throw new Error("Expected an error");
+        } catch (err) {
+            expect(err).toBeInstanceOf(InvalidInputError);
+            expect(err.errors[0].path).toMatch(/^states\[1\]\[1\]/);
+        }
+    });
+
+    it("validates and draws the states in the memory model of the given language", () => {
+        const state = (value: number) => [
+            { type: ".frame", name: "main", id: null, value: { xs: 1 } },
+            { type: "int[]", id: 1, value: [2] },
+            { type: "int", id: 2, value },
+        ];
+        const svg = animateStates([state(5), state(6)], {
+            language: "java",
+        }).serializeSVG();
+        expect(svg).toContain(">@1</text>");
+        expect(svg).toContain(">6</text>");
+        expect(svg).not.toContain(">@2</text>");
+    });
+});
+
+describe("animationPlayer", () => {
+    it("writes a page with the animation and its controls", () => {
+        const m = animateStates();
+        const page = animationPlayer(m, "x < y");
+        expect(page).toContain("<title>x &lt; y</title>");
+        expect(page).toContain(String(m.serializeSVG()));
+        for (const action of ["previous", "play", "next"]) {
+            expect(page).toContain(`data-action="${action}"`);
+        }
+    });
+
+    it("embeds a script that runs on its own", () => {
+        const page = animationPlayer(animateStates());
+        const script = page.match(/<script>([^]*)<\/script>/)[1];
+
+        const attributes = {
+            "data-states": "2",
+            "data-hold": "1500",
+            "data-transition": "1000",
+        };
+        const animations = [0, 1].map(() => ({
+            currentTime: 0,
+            paused: false,
+            pause() {
+                this.paused = true;
+            },
+            play() {
+                this.paused = false;
+            },
+        }));
+        const svg = {
+            getAttribute: (name: string) => attributes[name],
+            getAnimations: () => animations,
+        };
+        const elements = {};
+        const controls = {
+            querySelector: (selector: string) => {
+                elements[selector] ??= {
+                    textContent: "",
+                    addEventListener: (type: string, listener) => {
+                        elements[selector].click = listener;
+                    },
+                };
+                return elements[selector];
+            },
+        };
+        const document = {
+            querySelector: (selector: string) =>
+                selector === "svg" ? svg : controls,
+        };
+        const setInterval = jest.fn();
+        new Function("document", "setInterval", script)(document, setInterval);
+
+        expect(elements["[data-state]"].textContent).toEqual("State 1 of 2");
+        elements['[data-action="next"]'].click();
+        expect(animations.map((a) => [a.currentTime, a.paused])).toEqual([
+            [2500, true],
+            [2500, true],
+        ]);
+        expect(elements["[data-state]"].textContent).toEqual("State 2 of 2");
+        expect(elements['[data-action="play"]'].textContent).toEqual("Play");
+        elements['[data-action="previous"]'].click();
+        expect(animations[0].currentTime).toEqual(0);
+        elements['[data-action="play"]'].click();
+        expect(animations[0].paused).toBe(false);
+    });
+});
@@ -0,0 +1,48 @@
+import { arrowHead, routeArrow } from "../arrows";
+
+describe("routeArrow", () => {
+    const slot = { x: 0, y: 0, width: 50, height: 50 };
+
+    it("routes a straight arrow to the border of the target box", () => {
+        const target = { x: 200, y: 0, width: 100, height: 50 };
+        const route = routeArrow(slot, target, [], 15);
+        expect(route).toEqual([
+            { x: 25, y: 25 },
+            { x: 200, y: 25 },
+        ]);
+    });
+
+    it("bends around a box that lies on the straight route", () => {
+        const target = { x: 400, y: 200, width: 100, height: 50 };
+        const obstacle = { x: 150, y: 60, width: 150, height: 100 };
+        const route = routeArrow(slot, target, [obstacle], 15);
+        expect(route).toEqual([
+            { x: 25, y: 25 },
+            { x: 450, y: 25 },
+            { x: 450, y: 200 },
+        ]);
+    });
+
+    it("loops around the box of an object that refers to itself", () => {
+        const target = { x: -25, y: -50, width: 200, height: 130 };
+        const route = routeArrow(slot, target, [], 15);
+        expect(route[0]).toEqual({ x: 25, y: 25 });
+        expect(route[route.length - 1]).toEqual({ x: 175, y: 15 });
+    });
+});
+
+describe("arrowHead", () => {
+    it("places the tip of the arrowhead at the end of the route", () => {
+        const head = arrowHead(
+            [
+                { x: 0, y: 0 },
+                { x: 100, y: 0 },
+            ],
+            12
+        );
+        expect(head[0]).toEqual({ x: 100, y: 0 });
+        expect(head[1].x).toBeLessThan(100);
+        expect(head[2].x).toBeLessThan(100);
+        expect(head[1].y).toBeCloseTo(-head[2].y);
+    });
+});
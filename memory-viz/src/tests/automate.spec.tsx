@@ -0,0 +1,191 @@
+import { drawAutomatedOtherItems, objectReferences } from "../automate";
+
+describe("drawAutomatedOtherItems with sort_by 'references'", () => {
+    const configuration = {
+        padding: 20,
+        top_margin: 30,
+        left_margin: 10,
+        bottom_margin: 40,
+        right_margin: 10,
+    };
+
+    function layout(
+        objs: any[],
+        stack_frames: any[],
+        max_width: number = 2000
+    ) {
+        drawAutomatedOtherItems(
+            objs,
+            max_width,
+            "references",
+            { ...configuration },
+            200,
+            stack_frames
+        );
+        return new Map(objs.map((obj) => [obj.id, obj]));
+    }
+
+    it("places objects in columns by reference depth from the stack frames", () => {
+        const frames = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { x: 2 },
+                y: 30,
+            },
+        ];
+        const objs = layout(
+            [
+                { type: "int", id: 1, value: 5 },
+                { type: "list", id: 2, value: [3] },
+                { type: "list", id: 3, value: [1] },
+            ],
+            frames
+        );
+        expect(objs.get(2).x).toEqual(220);
+        expect(objs.get(3).x).toBeGreaterThan(
+            objs.get(2).x + objs.get(2).width
+        );
+        expect(objs.get(1).x).toBeGreaterThan(
+            objs.get(3).x + objs.get(3).width
+        );
+        expect(objs.get(2).y).toEqual(30);
+    });
+
+    it("places objects no higher than the frames that refer to them", () => {
+        const frames = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { x: 1 },
+                y: 30,
+            },
+            { type: ".frame", name: "f", id: null, value: { y: 2 }, y: 500 },
+        ];
+        const objs = layout(
+            [
+                { type: "int", id: 1, value: 5 },
+                { type: "int", id: 2, value: 6 },
+            ],
+            frames
+        );
+        expect(objs.get(1).y).toEqual(30);
+        expect(objs.get(2).y).toEqual(500);
+        expect(objs.get(2).x).toEqual(objs.get(1).x);
+    });
+
+    it("orders each column so that references do not cross", () => {
+        const frames = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { a: 1, b: 2 },
+                y: 30,
+            },
+        ];
+        const objs = layout(
+            [
+                { type: "int", id: 3, value: 3 },
+                { type: "int", id: 4, value: 4 },
+                { type: "list", id: 1, value: [4] },
+                { type: "list", id: 2, value: [3] },
+            ],
+            frames
+        );
+        expect(objs.get(1).y).toBeLessThan(objs.get(2).y);
+        expect(objs.get(4).y).toBeLessThan(objs.get(3).y);
+    });
+
+    it("places objects that cannot be reached from the stack frames starting from the first column", () => {
+        const objs = layout(
+            [
+                { type: "int", id: 3, value: 3 },
+                { type: "list", id: 1, value: [2] },
+                { type: "list", id: 2, value: [1, 3] },
+            ],
+            []
+        );
+        // Every object is referred to by another one, so the search starts at the first object of the cycle.
+        expect(objs.get(1).x).toEqual(220);
+        expect(objs.get(2).x).toBeGreaterThan(objs.get(1).x);
+        expect(objs.get(3).x).toBeGreaterThan(objs.get(2).x);
+    });
+
+    it("keeps blank spaces right after the object that precedes them", () => {
+        const frames = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { a: 1, b: 2 },
+                y: 30,
+            },
+        ];
+        const blank: any = { type: ".blank", width: 100, height: 200 };
+        const objs = layout(
+            [
+                { type: "int", id: 1, value: 1 },
+                blank,
+                { type: "int", id: 2, value: 2 },
+            ],
+            frames
+        );
+        expect(blank).toMatchObject({
+            x: 220,
+            y: objs.get(1).y + objs.get(1).height + 20,
+        });
+        expect(objs.get(2).y).toEqual(blank.y + 200 + 20);
+    });
+
+    it("continues columns that do not fit below the previous ones", () => {
+        const frames = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { a: 1 },
+                y: 30,
+            },
+        ];
+        const objs = layout(
+            [
+                { type: "list", id: 1, value: [2] },
+                { type: "list", id: 2, value: [3] },
+                { type: "int", id: 3, value: 3 },
+            ],
+            frames,
+            500
+        );
+        expect(objs.get(1).rowBreaker).toBeUndefined();
+        expect(objs.get(3).rowBreaker).toBe(true);
+        expect(objs.get(3).x).toEqual(220);
+        expect(objs.get(3).y).toBeGreaterThanOrEqual(
+            Math.max(
+                objs.get(1).y + objs.get(1).height,
+                objs.get(2).y + objs.get(2).height
+            ) + 20
+        );
+    });
+});
+
+describe("objectReferences", () => {
+    it("returns the ids referred to by each kind of object", () => {
+        expect(
+            objectReferences({
+                type: ".frame",
+                id: null,
+                value: { a: 1, b: null },
+            })
+        ).toEqual(["1"]);
+        expect(
+            objectReferences({ type: "dict", id: 1, value: { 2: 3, 4: 5 } })
+        ).toEqual(["2", "3", "4", "5"]);
+        expect(objectReferences({ type: "set", id: 1, value: [2, 3] })).toEqual(
+            ["2", "3"]
+        );
+        expect(objectReferences({ type: "int", id: 1, value: 2 })).toEqual([]);
+    });
+});
@@ -0,0 +1,188 @@
+import exports from "../index";
+import { validate } from "../validate";
+import { MemoryModel } from "../memory_model";
+const {
+    compareStates,
+    draw,
+    drawAutomatedStackFrames,
+    getSize,
+    reachability,
+    renderText,
+} = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+    {
+        type: ".frame",
+        name: "total",
+        id: null,
+        value: { nums: 1 },
+        return_value: 2,
+        active: true,
+    },
+    { type: "list", id: 1, value: [2] },
+    { type: "int", id: 2, value: 7 },
+];
+
+function drawClean(objs: object[], configuration: object = {}) {
+    return draw(structuredClone(objs), true, {
+        width: 800,
+        renderer: "clean",
+        ...configuration,
+    });
+}
+
+describe("return_value", () => {
+    it("draws the return value of a frame in a 'return' slot", () => {
+        const m = drawClean(objects);
+        const slot = m.reference_slots.find((slot) => slot.key === "return");
+        expect(slot.target).toEqual(2);
+        expect(m.serializeSVG()).toContain(">return</text>");
+    });
+
+    it("adds a row to the frame", () => {
+        const frame = { ...objects[1], active: false };
+        const without_return = { ...frame };
+        delete without_return.return_value;
+        expect(getSize(frame).height - getSize(without_return).height).toEqual(
+            75
+        );
+        expect(
+            getSize({ ...frame, return_value: null }).height -
+                getSize(without_return).height
+        ).toEqual(75);
+    });
+
+    it("makes the returned object reachable", () => {
+        const objs = [
+            { type: ".frame", name: "f", id: null, value: {}, return_value: 2 },
+            { type: "int", id: 2, value: 7 },
+        ];
+        expect(reachability(objs).reachable).toEqual(new Set([2]));
+    });
+
+    it("is compared as a slot of the frame", () => {
+        const after = structuredClone(objects);
+        after[1].return_value = 1;
+        const frame = compareStates(objects, after).find(
+            (entity) => entity.name === "total"
+        );
+        expect(frame.slots.return).toEqual("rebound");
+    });
+
+    it("is shown in text diagrams", () => {
+        expect(renderText(objects)).toContain("return: id2");
+    });
+});
+
+describe("active", () => {
+    it("draws the active frame with the 'active' preset", () => {
+        const m = drawClean(objects);
+        const [main, total] = m.drawn_boxes;
+        expect(main.entity.style.box_container.strokeWidth).not.toEqual(4);
+        expect(total.entity.style.box_container.strokeWidth).toEqual(4);
+        expect(total.entity.style.text_type["font-weight"]).toEqual("bolder");
+    });
+
+    it("gives precedence to the style of the frame", () => {
+        const objs = structuredClone(objects) as any[];
+        objs[1].style = { box_container: { strokeWidth: 2 } };
+        const total = drawClean(objs).drawn_boxes[1];
+        expect(total.entity.style.box_container.strokeWidth).toEqual(2);
+    });
+});
+
+describe("stack_direction", () => {
+    const frames = () => structuredClone(objects.slice(0, 2));
+
+    it("draws the first frame at the top by default", () => {
+        const { StackFrames } = drawAutomatedStackFrames(frames(), {});
+        expect(StackFrames[0].y).toBeLessThan(StackFrames[1].y);
+    });
+
+    it("draws the first frame at the bottom when the stack grows up", () => {
+        const down = drawAutomatedStackFrames(frames(), {});
+        const up = drawAutomatedStackFrames(frames(), {
+            stack_direction: "up",
+        });
+        expect(up.StackFrames[0].y).toBeGreaterThan(up.StackFrames[1].y);
+        expect(up.StackFrames[1].y).toEqual(down.StackFrames[0].y);
+        expect(up.requiredHeight).toEqual(down.requiredHeight);
+    });
+});
+
+describe("region_headings", () => {
+    it("draws a heading above each region, with a divider", () => {
+        const svg = drawClean(objects, {
+            region_headings: true,
+        }).serializeSVG();
+        expect(svg).toContain(">Call stack</text>");
+        expect(svg).toContain(">Objects</text>");
+        expect(svg).toContain('stroke-dasharray="8 8"');
+    });
+
+    it("moves the regions down to make room for the headings", () => {
+        const plain = drawClean(objects).drawn_boxes;
+        const headed = drawClean(objects, {
+            region_headings: true,
+        }).drawn_boxes;
+        plain.forEach((box, i) => {
+            expect(headed[i].y - box.y).toEqual(40);
+            expect(headed[i].x).toEqual(box.x);
+        });
+    });
+
+    it("makes room for headings of the font size of the diagram", () => {
+        const plain = drawClean(objects, { font_size: 30 }).drawn_boxes;
+        const m = drawClean(objects, { region_headings: true, font_size: 30 });
+        m.drawn_boxes.forEach((box, i) => {
+            expect(box.y - plain[i].y).toEqual(60);
+        });
+        expect(m.scene).toContainEqual({
+            kind: "text",
+            text: "Call stack",
+            attributes: expect.objectContaining({
+                y: plain[0].y + 45,
+                "font-size": 30,
+            }),
+        });
+    });
+
+    it("leaves out the heading of an empty region", () => {
+        const svg = drawClean(objects.slice(2), {
+            region_headings: true,
+        }).serializeSVG();
+        expect(svg).not.toContain(">Call stack</text>");
+        expect(svg).toContain(">Objects</text>");
+        expect(svg).not.toContain("stroke-dasharray");
+    });
+});
+
+describe("frames and classes without a value", () => {
+    it("are drawn as empty boxes", () => {
+        const m = new MemoryModel({ renderer: "clean" });
+        const sizes = m.drawAll([
+            { type: ".frame", name: "f", id: null, x: 10, y: 10 },
+            { type: ".class", name: "C", id: 1, x: 200, y: 10 },
+        ]);
+        expect(sizes).toHaveLength(2);
+        expect(m.reference_slots).toEqual([]);
+    });
+});
+
+describe("validation", () => {
+    it("reports invalid return values and active flags", () => {
+        const objs = structuredClone(objects) as any[];
+        objs[0].return_value = [1];
+        objs[1].active = "yes";
+        objs[1].return_value = 9;
+        const errors = validate(objs).map(
+            (error) => `${error.severity} ${error.path}`
+        );
+        expect(errors).toEqual([
+            "error [0].return_value",
+            "error [1].active",
+            "warning [1].return_value",
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+import exports from "../index";
+const { draw, MemoryModel, themes } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+    { type: "list", id: 1, value: [2], style: ["highlight"] },
+    { type: "int", id: 2, value: 7, style: ["fade"] },
+];
+
+function drawClean(objs: object[], configuration: object = {}) {
+    return draw(structuredClone(objs), true, {
+        width: 800,
+        renderer: "clean",
+        ...configuration,
+    });
+}
+
+describe("clean renderer", () => {
+    it("draws plain SVG shapes, without Rough.js paths", () => {
+        const svg = drawClean(objects).serializeSVG();
+        expect(svg).toContain("<rect x=");
+        expect(svg).not.toContain("<path");
+    });
+
+    it("draws the same diagram every time, without a seed", () => {
+        expect(drawClean(objects).serializeSVG()).toEqual(
+            drawClean(objects).serializeSVG()
+        );
+    });
+
+    it("draws the boxes of objects with the same geometry as Rough.js", () => {
+        const m = drawClean(objects);
+        for (const { x, y, width, height } of m.drawn_boxes) {
+            expect(m.serializeSVG()).toContain(
+                `<rect x="${x}" y="${y}" width="${width}" height="${height}"`
+            );
+        }
+    });
+
+    it("maps the box styles of presets to SVG attributes", () => {
+        const svg = drawClean(objects).serializeSVG();
+        // The containers of the highlighted list and of the faded int.
+        expect(svg).toContain(
+            `fill="${themes.light.highlight_fill}" stroke="rgb(0, 0, 0)" stroke-width="4"/>`
+        );
+        expect(svg).toContain(
+            `fill="${themes.light.fade_fill}" stroke="rgb(0, 0, 0)" stroke-width="0.5"/>`
+        );
+    });
+
+    it("fills boxes with a shared pattern for fill styles other than solid", () => {
+        const hatched = {
+            box_container: { fill: "red" },
+            box_id: { fill: "red", fillStyle: "hachure" },
+        };
+        const svg = drawClean([
+            { type: "int", id: 1, value: 7, style: hatched },
+            { type: "int", id: 2, value: 8, style: hatched },
+        ]).serializeSVG();
+        const fills = svg.match(/fill="url\(#([^)]*)\)"/g);
+        expect(fills).toHaveLength(4);
+        expect(new Set(fills).size).toEqual(1);
+        expect(svg.match(/<pattern /g)).toHaveLength(1);
+        expect(svg).toMatch(/<svg [^>]*><defs><pattern /);
+    });
+
+    it("draws arrows as lines with a filled arrowhead", () => {
+        const svg = drawClean(objects.slice(0, 2), {
+            arrows: true,
+        }).serializeSVG();
+        expect(svg).toMatch(/<(line|polyline) [^>]*stroke-width="1"/);
+        expect(svg).toMatch(/<polygon points="[^"]*" fill="rgb\(0, 0, 0\)"/);
+    });
+
+    it("draws dashed lines with stroke-dasharray", () => {
+        const m = new MemoryModel({ renderer: "clean" });
+        m.drawLine(
+            [
+                { x: 0, y: 10 },
+                { x: 100, y: 10 },
+            ],
+            { strokeLineDash: [8, 8] }
+        );
+        expect(m.serializeSVG()).toContain(
+            '<line x1="0" y1="10" x2="100" y2="10" stroke="rgb(0, 0, 0)" stroke-width="1" stroke-dasharray="8 8"/>'
+        );
+    });
+
+    it("throws an error for an unknown renderer", () => {
+        expect(() => new MemoryModel({ renderer: "sketchy" })).toThrow(
+            "Unknown renderer 'sketchy'"
+        );
+    });
+});
@@ -1,4 +1,4 @@
-const { exec } = require("child_process");
+const { exec, spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 const tmp = require("tmp");
@@ -78,7 +78,7 @@ describe("memory-viz cli", () => {
         fs.writeFileSync(filePath, input);
 
         exec(
-            `memory-viz ${filePath} --height=700 width=1200 --roughjs-config seed=12345`,
+            `memory-viz ${filePath} --height=700 --width=1200 --roughjs-config seed=12345`,
             (err) => {
                 if (err) throw err;
                 const svgFilePath = path.resolve(
@@ -111,6 +111,804 @@ describe("memory-viz cli", () => {
             }
         );
     });
+
+    for (const [format, extension, start] of [
+        ["png", "png", "\x89PNG"],
+        ["pdf", "pdf", "%PDF"],
+        ["dot", "dot", "digraph"],
+        ["mermaid", "mmd", "flowchart"],
+        ["tikz", "tex", "\\begin{tikzpicture}"],
+    ]) {
+        it(`produces a ${format} file when provided the format option`, (done) => {
+            fs.writeFileSync(filePath, input);
+
+            exec(`memory-viz ${filePath} --format=${format}`, (err) => {
+                if (err) throw err;
+                const outputFilePath = path.resolve(
+                    process.cwd(),
+                    path.basename(filePath.replace(".json", `.${extension}`))
+                );
+                const fileContent = fs.readFileSync(outputFilePath, "latin1");
+                expect(fileContent.startsWith(start)).toBe(true);
+                fs.unlinkSync(outputFilePath);
+                done();
+            });
+        });
+    }
+
+    it("scales png files when provided the scale option", (done) => {
+        fs.writeFileSync(filePath, input);
+
+        exec(
+            `memory-viz ${filePath} --format=png --width=700 --scale=2`,
+            (err) => {
+                if (err) throw err;
+                const pngFilePath = path.resolve(
+                    process.cwd(),
+                    path.basename(filePath.replace(".json", ".png"))
+                );
+                const fileContent = fs.readFileSync(pngFilePath);
+                // The width is stored at the start of the IHDR chunk.
+                expect(fileContent.readUInt32BE(16)).toEqual(1400);
+                fs.unlinkSync(pngFilePath);
+                done();
+            }
+        );
+    });
+
+    it("draws the diagram with the built-in theme given by the theme option", (done) => {
+        fs.writeFileSync(filePath, input);
+
+        exec(`memory-viz ${filePath} --theme dark`, (err) => {
+            if (err) throw err;
+            const svgFilePath = path.resolve(
+                process.cwd(),
+                path.basename(filePath.replace(".json", ".svg"))
+            );
+            const fileContent = fs.readFileSync(svgFilePath, "utf8");
+            expect(fileContent).toContain(
+                '<rect width="100%" height="100%" fill="rgb(30, 30, 30)"/>'
+            );
+            fs.unlinkSync(svgFilePath);
+            done();
+        });
+    });
+
+    it("draws the diagram with the theme in the file given by the theme option", (done) => {
+        fs.writeFileSync(filePath, input);
+        const themeFile = tmp.fileSync({ postfix: ".json" });
+        fs.writeFileSync(
+            themeFile.name,
+            JSON.stringify({ background: "navy", value_color: "gold" })
+        );
+
+        exec(`memory-viz ${filePath} --theme ${themeFile.name}`, (err) => {
+            if (err) throw err;
+            const svgFilePath = path.resolve(
+                process.cwd(),
+                path.basename(filePath.replace(".json", ".svg"))
+            );
+            const fileContent = fs.readFileSync(svgFilePath, "utf8");
+            expect(fileContent).toContain('fill="navy"');
+            expect(fileContent).toContain('fill="gold"');
+            fs.unlinkSync(svgFilePath);
+            done();
+        });
+    });
+
+    it("displays an error when the theme option is neither a theme nor a file", (done) => {
+        exec(`memory-viz ${filePath} --theme sepia`, (err) => {
+            expect(err.code).toBe(1);
+            expect(err.message).toContain(
+                "Expected one of light, dark, high-contrast, or the path to a JSON theme file."
+            );
+            done();
+        });
+    });
+});
+
+describe("memory-viz with several inputs and output options", () => {
+    const valid = '[{"type": "int", "id": 1, "value": 5}]';
+
+    /**
+     * Create a temporary directory containing the given files (mapping names to contents), and return its path.
+     */
+    function makeDirectory(files: Record<string, string>): string {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        for (const [name, contents] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), {
+                recursive: true,
+            });
+            fs.writeFileSync(path.join(dir, name), contents);
+        }
+        return dir;
+    }
+
+    it("draws every input and glob match into the output directory", (done) => {
+        const dir = makeDirectory({
+            "a.json": valid,
+            "more/b.json": valid,
+            "more/deeper/c.json": valid,
+        });
+        const out = path.join(dir, "out");
+
+        exec(
+            `memory-viz ${dir}/a.json "${dir}/more/*.json" "${dir}/**/c.json" --output ${out}`,
+            (err) => {
+                if (err) throw err;
+                expect(fs.readdirSync(out).sort()).toEqual([
+                    "a.svg",
+                    "b.svg",
+                    "c.svg",
+                ]);
+                done();
+            }
+        );
+    });
+
+    it("writes a single diagram to the output file, in the format of its extension", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+        const out = path.join(dir, "diagram.png");
+
+        exec(`memory-viz ${dir}/a.json --output ${out}`, (err) => {
+            if (err) throw err;
+            expect(fs.readFileSync(out, "latin1").startsWith("\x89PNG")).toBe(
+                true
+            );
+            done();
+        });
+    });
+
+    it("writes DOT code to an output file with the .gv extension", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+        const out = path.join(dir, "diagram.gv");
+
+        exec(`memory-viz ${dir}/a.json --output ${out}`, (err) => {
+            if (err) throw err;
+            expect(fs.readFileSync(out, "utf8").startsWith("digraph")).toBe(
+                true
+            );
+            done();
+        });
+    });
+
+    it("writes a text diagram with the given number of columns", (done) => {
+        const dir = makeDirectory({
+            "a.json":
+                '[{"type": "int", "id": 1, "value": 5}, {"type": "int", "id": 2, "value": 6}]',
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --format text --columns 20 --ascii --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toEqual(
+                    [
+                        "#=id1=int=#",
+                        "#    5    #",
+                        "#=========#",
+                        "",
+                        "#=id2=int=#",
+                        "#    6    #",
+                        "#=========#",
+                        "",
+                    ].join("\n")
+                );
+                done();
+            }
+        );
+    });
+
+    it("draws plain SVG shapes with the clean renderer", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(
+            `memory-viz ${dir}/a.json --renderer clean --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain("<rect x=");
+                expect(stdout).not.toContain("<path");
+                done();
+            }
+        );
+    });
+
+    it("draws the memory model of the given language", (done) => {
+        const dir = makeDirectory({
+            "a.json": JSON.stringify([
+                { type: ".frame", name: "main", id: null, value: { xs: 1 } },
+                { type: "int[]", id: 1, value: [2] },
+                { type: "int", id: 2, value: 5 },
+            ]),
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --language java --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain(">@1</text>");
+                expect(stdout).toContain(">5</text>");
+                expect(stdout).not.toContain(">@2</text>");
+                done();
+            }
+        );
+    });
+
+    it("warns about the input in the memory model of the given language", (done) => {
+        const dir = makeDirectory({
+            "a.json": JSON.stringify([
+                { type: "HashMap", id: 1, value: { 2: 3 } },
+                { type: "String", id: 3, value: "a" },
+            ]),
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --language java --output -`,
+            (err, stdout, stderr) => {
+                if (err) throw err;
+                expect(stderr).toContain(
+                    'Warning: [0].value["2"]: the key id 2 does not refer to any of the given objects'
+                );
+                done();
+            }
+        );
+    });
+
+    it("draws text diagrams in the memory model of the given language", (done) => {
+        const dir = makeDirectory({
+            "a.json": JSON.stringify([
+                { type: ".frame", name: "main", id: null, value: { n: 1 } },
+                { type: "int", id: 1, value: 5 },
+            ]),
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --language java --format text --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toEqual(
+                    ["┌─main──┐", "│ n: 5  │", "└───────┘", ""].join("\n")
+                );
+                done();
+            }
+        );
+    });
+
+    it("passes the size limits to the diagram", (done) => {
+        const dir = makeDirectory({
+            "a.json": JSON.stringify([
+                { type: "list", id: 1, value: [2, 3, 4, 5, 6] },
+                { type: "str", id: 2, value: "abcdefghij" },
+            ]),
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --max-items 2 --max-value-length 5 --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain("… 3 more");
+                expect(stdout).toContain('"abc…');
+                done();
+            }
+        );
+    });
+
+    it("draws region headings and grows the stack up", (done) => {
+        const dir = makeDirectory({
+            "a.json": JSON.stringify([
+                { type: ".frame", name: "__main__", id: null, value: {} },
+                { type: ".frame", name: "f", id: null, value: {} },
+            ]),
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --stack-direction up --region-headings --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain(">Call stack</text>");
+                // The last frame is at the top of the stack.
+                const textY = (text) =>
+                    Number(
+                        stdout.match(`y="([\\d.]+)"[^>]*>${text}</text>`)[1]
+                    );
+                expect(textY("f")).toBeLessThan(textY("__main__"));
+                done();
+            }
+        );
+    });
+
+    it("draws interactive diagrams with an embedded script", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(
+            `memory-viz ${dir}/a.json --interactive --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain('data-id="1"');
+                expect(stdout).toContain("<script>");
+                done();
+            }
+        );
+    });
+
+    it("draws diagrams again from their embedded source with --from-svg", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(
+            `memory-viz ${dir}/a.json --embed-source --theme dark --output ${dir}/a.svg`,
+            (err) => {
+                if (err) throw err;
+                const svg = fs.readFileSync(`${dir}/a.svg`, "utf8");
+                expect(svg).toContain('<metadata id="memory-viz-source">');
+                exec(
+                    `memory-viz ${dir}/a.svg --from-svg --output -`,
+                    (err, stdout) => {
+                        if (err) throw err;
+                        expect(stdout).toEqual(svg);
+                        exec(
+                            `memory-viz ${dir}/a.svg --from-svg --theme light --output -`,
+                            (err, stdout) => {
+                                if (err) throw err;
+                                expect(stdout).not.toEqual(svg);
+                                expect(stdout).toContain('"theme":"light"');
+                                done();
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    });
+
+    it("reports SVG files without an embedded source", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(`memory-viz ${dir}/a.json --output ${dir}/a.svg`, (err) => {
+            if (err) throw err;
+            exec(
+                `memory-viz ${dir}/a.svg --from-svg --output -`,
+                (err, stdout, stderr) => {
+                    expect(err.code).toEqual(1);
+                    expect(stderr).toContain(
+                        "Error: The SVG has no embedded source"
+                    );
+                    done();
+                }
+            );
+        });
+    });
+
+    it("reads from stdin and writes to stdout when given '-'", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(`memory-viz - < ${dir}/a.json`, (err, stdout) => {
+            if (err) throw err;
+            expect(stdout.startsWith("<svg")).toBe(true);
+            expect(stdout).toContain(">5</text>");
+            exec(
+                `memory-viz ${dir}/a.json --output - --format png`,
+                { encoding: "latin1" },
+                (err, stdout) => {
+                    if (err) throw err;
+                    expect(stdout.startsWith("\x89PNG")).toBe(true);
+                    done();
+                }
+            );
+        });
+    });
+
+    it("draws objects at their own coordinates with --no-automation", (done) => {
+        const dir = makeDirectory({
+            "a.json":
+                '[{"type": "int", "id": 1, "value": 5, "x": 300, "y": 400}]',
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --no-automation --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                // The diagram is sized to fit the object.
+                expect(stdout).toMatch(/^<svg width="\d+" height="\d+"/);
+                expect(stdout).toContain('x="400" y="490">5</text>');
+                done();
+            }
+        );
+    });
+
+    it("lays out objects with the given sort order, margins and padding", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(
+            `memory-viz ${dir}/a.json --output - --sort-by id --top-margin 100 --left-margin 0 --padding 0`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain('x="100" y="190">5</text>');
+                done();
+            }
+        );
+    });
+
+    it("marks unreachable objects and places them in a garbage region", (done) => {
+        const dir = makeDirectory({
+            "a.json":
+                '[{"type": ".frame", "name": "__main__", "id": null, "value": {}}, {"type": "int", "id": 1, "value": 5}]',
+        });
+
+        exec(
+            `memory-viz ${dir}/a.json --mark-garbage hide --garbage-region --output -`,
+            (err, stdout) => {
+                if (err) throw err;
+                expect(stdout).toContain(">Garbage</text>");
+                expect(stdout).toMatch(/fill-opacity="0"[^>]*>5<\/text>/);
+                done();
+            }
+        );
+    });
+
+    it("exits with an error for an unknown garbage style preset", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+
+        exec(
+            `memory-viz ${dir}/a.json --mark-garbage nosuch --output -`,
+            (err) => {
+                expect(err.code).toBe(1);
+                expect(err.message).toContain(
+                    "option '--mark-garbage [preset]' argument 'nosuch' is invalid. Allowed choices are "
+                );
+                done();
+            }
+        );
+    });
+
+    it("draws the valid inputs, and exits with an error listing the inputs that failed", (done) => {
+        const dir = makeDirectory({
+            "a.json": valid,
+            "b.json": "[1, 2,",
+        });
+        const out = path.join(dir, "out");
+
+        exec(
+            `memory-viz ${dir}/a.json ${dir}/b.json ${dir}/c.json "${dir}/*.txt" --output ${out}`,
+            (err) => {
+                expect(err.code).toBe(1);
+                expect(err.message).toContain(
+                    `Error: ${dir}/b.json: Invalid JSON`
+                );
+                expect(err.message).toContain(
+                    `Error: 3 of 4 inputs failed: ${dir}/*.txt, ${dir}/b.json, ${dir}/c.json`
+                );
+                expect(fs.readdirSync(out)).toEqual(["a.svg"]);
+                done();
+            }
+        );
+    });
+
+    it("displays an error when several diagrams are written to stdout", (done) => {
+        const dir = makeDirectory({ "a.json": valid, "b.json": valid });
+
+        exec(`memory-viz "${dir}/*.json" --output -`, (err) => {
+            expect(err.code).toBe(1);
+            expect(err.message).toContain(
+                "Error: Cannot write more than one diagram to stdout."
+            );
+            done();
+        });
+    });
+
+    it("draws the diagram again when the input changes in watch mode", (done) => {
+        const dir = makeDirectory({ "a.json": valid });
+        const out = path.join(dir, "a.svg");
+        const child = spawn("memory-viz", [
+            `${dir}/a.json`,
+            "--watch",
+            "--output",
+            out,
+        ]);
+
+        let changed = false;
+        child.stderr.on("data", (data) => {
+            if (data.toString().includes("Watching 1 file(s)")) {
+                expect(fs.readFileSync(out, "utf8")).toContain(">5</text>");
+                // Wait for a new modification time before changing the file.
+                setTimeout(() => {
+                    fs.writeFileSync(`${dir}/a.json`, valid.replace("5", "6"));
+                    changed = true;
+                }, 1000);
+            } else if (changed && data.toString().includes("Updated")) {
+                expect(fs.readFileSync(out, "utf8")).toContain(">6</text>");
+                child.kill();
+                done();
+            }
+        });
+    }, 20000);
+});
+
+describe("memory-viz trace", () => {
+    const script = tmp.fileSync({ postfix: ".py" });
+    const name = path.parse(script.name).name;
+
+    it("writes the JSON of the state of memory at each line", (done) => {
+        fs.writeFileSync(script.name, "x = [1, 2]\ny = x\nprint(y)\n");
+
+        exec(
+            `memory-viz trace ${script.name} --line 2 --line 3 --json`,
+            (err) => {
+                if (err) throw err;
+                const line2 = JSON.parse(
+                    fs.readFileSync(`${name}-line2.json`, "utf8")
+                );
+                const line3 = JSON.parse(
+                    fs.readFileSync(`${name}-line3.json`, "utf8")
+                );
+                expect(line2[0].value).toEqual({ x: 1 });
+                expect(line3[0].value).toEqual({ x: 1, y: 1 });
+                fs.unlinkSync(`${name}-line2.json`);
+                fs.unlinkSync(`${name}-line3.json`);
+                done();
+            }
+        );
+    });
+
+    it("draws the state of memory in the given format", (done) => {
+        fs.writeFileSync(script.name, "x = [1, 2]\ny = x\n");
+
+        exec(`memory-viz trace ${script.name} --line 2 --format=png`, (err) => {
+            if (err) throw err;
+            const fileContent = fs.readFileSync(`${name}-line2.png`, "latin1");
+            expect(fileContent.startsWith("\x89PNG")).toBe(true);
+            fs.unlinkSync(`${name}-line2.png`);
+            done();
+        });
+    });
+
+    it("displays an error when the line is never reached", (done) => {
+        fs.writeFileSync(script.name, "x = 1\n");
+
+        exec(`memory-viz trace ${script.name} --line 5`, (err) => {
+            expect(err.code).toBe(1);
+            expect(err.message).toContain(
+                `Error: Line 5 of ${script.name} was never reached.`
+            );
+            done();
+        });
+    });
+});
+
+describe("memory-viz diff", () => {
+    const before =
+        '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 5}]';
+    const after =
+        '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 2}}, {"type": "int", "id": 2, "value": 6}]';
+
+    function writeStates(): { dir: string; a: string; b: string } {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        const a = path.join(dir, "a.json");
+        const b = path.join(dir, "b.json");
+        fs.writeFileSync(a, before);
+        fs.writeFileSync(b, after);
+        return { dir, a, b };
+    }
+
+    it("draws the second state, marking what changed, to <after>-diff.svg", (done) => {
+        const { dir, a, b } = writeStates();
+
+        exec(`memory-viz diff ${a} ${b}`, { cwd: dir }, (err) => {
+            if (err) throw err;
+            const svg = fs.readFileSync(path.join(dir, "b-diff.svg"), "utf8");
+            expect(svg).toContain(">6</text>");
+            expect(svg).toContain(">5</text>");
+            expect(svg).not.toContain(">Before</text>");
+            done();
+        });
+    });
+
+    it("draws the states in the memory model of the given language", (done) => {
+        const { dir, a, b } = writeStates();
+
+        exec(
+            `memory-viz diff ${a} ${b} --language java`,
+            { cwd: dir },
+            (err) => {
+                if (err) throw err;
+                const svg = fs.readFileSync(
+                    path.join(dir, "b-diff.svg"),
+                    "utf8"
+                );
+                expect(svg).toContain(">6</text>");
+                expect(svg).not.toContain(">@2</text>");
+                done();
+            }
+        );
+    });
+
+    it("draws both states side by side to the output file", (done) => {
+        const { dir, a, b } = writeStates();
+        const out = path.join(dir, "diff.svg");
+
+        exec(
+            `memory-viz diff ${a} ${b} --side-by-side --output ${out}`,
+            (err) => {
+                if (err) throw err;
+                const svg = fs.readFileSync(out, "utf8");
+                expect(svg).toContain(">Before</text>");
+                expect(svg).toContain(">After</text>");
+                done();
+            }
+        );
+    });
+
+    it("displays an error when a state does not exist", (done) => {
+        const { dir, a } = writeStates();
+        const missing = path.join(dir, "missing.json");
+
+        exec(`memory-viz diff ${a} ${missing}`, (err) => {
+            expect(err.code).toBe(1);
+            expect(err.message).toContain(
+                `Error: File ${missing} does not exist.`
+            );
+            done();
+        });
+    });
+});
+
+describe("memory-viz with the MemoryViz notation", () => {
+    it("draws .mvz files written in the notation", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        fs.writeFileSync(
+            path.join(dir, "state.mvz"),
+            "frame __main__: x=id1\nid1 int 5\n"
+        );
+
+        exec("memory-viz state.mvz", { cwd: dir }, (err) => {
+            if (err) throw err;
+            const svg = fs.readFileSync(path.join(dir, "state.svg"), "utf8");
+            expect(svg).toContain(">__main__</text>");
+            expect(svg).toContain(">5</text>");
+            done();
+        });
+    });
+
+    it("displays the position of errors in the notation", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        fs.writeFileSync(
+            path.join(dir, "state.mvz"),
+            "frame __main__: x=id1\nid1 list 5\n"
+        );
+
+        exec("memory-viz state.mvz", { cwd: dir }, (err) => {
+            expect(err.code).toBe(1);
+            expect(err.message).toContain(
+                "Error: Invalid MemoryViz notation\nline 2, column 10: expected a list of ids in brackets"
+            );
+            done();
+        });
+    });
+});
+
+describe("memory-viz exercise", () => {
+    const state =
+        '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 5}]';
+
+    it("writes the exercise, its answer key and the answers", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        fs.writeFileSync(path.join(dir, "state.json"), state);
+
+        exec(
+            "memory-viz exercise state.json --types int --renderer clean",
+            { cwd: dir },
+            (err) => {
+                if (err) throw err;
+                const student = fs.readFileSync(
+                    path.join(dir, "state-exercise.svg"),
+                    "utf8"
+                );
+                const key = fs.readFileSync(
+                    path.join(dir, "state-key.svg"),
+                    "utf8"
+                );
+                const answers = JSON.parse(
+                    fs.readFileSync(
+                        path.join(dir, "state-answers.json"),
+                        "utf8"
+                    )
+                );
+                expect(student).not.toContain(">5</text>");
+                expect(key).toContain(">5</text>");
+                expect(answers).toEqual([{ kind: "value", id: 1, answer: 5 }]);
+                done();
+            }
+        );
+    });
+
+    it("displays an error for an invalid fraction", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        fs.writeFileSync(path.join(dir, "state.json"), state);
+
+        exec(
+            "memory-viz exercise state.json --fraction 2",
+            { cwd: dir },
+            (err) => {
+                expect(err.code).toBe(1);
+                expect(err.message).toContain(
+                    "Expected a number greater than 0 and at most 1."
+                );
+                done();
+            }
+        );
+    });
+});
+
+describe("memory-viz animate", () => {
+    const states = {
+        "before.json":
+            '[{"type": ".frame", "name": "__main__", "id": null, "value": {"x": 1}}, {"type": "int", "id": 1, "value": 5}]',
+        "after.mvz": "frame __main__: x=id2\nid2 int 6\n",
+    };
+
+    it("writes an animated SVG of the states", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        for (const [name, contents] of Object.entries(states)) {
+            fs.writeFileSync(path.join(dir, name), contents);
+        }
+
+        exec(
+            "memory-viz animate before.json after.mvz --hold 500 --no-loop",
+            { cwd: dir },
+            (err) => {
+                if (err) throw err;
+                const svg = fs.readFileSync(
+                    path.join(dir, "before-animation.svg"),
+                    "utf8"
+                );
+                expect(svg).toContain("@keyframes");
+                expect(svg).toContain("2000ms ease-in-out 1 both");
+                expect(svg).toContain(">5</text>");
+                expect(svg).toContain(">6</text>");
+                done();
+            }
+        );
+    });
+
+    it("writes a page with playback controls to an HTML file", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        for (const [name, contents] of Object.entries(states)) {
+            fs.writeFileSync(path.join(dir, name), contents);
+        }
+
+        exec(
+            "memory-viz animate before.json after.mvz --output animation.html",
+            { cwd: dir },
+            (err) => {
+                if (err) throw err;
+                const page = fs.readFileSync(
+                    path.join(dir, "animation.html"),
+                    "utf8"
+                );
+                expect(page.startsWith("<!DOCTYPE html>")).toBe(true);
+                expect(page).toContain('data-action="play"');
+                done();
+            }
+        );
+    });
+
+    it("displays an error for other output formats", (done) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+        for (const [name, contents] of Object.entries(states)) {
+            fs.writeFileSync(path.join(dir, name), contents);
+        }
+
+        exec(
+            "memory-viz animate before.json after.mvz --output animation.png",
+            { cwd: dir },
+            (err) => {
+                expect(err.code).toBe(1);
+                expect(err.message).toContain(
+                    "Animations can only be written to SVG or HTML files."
+                );
+                done();
+            }
+        );
+    });
 });
 
 describe.each([
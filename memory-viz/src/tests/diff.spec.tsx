@@ -0,0 +1,224 @@
+import exports from "../index";
+const { compareStates, diff, themes } = exports;
+
+const before = [
+    {
+        type: ".frame",
+        name: "__main__",
+        id: null,
+        value: { lst: 1, x: 2, y: 5 },
+    },
+    { type: "list", id: 1, value: [2, 3] },
+    { type: "int", id: 2, value: 10 },
+    { type: "int", id: 3, value: 20 },
+    { type: "int", id: 5, value: 99 },
+];
+
+const after = [
+    {
+        type: ".frame",
+        name: "__main__",
+        id: null,
+        value: { lst: 1, x: 4, z: 2 },
+    },
+    { type: "list", id: 1, value: [2, 4, 3] },
+    { type: "int", id: 2, value: 10 },
+    { type: "int", id: 3, value: 20 },
+    { type: "int", id: 4, value: 30 },
+];
+
+/**
+ * Return the number of rectangles drawn with the given stroke color on the given diagram.
+ */
+function countStrokes(svg: String, color: string): number {
+    return svg.split(`stroke="${color}"`).length - 1;
+}
+
+describe("compareStates", () => {
+    it("classifies each object and each slot", () => {
+        expect(compareStates(before, after)).toEqual([
+            {
+                id: null,
+                name: "__main__",
+                type: ".frame",
+                status: "rebound",
+                slots: {
+                    lst: "unchanged",
+                    x: "rebound",
+                    z: "added",
+                    y: "removed",
+                },
+            },
+            {
+                id: 1,
+                type: "list",
+                status: "rebound",
+                slots: { 0: "unchanged", 1: "rebound", 2: "added" },
+            },
+            { id: 2, type: "int", status: "unchanged", slots: {} },
+            { id: 3, type: "int", status: "unchanged", slots: {} },
+            { id: 4, type: "int", status: "added", slots: {} },
+            { id: 5, type: "int", status: "removed", slots: {} },
+        ]);
+    });
+
+    it("compares dictionaries by key, sets by element and classes by attribute", () => {
+        const diffs = compareStates(
+            [
+                { type: "dict", id: 1, value: { 10: 11, 12: 13 } },
+                { type: "set", id: 2, value: [10, 12] },
+                { type: ".class", name: "P", id: 3, value: { a: 10 } },
+            ],
+            [
+                { type: "dict", id: 1, value: { 10: 14 } },
+                { type: "set", id: 2, value: [12, 10] },
+                { type: ".class", name: "P", id: 3, value: { a: 10, b: 11 } },
+            ]
+        );
+        expect(diffs.map((d) => [d.status, d.slots])).toEqual([
+            ["rebound", { 10: "rebound", 12: "removed" }],
+            ["unchanged", { 10: "unchanged", 12: "unchanged" }],
+            ["rebound", { a: "unchanged", b: "added" }],
+        ]);
+    });
+
+    it("matches recursive stack frames by how many frames with the same name are below them", () => {
+        const f = (n: number) => ({
+            type: ".frame",
+            name: "f",
+            id: null,
+            value: { n },
+        });
+        const diffs = compareStates([f(1)], [f(1), f(2)]);
+        expect(diffs.map((d) => d.status)).toEqual(["unchanged", "added"]);
+    });
+
+    it("marks primitive objects whose value changed as rebound", () => {
+        const diffs = compareStates(
+            [{ type: "int", id: 1, value: 1 }],
+            [{ type: "int", id: 1, value: 2 }]
+        );
+        expect(diffs[0].status).toEqual("rebound");
+    });
+
+    it("compares the values held directly by the slots of the given language", () => {
+        const state = (value: number) => [
+            { type: ".frame", name: "main", id: null, value: { n: 1 } },
+            { type: "int", id: 1, value },
+        ];
+        expect(compareStates(state(5), state(6), "java")).toEqual([
+            {
+                id: null,
+                name: "main",
+                type: ".frame",
+                status: "rebound",
+                slots: { n: "rebound" },
+            },
+        ]);
+    });
+});
+
+describe("diff", () => {
+    const colors = themes.light;
+
+    it("marks added, rebound and removed objects and slots in the second state", () => {
+        const svg = diff(structuredClone(before), structuredClone(after), {
+            width: 1300,
+        }).serializeSVG();
+        // The added int and the added slots (z and lst[2]).
+        expect(countStrokes(svg, colors.added_color)).toEqual(3);
+        // __main__ and the list, and the rebound slots (x and lst[1]).
+        expect(countStrokes(svg, colors.rebound_color)).toBeGreaterThanOrEqual(
+            4
+        );
+        // The removed int is faded and crossed out.
+        expect(svg).toMatch(/fill-opacity="0.4"[^>]*>99<\/text>/);
+        expect(countStrokes(svg, colors.removed_color)).toEqual(2);
+    });
+
+    it("marks only the value of a dictionary entry whose value was rebound", () => {
+        const state = (value: number) => [
+            { type: ".frame", name: "__main__", id: null, value: { d: 1 } },
+            { type: "dict", id: 1, value: { 2: value } },
+            { type: "str", id: 2, value: "a" },
+            { type: "int", id: 3, value: 10 },
+            { type: "int", id: 4, value: 20 },
+        ];
+        const m = diff(state(3), state(4), {
+            width: 1300,
+            renderer: "clean",
+        });
+        const marks = m.scene.filter(
+            (shape) =>
+                shape.kind === "rect" &&
+                (shape.style as any).stroke === colors.rebound_color &&
+                !m.drawn_boxes.some(
+                    (box) => box.x === shape.x && box.y === shape.y
+                )
+        );
+        const value_slot = m.reference_slots.find(
+            (slot) => slot.source && !slot.mapping_key && slot.target === 4
+        );
+        expect(marks).toHaveLength(1);
+        expect(marks[0]).toMatchObject({
+            x: value_slot.x - 3,
+            y: value_slot.y - 3,
+        });
+    });
+
+    it("draws both states side by side", () => {
+        const m = diff(structuredClone(before), structuredClone(after), {
+            width: 1300,
+            side_by_side: true,
+        });
+        const single = diff(structuredClone(before), structuredClone(after), {
+            width: 1300,
+        });
+        const svg = m.serializeSVG();
+        expect(svg).toContain(">Before</text>");
+        expect(svg).toContain(">After</text>");
+        expect(svg.split(">__main__</text>").length - 1).toEqual(2);
+        expect(Number(m.svg.getAttribute("width"))).toBeGreaterThan(
+            Number(single.svg.getAttribute("width"))
+        );
+    });
+
+    it("draws objects at the same position in both states", () => {
+        const svg = diff(structuredClone(before), structuredClone(after), {
+            width: 1300,
+            side_by_side: true,
+        }).serializeSVG();
+        const y = (text: string) =>
+            svg.match(new RegExp(`y="([\\d.]+)"[^>]*>${text}</text>`))[1];
+        expect(y("10")).toEqual(y("20"));
+    });
+
+    it("uses the colors of the given theme", () => {
+        const svg = diff(structuredClone(before), structuredClone(after), {
+            width: 1300,
+            theme: "dark",
+        }).serializeSVG();
+        expect(countStrokes(svg, themes.dark.added_color)).toEqual(3);
+    });
+
+    it("reports invalid states with the state they occur in", () => {
+        expect(() =>
+            diff([], [{ type: "list", id: 1, value: 5 }], { width: 1300 })
+        ).toThrow("after[0].value");
+    });
+
+    it("validates and draws the states in the memory model of the given language", () => {
+        const state = (value: number) => [
+            { type: ".frame", name: "main", id: null, value: { xs: 1 } },
+            { type: "int[]", id: 1, value: [2] },
+            { type: "int", id: 2, value },
+        ];
+        const svg = diff(state(5), state(6), {
+            width: 1300,
+            language: "java",
+        }).serializeSVG();
+        expect(svg).toContain(">@1</text>");
+        expect(svg).toContain(">6</text>");
+        expect(svg).not.toContain(">@2</text>");
+    });
+});
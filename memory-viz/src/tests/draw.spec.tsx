@@ -766,6 +766,22 @@ describe("draw function", () => {
         expect(svg).toMatchSnapshot();
     });
 
+    it("renders frozenset, bytes, complex and Decimal objects", () => {
+        const objects: Array<Object> = [
+            { type: "frozenset", id: 1, value: [2, 3] },
+            { type: "bytes", id: 2, value: 'a"\u0000\n' },
+            { type: "complex", id: 3, value: "(1+2j)" },
+            { type: "Decimal", id: 4, value: "1.50" },
+        ];
+        const m: InstanceType<typeof MemoryModel> = draw(objects, true, {
+            width: 1300,
+            roughjs_config: { options: { seed: 12345 } },
+        });
+        const svg: String = m.serializeSVG();
+        expect(svg).toContain('>b"a\\"\\x00\\n"</text>');
+        expect(svg).toMatchSnapshot();
+    });
+
     it("logs a warning when provided 'small' width value", () => {
         const objects: Array<Object> = [
             {
@@ -848,4 +864,103 @@ describe("draw function", () => {
         const svg: String = m.serializeSVG();
         expect(svg).toMatchSnapshot();
     });
+
+    it("renders reference arrows in automatic layout", () => {
+        const objects: Array<Object> = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { lst: 84, d: 10 },
+            },
+            { type: "list", id: 84, value: [19, 19] },
+            { type: "dict", id: 10, value: { 19: 84 } },
+            { type: "str", id: 19, value: "David is cool!" },
+        ];
+        const m: InstanceType<typeof MemoryModel> = draw(objects, true, {
+            width: 1300,
+            arrows: true,
+            roughjs_config: { options: { seed: 12345 } },
+        });
+        const svg: String = m.serializeSVG();
+        expect(svg).toMatchSnapshot();
+    });
+
+    it("renders a diagram with objects laid out by references", () => {
+        const objects: Array<Object> = [
+            { type: "str", id: 19, value: "David is cool!" },
+            { type: "int", id: 7, value: 7 },
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { lst: 84, n: 7 },
+            },
+            { type: "dict", id: 10, value: { 19: 7 } },
+            { type: "list", id: 84, value: [19, 10] },
+            {
+                type: ".frame",
+                name: "func",
+                id: null,
+                value: { d: 10 },
+            },
+        ];
+        const m: InstanceType<typeof MemoryModel> = draw(objects, true, {
+            width: 1300,
+            sort_by: "references",
+            arrows: true,
+            roughjs_config: { options: { seed: 12345 } },
+        });
+        const svg: String = m.serializeSVG();
+        expect(svg).toMatchSnapshot();
+    });
+
+    it("renders reference arrows with style presets in manual layout", () => {
+        const objects: Array<Object> = [
+            {
+                type: ".class",
+                name: "Node",
+                id: 1,
+                x: 50,
+                y: 50,
+                value: { item: 2, next: 1 },
+                style: ["highlight"],
+            },
+            {
+                type: "int",
+                id: 2,
+                x: 500,
+                y: 300,
+                value: 7,
+                style: ["fade"],
+            },
+        ];
+        const m: InstanceType<typeof MemoryModel> = draw(objects, false, {
+            arrows: true,
+            roughjs_config: { options: { seed: 12345 } },
+        });
+        const svg: String = m.serializeSVG();
+        expect(svg).toMatchSnapshot();
+    });
+
+    it("only draws reference arrows to objects that are drawn", () => {
+        const objects = [
+            { type: "list", id: 84, value: [19, 20, null] },
+            { type: "str", id: 19, value: "David is cool!" },
+        ];
+        const without_arrows = draw(structuredClone(objects), true, {
+            width: 1300,
+        });
+        const with_arrows = draw(structuredClone(objects), true, {
+            width: 1300,
+            arrows: true,
+        });
+        const countPaths = (m) =>
+            m.svg.getElementsByTagName("path").length as number;
+
+        expect(with_arrows.reference_slots.length).toEqual(2);
+        // A single arrow consists of a shaft and an arrowhead, each of which consists of one stroke path and
+        // (for the filled arrowhead) one fill path.
+        expect(countPaths(with_arrows) - countPaths(without_arrows)).toEqual(3);
+    });
 });
@@ -0,0 +1,193 @@
+import exports from "../index";
+import { MemoryModel } from "../memory_model";
+const { exercise } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1, n: 4 } },
+    { type: ".frame", name: "total", id: null, value: { nums: 1 } },
+    { type: "list", id: 1, value: [2, 3] },
+    { type: "int", id: 2, value: 7 },
+    { type: "str", id: 3, value: "hi" },
+    { type: "int", id: 4, value: 10 },
+    { type: "dict", id: 5, value: { 3: 2 } },
+];
+
+function makeExercise(selection: object, configuration: object = {}) {
+    return exercise(structuredClone(objects), selection, true, {
+        width: 800,
+        renderer: "clean",
+        ...configuration,
+    });
+}
+
+function texts(m: MemoryModel): string[] {
+    const svg = String(m.serializeSVG());
+    return Array.from(svg.matchAll(/>([^<>]*)<\/text>/g), (match) => match[1]);
+}
+
+function shapes(m: MemoryModel): string[] {
+    return String(m.serializeSVG()).match(
+        /<(rect|line|polyline|polygon) [^>]*>/g
+    );
+}
+
+/**
+ * Return how many more times each of the given texts is drawn in the answer key than in the exercise.
+ */
+function missingTexts(
+    student: MemoryModel,
+    key: MemoryModel,
+    contents: string[]
+): number[] {
+    const count = (m: MemoryModel, content: string) =>
+        texts(m).filter((text) => text === content).length;
+    return contents.map(
+        (content) => count(key, content) - count(student, content)
+    );
+}
+
+describe("exercise", () => {
+    it("blanks out the ids of the selected objects, but not the references to them", () => {
+        const { student, key, answers } = makeExercise({ ids: [2, 3] });
+        expect(missingTexts(student, key, ["id1", "id2", "id3"])).toEqual([
+            0, 1, 1,
+        ]);
+        expect(answers).toEqual([
+            { kind: "id", id: 2, answer: 2 },
+            { kind: "id", id: 3, answer: 3 },
+        ]);
+    });
+
+    it('blanks out the ids of every object with "all"', () => {
+        const { student, key, answers } = makeExercise({ ids: "all" });
+        expect(
+            missingTexts(student, key, ["id1", "id2", "id3", "id4", "id5"])
+        ).toEqual([1, 1, 1, 1, 1]);
+        expect(answers.map((answer) => answer.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it("blanks out the values of the primitive objects of the selected types", () => {
+        const { student, answers } = makeExercise({ types: ["int"] });
+        const svg_texts = texts(student);
+        expect(svg_texts).not.toContain("7");
+        expect(svg_texts).not.toContain("10");
+        expect(svg_texts).toContain('"hi"');
+        expect(answers).toEqual([
+            { kind: "value", id: 2, answer: 7 },
+            { kind: "value", id: 4, answer: 10 },
+        ]);
+    });
+
+    it("blanks out the references of the collections of the selected types", () => {
+        const { answers } = makeExercise({ types: ["list", "dict"] });
+        expect(answers).toEqual([
+            { kind: "slot", id: 1, slot: "0", answer: 2 },
+            { kind: "slot", id: 1, slot: "1", answer: 3 },
+            { kind: "slot", id: 5, slot: "3", answer: 2 },
+        ]);
+    });
+
+    it("blanks out only the values of mappings, some of which are null", () => {
+        const { student, key, answers } = exercise(
+            [
+                { type: "dict", id: 1, value: { 2: null, 3: 4 } },
+                { type: "int", id: 2, value: 5 },
+                { type: "int", id: 3, value: 6 },
+                { type: "int", id: 4, value: 7 },
+            ],
+            { types: ["dict"] },
+            true,
+            { width: 800, renderer: "clean" }
+        );
+        expect(answers).toEqual([
+            { kind: "slot", id: 1, slot: "3", answer: 4 },
+        ]);
+        expect(missingTexts(student, key, ["id2", "id3", "id4"])).toEqual([
+            0, 0, 1,
+        ]);
+    });
+
+    it("blanks out the variables of every stack frame", () => {
+        const { student, key, answers } = makeExercise({
+            frame_variables: true,
+        });
+        expect(answers).toEqual([
+            {
+                kind: "slot",
+                frame: "__main__",
+                frame_index: 0,
+                slot: "lst",
+                answer: 1,
+            },
+            {
+                kind: "slot",
+                frame: "__main__",
+                frame_index: 0,
+                slot: "n",
+                answer: 4,
+            },
+            {
+                kind: "slot",
+                frame: "total",
+                frame_index: 0,
+                slot: "nums",
+                answer: 1,
+            },
+        ]);
+        expect(missingTexts(student, key, ["id1", "id4", "lst"])).toEqual([
+            2, 1, 0,
+        ]);
+    });
+
+    it("blanks out the variables of the stack frames with the given names", () => {
+        const { answers } = makeExercise({ frame_variables: ["total"] });
+        expect(answers.map((answer) => answer.frame)).toEqual(["total"]);
+    });
+
+    it("draws the exercise with the same shapes as its answer key", () => {
+        for (const renderer of ["clean", "rough"]) {
+            const { student, key } = makeExercise(
+                { ids: "all", frame_variables: true },
+                { renderer }
+            );
+            expect(shapes(student)).toEqual(shapes(key));
+            expect(student.svg.getAttribute("width")).toEqual(
+                key.svg.getAttribute("width")
+            );
+            expect(student.svg.getAttribute("height")).toEqual(
+                key.svg.getAttribute("height")
+            );
+        }
+    });
+
+    it("blanks out a fraction of every part, chosen with the given seed", () => {
+        const every = makeExercise({}).answers;
+        const first = makeExercise({ fraction: 0.5, seed: 3 }).answers;
+        const second = makeExercise({ fraction: 0.5, seed: 3 }).answers;
+        expect(first).toEqual(second);
+        expect(first).toHaveLength(Math.round(every.length / 2));
+        // The blanks are kept in the order in which the objects are drawn.
+        const indexes = first.map((answer) =>
+            every.findIndex((a) => JSON.stringify(a) === JSON.stringify(answer))
+        );
+        expect(indexes).toEqual([...indexes].sort((a, b) => a - b));
+    });
+
+    it("does not change the given objects", () => {
+        const objs = structuredClone(objects);
+        exercise(objs, { ids: "all" }, true, { width: 800 });
+        expect(objs).toEqual(objects);
+    });
+
+    it.each([
+        [{ ids: 1 }, 'Expected the selected ids to be an array, or "all".'],
+        [{ types: "int" }, "Expected the selected types to be an array."],
+        [
+            { frame_variables: "main" },
+            "Expected the selected frame variables to be a boolean or an array of frame names.",
+        ],
+        [{ fraction: 0 }, "Expected the fraction to be between 0 and 1."],
+    ])("throws an error for the invalid selection %j", (selection, message) => {
+        expect(() => makeExercise(selection)).toThrow(message);
+    });
+});
@@ -0,0 +1,76 @@
+import exports from "../index";
+const { draw } = exports;
+const fs = require("fs");
+const tmp = require("tmp");
+
+tmp.setGracefulCleanup();
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { s: 19 } },
+    { type: "str", id: 19, value: "David is cool!", style: ["highlight"] },
+];
+
+function pngDimensions(png: Buffer) {
+    // The width and height are stored at the start of the IHDR chunk.
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+describe("MemoryModel export", () => {
+    const m = draw(structuredClone(objects), true, {
+        width: 800,
+        roughjs_config: { options: { seed: 12345 } },
+    });
+    const width = Number(m.svg.getAttribute("width"));
+    const height = Number(m.svg.getAttribute("height"));
+
+    it("renders a PNG with the dimensions of the SVG", () => {
+        const png = m.toPNG();
+        expect(png.subarray(1, 4).toString()).toEqual("PNG");
+        expect(pngDimensions(png)).toEqual({ width, height });
+    });
+
+    it("scales PNG images by the given factor", () => {
+        expect(pngDimensions(m.toPNG(2.5))).toEqual({
+            width: width * 2.5,
+            height: height * 2.5,
+        });
+    });
+
+    it("throws an error for a non-positive scale", () => {
+        expect(() => m.toPNG(0)).toThrow("Invalid scale");
+    });
+
+    it("renders a one-page PDF that embeds the bundled font", async () => {
+        const pdf = (await m.toPDF()).toString("latin1");
+        expect(pdf.startsWith("%PDF-")).toBe(true);
+        expect(pdf).toContain(`/MediaBox [0 0 ${width} ${height}]`);
+        expect(pdf).toContain("Inconsolata-Regular");
+        expect(pdf).toContain("Inconsolata-Bold");
+    });
+
+    it.each([
+        ["a PNG for the .png extension", "diagram.png", {}, "\x89PNG"],
+        ["a PDF for the .pdf extension", "diagram.pdf", {}, "%PDF"],
+        ["DOT code for the .gv extension", "diagram.gv", {}, "digraph"],
+        [
+            "a Mermaid flowchart for the .mmd extension",
+            "diagram.mmd",
+            {},
+            "flowchart",
+        ],
+        [
+            "TikZ code for the .tex extension",
+            "diagram.tex",
+            {},
+            "\\begin{tikzpicture}",
+        ],
+        ["the given format", "diagram.out", { format: "pdf" }, "%PDF"],
+        ["an SVG by default", "diagram.out", {}, "<svg"],
+    ])("saves %s", async (_, name, options, start) => {
+        const dir = tmp.dirSync({ unsafeCleanup: true });
+        const path = `${dir.name}/${name}`;
+        await m.save(path, options);
+        const contents = fs.readFileSync(path).toString("latin1");
+        expect(contents.startsWith(start)).toBe(true);
+    });
+});
@@ -0,0 +1,183 @@
+import exports from "../index";
+import { MemoryModel } from "../memory_model";
+const { draw } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+    { type: "list", id: 1, value: [2, 2] },
+    { type: "int", id: 2, value: 7 },
+];
+
+function drawInteractive(configuration: object = {}): MemoryModel {
+    return draw(structuredClone(objects), true, {
+        width: 800,
+        interactive: true,
+        ...configuration,
+    });
+}
+
+function elements(m: MemoryModel, class_name: string): Element[] {
+    return (Array.from(m.svg.getElementsByTagName("*")) as Element[]).filter(
+        (element) =>
+            (element.getAttribute("class") || "")
+                .split(" ")
+                .includes(class_name)
+    );
+}
+
+describe("interactive diagrams", () => {
+    it("groups the shapes of every object in an element tagged with its id and type", () => {
+        const m = drawInteractive();
+        const entities = elements(m, "memory-viz-entity");
+        expect(
+            entities.map((entity) => [
+                entity.nodeName,
+                entity.getAttribute("data-id"),
+                entity.getAttribute("data-type"),
+            ])
+        ).toEqual([
+            ["g", "", ".frame"],
+            ["g", "1", "list"],
+            ["g", "2", "int"],
+        ]);
+        expect(entities[0].hasAttribute("data-id")).toBe(false);
+        expect(entities[0].getAttribute("data-name")).toEqual("__main__");
+        // Every text of the diagram is in the group of its object.
+        for (const text of Array.from(m.svg.getElementsByTagName("text"))) {
+            expect(text.parentNode.nodeName).toEqual("g");
+        }
+    });
+
+    it("tags every reference slot with the id it refers to", () => {
+        const m = drawInteractive();
+        const slots = elements(m, "memory-viz-slot").map((slot) => [
+            slot.parentNode,
+            slot.getAttribute("data-ref"),
+            slot.getAttribute("data-key"),
+        ]);
+        const [frame, list] = elements(m, "memory-viz-entity");
+        expect(slots).toEqual([
+            [frame, "1", "lst"],
+            [list, "2", "0"],
+            [list, "2", "1"],
+        ]);
+    });
+
+    it("groups every arrow with the slot it starts from", () => {
+        const m = drawInteractive({ arrows: true });
+        const slots = elements(m, "memory-viz-slot");
+        const arrows = elements(m, "memory-viz-arrow");
+        expect(arrows).toHaveLength(3);
+        arrows.forEach((arrow, i) => {
+            expect(arrow.getAttribute("data-slot")).toEqual(
+                slots[i].getAttribute("data-slot")
+            );
+            expect(arrow.getAttribute("data-ref")).toEqual(
+                slots[i].getAttribute("data-ref")
+            );
+        });
+    });
+
+    it("embeds the style of the highlights, in the colors of the theme", () => {
+        const m = drawInteractive({ theme: "dark" });
+        const style = m.svg.getElementsByTagName("style")[0];
+        expect(style.textContent).toContain("memory-viz-highlighted");
+        expect(style.textContent).toContain(m.theme.highlight_fill);
+        expect(m.svg.getElementsByTagName("script")).toHaveLength(0);
+    });
+
+    it("embeds the script only with embed_script", () => {
+        const m = drawInteractive({ embed_script: true });
+        const svg = String(m.serializeSVG());
+        expect(svg).toContain("<script><![CDATA[");
+        expect(svg).toContain("memory-viz-highlighted");
+    });
+
+    it("embeds a script that runs on its own", () => {
+        const svg_markup = String(
+            drawInteractive({ embed_script: true }).serializeSVG()
+        );
+        const script = svg_markup.match(/<!\[CDATA\[([^]*)\]\]>/)[1];
+
+        // The elements of a stack frame holding a reference to object 1.
+        const element = (class_name: string, attributes = {}) => {
+            const classes = new Set([class_name]);
+            return {
+                classes,
+                classList: {
+                    add: (name: string) => classes.add(name),
+                    remove: (name: string) => classes.delete(name),
+                },
+                getAttribute: (name: string) => attributes[name] ?? null,
+                closest: (selector: string) => null,
+            };
+        };
+        const frame = element("memory-viz-entity");
+        const slot = element("memory-viz-slot", {
+            "data-ref": "1",
+            "data-slot": "0",
+        });
+        const object = element("memory-viz-entity", { "data-id": "1" });
+        slot.closest = (selector) =>
+            selector === ".memory-viz-slot" ? slot : frame;
+        object.closest = (selector) =>
+            selector === ".memory-viz-slot" ? null : object;
+
+        const listeners = {};
+        const svg = {
+            getElementsByClassName: (name: string) =>
+                [frame, slot, object].filter((e) => e.classes.has(name)),
+            addEventListener: (type: string, listener) => {
+                listeners[type] = listener;
+            },
+        };
+        new Function("document", script)({
+            currentScript: { ownerSVGElement: svg },
+        });
+
+        listeners["mouseover"]({ target: slot });
+        expect(object.classes.has("memory-viz-highlighted")).toBe(true);
+        listeners["mouseover"]({ target: object });
+        expect(slot.classes.has("memory-viz-highlighted")).toBe(true);
+        expect(frame.classes.has("memory-viz-related")).toBe(true);
+        listeners["mouseleave"]();
+        expect(object.classes.has("memory-viz-highlighted")).toBe(false);
+    });
+
+    it("keeps the clean renderer's patterns at the start of the diagram", () => {
+        const m = draw(
+            [
+                ...structuredClone(objects),
+                {
+                    type: "int",
+                    id: 3,
+                    value: 8,
+                    style: { box_id: { fill: "red", fillStyle: "hachure" } },
+                },
+            ],
+            true,
+            { width: 800, interactive: true, renderer: "clean" }
+        );
+        expect(elements(m, "memory-viz-entity")).toHaveLength(4);
+        expect(String(m.serializeSVG())).toMatch(
+            /^<svg[^>]*><style>[^<]*<\/style><defs>/
+        );
+    });
+
+    it("does not change diagrams that are not interactive", () => {
+        const interactive = drawInteractive({ renderer: "clean" });
+        const m = draw(structuredClone(objects), true, {
+            width: 800,
+            renderer: "clean",
+        });
+        const svg = String(m.serializeSVG());
+        expect(svg).not.toContain("memory-viz");
+        expect(svg).not.toContain("<g");
+        // The same shapes are drawn, in the same order.
+        const shapes = (svg: string) =>
+            svg
+                .match(/<(rect|text|path|line|polygon)[^/]*/g)
+                .filter((shape) => !shape.includes("memory-viz"));
+        expect(shapes(String(interactive.serializeSVG()))).toEqual(shapes(svg));
+    });
+});
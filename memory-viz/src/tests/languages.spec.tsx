@@ -0,0 +1,166 @@
+import exports from "../index";
+import { inlineValues } from "../inline_values";
+const { draw, getSize, typeInfo, validate } = exports;
+
+const java = [
+    {
+        type: ".frame",
+        name: "main",
+        id: null,
+        value: { n: 1, flag: 2, c: 3, nums: 4, names: 5, missing: null },
+    },
+    { type: "int", id: 1, value: 42 },
+    { type: "boolean", id: 2, value: true },
+    { type: "char", id: 3, value: "c" },
+    { type: "int[]", id: 4, value: [1, 1] },
+    { type: "ArrayList", id: 5, value: [6] },
+    { type: "String", id: 6, value: "Ada" },
+];
+
+/**
+ * Return the texts drawn on the given diagram.
+ */
+function texts(m): string[] {
+    return m.scene
+        .filter((shape) => shape.kind === "text")
+        .map((shape) => shape.text);
+}
+
+describe("languages", () => {
+    it("knows the built-in types of each language", () => {
+        expect(typeInfo("ArrayList", "java")).toEqual({
+            category: "sequence",
+            mutable: true,
+        });
+        expect(typeInfo("String[]", "java")).toEqual({
+            category: "sequence",
+            mutable: true,
+        });
+        expect(typeInfo("char[16]", "c")).toEqual({
+            category: "sequence",
+            mutable: true,
+        });
+        expect(typeInfo("Map", "javascript")).toEqual({
+            category: "mapping",
+            mutable: true,
+        });
+        expect(typeInfo("ArrayList")).toBeUndefined();
+        expect(typeInfo("list", "java")).toBeUndefined();
+    });
+
+    it("draws primitives in the slots that hold them, and references to other objects", () => {
+        const m = draw(structuredClone(java), true, {
+            width: 800,
+            language: "java",
+        });
+        const drawn = texts(m);
+        for (const text of ["42", "true", "'c'", "null", "@4", "@5", "@6"]) {
+            expect(drawn).toContain(text);
+        }
+        expect(drawn).toContain('"Ada"');
+        expect(drawn.filter((text) => text === "42")).toHaveLength(3);
+        expect(drawn.some((text) => text.startsWith("id"))).toBe(false);
+        // The ints, the boolean and the char have no boxes of their own.
+        expect(m.drawn_boxes.map((box) => box.entity.id).sort()).toEqual([
+            4,
+            5,
+            6,
+            null,
+        ]);
+        expect(
+            m.reference_slots.map((slot) => String(slot.target)).sort()
+        ).toEqual(["4", "5", "6"]);
+    });
+
+    it("writes C pointers as addresses", () => {
+        const m = draw(
+            [
+                { type: ".frame", name: "main", id: null, value: { p: 28 } },
+                { type: "int[3]", id: 28, value: [1, 2, 3] },
+                { type: "int", id: 1, value: 7 },
+                { type: "char", id: 2, value: "'" },
+                { type: "bool", id: 3, value: false },
+            ],
+            true,
+            { width: 800, language: "c" }
+        );
+        expect(texts(m)).toEqual(
+            expect.arrayContaining(["0x001c", "7", "'\\''", "false"])
+        );
+    });
+
+    it("writes JavaScript literals", () => {
+        const m = draw(
+            [
+                {
+                    type: ".frame",
+                    name: "main",
+                    id: null,
+                    value: { big: 1, nothing: 2, s: 3, o: 4 },
+                },
+                { type: "bigint", id: 1, value: "10" },
+                { type: "undefined", id: 2, value: null },
+                { type: "string", id: 3, value: "hi" },
+                { type: "Object", id: 4, value: { x: 1 } },
+            ],
+            true,
+            { width: 800, language: "javascript" }
+        );
+        expect(texts(m)).toEqual(
+            expect.arrayContaining(["10n", "undefined", '"hi"', "@4"])
+        );
+        expect(m.drawn_boxes).toHaveLength(2);
+    });
+
+    it("keeps the objects that are keys of mappings", () => {
+        const objects = inlineValues(
+            [
+                { type: ".frame", name: "f", id: null, value: { m: 1, k: 2 } },
+                { type: "Map", id: 1, value: { 2: 3 } },
+                { type: "number", id: 2, value: 1 },
+                { type: "number", id: 3, value: 2 },
+            ],
+            "javascript"
+        );
+        expect(objects.map((obj) => obj.id)).toEqual([null, 1, 2]);
+        expect(objects[1].value).toEqual({ 2: { type: "number", value: 2 } });
+    });
+
+    it("measures objects as they are drawn in the language", () => {
+        const ids = Array.from({ length: 8 }, (_, i) => 1000000 + i);
+        const list = { type: "ArrayList", id: 1, value: ids };
+        expect(getSize({ ...list }, undefined, {}, "java").width).toBeLessThan(
+            getSize({ ...list, type: "list" }).width
+        );
+    });
+
+    it("validates the values of objects of the types of the language", () => {
+        const objects = [{ type: "ArrayList", id: 1, value: "Ada" }];
+        expect(validate(objects)).toEqual([]);
+        expect(validate(objects, true, "java")).toEqual([
+            {
+                path: "[0].value",
+                message: "objects of type 'ArrayList' require an array of ids",
+                severity: "error",
+            },
+        ]);
+    });
+
+    it("draws Python diagrams by default", () => {
+        const objects = [
+            { type: ".frame", name: "main", id: null, value: { n: 1 } },
+            { type: "int", id: 1, value: 42 },
+        ];
+        const m = draw(objects, true, { width: 800 });
+        expect(texts(m)).toEqual(expect.arrayContaining(["id1", "42"]));
+        expect(m.drawn_boxes).toHaveLength(2);
+    });
+
+    it("throws an error for an unknown language", () => {
+        expect(() =>
+            draw(structuredClone(java), true, { width: 800, language: "go" })
+        ).toThrow(
+            "Unknown language 'go': expected one of python, java, javascript, c."
+        );
+    });
+});
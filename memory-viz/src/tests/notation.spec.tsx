@@ -0,0 +1,204 @@
+import exports from "../index";
+const {
+    draw,
+    parseNotation,
+    registerType,
+    toNotation,
+    InvalidInputError,
+    NotationError,
+} = exports;
+
+describe("parseNotation", () => {
+    it("parses stack frames and objects of each category", () => {
+        const objects = parseNotation(
+            [
+                "frame __main__: lst=id1, n=id2",
+                "id1 list [id2, id3, None]",
+                "id2 int 5",
+                "id3 str 'it\\'s'",
+                "id4 tuple (id2,)",
+                "id5 set {id2, id3}",
+                "id6 dict {id2: id3, id3: None}",
+                "id7 Point: x=id2, y=None",
+                "id8 bool True",
+                "None NoneType",
+            ].join("\n")
+        );
+        expect(objects).toEqual([
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { lst: 1, n: 2 },
+            },
+            { type: "list", id: 1, value: [2, 3, null] },
+            { type: "int", id: 2, value: 5 },
+            { type: "str", id: 3, value: "it's" },
+            { type: "tuple", id: 4, value: [2] },
+            { type: "set", id: 5, value: [2, 3] },
+            { type: "dict", id: 6, value: { 2: 3, 3: null } },
+            { type: ".class", name: "Point", id: 7, value: { x: 2, y: null } },
+            { type: "bool", id: 8, value: true },
+            { type: "NoneType", id: null, value: null },
+        ]);
+    });
+
+    it("parses string ids, written as words or quoted", () => {
+        expect(parseNotation('idx int 1\nid"7" int 2\nid"a b" int 3')).toEqual([
+            { type: "int", id: "x", value: 1 },
+            { type: "int", id: "7", value: 2 },
+            { type: "int", id: "a b", value: 3 },
+        ]);
+    });
+
+    it("parses the attributes after '|', including presets and styles in JSON", () => {
+        const objects = parseNotation(
+            [
+                "frame total: nums=id1 | return=id2, active",
+                'id1 list [id2] | show_indexes, max_items=10, style=highlight, style={"text_id": {"fill": "red"}}',
+                "id2 int 7 | x=10, y=20, wrap_values=False",
+                "blank | width=100, height=50",
+            ].join("\n")
+        );
+        expect(objects).toEqual([
+            {
+                type: ".frame",
+                name: "total",
+                id: null,
+                value: { nums: 1 },
+                return_value: 2,
+                active: true,
+            },
+            {
+                type: "list",
+                id: 1,
+                value: [2],
+                show_indexes: true,
+                max_items: 10,
+                style: ["highlight", { text_id: { fill: "red" } }],
+            },
+            { type: "int", id: 2, value: 7, x: 10, y: 20, wrap_values: false },
+            { type: ".blank", width: 100, height: 50 },
+        ]);
+    });
+
+    it("skips blank lines and comments, and continues lines inside brackets", () => {
+        const objects = parseNotation(
+            "# The list\n\nid1 list [\n    id2,  # the first element\n    id3,\n]\n"
+        );
+        expect(objects).toEqual([{ type: "list", id: 1, value: [2, 3] }]);
+    });
+
+    it("parses instances of registered class types with their type", () => {
+        registerType("Node", { category: "class" });
+        try {
+            expect(parseNotation("id1 Node: next=None")).toEqual([
+                { type: "Node", id: 1, value: { next: null } },
+            ]);
+        } finally {
+            registerType("Node", null);
+        }
+    });
+
+    it.each([
+        [
+            "id1 list 5",
+            1,
+            10,
+            "expected a list of ids in brackets for objects of type 'list', but found '5'",
+        ],
+        ["frame f x=id1", 1, 9, "expected ':', but found 'x'"],
+        ["id1 int 5\nid2 int 5 6", 2, 11, "expected the end of the line"],
+        ["id1 int 5 | colour=red", 1, 13, "unknown attribute 'colour'"],
+        ['id1 str "hi', 1, 9, "this string is never closed"],
+        ["id1 dict {None: id2}", 1, 11, "dictionary keys cannot be None"],
+        ["frame f: a=id1, a=id2", 1, 17, "'a' is already set"],
+        ["id1 int 5 | return=id2", 1, 13, "only stack frames"],
+        ["1 int 5", 1, 1, "expected 'frame', 'blank' or an id"],
+    ])(
+        "reports the position of the problem in %j",
+        (text, line, column, message) => {
+            let error;
+            try {
+                parseNotation(text);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).toBeInstanceOf(NotationError);
+            expect(error.line).toEqual(line);
+            expect(error.column).toEqual(column);
+            expect(error.message).toContain(
+                `line ${line}, column ${column}: ${message}`
+            );
+        }
+    );
+});
+
+describe("toNotation", () => {
+    const objects: any[] = [
+        {
+            type: ".frame",
+            name: "__main__",
+            id: null,
+            value: { lst: 1, "my var": 2 },
+            return_value: null,
+        },
+        {
+            type: "list",
+            id: 1,
+            value: [2, null],
+            show_indexes: true,
+            style: ["highlight", { text_id: { fill: "red" } }],
+        },
+        { type: "str", id: 2, value: 'say "hi"' },
+        { type: "dict", id: "5", value: { 1: 2, x: 1 } },
+        { type: "set", id: 6, value: [] },
+        { type: ".class", name: "Point", id: 7, value: { x: 2 } },
+        { type: "None", id: 8, value: null },
+        { type: ".blank", width: 100, height: 50, x: 10, y: 20 },
+    ];
+
+    it("writes one line per object", () => {
+        expect(toNotation(objects)).toEqual(
+            [
+                'frame __main__: lst=id1, "my var"=id2 | return=None',
+                'id1 list [id2, None] | show_indexes, style=highlight, style={"text_id":{"fill":"red"}}',
+                'id2 str "say \\"hi\\""',
+                'id"5" dict {id1: id2, idx: id1}',
+                "id6 set {}",
+                "id7 Point: x=id2",
+                "id8 None",
+                "blank | x=10, y=20, width=100, height=50",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("writes text that is parsed back to the same objects", () => {
+        expect(parseNotation(toNotation(objects))).toEqual(objects);
+    });
+
+    it("throws an InvalidInputError for invalid objects", () => {
+        expect(() => toNotation([{ type: "list", id: 1, value: 5 }])).toThrow(
+            InvalidInputError
+        );
+    });
+});
+
+describe("draw with the notation", () => {
+    it("draws objects given in the notation as a string", () => {
+        const text = "frame __main__: x=id1\nid1 int 5";
+        const m = draw(text, true, { width: 800, renderer: "clean" });
+        const json = draw(parseNotation(text), true, {
+            width: 800,
+            renderer: "clean",
+        });
+        expect(m.serializeSVG()).toEqual(json.serializeSVG());
+    });
+
+    it("throws a NotationError for text that cannot be parsed", () => {
+        expect(() => draw("id1 list 5", true, { width: 800 })).toThrow(
+            NotationError
+        );
+    });
+});
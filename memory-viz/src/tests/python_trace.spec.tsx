@@ -0,0 +1,132 @@
+import exports from "../index";
+const { draw, tracePython, validate } = exports;
+const fs = require("fs");
+const tmp = require("tmp");
+
+tmp.setGracefulCleanup();
+
+/**
+ * Write the given Python source code to a temporary file, and return its path.
+ */
+function writeScript(lines: string[]): string {
+    const file = tmp.fileSync({ postfix: ".py" });
+    fs.writeFileSync(file.name, lines.join("\n") + "\n");
+    return file.name;
+}
+
+describe("tracePython", () => {
+    const script = writeScript([
+        "class Point:", // 1
+        "    def __init__(self, x, y):", // 2
+        "        self.x = x", // 3
+        "        self.y = y", // 4
+        "", // 5
+        "def move(p, dx):", // 6
+        "    p.x = p.x + dx", // 7
+        "    return p", // 8
+        "", // 9
+        "nums = [1, 2]", // 10
+        "data = {'a': nums, 'b': (nums, 2), 'c': {3}}", // 11
+        "for i in range(3):", // 12
+        "    nums.append(i)", // 13
+        "p = move(Point(1, 2), 10)", // 14
+        "print(p.x)", // 15
+    ]);
+
+    it("converts frames and objects to MemoryViz objects with renumbered ids", () => {
+        const [objects] = tracePython(script, { lines: 12 });
+        expect(objects).toEqual([
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { nums: 1, data: 2 },
+            },
+            { type: "list", id: 1, value: [3, 4] },
+            { type: "dict", id: 2, value: { "5": 1, "6": 8, "7": 9 } },
+            { type: "int", id: 3, value: 1 },
+            { type: "int", id: 4, value: 2 },
+            { type: "str", id: 5, value: "a" },
+            { type: "str", id: 6, value: "b" },
+            { type: "str", id: 7, value: "c" },
+            { type: "tuple", id: 8, value: [1, 4] },
+            { type: "set", id: 9, value: [10] },
+            { type: "int", id: 10, value: 3 },
+        ]);
+    });
+
+    it("captures every frame of the call stack, and instances of user classes", () => {
+        const [objects] = tracePython(script, { lines: [8] });
+        const frames = objects.filter((obj) => obj.type === ".frame");
+        expect(frames.map((frame) => frame.name)).toEqual(["__main__", "move"]);
+        const point = objects.find((obj) => obj.id === frames[1].value.p);
+        expect(point.type).toEqual(".class");
+        expect(point.name).toEqual("Point");
+        expect(Object.keys(point.value)).toEqual(["x", "y"]);
+        const x = objects.find((obj) => obj.id === point.value.x);
+        expect(x.value).toEqual(11);
+    });
+
+    it("returns one list of objects per line, in the given order", () => {
+        const snapshots = tracePython(script, { lines: [15, 11] });
+        expect(snapshots.length).toEqual(2);
+        expect(snapshots[0][0].value).toHaveProperty("p");
+        expect(snapshots[1][0].value).not.toHaveProperty("data");
+    });
+
+    it("captures a line the given number of times it is reached", () => {
+        const [objects] = tracePython(script, { lines: 13, occurrence: 3 });
+        const nums = objects.find((obj) => obj.id === objects[0].value.nums);
+        expect(nums.value.length).toEqual(4);
+    });
+
+    it("returns objects that are valid and can be drawn", () => {
+        for (const objects of tracePython(script, { lines: [8, 15] })) {
+            expect(validate(objects)).toEqual([]);
+            expect(() => draw(objects, true, { width: 1300 })).not.toThrow();
+        }
+    });
+
+    it("passes command line arguments to the script", () => {
+        const args_script = writeScript([
+            "import sys",
+            "args = sys.argv[1:]",
+            "pass",
+        ]);
+        const [objects] = tracePython(args_script, {
+            lines: 3,
+            args: ["hello"],
+        });
+        const args = objects.find((obj) => obj.id === objects[0].value.args);
+        const hello = objects.find((obj) => obj.id === args.value[0]);
+        expect(hello.value).toEqual("hello");
+    });
+
+    it("throws an error when a line is never reached", () => {
+        expect(() => tracePython(script, { lines: 100 })).toThrow(
+            /Line 100 of .* was never reached/
+        );
+        expect(() => tracePython(script, { lines: 13, occurrence: 4 })).toThrow(
+            /reached fewer than 4 times/
+        );
+    });
+
+    it("throws an error when the script raises an error", () => {
+        const error_script = writeScript(["x = 1 / 0", "y = 2"]);
+        expect(() => tracePython(error_script, { lines: 2 })).toThrow(
+            "ZeroDivisionError: division by zero"
+        );
+    });
+
+    it("throws an error when the Python interpreter cannot be found", () => {
+        expect(() =>
+            tracePython(script, { lines: 10, python: "not-a-python" })
+        ).toThrow("Could not find the Python interpreter 'not-a-python'");
+    });
+
+    it("throws an error for invalid line numbers", () => {
+        expect(() => tracePython(script, { lines: 0 })).toThrow(
+            "Invalid line number 0."
+        );
+    });
+});
@@ -0,0 +1,97 @@
+import exports from "../index";
+const { draw, reachability } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { d: 1 } },
+    { type: "dict", id: 1, value: { 2: 3 } },
+    { type: "str", id: 2, value: "key" },
+    { type: "list", id: 3, value: [4] },
+    { type: ".class", name: "Node", id: 4, value: { next: 5 } },
+    { type: "int", id: 5, value: 7 },
+    // A cycle that no stack frame refers to.
+    { type: "list", id: 6, value: [7] },
+    { type: "list", id: 7, value: [6, 5] },
+];
+
+describe("reachability", () => {
+    it("follows references through dictionaries, collections and class attributes", () => {
+        const { reachable, unreachable } = reachability(objects);
+        expect(reachable).toEqual(new Set([1, 2, 3, 4, 5]));
+        expect(unreachable).toEqual(new Set([6, 7]));
+    });
+
+    it("follows the references of every stack frame", () => {
+        const { reachable, unreachable } = reachability([
+            ...objects,
+            { type: ".frame", name: "f", id: null, value: { lst: 7 } },
+        ]);
+        expect(reachable).toEqual(new Set([1, 2, 3, 4, 5, 6, 7]));
+        expect(unreachable.size).toEqual(0);
+    });
+
+    it("treats every object as unreachable when there are no stack frames", () => {
+        const { reachable, unreachable } = reachability([
+            { type: "int", id: "a", value: 1 },
+            { type: ".blank", width: 100, height: 100 },
+        ] as any);
+        expect(reachable.size).toEqual(0);
+        expect(unreachable).toEqual(new Set(["a"]));
+    });
+});
+
+describe("draw with mark_garbage", () => {
+    function drawSVG(configuration: object, automation: boolean = true) {
+        const objs: any[] = structuredClone(objects);
+        objs.forEach((obj, i) => {
+            obj.x = 200 * i;
+            obj.y = 0;
+        });
+        return draw(objs, automation, {
+            width: 1600,
+            ...configuration,
+        }).serializeSVG();
+    }
+
+    it("fades the unreachable objects", () => {
+        const svg = drawSVG({ mark_garbage: true });
+        // The ids of the two unreachable lists, and of the elements of the second one.
+        expect(
+            svg.match(/fill-opacity="0.4"[^>]*>id\d<\/text>/g).length
+        ).toEqual(5);
+        expect(drawSVG({})).not.toContain("fill-opacity");
+    });
+
+    it("applies the given garbage style", () => {
+        const svg = drawSVG({ mark_garbage: true, garbage_style: ["hide"] });
+        expect(svg).toContain('fill-opacity="0"');
+        expect(svg).not.toContain('fill-opacity="0.4"');
+    });
+
+    it("throws an error for an unknown garbage style preset", () => {
+        expect(() =>
+            drawSVG({ mark_garbage: true, garbage_style: "nosuch" })
+        ).toThrow(
+            "configuration.garbage_style: unknown style preset 'nosuch' (expected one of "
+        );
+    });
+
+    it("marks unreachable objects without automation", () => {
+        const svg = drawSVG({ mark_garbage: true }, false);
+        expect(svg).toContain('fill-opacity="0.4"');
+    });
+
+    it("places unreachable objects in a separate region", () => {
+        const objs: any[] = structuredClone(objects);
+        const m = draw(objs, true, {
+            width: 1600,
+            left_margin: 10,
+            garbage_region: true,
+        });
+        expect(m.serializeSVG()).toContain(">Garbage</text>");
+        const bottom = (obj) => obj.y + obj.height;
+        const lowest_reachable = Math.max(...objs.slice(1, 6).map(bottom));
+        expect(objs[6].y).toBeGreaterThan(lowest_reachable);
+        expect(objs[7].y).toEqual(objs[6].y);
+        expect(objs[6].x).toEqual(10);
+    });
+});
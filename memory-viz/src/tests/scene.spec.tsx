@@ -0,0 +1,149 @@
+import { DOMImplementation, XMLSerializer } from "@xmldom/xmldom";
+import exports from "../index";
+import { MemoryModel } from "../memory_model";
+import { CleanSVG } from "../clean_svg";
+import { renderShape } from "../scene";
+const { draw } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1, s: 3 } },
+    { type: "list", id: 1, value: [2, 2], show_indexes: true },
+    { type: "int", id: 2, value: 7 },
+    { type: "str", id: 3, value: "hello" },
+];
+
+describe("scene", () => {
+    it("records the geometry of every shape that is drawn", () => {
+        const m = draw(structuredClone(objects), true, {
+            width: 800,
+            arrows: true,
+        });
+        const kinds = new Set(m.scene.map((shape) => shape.kind));
+        expect(kinds).toEqual(new Set(["rect", "text", "line", "polygon"]));
+        const list = m.drawn_boxes[1];
+        expect(m.scene).toContainEqual(
+            expect.objectContaining({
+                kind: "rect",
+                x: list.x,
+                y: list.y,
+                width: list.width,
+                height: list.height,
+            })
+        );
+        expect(m.scene).toContainEqual({
+            kind: "text",
+            text: '"hello"',
+            attributes: expect.objectContaining({ x: expect.any(Number) }),
+        });
+    });
+
+    it("renders every shape of the scene to the SVG", () => {
+        const m = draw(structuredClone(objects), true, {
+            width: 800,
+            renderer: "clean",
+            arrows: true,
+        });
+        const document = new DOMImplementation().createDocument(
+            "http://www.w3.org/1999/xhtml",
+            "html",
+            null
+        );
+        const svg = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "svg"
+        );
+        const clean_svg = new CleanSVG(svg as SVGSVGElement);
+        const serializer = new XMLSerializer();
+        const rendered = m.scene.map((shape) =>
+            serializer.serializeToString(
+                renderShape(shape, clean_svg, document as Document)
+            )
+        );
+        // The first child of the diagram is its background.
+        const children = (Array.from(m.svg.childNodes) as Element[])
+            .slice(1)
+            .map((child) => serializer.serializeToString(child));
+        expect(rendered).toEqual(children);
+    });
+
+    it("computes the same scene without rendering", () => {
+        const positioned = () =>
+            structuredClone(objects).map((obj, i) => ({
+                ...obj,
+                x: 10 + 250 * i,
+                y: 10,
+            }));
+        const rendered = new MemoryModel();
+        const layout = new MemoryModel({ layout_only: true });
+
+        expect(layout.drawAll(positioned(), true)).toEqual(
+            rendered.drawAll(positioned(), true)
+        );
+        expect(layout.scene).toEqual(rendered.scene);
+        expect(layout.svg).toBeUndefined();
+        expect(layout.document).toBeUndefined();
+    });
+
+    it("renders the scene in a separate pass, when the SVG is first used", () => {
+        const m = new MemoryModel({ renderer: "clean" });
+        m.drawAll(
+            structuredClone(objects).map((obj, i) => ({
+                ...obj,
+                x: 10 + 250 * i,
+                y: 10,
+            }))
+        );
+        // Only the background is in the SVG element until the scene is rendered.
+        expect(m.svg_element.childNodes).toHaveLength(1);
+        expect(m.svg.childNodes).toHaveLength(m.scene.length + 1);
+        m.drawText("more", 10, 300, {});
+        expect(m.svg.lastChild.textContent).toEqual("more");
+    });
+
+    it("groups the shapes of each object of interactive diagrams in the scene", () => {
+        const m = draw(structuredClone(objects), true, {
+            width: 800,
+            interactive: true,
+        });
+        const groups = m.scene.filter((shape) => shape.kind === "group");
+        expect(groups).toHaveLength(objects.length);
+        expect(groups[1]).toMatchObject({
+            attributes: {
+                class: "memory-viz-entity",
+                "data-id": 1,
+                "data-type": "list",
+            },
+        });
+        expect(m.svg.getElementsByTagName("g")[0].getAttribute("class")).toBe(
+            "memory-viz-entity"
+        );
+    });
+
+    it("draws each object once with automatic layout", () => {
+        const drawClass = jest.spyOn(MemoryModel.prototype, "drawClass");
+        const drawObject = jest.spyOn(MemoryModel.prototype, "drawObject");
+        draw(structuredClone(objects), true, {
+            width: 800,
+            mark_garbage: true,
+            region_headings: true,
+        });
+        expect(drawClass).toHaveBeenCalledTimes(1);
+        expect(drawObject).toHaveBeenCalledTimes(objects.length - 1);
+        jest.restoreAllMocks();
+    });
+
+    it("draws the objects it measured as it measured them", () => {
+        const obj = { type: "list", id: 1, value: [2, 3], x: 40, y: 60 };
+        const m = new MemoryModel();
+        const measurement = m.measure(obj);
+        const [size] = m.drawAll([obj]);
+        expect(size).toEqual({
+            x: 40,
+            y: 60,
+            width: measurement.width,
+            height: measurement.height,
+        });
+        expect(m.scene).toHaveLength(measurement.shapes.length);
+        expect(m.scene[0]).toMatchObject({ kind: "rect", x: 40, y: 60 });
+    });
+});
@@ -0,0 +1,244 @@
+import exports from "../index";
+import {
+    hiddenItemsText,
+    intoRows,
+    shownIndexes,
+    sizeLimits,
+    valueLines,
+} from "../size_limits";
+import { validate } from "../validate";
+const { draw, getSize, MemoryModel } = exports;
+
+const long_list = {
+    type: "list",
+    id: 1,
+    value: Array.from({ length: 200 }, (_, i) => 1000 + i),
+};
+const long_str = {
+    type: "str",
+    id: 2,
+    value: "the quick brown fox jumps over the lazy dog",
+};
+
+function drawObject(obj: object, configuration: object = {}) {
+    return draw([{ x: 10, y: 10, ...structuredClone(obj) }], false, {
+        width: 2000,
+        height: 2000,
+        renderer: "clean",
+        ...configuration,
+    });
+}
+
+describe("size limit helpers", () => {
+    it("shows the first and last elements of long collections", () => {
+        expect(shownIndexes(10, 4)).toEqual([0, 1, null, 8, 9]);
+        expect(shownIndexes(10, 5)).toEqual([0, 1, 2, null, 8, 9]);
+        expect(shownIndexes(3, 4)).toEqual([0, 1, 2]);
+        expect(shownIndexes(3, Infinity)).toEqual([0, 1, 2]);
+    });
+
+    it("truncates or wraps long values", () => {
+        expect(valueLines("abcdefgh", 5, false)).toEqual(["abcd…"]);
+        expect(valueLines("abcdefgh", 3, true)).toEqual(["abc", "def", "gh"]);
+        expect(valueLines("abc", 3, false)).toEqual(["abc"]);
+    });
+
+    it("splits items into rows", () => {
+        expect(intoRows([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+        expect(intoRows([1, 2], Infinity)).toEqual([[1, 2]]);
+        expect(() => intoRows([1, 2], 0)).toThrow(
+            "Expected items_per_row to be a positive integer, not 0."
+        );
+    });
+
+    it("picks out the limits that are set", () => {
+        expect(
+            sizeLimits({ type: "list", max_items: 4, wrap_values: undefined })
+        ).toEqual({ max_items: 4 });
+    });
+});
+
+describe("max_items", () => {
+    it("draws the hidden elements of a sequence as a single cell", () => {
+        const m = drawObject({ ...long_list, max_items: 4 });
+        const svg = m.serializeSVG();
+        expect(svg).toContain(hiddenItemsText(196));
+        expect(svg).toContain("id1001");
+        expect(svg).not.toContain("id1002");
+        expect(svg).toContain("id1198");
+        expect(m.reference_slots.map((slot) => slot.key)).toEqual([
+            "0",
+            "1",
+            "198",
+            "199",
+        ]);
+    });
+
+    it("keeps the indexes of the elements shown after the hidden ones", () => {
+        const svg = drawObject({
+            ...long_list,
+            max_items: 2,
+            show_indexes: true,
+        }).serializeSVG();
+        expect(svg).toContain(">199</text>");
+        expect(svg).not.toContain(">1</text>");
+    });
+
+    it("applies to sets and mappings", () => {
+        const set = drawObject({
+            type: "set",
+            id: 3,
+            value: [1, 2, 3, 4, 5],
+            max_items: 2,
+        });
+        expect(set.serializeSVG()).toContain(hiddenItemsText(3));
+        expect(set.reference_slots.map((slot) => slot.target)).toEqual([1, 5]);
+
+        const dict = drawObject({
+            type: "dict",
+            id: 4,
+            value: { 1: 2, 3: 4, 5: 6, 7: 8 },
+            max_items: 3,
+        });
+        expect(dict.serializeSVG()).toContain(hiddenItemsText(1));
+        expect(dict.reference_slots.map((slot) => slot.key)).toEqual([
+            "1",
+            "3",
+            "7",
+            "1",
+            "3",
+            "7",
+        ]);
+    });
+
+    it("can be set for the whole diagram, and overridden for each object", () => {
+        const global = drawObject(long_list, { max_items: 10 });
+        expect(global.reference_slots).toHaveLength(10);
+
+        const overridden = drawObject(
+            { ...long_list, max_items: 4 },
+            { max_items: 10 }
+        );
+        expect(overridden.reference_slots).toHaveLength(4);
+    });
+});
+
+describe("items_per_row", () => {
+    it("wraps the elements of a sequence into rows", () => {
+        const one_row = getSize({ ...long_list, max_items: 12 });
+        const wrapped = getSize({
+            ...long_list,
+            max_items: 12,
+            items_per_row: 4,
+        });
+        expect(wrapped.width).toBeLessThan(one_row.width);
+        expect(wrapped.height).toBeGreaterThan(one_row.height);
+
+        const m = drawObject({ ...long_list, max_items: 12, items_per_row: 4 });
+        const rows = new Set(m.reference_slots.map((slot) => slot.y));
+        expect(rows.size).toEqual(4);
+    });
+
+    it("leaves room for the indexes above every row", () => {
+        const limits = { max_items: 8, items_per_row: 4 };
+        const with_indexes = getSize({
+            ...long_list,
+            ...limits,
+            show_indexes: true,
+        });
+        const without_indexes = getSize({ ...long_list, ...limits });
+        const m = new MemoryModel();
+        expect(with_indexes.height - without_indexes.height).toEqual(
+            3 * m.list_index_sep
+        );
+    });
+});
+
+describe("max_value_length", () => {
+    it("truncates long primitive values", () => {
+        const svg = drawObject({
+            ...long_str,
+            max_value_length: 10,
+        }).serializeSVG();
+        expect(svg).toContain('"the quic…');
+        expect(svg).not.toContain("lazy");
+    });
+
+    it("wraps long primitive values over several lines", () => {
+        const svg = drawObject({
+            ...long_str,
+            max_value_length: 15,
+            wrap_values: true,
+        }).serializeSVG();
+        expect(svg).toContain('"the quick brow');
+        expect(svg).toContain("lazy dog");
+        expect(
+            getSize({ ...long_str, max_value_length: 15, wrap_values: true })
+                .height
+        ).toBeGreaterThan(getSize({ ...long_str }).height);
+    });
+});
+
+describe("getSize", () => {
+    it("matches the size of the drawn boxes", () => {
+        const objects = [
+            {
+                ...long_list,
+                max_items: 9,
+                items_per_row: 3,
+                show_indexes: true,
+            },
+            { ...long_str, max_value_length: 8, wrap_values: true },
+            { type: "set", id: 3, value: [1, 2, 3, 4], max_items: 2 },
+            { type: "dict", id: 4, value: { 1: 2, 3: 4, 5: 6 }, max_items: 1 },
+        ];
+        for (const obj of objects) {
+            const m = drawObject(obj);
+            const { width, height } = m.drawn_boxes[0];
+            expect(getSize(structuredClone(obj))).toEqual({ width, height });
+        }
+    });
+
+    it("keeps automated layouts of long collections within the canvas width", () => {
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+        draw([structuredClone(long_list)], true, {
+            width: 800,
+            max_items: 10,
+            items_per_row: 5,
+        });
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
+
+describe("validation", () => {
+    it("reports invalid size limits", () => {
+        const errors = validate([
+            { ...long_list, max_items: 0, items_per_row: 1.5 },
+            { ...long_str, max_value_length: "10", wrap_values: "yes" },
+        ]);
+        const paths = errors
+            .filter((error) => error.severity === "error")
+            .map((error) => error.path);
+        expect(paths).toEqual([
+            "[0].max_items",
+            "[0].items_per_row",
+            "[1].max_value_length",
+            "[1].wrap_values",
+        ]);
+    });
+
+    it("reports invalid size limits of the whole diagram", () => {
+        expect(() =>
+            draw([{ ...long_list }], true, {
+                width: 800,
+                items_per_row: 0,
+                max_value_length: -1,
+            })
+        ).toThrow(
+            "Invalid MemoryViz input:\n" +
+                "    configuration.items_per_row: expected a positive integer\n" +
+                "    configuration.max_value_length: expected a positive integer"
+        );
+    });
+});
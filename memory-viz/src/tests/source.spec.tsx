@@ -0,0 +1,99 @@
+import exports from "../index";
+const { draw, load } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+    { type: "list", id: 1, value: [2], style: ["highlight"] },
+    { type: "int", id: 2, value: 7 },
+];
+
+describe("embedded source", () => {
+    it("embeds the objects and the configuration in the SVG", () => {
+        const m = draw(structuredClone(objects), true, {
+            width: 800,
+            sort_by: "id",
+            theme: "dark",
+            embed_source: true,
+        });
+        const source = load(String(m.serializeSVG()));
+        expect(source.objects).toEqual(objects);
+        expect(source.automation).toBe(true);
+        expect(source.configuration).toMatchObject({
+            width: 800,
+            sort_by: "id",
+            theme: "dark",
+            roughjs_config: { options: { seed: 1 } },
+            embed_source: true,
+        });
+        expect(source).toEqual(m.source);
+    });
+
+    it("keeps the seed and the size of the configuration", () => {
+        const positioned = objects.map((obj, i) => ({
+            ...obj,
+            x: 10 + 200 * i,
+            y: 10,
+        }));
+        const m = draw(structuredClone(positioned), false, {
+            roughjs_config: { options: { seed: 42 } },
+            embed_source: true,
+        });
+        const { configuration } = load(String(m.serializeSVG()));
+        expect(configuration.roughjs_config).toEqual({
+            options: { seed: 42 },
+        });
+        expect(configuration.width).toEqual(
+            Number(m.svg.getAttribute("width"))
+        );
+        expect(configuration.height).toEqual(
+            Number(m.svg.getAttribute("height"))
+        );
+    });
+
+    it("draws the same diagram again from its source", () => {
+        for (const renderer of ["rough", "clean"]) {
+            const svg = String(
+                draw(structuredClone(objects), true, {
+                    width: 800,
+                    renderer,
+                    arrows: true,
+                    embed_source: true,
+                }).serializeSVG()
+            );
+            const source = load(svg);
+            const again = draw(
+                source.objects,
+                source.automation,
+                source.configuration
+            );
+            expect(String(again.serializeSVG())).toEqual(svg);
+        }
+    });
+
+    it("does not embed the source by default", () => {
+        const m = draw(structuredClone(objects), true, { width: 800 });
+        expect(String(m.serializeSVG())).not.toContain("<metadata");
+        expect(m.source).toBeNull();
+    });
+
+    it("throws an error for an SVG without an embedded source", () => {
+        const m = draw(structuredClone(objects), true, { width: 800 });
+        expect(() => load(String(m.serializeSVG()))).toThrow(
+            "The SVG has no embedded source"
+        );
+        expect(() => load("not an SVG")).toThrow(
+            "The SVG has no embedded source"
+        );
+    });
+
+    it("throws an error for an invalid embedded source", () => {
+        const svg = (source: string) =>
+            `<svg xmlns="http://www.w3.org/2000/svg"><metadata id="memory-viz-source">${source}</metadata></svg>`;
+        expect(() => load(svg("{"))).toThrow(
+            "The embedded source is not valid JSON"
+        );
+        expect(() => load(svg('{"objects": []}'))).toThrow(
+            "Expected the embedded source to have objects, automation and configuration properties."
+        );
+    });
+});
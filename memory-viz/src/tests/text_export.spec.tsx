@@ -0,0 +1,99 @@
+import exports from "../index";
+const { draw } = exports;
+
+const objects = [
+    { type: ".frame", name: "__main__", id: null, value: { lst: 1, d: 4 } },
+    { type: "list", id: 1, value: [2, 3] },
+    { type: "int", id: 2, value: 7 },
+    { type: "str", id: 3, value: 'a "b" & c_d' },
+    { type: "dict", id: 4, value: { 3: 2 } },
+];
+
+describe("text exports", () => {
+    const m = draw(structuredClone(objects), true, { width: 800 });
+    const height = Number(m.svg.getAttribute("height"));
+
+    describe("toDOT", () => {
+        const dot = m.toDOT();
+
+        it("writes a record node for every object, pinned to the center of its box", () => {
+            expect(dot.startsWith("digraph memory {")).toBe(true);
+            const frame = m.drawn_boxes.find((b) => b.entity.type === ".frame");
+            const cx = frame.x + frame.width / 2;
+            const cy = height - frame.y - frame.height / 2;
+            expect(dot).toContain(
+                `n0 [label="{__main__|{lst|<f0> id1}|{d|<f1> id4}}", pos="${
+                    Math.round(cx * 100) / 100
+                },${Math.round(cy * 100) / 100}!"`
+            );
+            expect(dot).toMatch(/label="\{\{id2\|int\}\|7\}"/);
+            expect(dot).toMatch(
+                /label="\{\{id1\|list\}\|\{<f0> id2\|<f1> id3\}\}"/
+            );
+        });
+
+        it("escapes the characters of record labels", () => {
+            expect(dot).toContain('|\\"a \\\\\\"b\\\\\\" & c_d\\"}"');
+        });
+
+        it("draws an edge from the field holding every reference", () => {
+            expect(dot).toMatch(/n0:f0 -> n\d+;/);
+            expect(dot.match(/ -> /g)).toHaveLength(6);
+            expect(dot).toMatch(/:k0 -> n\d+;/);
+        });
+    });
+
+    describe("toMermaid", () => {
+        const mermaid = m.toMermaid();
+
+        it("groups the stack frames in a subgraph", () => {
+            expect(mermaid.startsWith("flowchart LR\n")).toBe(true);
+            expect(mermaid).toContain(
+                '    subgraph frames ["Stack frames"]\n        direction TB\n        n0["<b>__main__</b><br/>lst: id1<br/>d: id4"]\n    end'
+            );
+        });
+
+        it("escapes quotes in labels", () => {
+            expect(mermaid).toContain("#quot;a \\#quot;b\\#quot; & c_d#quot;");
+        });
+
+        it("labels every edge with the name, index or key holding the reference", () => {
+            expect(mermaid).toContain('n0 -->|"lst"| ');
+            expect(mermaid).toMatch(/ -->\|"0"\| /);
+            expect(mermaid).toMatch(/ -->\|"id3"\| /);
+            expect(mermaid).toMatch(/ -\.->\|key\| /);
+        });
+    });
+
+    describe("toTikZ", () => {
+        it("draws every box at its position in the diagram", () => {
+            const tikz = m.toTikZ();
+            expect(tikz.startsWith("\\begin{tikzpicture}[x=1pt, y=-1pt")).toBe(
+                true
+            );
+            expect(tikz.endsWith("\\end{tikzpicture}\n")).toBe(true);
+            for (const { x, y, width, height } of m.drawn_boxes) {
+                expect(tikz).toContain(
+                    `\\draw (${Math.round(x * 100) / 100},${
+                        Math.round(y * 100) / 100
+                    }) rectangle (${Math.round((x + width) * 100) / 100},${
+                        Math.round((y + height) * 100) / 100
+                    });`
+                );
+            }
+            expect(tikz).not.toContain("\\draw[->]");
+        });
+
+        it("escapes special LaTeX characters", () => {
+            expect(m.toTikZ()).toContain(
+                '{"a \\textbackslash{}"b\\textbackslash{}" \\& c\\_d"}'
+            );
+        });
+
+        it("draws an arrow for every reference when arrows is true", () => {
+            const tikz = m.toTikZ(true);
+            expect(tikz.match(/\\draw\[->\]/g)).toHaveLength(6);
+            expect(tikz).toMatch(/\\node\[[^\]]*\] \(n0\) at/);
+        });
+    });
+});
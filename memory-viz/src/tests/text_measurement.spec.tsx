@@ -0,0 +1,83 @@
+import exports from "../index";
+const { config, getSize, measureText, setTextMeasurer } = exports;
+
+const consolas_advance = 1126 / 2048;
+
+describe("measureText", () => {
+    it("measures text in the default font using its metrics", () => {
+        expect(measureText("abc", { "font-size": 20 })).toBeCloseTo(
+            3 * 20 * consolas_advance
+        );
+    });
+
+    it("takes the font size of the style into account", () => {
+        expect(measureText("abc", { "font-size": "22px" })).toBeCloseTo(
+            3 * 22 * consolas_advance
+        );
+        expect(measureText("abc", { "font-size": "15pt" })).toBeCloseTo(
+            3 * 20 * consolas_advance
+        );
+    });
+
+    it("uses the first font family with known metrics", () => {
+        const style = {
+            "font-family": "'Fancy Font', Courier",
+            "font-size": 20,
+        };
+        expect(measureText("abcd", style)).toBeCloseTo(4 * 20 * 0.6);
+    });
+
+    it("measures wide and combining characters", () => {
+        const style = { "font-size": 20 };
+        expect(measureText("你好", style)).toBeCloseTo(
+            measureText("abcd", style)
+        );
+        expect(measureText("é", style)).toBeCloseTo(measureText("e", style));
+    });
+});
+
+describe("setTextMeasurer", () => {
+    afterEach(() => {
+        setTextMeasurer(null);
+    });
+
+    it("measures text with the given function", () => {
+        const measurer = jest.fn((text) => text.length * 100);
+        setTextMeasurer(measurer);
+        expect(measureText("abc", {})).toEqual(300);
+        expect(measurer).toHaveBeenCalledWith(
+            "abc",
+            expect.objectContaining({ "font-family": "Consolas, Courier" })
+        );
+    });
+
+    it("is used to size boxes when drawing", () => {
+        const obj = { type: "str", id: 1, value: "David is cool!" };
+        const default_width = getSize({ ...obj }).width;
+        setTextMeasurer((text) => text.length * 30);
+        expect(getSize({ ...obj }).width).toBeGreaterThan(default_width);
+    });
+});
+
+describe("getSize", () => {
+    it("sizes boxes to fit text in the font size of their style", () => {
+        const obj: any = {
+            type: "str",
+            id: 1,
+            value: "A fairly long string value",
+            style: ["highlight"],
+        };
+        const unstyled = getSize({ ...obj, style: undefined });
+        const styled = getSize({ ...obj });
+
+        // The highlight preset uses a larger, bolder font.
+        const text_width = measureText(`"${obj.value}"`, {
+            "font-size": "22px",
+            "font-weight": "bolder",
+        });
+        expect(styled.width).toBeGreaterThan(unstyled.width);
+        expect(styled.width).toBeGreaterThanOrEqual(
+            text_width + config.obj_x_padding
+        );
+    });
+});
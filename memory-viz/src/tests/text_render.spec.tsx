@@ -0,0 +1,130 @@
+import exports from "../index";
+const { renderText, InvalidInputError } = exports;
+
+describe("renderText", () => {
+    it("draws stack frames on the left and the other objects to their right", () => {
+        const objects = [
+            { type: ".frame", name: "__main__", id: null, value: { lst: 1 } },
+            { type: "list", id: 1, value: [2, 3] },
+            { type: "int", id: 2, value: 7 },
+            { type: "str", id: 3, value: "hi" },
+        ];
+        expect(renderText(objects)).toEqual(
+            [
+                "┌─__main__──┐  ┌─id1──list─┐  ╔═id2═int═╗  ╔═id3═str═╗",
+                '│ lst: id1  │  │ id2 │ id3 │  ║    7    ║  ║  "hi"   ║',
+                "└───────────┘  └───────────┘  ╚═════════╝  ╚═════════╝",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("draws immutable objects with a double border", () => {
+        const text = renderText([
+            { type: "tuple", id: 1, value: [2] },
+            { type: "set", id: 3, value: [2] },
+        ]);
+        expect(text).toContain("╔═id1═tuple═╗");
+        expect(text).toContain("┌─id3─set─┐");
+        expect(text).toContain("║ id2       ║");
+        expect(text).toContain("│ {id2}   │");
+    });
+
+    it("aligns the names of variables, attributes and dictionary keys", () => {
+        const text = renderText([
+            {
+                type: ".frame",
+                name: "f",
+                id: null,
+                value: { x: 1, long: null },
+            },
+            { type: ".class", name: "Point", id: 1, value: { x: 2, y: 2 } },
+            { type: "dict", id: 3, value: { 2: 1, 10: 2 } },
+        ]);
+        expect(text).toContain("│ x:    id1 │");
+        expect(text).toContain("│ long:     │");
+        expect(text).toContain("│ x: id2    │");
+        expect(text).toContain("│ id10: id2 │");
+        expect(text).toContain("│ id2:  id1 │");
+    });
+
+    it("shows the indexes of sequences with show_indexes", () => {
+        const text = renderText([
+            { type: "list", id: 1, value: [2, 3], show_indexes: true },
+        ]);
+        expect(text.split("\n").slice(1, 3)).toEqual([
+            "│  0     1  │",
+            "│ id2 │ id3 │",
+        ]);
+    });
+
+    it("wraps the objects to the given number of columns", () => {
+        const objects = [1, 2, 3, 4].map((id) => ({
+            type: "int",
+            id,
+            value: id,
+        }));
+        const lines = renderText(objects, { columns: 30 }).split("\n");
+        // Three boxes (of 11 characters each) would take 37 columns, so there are two boxes per row.
+        expect(lines).toHaveLength(8);
+        expect(lines[0]).toEqual("╔═id1═int═╗  ╔═id2═int═╗");
+        expect(lines[3]).toEqual("");
+        expect(lines[4]).toEqual("╔═id3═int═╗  ╔═id4═int═╗");
+        expect(renderText(objects, { columns: 50 }).split("\n")).toHaveLength(
+            4
+        );
+    });
+
+    it("uses ASCII characters only with the ascii option", () => {
+        const text = renderText(
+            [
+                { type: "list", id: 1, value: [2, 3] },
+                { type: "int", id: 2, value: 7 },
+            ],
+            { ascii: true }
+        );
+        expect(text).toEqual(
+            [
+                "+-id1--list-+  #=id2=int=#",
+                "| id2 | id3 |  #    7    #",
+                "+-----------+  #=========#",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("does not change the given objects", () => {
+        const objects = [{ type: "int", id: 1, value: 7 }];
+        renderText(objects);
+        expect(objects).toEqual([{ type: "int", id: 1, value: 7 }]);
+    });
+
+    it("draws the memory model of the given language", () => {
+        const objects = [
+            {
+                type: ".frame",
+                name: "main",
+                id: null,
+                value: { n: 1, xs: 2, s: null },
+            },
+            { type: "int", id: 1, value: 7 },
+            { type: "int[]", id: 2, value: [1, 1] },
+        ];
+        expect(renderText(objects, { language: "java" })).toEqual(
+            [
+                "┌─main─────┐  ┌─@2─int[]─┐",
+                "│ n:  7    │  │ 7 │ 7    │",
+                "│ xs: @2   │  └──────────┘",
+                "│ s:  null │",
+                "└──────────┘",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("throws an InvalidInputError for invalid objects", () => {
+        expect(() => renderText([{ type: "list", id: 1 }] as any)).toThrow(
+            InvalidInputError
+        );
+    });
+});
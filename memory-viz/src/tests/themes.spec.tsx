@@ -0,0 +1,81 @@
+import exports from "../index";
+import { resolveTheme } from "../themes";
+const { draw, themes, MemoryModel } = exports;
+
+describe("resolveTheme", () => {
+    it("returns the built-in theme with the given name", () => {
+        expect(resolveTheme("dark")).toBe(themes.dark);
+        expect(resolveTheme(undefined)).toBe(themes.light);
+    });
+
+    it("completes a partial theme object with the light theme", () => {
+        expect(resolveTheme({ background: "navy" })).toEqual({
+            ...themes.light,
+            background: "navy",
+        });
+    });
+
+    it("throws an error for an unknown theme name", () => {
+        expect(() => resolveTheme("sepia")).toThrow(
+            "Unknown theme 'sepia': expected one of light, dark, high-contrast, or a theme object."
+        );
+    });
+});
+
+describe("draw with a theme", () => {
+    const objects = [
+        { type: ".frame", name: "__main__", id: null, value: { x: 1 } },
+        { type: "int", id: 1, value: 7 },
+    ];
+
+    function drawSVG(theme: any, style?: any): string {
+        const objs = structuredClone(objects);
+        objs[1]["style"] = style;
+        return draw(objs, true, {
+            width: 800,
+            roughjs_config: { options: { seed: 12345 } },
+            theme,
+        }).serializeSVG();
+    }
+
+    it("draws a background rectangle and uses the colors of the theme", () => {
+        const svg = drawSVG("dark");
+        const dark = themes.dark;
+        expect(svg).toContain(
+            `xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%" fill="${dark.background}"/>`
+        );
+        expect(svg).toContain(`fill="${dark.text_color}" x="`); // Variable names in the frame
+        expect(svg).toContain(`fill="${dark.value_color}"`);
+        expect(svg).toContain(`fill="${dark.id_color}"`);
+        expect(svg).toContain(`stroke="${dark.stroke}"`);
+        expect(svg).not.toContain(`fill="${themes.light.value_color}"`);
+        expect(svg).not.toContain('stroke="#000"');
+    });
+
+    it("uses the font and line width of the theme", () => {
+        const svg = drawSVG({ font_family: "Menlo", stroke_width: 3 });
+        expect(svg).toContain('font-family="Menlo"');
+        expect(svg).not.toContain('font-family="Consolas, Courier"');
+        expect(svg).toContain('stroke-width="3"');
+    });
+
+    it("uses the fills of the theme in style presets", () => {
+        expect(drawSVG("high-contrast", ["highlight"])).toContain(
+            `fill="${themes["high-contrast"].highlight_fill}"`
+        );
+        expect(drawSVG("dark", ["hide"])).toContain(
+            `stroke="none" stroke-width="0" fill="${themes.dark.background}"`
+        );
+    });
+
+    it("does not draw a background when the background is 'none'", () => {
+        expect(drawSVG({ background: "none" })).not.toContain("<rect");
+    });
+
+    it("lets the colors given as MemoryModel options take precedence over the theme", () => {
+        const m = new MemoryModel({ theme: "dark", text_color: "red" });
+        m.drawText("text", 0, 0, {});
+        expect(m.serializeSVG()).toContain('fill="red"');
+        expect(m.text_color).toEqual("red");
+    });
+});
@@ -0,0 +1,169 @@
+import exports from "../index";
+const { drawTrace } = exports;
+
+const trace = {
+    initial: [
+        {
+            type: ".frame",
+            name: "__main__",
+            id: null,
+            value: { lst: 1 },
+        },
+        { type: "list", id: 1, value: [2] },
+        { type: "int", id: 2, value: 10 },
+    ],
+    steps: [
+        {
+            line: 2,
+            source: "lst.append(20)",
+            add: [{ type: "int", id: 3, value: 20 }],
+            update: [{ id: 1, value: [2, 3] }],
+        },
+        {
+            line: 3,
+            source: "x = f(lst)",
+            add: [
+                {
+                    type: ".frame",
+                    name: "f",
+                    id: null,
+                    value: { items: 1 },
+                },
+            ],
+        },
+        {
+            line: 4,
+            remove: [{ frame: "f" }, 2],
+            update: [
+                { type: ".frame", name: "__main__", value: { lst: 1, x: 3 } },
+            ],
+        },
+    ],
+};
+
+/**
+ * Return the coordinates of the box of each object (by the text of its id box) drawn on the given diagram.
+ */
+function textPositions(m) {
+    const positions = {};
+    for (const text of Array.from(
+        m.svg.getElementsByTagName("text")
+    ) as any[]) {
+        positions[text.textContent] = [
+            text.getAttribute("x"),
+            text.getAttribute("y"),
+        ];
+    }
+    return positions;
+}
+
+describe("drawTrace", () => {
+    it("draws one diagram for the initial state and for each step", () => {
+        const models = drawTrace(structuredClone(trace), {
+            width: 1300,
+            roughjs_config: { options: { seed: 12345 } },
+        });
+        expect(models.length).toEqual(4);
+        expect(models[3].serializeSVG()).toMatchSnapshot();
+    });
+
+    it("keeps objects at the same coordinates in every diagram", () => {
+        // Highlighted text is larger, which would move the text within highlighted boxes.
+        const models = drawTrace(structuredClone(trace), {
+            width: 1300,
+            highlight_changes: false,
+        });
+        const before = textPositions(models[1]);
+        const after = textPositions(models[3]);
+        for (const label of ["__main__", "id1", "id3"]) {
+            expect(after[label]).toEqual(before[label]);
+        }
+    });
+
+    it("lays out objects by the references in any state", () => {
+        const models = drawTrace(structuredClone(trace), {
+            width: 1300,
+            sort_by: "references",
+            highlight_changes: false,
+        });
+        const positions = textPositions(models[1]);
+        // The first int is only referred to by the list, so it is in the column after it. The second int is referred
+        // to by __main__ in the last state, so it is in the same column as the list.
+        expect(Number(positions["id2"][0])).toBeGreaterThan(
+            Number(positions["id1"][0])
+        );
+        expect(positions["id3"][0]).toEqual(positions["id1"][0]);
+    });
+
+    it("labels each diagram with the source line of its step", () => {
+        const models = drawTrace(structuredClone(trace), { width: 1300 });
+        const captions = models.map((m) =>
+            textPositions(m).hasOwnProperty("line 2: lst.append(20)")
+        );
+        expect(captions).toEqual([false, true, false, false]);
+        expect(textPositions(models[3])).toHaveProperty("line 4");
+    });
+
+    it("highlights the objects changed by each step", () => {
+        const models = drawTrace(structuredClone(trace), { width: 1300 });
+        const svg = models[1].serializeSVG();
+        // The highlight preset draws the changed list and int with bolder text.
+        expect(svg.match(/font-weight="bolder"/g).length).toBeGreaterThan(0);
+        expect(models[0].serializeSVG()).not.toContain("bolder");
+
+        const unhighlighted = drawTrace(structuredClone(trace), {
+            width: 1300,
+            highlight_changes: false,
+        });
+        expect(unhighlighted[1].serializeSVG()).not.toContain("bolder");
+    });
+
+    it("does not mutate the given trace", () => {
+        const copy = structuredClone(trace);
+        drawTrace(copy, { width: 1300 });
+        expect(copy).toEqual(trace);
+    });
+
+    it("throws an error when a step refers to an object that does not exist", () => {
+        const bad_trace = {
+            initial: [],
+            steps: [{ update: [{ id: 7, value: 1 }] }],
+        };
+        expect(() => drawTrace(bad_trace, { width: 1300 })).toThrow(
+            "Step 0 updates id 7, which does not exist."
+        );
+    });
+
+    it("reports invalid states with the step they occur in", () => {
+        const bad_trace = {
+            initial: [{ type: "list", id: 1, value: [] }],
+            steps: [{ update: [{ id: 1, value: { a: 1 } }] }],
+        };
+        expect(() => drawTrace(bad_trace, { width: 1300 })).toThrow(
+            "steps[0][0].value"
+        );
+    });
+
+    it("draws the memory model of the given language", () => {
+        const java_trace = {
+            initial: [
+                { type: ".frame", name: "main", id: null, value: { xs: 1 } },
+                { type: "int[]", id: 1, value: [2] },
+                { type: "int", id: 2, value: 5 },
+            ],
+            steps: [
+                {
+                    add: [{ type: "int", id: 3, value: 6 }],
+                    update: [{ id: 1, value: [2, 3] }],
+                },
+            ],
+        };
+        const svg = drawTrace(java_trace, {
+            width: 1300,
+            language: "java",
+        })[1].serializeSVG();
+        expect(svg).toContain(">@1</text>");
+        expect(svg).toContain(">6</text>");
+        expect(svg).not.toContain(">@3</text>");
+    });
+});
@@ -0,0 +1,89 @@
+import exports from "../index";
+const { draw, registerType, typeInfo, validate } = exports;
+
+/**
+ * Return the number of rectangles drawn on the given diagram.
+ */
+function countRects(m): number {
+    return m.svg.getElementsByTagName("g").length;
+}
+
+describe("registerType", () => {
+    afterEach(() => {
+        registerType("Point", null);
+        registerType("deque", null);
+        registerType("set", null);
+    });
+
+    it("describes the built-in types", () => {
+        expect(typeInfo("frozenset")).toEqual({
+            category: "set",
+            mutable: false,
+        });
+        expect(typeInfo("list")).toEqual({
+            category: "sequence",
+            mutable: true,
+        });
+        expect(typeInfo("Point")).toBeUndefined();
+    });
+
+    it("draws objects of a registered type according to its category", () => {
+        registerType("deque", { category: "sequence" });
+        const deque = { type: "deque", id: 1, value: [2, 3] };
+        const list = { ...deque, type: "list" };
+
+        const m = draw([{ ...deque }], true, { width: 1300 });
+        const expected = draw([{ ...list }], true, { width: 1300 });
+        expect(countRects(m)).toEqual(countRects(expected));
+        expect(m.serializeSVG()).toContain(">deque</text>");
+        expect(m.reference_slots.length).toEqual(2);
+    });
+
+    it("draws immutable objects with a double border", () => {
+        const objects = () => [{ type: "set", id: 1, value: [2] }];
+        const mutable = draw(objects(), true, { width: 1300 });
+
+        registerType("set", { category: "set", mutable: false });
+        const immutable = draw(objects(), true, { width: 1300 });
+        expect(countRects(immutable)).toEqual(countRects(mutable) + 1);
+
+        registerType("set", null);
+        expect(typeInfo("set")).toEqual({ category: "set", mutable: true });
+    });
+
+    it("applies to classes with the registered name", () => {
+        const objects = () => [
+            { type: ".class", name: "Point", id: 1, value: { x: 2 } },
+        ];
+        const mutable = draw(objects(), true, { width: 1300 });
+
+        registerType("Point", { category: "class", mutable: false });
+        const immutable = draw(objects(), true, { width: 1300 });
+        expect(countRects(immutable)).toEqual(countRects(mutable) + 1);
+
+        // Objects of the registered type are drawn as classes too.
+        const typed = draw([{ type: "Point", id: 1, value: { x: 2 } }], true, {
+            width: 1300,
+        });
+        expect(countRects(typed)).toEqual(countRects(immutable));
+    });
+
+    it("validates the values of objects of a registered type", () => {
+        registerType("deque", { category: "sequence" });
+        expect(validate([{ type: "deque", id: 1, value: { a: 1 } }])).toEqual([
+            {
+                path: "[0].value",
+                message: "objects of type 'deque' require an array of ids",
+                severity: "error",
+            },
+        ]);
+    });
+
+    it("throws an error for invalid categories", () => {
+        expect(() =>
+            registerType("deque", { category: "queue" as any })
+        ).toThrow(
+            "Invalid category 'queue' for type 'deque': expected one of primitive, sequence, set, mapping, class."
+        );
+    });
+});
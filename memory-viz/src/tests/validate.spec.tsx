@@ -0,0 +1,165 @@
+import exports from "../index";
+const { draw, validate, InvalidInputError } = exports;
+
+describe("validate", () => {
+    it("returns no errors for valid input", () => {
+        const objects = [
+            {
+                type: ".frame",
+                name: "__main__",
+                id: null,
+                value: { lst: 82, d: 10 },
+            },
+            { type: "list", id: 82, value: [19, null], show_indexes: true },
+            { type: "dict", id: 10, value: { 19: 82 } },
+            { type: "str", id: 19, value: "David is cool!", style: "fade" },
+            { type: ".blank", width: 100, height: 200 },
+        ];
+        expect(validate(objects)).toEqual([]);
+    });
+
+    it("rejects input that is not an array", () => {
+        expect(validate({ type: "int", id: 1, value: 1 })).toEqual([
+            {
+                path: "",
+                message: "expected an array of objects",
+                severity: "error",
+            },
+        ]);
+    });
+
+    it.each([
+        ["a missing type", { id: 1, value: 1 }, "[0].type"],
+        [
+            "a dict whose value is an array",
+            { type: "dict", id: 1, value: [] },
+            "[0].value",
+        ],
+        [
+            "a stack frame with an id",
+            { type: ".frame", name: "f", id: 1, value: {} },
+            "[0].id",
+        ],
+        [
+            "a stack frame without a name",
+            { type: ".frame", id: null, value: {} },
+            "[0].name",
+        ],
+        [
+            "a list containing a non-id",
+            { type: "list", id: 1, value: [[2]] },
+            "[0].value[0]",
+        ],
+        [
+            "a class attribute holding a non-id",
+            { type: ".class", name: "A", id: 1, value: { b: {} } },
+            "[0].value.b",
+        ],
+        [
+            "a primitive with an object value",
+            { type: "int", id: 1, value: {} },
+            "[0].value",
+        ],
+        [
+            "a blank without a height",
+            { type: ".blank", width: 100 },
+            "[0].height",
+        ],
+        [
+            "an unknown preset name",
+            { type: "int", id: 1, value: 1, style: ["highlight", "glow"] },
+            "[0].style[1]",
+        ],
+        [
+            "an unknown style attribute",
+            { type: "int", id: 1, value: 1, style: { text: {} } },
+            "[0].style.text",
+        ],
+        [
+            "a non-boolean show_indexes",
+            { type: "list", id: 1, value: [], show_indexes: "yes" },
+            "[0].show_indexes",
+        ],
+    ])("reports %s", (_, obj, path) => {
+        const errors = validate([obj]);
+        expect(errors).toContainEqual(
+            expect.objectContaining({ path, severity: "error" })
+        );
+    });
+
+    it("reports duplicate ids", () => {
+        const errors = validate([
+            { type: "int", id: 1, value: 1 },
+            { type: "int", id: 1, value: 2 },
+        ]);
+        expect(errors).toEqual([
+            expect.objectContaining({ path: "[1].id", severity: "error" }),
+        ]);
+    });
+
+    it("requires coordinates when automatic layout is not used", () => {
+        const objects = [{ type: "int", id: 1, value: 1, x: 10 }];
+        expect(validate(objects, true)).toEqual([]);
+        expect(validate(objects, false)).toEqual([
+            expect.objectContaining({ path: "[0].y", severity: "error" }),
+        ]);
+    });
+
+    it("warns about ids that do not refer to any object", () => {
+        const errors = validate([
+            { type: ".frame", name: "__main__", id: null, value: { a: 7 } },
+            { type: "dict", id: 10, value: { 8: 10 } },
+        ]);
+        expect(errors).toEqual([
+            expect.objectContaining({
+                path: "[0].value.a",
+                severity: "warning",
+            }),
+            expect.objectContaining({
+                path: '[1].value["8"]',
+                severity: "warning",
+            }),
+        ]);
+    });
+
+    it("reports every problem at once", () => {
+        const errors = validate([
+            { type: "list", id: 1, value: { a: 1 } },
+            { type: ".frame", name: "f", id: 3, value: [] },
+            "int",
+        ]);
+        expect(errors.map((error) => error.path)).toEqual([
+            "[0].value",
+            "[1].id",
+            "[1].value",
+            "[2]",
+        ]);
+    });
+});
+
+describe("draw function with invalid input", () => {
+    it("throws an InvalidInputError listing every problem", () => {
+        const objects = [
+            { type: "dict", id: 1, value: [2, 3] },
+            { type: ".frame", name: "__main__", id: 4, value: {} },
+        ];
+        let error;
+        try {
+            draw(objects, true, { width: 1300 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(InvalidInputError);
+        expect(error.errors.map((e) => e.path)).toEqual([
+            "[0].value",
+            "[1].id",
+        ]);
+        expect(error.message).toContain("[0].value");
+        expect(error.message).toContain("[1].id");
+    });
+
+    it("does not throw for ids that do not refer to any object", () => {
+        const objects = [{ type: "list", id: 1, value: [2, 3] }];
+        expect(() => draw(objects, true, { width: 1300 })).not.toThrow();
+    });
+});
@@ -0,0 +1,435 @@
+import type { MemoryModel } from "./memory_model";
+import { primitiveText, typeCategory } from "./type_registry";
+import { DrawnBox } from "./types";
+
+/**
+ * A part of an object that refers to another object: a variable of a stack frame, an attribute of a class instance,
+ * an element of a sequence or set, or an entry of a dictionary (whose key is also a reference).
+ */
+interface Field {
+    name?: string; // The variable or attribute name, or the index of a sequence element
+    target: number | string | null; // The id held by the field
+    key_target?: number | string | null; // The id of the key, for dictionary entries
+}
+
+/**
+ * Return the boxes drawn on the given diagram, other than blank spaces, each with the name of the node representing
+ * it. Stack frames are numbered first, and then the other objects, in the order of their positions (from top to
+ * bottom, then from left to right).
+ */
+function diagramNodes(m: MemoryModel): { box: DrawnBox; node: string }[] {
+    return m.drawn_boxes
+        .filter((box) => !box.entity.type.startsWith(".blank"))
+        .sort(
+            (a, b) =>
+                Number(b.entity.type === ".frame") -
+                    Number(a.entity.type === ".frame") ||
+                a.y - b.y ||
+                a.x - b.x
+        )
+        .map((box, i) => ({ box, node: `n${i}` }));
+}
+
+/**
+ * Return the node name of the object with each id.
+ */
+function nodesById(nodes: { box: DrawnBox; node: string }[]) {
+    const by_id = new Map<string, string>();
+    for (const { box, node } of nodes) {
+        if (box.entity.type !== ".frame" && box.entity.id !== null) {
+            by_id.set(String(box.entity.id), node);
+        }
+    }
+    return by_id;
+}
+
+/**
+ * Return the kind of the given object: "frame", "class", "sequence", "set", "mapping" or "primitive" (in the memory
+ * model of the given language).
+ */
+function entityKind(box: DrawnBox, language: string): string {
+    const { type } = box.entity;
+    if (type === ".frame") {
+        return "frame";
+    } else if (type === ".class") {
+        return "class";
+    }
+    return typeCategory(type, language);
+}
+
+/**
+ * Return the fields of the given object (see 'Field'), in the order in which they are drawn.
+ */
+function entityFields(box: DrawnBox, language: string): Field[] {
+    const { value } = box.entity;
+    switch (entityKind(box, language)) {
+        case "frame":
+        case "class":
+            return Object.entries(value || {}).map(([name, target]) => ({
+                name,
+                target: target as number | string | null,
+            }));
+        case "sequence":
+            return value.map((target, i) => ({ name: String(i), target }));
+        case "set":
+            return value.map((target) => ({ target }));
+        case "mapping":
+            return Object.entries(value || {}).map(([key, target]) => ({
+                target: target as number | string | null,
+                key_target: key,
+            }));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Return the title of the given object: the name of a stack frame, or the id (as written on the given diagram) and
+ * type of any other object.
+ */
+function entityTitle(
+    box: DrawnBox,
+    m: MemoryModel
+): { id: string; type: string } {
+    const { entity } = box;
+    const type = entity.type === ".class" ? entity.name : entity.type;
+    if (entity.type === ".frame") {
+        return { id: "", type: entity.name };
+    }
+    const id =
+        entity.id === null || entity.id === undefined
+            ? ""
+            : m.referenceText(entity.id);
+    return { id, type };
+}
+
+/**
+ * Return the text shown in the box of a primitive object (which is empty if the object has no value).
+ */
+function valueText(box: DrawnBox, language: string): string {
+    const { type, value } = box.entity;
+    return value === null || value === undefined
+        ? ""
+        : primitiveText(type, value, language);
+}
+
+/**
+ * Round the given coordinate, so that the generated code stays readable.
+ */
+function num(value: number): string {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Return the Graphviz DOT code of the objects drawn on the given diagram.
+ * Each object is a record node pinned to the center of its box (in points, with the y axis pointing up), and each
+ * reference is an edge from the field holding it.
+ * @param {MemoryModel} m - the diagram
+ * @returns {string} the DOT code
+ */
+function modelToDOT(m: MemoryModel): string {
+    const height = Number(m.svg.getAttribute("height"));
+    const nodes = diagramNodes(m);
+    const by_id = nodesById(nodes);
+
+    const escape = (text: string) =>
+        text.replace(/[\\{}|<>"]/g, "\\$&").replace(/\n/g, "\\n") || " ";
+
+    const lines = [
+        "digraph memory {",
+        `    graph [layout=neato, inputscale=72, splines=true, bb="0,0,${num(
+            Number(m.svg.getAttribute("width"))
+        )},${num(height)}"];`,
+        `    node [shape=record, fontname="${m.theme.font_family
+            .split(",")[0]
+            .trim()}", fontsize=${m.font_size}, fixedsize=true];`,
+    ];
+    const edges = [];
+
+    for (const { box, node } of nodes) {
+        const kind = entityKind(box, m.language);
+        const { id, type } = entityTitle(box, m);
+        const fields = entityFields(box, m.language);
+
+        let label: string;
+        if (kind === "frame") {
+            label = [
+                escape(type),
+                ...fields.map(
+                    (field, i) =>
+                        `{${escape(field.name)}|<f${i}> ${escape(
+                            m.referenceText(field.target)
+                        )}}`
+                ),
+            ].join("|");
+        } else {
+            const header = `{${escape(id)}|${escape(type)}}`;
+            let body: string;
+            if (kind === "primitive") {
+                body = escape(valueText(box, m.language));
+            } else if (kind === "class") {
+                body = fields
+                    .map(
+                        (field, i) =>
+                            `{${escape(field.name)}|<f${i}> ${escape(
+                                m.referenceText(field.target)
+                            )}}`
+                    )
+                    .join("|");
+            } else if (kind === "mapping") {
+                body = fields
+                    .map(
+                        (field, i) =>
+                            `{<k${i}> ${escape(
+                                m.referenceText(field.key_target)
+                            )}|<f${i}> ${escape(
+                                m.referenceText(field.target)
+                            )}}`
+                    )
+                    .join("|");
+            } else {
+                body = `{${fields
+                    .map(
+                        (field, i) =>
+                            `<f${i}> ${escape(m.referenceText(field.target))}`
+                    )
+                    .join("|")}}`;
+            }
+            label = `${header}|${body || " "}`;
+        }
+
+        lines.push(
+            `    ${node} [label="{${label}}", pos="${num(
+                box.x + box.width / 2
+            )},${num(height - box.y - box.height / 2)}!", width=${num(
+                box.width / 72
+            )}, height=${num(box.height / 72)}];`
+        );
+
+        fields.forEach((field, i) => {
+            for (const [port, target] of [
+                [`f${i}`, field.target],
+                [`k${i}`, field.key_target],
+            ]) {
+                if (
+                    target !== null &&
+                    target !== undefined &&
+                    by_id.has(String(target))
+                ) {
+                    edges.push(
+                        `    ${node}:${port} -> ${by_id.get(String(target))};`
+                    );
+                }
+            }
+        });
+    }
+
+    return [...lines, ...edges, "}", ""].join("\n");
+}
+
+/**
+ * Return the Mermaid flowchart of the objects drawn on the given diagram. Stack frames are grouped in a subgraph,
+ * and each reference is an edge labelled with the variable, attribute, index or key holding it.
+ * @param {MemoryModel} m - the diagram
+ * @returns {string} the Mermaid code
+ */
+function modelToMermaid(m: MemoryModel): string {
+    const nodes = diagramNodes(m);
+    const by_id = nodesById(nodes);
+
+    const escape = (text: string) =>
+        text
+            .replace(/#/g, "#35;")
+            .replace(/"/g, "#quot;")
+            .replace(/</g, "#lt;")
+            .replace(/>/g, "#gt;");
+
+    const frames = [];
+    const objects = [];
+    const edges = [];
+    for (const { box, node } of nodes) {
+        const kind = entityKind(box, m.language);
+        const { id, type } = entityTitle(box, m);
+        const fields = entityFields(box, m.language);
+
+        const title =
+            kind === "frame"
+                ? `<b>${escape(type)}</b>`
+                : `<b>${escape(id)}</b> ${escape(type)}`;
+        let lines: string[];
+        if (kind === "primitive") {
+            lines = [escape(valueText(box, m.language))];
+        } else if (kind === "frame" || kind === "class") {
+            lines = fields.map(
+                (field) =>
+                    `${escape(field.name)}: ${escape(
+                        m.referenceText(field.target)
+                    )}`
+            );
+        } else if (kind === "mapping") {
+            lines = [
+                `{${fields
+                    .map(
+                        (field) =>
+                            `${escape(
+                                m.referenceText(field.key_target)
+                            )}: ${escape(m.referenceText(field.target))}`
+                    )
+                    .join(", ")}}`,
+            ];
+        } else {
+            const items = fields
+                .map((field) => escape(m.referenceText(field.target)))
+                .join(", ");
+            lines = [kind === "set" ? `{${items}}` : `[${items}]`];
+        }
+        const declaration = `${node}["${[title, ...lines].join("<br/>")}"]`;
+        (kind === "frame" ? frames : objects).push(declaration);
+
+        for (const field of fields) {
+            const target = by_id.get(String(field.target));
+            if (field.target !== null && target !== undefined) {
+                const label =
+                    field.name !== undefined
+                        ? field.name
+                        : field.key_target !== undefined
+                        ? m.referenceText(field.key_target)
+                        : undefined;
+                edges.push(
+                    label === undefined
+                        ? `${node} --> ${target}`
+                        : `${node} -->|"${escape(label)}"| ${target}`
+                );
+            }
+            const key_target = by_id.get(String(field.key_target));
+            if (field.key_target !== undefined && key_target !== undefined) {
+                edges.push(`${node} -.->|key| ${key_target}`);
+            }
+        }
+    }
+
+    const lines = ["flowchart LR"];
+    if (frames.length > 0) {
+        lines.push(
+            '    subgraph frames ["Stack frames"]',
+            "        direction TB",
+            ...frames.map((frame) => `        ${frame}`),
+            "    end"
+        );
+    }
+    lines.push(...objects.map((obj) => `    ${obj}`));
+    lines.push(...edges.map((edge) => `    ${edge}`));
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Return the TikZ code of the objects drawn on the given diagram, with every box (and every box holding a reference)
+ * at its position in the SVG, in points. The code requires the tikz package.
+ * @param {MemoryModel} m - the diagram
+ * @param {boolean} arrows - whether to draw an arrow from every reference to the box of the object it refers to
+ * @returns {string} the code of a tikzpicture environment
+ */
+function modelToTikZ(m: MemoryModel, arrows: boolean): string {
+    const nodes = diagramNodes(m);
+    const by_id = nodesById(nodes);
+    const padding = m.font_size / 4;
+
+    const escape = (text: string) =>
+        text.replace(/[\\#$%&_{}~^]/g, (char) =>
+            char === "\\"
+                ? "\\textbackslash{}"
+                : char === "~"
+                ? "\\textasciitilde{}"
+                : char === "^"
+                ? "\\textasciicircum{}"
+                : `\\${char}`
+        );
+    const point = (x: number, y: number) => `(${num(x)},${num(y)})`;
+    const rectangle = (x: number, y: number, width: number, height: number) =>
+        `\\draw ${point(x, y)} rectangle ${point(x + width, y + height)};`;
+
+    // The y axis points down, as in the SVG.
+    const lines = [
+        "\\begin{tikzpicture}[x=1pt, y=-1pt, every node/.style={font=\\ttfamily, inner sep=0pt}]",
+    ];
+    const arrow_lines = [];
+    for (const { box, node } of nodes) {
+        const kind = entityKind(box, m.language);
+        const { id, type } = entityTitle(box, m);
+        const { x, y, width, height } = box;
+
+        lines.push(
+            `    % ${kind === "frame" ? type : `${id} ${type}`}`,
+            `    ${rectangle(x, y, width, height)}`
+        );
+        if (arrows) {
+            lines.push(
+                `    \\node[anchor=north west, minimum width=${num(
+                    width
+                )}pt, minimum height=${num(height)}pt] (${node}) at ${point(
+                    x,
+                    y
+                )} {};`
+            );
+        }
+        if (kind === "frame") {
+            lines.push(
+                `    \\node[anchor=north west] at ${point(
+                    x + padding,
+                    y + padding
+                )} {${escape(type)}};`
+            );
+        } else {
+            lines.push(
+                `    \\node[anchor=north west] at ${point(
+                    x + padding,
+                    y + padding
+                )} {${escape(id)}};`,
+                `    \\node[anchor=north east] at ${point(
+                    x + width - padding,
+                    y + padding
+                )} {${escape(type)}};`
+            );
+        }
+        if (kind === "primitive") {
+            lines.push(
+                `    \\node at ${point(
+                    x + width / 2,
+                    y + (height + m.prop_min_height) / 2
+                )} {${escape(valueText(box, m.language))}};`
+            );
+        }
+
+        for (const slot of box.slots) {
+            const center_y = slot.y + slot.height / 2;
+            lines.push(
+                `    ${rectangle(slot.x, slot.y, slot.width, slot.height)}`,
+                `    \\node at ${point(
+                    slot.x + slot.width / 2,
+                    center_y
+                )} {${escape(m.referenceText(slot.target))}};`
+            );
+            if (kind === "frame" || kind === "class") {
+                lines.push(
+                    `    \\node[anchor=west] at ${point(
+                        x + m.item_min_width / 2,
+                        center_y
+                    )} {${escape(slot.key)}};`
+                );
+            }
+            const target = by_id.get(String(slot.target));
+            if (arrows && target !== undefined) {
+                arrow_lines.push(
+                    `    \\draw[->] ${point(
+                        slot.x + slot.width / 2,
+                        center_y
+                    )} -- (${target});`
+                );
+            }
+        }
+    }
+
+    return [...lines, ...arrow_lines, "\\end{tikzpicture}", ""].join("\n");
+}
+
+export { modelToDOT, modelToMermaid, modelToTikZ };
@@ -0,0 +1,170 @@
+import { config } from "./config";
+import { AttributeStyle, TextMeasurer } from "./types";
+
+// The advance width of every character of some common monospace fonts, as a fraction of the font size.
+// These are taken from each font's metrics (e.g., Consolas has an advance width of 1126 units, out of 2048 per em).
+const monospace_advances: Record<string, number> = {
+    consolas: 1126 / 2048,
+    courier: 0.6,
+    "courier new": 1229 / 2048,
+    inconsolata: 0.5,
+    menlo: 1233 / 2048,
+    monaco: 0.6,
+    "dejavu sans mono": 1233 / 2048,
+    "liberation mono": 1229 / 2048,
+    monospace: 0.6,
+};
+
+// The font used when none of the families of a style are known.
+const fallback_family = "consolas";
+
+let custom_measurer: TextMeasurer | null = null;
+let canvas_context: CanvasRenderingContext2D | null | undefined;
+
+/**
+ * Return the width (in px) that 'text' takes up when drawn with the given SVG text style.
+ *
+ * By default, text is measured using a canvas in the browser, and using the bundled metrics of common monospace
+ * fonts (such as the default Consolas and Courier) in Node. A custom measurer can be set with 'setTextMeasurer'.
+ *
+ * @param {string} text - the text to be measured
+ * @param {AttributeStyle} style - the SVG attributes of the text element (missing font attributes take their
+ *                                 default values)
+ * @returns {number} the width of the text
+ */
+function measureText(text: string, style: AttributeStyle = {}): number {
+    const font_style = {
+        "font-family": "Consolas, Courier",
+        "font-size": config.font_size,
+        ...style,
+    };
+    if (custom_measurer !== null) {
+        return custom_measurer(text, font_style);
+    }
+    return getCanvasContext() !== null
+        ? canvasTextMeasurer(text, font_style)
+        : metricsTextMeasurer(text, font_style);
+}
+
+/**
+ * Set the function used to measure text, for instance to take a custom font into account.
+ * Pass null to restore the default measurement.
+ * @param {TextMeasurer | null} measurer - the function used to measure text
+ */
+function setTextMeasurer(measurer: TextMeasurer | null) {
+    custom_measurer = measurer;
+}
+
+/**
+ * Measure text using the bundled metrics of the first font family of the style that is known
+ * (see 'monospace_advances'). Wide characters (e.g., CJK characters and emoji) take up two columns, and combining
+ * characters take up none.
+ */
+function metricsTextMeasurer(text: string, style: AttributeStyle): number {
+    const families = String(style["font-family"])
+        .split(",")
+        .map((family) => family.trim().replace(/^["']|["']$/g, ""))
+        .map((family) => family.toLowerCase());
+    const family =
+        families.find((f) => monospace_advances.hasOwnProperty(f)) ||
+        fallback_family;
+
+    let columns = 0;
+    for (const char of text) {
+        columns += characterColumns(char.codePointAt(0));
+    }
+    return columns * monospace_advances[family] * fontSize(style);
+}
+
+/**
+ * Measure text using the browser's canvas API, which uses the fonts that will actually be used to draw the text.
+ */
+function canvasTextMeasurer(text: string, style: AttributeStyle): number {
+    const context = getCanvasContext();
+    context.font = [
+        style["font-style"] || "normal",
+        style["font-weight"] || "normal",
+        `${fontSize(style)}px`,
+        style["font-family"],
+    ].join(" ");
+    return context.measureText(text).width;
+}
+
+/**
+ * Return a canvas context to measure text with, or null if there is none (e.g., in Node).
+ */
+function getCanvasContext(): CanvasRenderingContext2D | null {
+    if (canvas_context === undefined) {
+        canvas_context = null;
+        if (typeof document !== "undefined") {
+            try {
+                canvas_context = document
+                    .createElement("canvas")
+                    .getContext("2d");
+            } catch {
+                // Some environments (e.g., jsdom without the canvas package) do not implement canvas.
+            }
+        }
+    }
+    return canvas_context;
+}
+
+/**
+ * Return the font size (in px) of the given style. Sizes may be numbers or strings in px, pt or em.
+ */
+function fontSize(style: AttributeStyle): number {
+    const size = style["font-size"];
+    if (typeof size === "number") {
+        return size;
+    }
+    const value = parseFloat(size);
+    if (isNaN(value)) {
+        return config.font_size;
+    } else if (size.endsWith("pt")) {
+        return (value * 4) / 3;
+    } else if (size.endsWith("em")) {
+        return value * config.font_size;
+    } else {
+        return value;
+    }
+}
+
+/**
+ * Return the number of columns taken up by the character with the given code point in a monospace font:
+ * 0 for combining characters, 2 for East Asian wide and fullwidth characters (and emoji), and 1 otherwise.
+ */
+function characterColumns(code: number): number {
+    if (
+        (code >= 0x0300 && code <= 0x036f) || // Combining diacritical marks
+        (code >= 0x200b && code <= 0x200f) || // Zero-width spaces and joiners
+        (code >= 0xfe00 && code <= 0xfe0f) // Variation selectors
+    ) {
+        return 0;
+    }
+    if (
+        (code >= 0x1100 && code <= 0x115f) || // Hangul Jamo
+        (code >= 0x2e80 && code <= 0x303e) || // CJK radicals and punctuation
+        (code >= 0x3041 && code <= 0x33ff) || // Kana and CJK symbols
+        (code >= 0x3400 && code <= 0x4dbf) || // CJK unified ideographs extension A
+        (code >= 0x4e00 && code <= 0x9fff) || // CJK unified ideographs
+        (code >= 0xa960 && code <= 0xa97f) || // Hangul Jamo extended A
+        (code >= 0xac00 && code <= 0xd7a3) || // Hangul syllables
+        (code >= 0xf900 && code <= 0xfaff) || // CJK compatibility ideographs
+        (code >= 0xfe30 && code <= 0xfe4f) || // CJK compatibility forms
+        (code >= 0xff00 && code <= 0xff60) || // Fullwidth forms
+        (code >= 0xffe0 && code <= 0xffe6) || // Fullwidth signs
+        (code >= 0x1f300 && code <= 0x1f64f) || // Emoji
+        (code >= 0x1f900 && code <= 0x1f9ff) || // Supplemental symbols and pictographs
+        (code >= 0x20000 && code <= 0x3fffd) // CJK unified ideographs extensions B and later
+    ) {
+        return 2;
+    }
+    return 1;
+}
+
+export {
+    measureText,
+    setTextMeasurer,
+    metricsTextMeasurer,
+    canvasTextMeasurer,
+};
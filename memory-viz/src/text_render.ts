@@ -0,0 +1,341 @@
+import {
+    compareByHeight,
+    compareByID,
+    placeInColumns,
+    placeInRows,
+    separateObjects,
+} from "./automate";
+import { DrawnEntity, TextConfiguration } from "./types";
+import { isImmutable, primitiveText, typeCategory } from "./type_registry";
+import { InvalidInputError, validate } from "./validate";
+import { inlineValues, slotText } from "./inline_values";
+import { languageProfile } from "./languages";
+
+// Dynamic import of Node fs module
+let fs;
+if (typeof window === "undefined") {
+    fs = require("fs");
+}
+
+interface Border {
+    horizontal: string;
+    vertical: string;
+    top_left: string;
+    top_right: string;
+    bottom_left: string;
+    bottom_right: string;
+}
+
+// The borders of mutable and immutable objects, drawn with box-drawing characters or with ASCII characters only.
+const BORDERS: Record<
+    "unicode" | "ascii",
+    Record<"mutable" | "immutable", Border>
+> = {
+    unicode: {
+        mutable: {
+            horizontal: "─",
+            vertical: "│",
+            top_left: "┌",
+            top_right: "┐",
+            bottom_left: "└",
+            bottom_right: "┘",
+        },
+        immutable: {
+            horizontal: "═",
+            vertical: "║",
+            top_left: "╔",
+            top_right: "╗",
+            bottom_left: "╚",
+            bottom_right: "╝",
+        },
+    },
+    ascii: {
+        mutable: {
+            horizontal: "-",
+            vertical: "|",
+            top_left: "+",
+            top_right: "+",
+            bottom_left: "+",
+            bottom_right: "+",
+        },
+        immutable: {
+            horizontal: "=",
+            vertical: "#",
+            top_left: "#",
+            top_right: "#",
+            bottom_left: "#",
+            bottom_right: "#",
+        },
+    },
+};
+
+const DEFAULT_COLUMNS = 80;
+
+// The number of blank columns between two boxes.
+const PADDING = 2;
+
+// The size of blank spaces is given in pixels, as for SVG diagrams; each column and line of text stands for this many
+// pixels (roughly the scale of the boxes of SVG diagrams).
+const PX_PER_COLUMN = 10;
+const PX_PER_LINE = 40;
+
+/**
+ * Draw the given objects as plain text, with box-drawing characters, e.g. for terminals and autograder feedback.
+ *
+ * The objects are those accepted by 'draw' (see MemoryModel.drawAll), and are laid out as with automation: stack
+ * frames in a column on the left, and the other objects to their right, in rows (or in columns by reference depth,
+ * with `sort_by: "references"`). Their coordinates and styles are ignored, and the given objects are not changed.
+ * Immutable objects are drawn with a double border, and every box shows the id and type of its object on its top
+ * border. As in 'draw', the `language` of the configuration sets the memory model of the diagram (see 'languages').
+ *
+ * @param {string | DrawnEntity[]} objects - the objects to be drawn, or the path to a JSON file containing them
+ * @param {TextConfiguration} configuration - the maximum length of the lines (`columns`, which is exceeded only by
+ *                                            boxes that are too wide to fit), `sort_by`, and whether to use ASCII
+ *                                            characters only (`ascii`), and the `language` of the diagram
+ * @returns {string} the diagram, with a newline at the end of every line
+ * @throws {InvalidInputError} if the objects are not valid MemoryViz input (see 'validate')
+ */
+function renderText(
+    objects: string | DrawnEntity[],
+    configuration: TextConfiguration = {}
+): string {
+    let objs: DrawnEntity[] =
+        typeof objects === "string"
+            ? JSON.parse(fs.readFileSync(objects, "utf-8"))
+            : objects;
+
+    const language = configuration.language ?? "python";
+    // Unknown languages are reported before the objects are checked.
+    languageProfile(language);
+    const errors = validate(objs, true, language).filter(
+        (error) => error.severity === "error"
+    );
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+    objs = inlineValues(objs, language);
+
+    const borders = BORDERS[configuration.ascii ? "ascii" : "unicode"];
+    const { stack_frames, other_items } = separateObjects(
+        objs.map((obj) => ({ ...obj }))
+    );
+
+    // The automatic layout uses the same padding vertically and horizontally. Heights are doubled while laying
+    // the objects out, so that boxes are separated by a single blank line but by several blank columns.
+    const boxes = new Map<DrawnEntity, string[]>();
+    const setSize = (item: DrawnEntity) => {
+        if (item.type === ".blank" || item.type === ".blank-frame") {
+            item.width = Math.round(item.width / PX_PER_COLUMN);
+            item.height = 2 * Math.round(item.height / PX_PER_LINE);
+        } else {
+            const lines = entityBox(item, borders, language);
+            boxes.set(item, lines);
+            item.width = lines[0].length;
+            item.height = 2 * lines.length;
+        }
+    };
+
+    let frames_width = 0;
+    let frames_height = 0;
+    for (const frame of stack_frames) {
+        setSize(frame);
+        frame.x = 0;
+        frame.y = frames_height;
+        frames_width = Math.max(frames_width, frame.width);
+        frames_height += frame.height;
+    }
+    other_items.forEach(setSize);
+
+    if (other_items.length > 0) {
+        const start_x = stack_frames.length > 0 ? frames_width + PADDING : 0;
+        const columns = Math.max(
+            configuration.columns ?? DEFAULT_COLUMNS,
+            ...other_items.map((item) => start_x + item.width)
+        );
+        // An object is placed in a row only if its right edge (plus padding) is less than the given width.
+        const max_width = columns + PADDING + 1;
+        const layout = { padding: PADDING, top_margin: 0, language };
+
+        if (configuration.sort_by === "references") {
+            const frames = stack_frames.filter(
+                (frame) => frame.type !== ".blank-frame"
+            );
+            placeInColumns(other_items, frames, start_x, max_width, layout);
+        } else {
+            if (configuration.sort_by === "height") {
+                other_items.sort(compareByHeight);
+            } else if (configuration.sort_by === "id") {
+                other_items.sort(compareByID);
+            }
+            placeInRows(other_items, start_x, max_width, layout);
+        }
+    }
+
+    const drawn = [...stack_frames, ...other_items].filter((item) =>
+        boxes.has(item)
+    );
+    const width = Math.max(0, ...drawn.map((item) => item.x + item.width));
+    const height = Math.max(
+        0,
+        ...drawn.map((item) => (item.y + item.height) / 2)
+    );
+    const grid = Array.from({ length: height }, () =>
+        new Array(width).fill(" ")
+    );
+    for (const item of drawn) {
+        boxes.get(item).forEach((line, i) => {
+            for (let j = 0; j < line.length; j++) {
+                grid[item.y / 2 + i][item.x + j] = line[j];
+            }
+        });
+    }
+
+    return grid.map((row) => row.join("").trimEnd() + "\n").join("");
+}
+
+/**
+ * Return the lines of the box of the given object (or stack frame) in the memory model of the given language, which
+ * all have the same length.
+ */
+function entityBox(
+    obj: DrawnEntity,
+    borders: Record<string, Border>,
+    language: string
+): string[] {
+    const id =
+        obj.id === null || obj.id === undefined
+            ? ""
+            : languageProfile(language).reference(obj.id);
+    const idText = (target) => slotText(target, language);
+    const value = obj.value;
+    if (obj.type === ".frame") {
+        const lines = namedLines(value, language);
+        if (obj.return_value !== undefined) {
+            lines.push(`return: ${idText(obj.return_value)}`);
+        }
+        return box(obj.name, "", lines, borders.mutable);
+    } else if (obj.type === ".class") {
+        return box(
+            id,
+            obj.name,
+            namedLines(value, language),
+            borders[isImmutable(obj.name, language) ? "immutable" : "mutable"]
+        );
+    }
+
+    const border =
+        borders[isImmutable(obj.type, language) ? "immutable" : "mutable"];
+    switch (typeCategory(obj.type, language)) {
+        case "sequence": {
+            const cells = value.map(idText);
+            const lines = [cells.join(` ${borders.mutable.vertical} `)];
+            if (obj.show_indexes) {
+                lines.unshift(
+                    cells
+                        .map((cell, i) => center(String(i), cell.length))
+                        .join("   ")
+                );
+            }
+            return box(id, obj.type, lines, border);
+        }
+        case "set":
+            return box(
+                id,
+                obj.type,
+                [`{${value.map(idText).join(", ")}}`],
+                border
+            );
+        case "mapping": {
+            const entries = Object.entries(value).map(([key, target]) => [
+                `${idText(key)}:`,
+                idText(target),
+            ]);
+            return box(id, obj.type, alignedLines(entries), border);
+        }
+        case "class":
+            return box(id, obj.type, namedLines(value, language), border);
+        default: {
+            const text =
+                value === null || value === undefined
+                    ? ""
+                    : primitiveText(obj.type, value, language);
+            return box(id, obj.type, [text], border, true);
+        }
+    }
+}
+
+/**
+ * Return the lines of a box with the given title (on the left and right of its top border) and content.
+ * @param {string} left - the text on the left of the top border (the id of the object, or the name of the frame)
+ * @param {string} right - the text on the right of the top border (the type of the object)
+ * @param {string[]} content - the lines inside the box
+ * @param {Border} border - the characters of the border
+ * @param {boolean} centered - whether to center the content, rather than aligning it to the left
+ */
+function box(
+    left: string,
+    right: string,
+    content: string[],
+    border: Border,
+    centered: boolean = false
+): string[] {
+    if (content.length === 0) {
+        content = [""];
+    }
+    const inner_width = Math.max(
+        left.length + right.length + 3,
+        ...content.map((line) => line.length + 2)
+    );
+    const { horizontal, vertical } = border;
+    const fill = inner_width - left.length - right.length - 2;
+    return [
+        border.top_left +
+            horizontal +
+            left +
+            horizontal.repeat(fill) +
+            right +
+            horizontal +
+            border.top_right,
+        ...content.map(
+            (line) =>
+                `${vertical} ${
+                    centered
+                        ? center(line, inner_width - 2)
+                        : line.padEnd(inner_width - 2)
+                } ${vertical}`
+        ),
+        border.bottom_left +
+            horizontal.repeat(inner_width) +
+            border.bottom_right,
+    ];
+}
+
+/**
+ * Return the lines showing the names (of variables or attributes) in the given value, with the ids they refer to
+ * (written as in the given language).
+ */
+function namedLines(value: object | null, language: string): string[] {
+    return alignedLines(
+        Object.entries(value || {}).map(([name, target]) => [
+            `${name}:`,
+            slotText(target, language),
+        ])
+    );
+}
+
+/**
+ * Return a line for each of the given pairs of texts, with the second texts aligned.
+ */
+function alignedLines(pairs: string[][]): string[] {
+    const width = Math.max(0, ...pairs.map(([first]) => first.length));
+    return pairs.map(([first, second]) => `${first.padEnd(width)} ${second}`);
+}
+
+/**
+ * Return the given text, padded with spaces on both sides to the given width.
+ */
+function center(text: string, width: number): string {
+    return text.padStart((width + text.length) >> 1).padEnd(width);
+}
+
+export { renderText };
@@ -0,0 +1,74 @@
+import { Theme } from "./types";
+
+// The built-in themes. The light theme is used by default.
+const themes: Record<string, Theme> = {
+    light: {
+        background: "white",
+        stroke: "rgb(0, 0, 0)",
+        stroke_width: 1,
+        text_color: "rgb(0, 0, 0)",
+        value_color: "rgb(27, 14, 139)",
+        id_color: "rgb(150, 100, 28)",
+        font_family: "Consolas, Courier",
+        highlight_fill: "yellow",
+        fade_fill: "rgb(247, 247, 247)",
+        added_color: "rgb(0, 150, 70)",
+        rebound_color: "rgb(230, 130, 0)",
+        removed_color: "rgb(200, 30, 30)",
+    },
+    dark: {
+        background: "rgb(30, 30, 30)",
+        stroke: "rgb(212, 212, 212)",
+        stroke_width: 1,
+        text_color: "rgb(212, 212, 212)",
+        value_color: "rgb(156, 220, 254)",
+        id_color: "rgb(230, 180, 100)",
+        font_family: "Consolas, Courier",
+        highlight_fill: "rgb(100, 85, 0)",
+        fade_fill: "rgb(45, 45, 45)",
+        added_color: "rgb(110, 200, 120)",
+        rebound_color: "rgb(255, 175, 60)",
+        removed_color: "rgb(240, 100, 100)",
+    },
+    // Black on white with thicker lines, and colors from the Okabe-Ito palette (which is colorblind-safe).
+    "high-contrast": {
+        background: "white",
+        stroke: "black",
+        stroke_width: 2,
+        text_color: "black",
+        value_color: "rgb(0, 114, 178)",
+        id_color: "rgb(213, 94, 0)",
+        font_family: "Consolas, Courier",
+        highlight_fill: "rgb(240, 228, 66)",
+        fade_fill: "rgb(230, 230, 230)",
+        added_color: "rgb(0, 158, 115)",
+        rebound_color: "rgb(230, 159, 0)",
+        removed_color: "rgb(204, 121, 167)",
+    },
+};
+
+/**
+ * Return the theme with the given name, or complete the given theme object with the properties of the light theme.
+ * @param {string | Partial<Theme>} theme - the name of a built-in theme, or a (possibly partial) theme object. By
+ *                                          default, the light theme is used.
+ * @returns {Theme} the complete theme
+ * @throws {Error} if there is no built-in theme with the given name
+ */
+function resolveTheme(theme?: string | Partial<Theme>): Theme {
+    if (theme === undefined || theme === null) {
+        return themes.light;
+    }
+    if (typeof theme === "string") {
+        if (!themes.hasOwnProperty(theme)) {
+            throw new Error(
+                `Unknown theme '${theme}': expected one of ${Object.keys(
+                    themes
+                ).join(", ")}, or a theme object.`
+            );
+        }
+        return themes[theme];
+    }
+    return { ...themes.light, ...theme };
+}
+
+export { themes, resolveTheme };
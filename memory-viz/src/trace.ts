@@ -0,0 +1,439 @@
+import { MemoryModel } from "./memory_model";
+import {
+    drawAutomatedOtherItems,
+    getSize,
+    objectReferences,
+    separateObjects,
+    setDefaultMargins,
+} from "./automate";
+import { config } from "./config";
+import { DrawnEntity, Style, Trace, TraceStep } from "./types";
+import { sizeLimits } from "./size_limits";
+import { interactivity } from "./interactive";
+import { inlineValues } from "./inline_values";
+import { InvalidInputError, validate, validateConfiguration } from "./validate";
+
+let fs;
+if (typeof window === "undefined") {
+    fs = require("fs");
+}
+
+const frame_types = [".frame", ".blank-frame"];
+
+/**
+ * Draw one memory model diagram for every state of the given execution trace.
+ *
+ * A trace consists of an initial list of objects (in the format described in MemoryModel.drawAll) and a list of
+ * steps. Each step may add new objects, update existing ones (objects are identified by their id, and stack frames
+ * by their name), and remove objects (by id) or stack frames (by `{frame: name}`). A step may also label the line of
+ * source code it corresponds to, using `line` and/or `source`.
+ *
+ * Every object keeps the same coordinates in every diagram it appears in: the layout is computed once, for all the
+ * objects that appear anywhere in the trace (using the largest size each object takes in any state).
+ * By default, the objects that were added or updated by a step are drawn with the `highlight` preset.
+ *
+ * @param {string | Trace} trace - The trace to be drawn, or the path to a JSON file containing it.
+ * @param {Object} configuration - The configuration (display settings) defined by the user, as for 'draw' with
+ *                                 automation. Set `highlight_changes` to false to not highlight changed objects.
+ * @returns {MemoryModel[]} the diagram of the initial state, followed by the diagram of the state after each step
+ */
+function drawTrace(trace: string | Trace, configuration) {
+    let t: Trace;
+    if (typeof trace === "string") {
+        t = JSON.parse(fs.readFileSync(trace, "utf-8"));
+    } else {
+        t = trace;
+    }
+
+    if (!configuration.hasOwnProperty("width")) {
+        throw new Error("Width argument for drawing a trace is required.");
+    }
+
+    const states = computeStates(t);
+
+    const errors = validateConfiguration(configuration);
+    states.forEach(({ objects }, i) => {
+        const state_name = i === 0 ? "initial" : `steps[${i - 1}]`;
+        for (const error of validate(objects, true, configuration.language)) {
+            if (error.severity === "error") {
+                errors.push({ ...error, path: `${state_name}${error.path}` });
+            }
+        }
+    });
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+
+    const has_captions = t.steps.some(
+        (step) => step.line !== undefined || step.source !== undefined
+    );
+    const caption_height = has_captions ? config.font_size * 2 : 0;
+
+    const highlight = configuration.highlight_changes !== false;
+
+    // Primitive values held directly by variables and containers (e.g. a Java int) are not drawn as objects.
+    states.forEach((state) => {
+        state.objects = inlineValues(state.objects, configuration.language);
+    });
+
+    const { positions, width, height } = layoutStates(
+        states.map((state) => state.objects),
+        configuration,
+        caption_height,
+        highlight
+    );
+
+    return states.map(({ objects, changed }, i) => {
+        const drawn = [];
+        entityKeys(objects).forEach((key, j) => {
+            const obj = objects[j];
+            if (obj.type === ".blank" || obj.type === ".blank-frame") {
+                return;
+            }
+            const entity = { ...obj, ...positions.get(key) };
+            if (highlight && changed.has(key)) {
+                entity.style = withPreset(entity.style, "highlight");
+            }
+            drawn.push(entity);
+        });
+
+        const m = new MemoryModel({
+            width,
+            height,
+            roughjs_config: configuration.roughjs_config,
+            renderer: configuration.renderer,
+            theme: configuration.theme,
+            language: configuration.language,
+            ...sizeLimits(configuration),
+            ...interactivity(configuration),
+        });
+
+        // Stack frames are drawn first, as in drawAutomated.
+        const { stack_frames, other_items } = separateObjects(drawn);
+        m.drawAll([...stack_frames, ...other_items], configuration.arrows);
+
+        if (i > 0 && has_captions) {
+            m.drawText(
+                stepCaption(t.steps[i - 1]),
+                configuration.left_margin,
+                configuration.top_margin + config.font_size,
+                { "text-anchor": "start" }
+            );
+        }
+
+        return m;
+    });
+}
+
+/**
+ * Return every state of the given trace: the initial state, followed by the state after each step.
+ * Each state also records the keys (see 'entityKeys') of the objects that were added or updated by its step.
+ * @param {Trace} trace - the trace
+ * @returns {object[]} the states
+ */
+function computeStates(trace: Trace) {
+    let objects: DrawnEntity[] = clone(trace.initial || []);
+    const states = [{ objects, changed: new Set<string>() }];
+
+    trace.steps.forEach((step, i) => {
+        const result = applyStep(objects, step, i);
+        objects = result.objects;
+        states.push(result);
+    });
+
+    return states;
+}
+
+/**
+ * Return the state obtained by applying the given step to the given state (which is not mutated).
+ * @param {DrawnEntity[]} objects - the state before the step
+ * @param {TraceStep} step - the step to apply
+ * @param {number} index - the index of the step in the trace (used in error messages)
+ * @returns {object} the new state, along with the keys of the objects that were added or updated
+ */
+function applyStep(objects: DrawnEntity[], step: TraceStep, index: number) {
+    const next: DrawnEntity[] = clone(objects);
+    const changed_objects = new Set<DrawnEntity>();
+
+    for (const removal of step.remove || []) {
+        const i = findEntity(next, removal);
+        if (i === -1) {
+            throw new Error(
+                `Step ${index} removes ${describeReference(
+                    removal
+                )}, which does not exist.`
+            );
+        }
+        next.splice(i, 1);
+    }
+
+    for (const update of step.update || []) {
+        const reference =
+            frame_types.includes(update.type) ||
+            ((update.id === null || update.id === undefined) && update.name)
+                ? { frame: update.name }
+                : update.id;
+        const i = findEntity(next, reference);
+        if (i === -1) {
+            throw new Error(
+                `Step ${index} updates ${describeReference(
+                    reference
+                )}, which does not exist.`
+            );
+        }
+        next[i] = { ...next[i], ...clone(update) };
+        changed_objects.add(next[i]);
+    }
+
+    for (const added of clone(step.add || [])) {
+        if (
+            !frame_types.includes(added.type) &&
+            added.id !== null &&
+            added.id !== undefined &&
+            findEntity(next, added.id) !== -1
+        ) {
+            throw new Error(
+                `Step ${index} adds id ${added.id}, which already exists.`
+            );
+        }
+        next.push(added);
+        changed_objects.add(added);
+    }
+
+    const keys = entityKeys(next);
+    const changed = new Set<string>();
+    next.forEach((obj, i) => {
+        if (changed_objects.has(obj)) {
+            changed.add(keys[i]);
+        }
+    });
+
+    return { objects: next, changed };
+}
+
+/**
+ * Return the index of the object referred to by 'reference' in 'objects', or -1 if there is no such object.
+ * A reference is either an id, or {frame: name}, which refers to the most recent stack frame with that name.
+ */
+function findEntity(
+    objects: DrawnEntity[],
+    reference: number | string | { frame: string }
+): number {
+    for (let i = objects.length - 1; i >= 0; i--) {
+        const obj = objects[i];
+        if (typeof reference === "object" && reference !== null) {
+            if (obj.type === ".frame" && obj.name === reference.frame) {
+                return i;
+            }
+        } else if (
+            !frame_types.includes(obj.type) &&
+            obj.id !== null &&
+            obj.id !== undefined &&
+            String(obj.id) === String(reference)
+        ) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Return a key identifying each of the given objects across the states of a trace.
+ * Objects are identified by their id, and stack frames by their name and how many frames with the same name are
+ * below them (so that recursive calls get separate keys). Other objects (e.g. blank spaces) are identified by their
+ * type and position among the objects of the same type.
+ * @param {DrawnEntity[]} objects - the objects of one state
+ * @returns {string[]} the key of each object
+ */
+function entityKeys(objects: DrawnEntity[]): string[] {
+    const counts = new Map<string, number>();
+    const nextCount = (prefix: string) => {
+        const count = counts.get(prefix) || 0;
+        counts.set(prefix, count + 1);
+        return `${prefix}#${count}`;
+    };
+
+    return objects.map((obj) => {
+        if (obj.type === ".frame") {
+            return nextCount(`frame:${obj.name}`);
+        } else if (
+            frame_types.includes(obj.type) ||
+            obj.id === null ||
+            obj.id === undefined
+        ) {
+            return nextCount(`type:${obj.type}`);
+        } else {
+            return `id:${obj.id}`;
+        }
+    });
+}
+
+/**
+ * Compute the coordinates of every object appearing in any of the given states, such that objects never overlap
+ * in any state. This mirrors drawAutomated: stack frames are stacked in a column on the left, and the other objects
+ * are laid out in rows by drawAutomatedOtherItems.
+ * @param {DrawnEntity[][]} states - the objects of each state
+ * @param {object} configuration - the configuration set by the user (this is mutated to include default margins)
+ * @param {number} caption_height - the vertical space to leave above the diagram for the step captions
+ * @param {boolean} highlight - whether changed objects are highlighted (highlighted text is larger, so the space
+ *                              reserved for each object is that of its highlighted version)
+ * @returns {object} the coordinates of each object (by key), the width and height the canvas needs to be, and the
+ *                   x coordinate of the right edge of the rightmost object
+ */
+function layoutStates(
+    states: DrawnEntity[][],
+    configuration,
+    caption_height: number,
+    highlight: boolean
+) {
+    setDefaultMargins(configuration);
+
+    // The largest size of each object in any state, in order of first appearance, and the ids it refers to in any
+    // state.
+    const sizes = new Map<
+        string,
+        { obj: DrawnEntity; width: number; height: number }
+    >();
+    const references = new Map<string, Set<string>>();
+    for (const objects of states) {
+        entityKeys(objects).forEach((key, i) => {
+            const obj = objects[i];
+            if (!references.has(key)) {
+                references.set(key, new Set());
+            }
+            for (const id of objectReferences(obj, configuration.language)) {
+                references.get(key).add(id);
+            }
+            const size = obj.type.startsWith(".blank")
+                ? { width: obj.width, height: obj.height }
+                : getSize(
+                      highlight
+                          ? {
+                                ...obj,
+                                style: withPreset(obj.style, "highlight"),
+                            }
+                          : { ...obj },
+                      configuration.theme,
+                      sizeLimits(configuration),
+                      configuration.language
+                  );
+            const prev = sizes.get(key);
+            sizes.set(key, {
+                obj,
+                width: Math.max(size.width, prev ? prev.width : 0),
+                height: Math.max(size.height, prev ? prev.height : 0),
+            });
+        });
+    }
+
+    const positions = new Map<string, { x: number; y: number }>();
+    const top = configuration.top_margin + caption_height;
+
+    let frames_height = top;
+    let frames_width = 0;
+    const frames = [];
+    const proxies = [];
+    for (const [key, { obj, width, height }] of sizes) {
+        if (frame_types.includes(obj.type)) {
+            positions.set(key, {
+                x: configuration.left_margin,
+                y: frames_height,
+            });
+            frames.push({
+                type: ".blank",
+                y: frames_height,
+                references: [...references.get(key)],
+            });
+            frames_height += height;
+            frames_width = Math.max(frames_width, width);
+        } else {
+            // drawAutomatedOtherItems reserves the given dimensions for blank spaces.
+            proxies.push({
+                key,
+                type: ".blank",
+                id: obj.id,
+                width,
+                height,
+                references: [...references.get(key)],
+            });
+        }
+    }
+    frames_width += configuration.padding;
+
+    let width = Number(configuration.width);
+    let objects_height = 0;
+    if (proxies.length > 0) {
+        const min_width =
+            Math.max(...proxies.map((proxy) => proxy.width)) +
+            frames_width +
+            2 * configuration.padding +
+            1;
+        width = Math.max(width, min_width);
+
+        const layout_config = { ...configuration, top_margin: top };
+        const { canvas_height } = drawAutomatedOtherItems(
+            proxies,
+            width,
+            configuration.sort_by,
+            layout_config,
+            frames_width,
+            frames
+        );
+        objects_height = canvas_height;
+
+        for (const proxy of proxies) {
+            positions.set(proxy.key, { x: proxy.x, y: proxy.y });
+        }
+    }
+
+    let right = 0;
+    for (const [key, { width }] of sizes) {
+        right = Math.max(right, positions.get(key).x + width);
+    }
+
+    return {
+        positions,
+        width,
+        height: Math.max(frames_height, objects_height) + 100,
+        right,
+    };
+}
+
+/**
+ * Return the caption describing the given step, e.g. "line 3: x = 5".
+ */
+function stepCaption(step: TraceStep): string {
+    const parts = [];
+    if (step.line !== undefined) {
+        parts.push(`line ${step.line}`);
+    }
+    if (step.source !== undefined) {
+        parts.push(step.source);
+    }
+    return parts.join(": ");
+}
+
+/**
+ * Return the given style (in any of the forms accepted by drawAll), with the given preset (or style) applied last.
+ */
+function withPreset(style, preset: string | Style): any {
+    if (style === undefined) {
+        return [preset];
+    } else if (Array.isArray(style)) {
+        return [...style, preset];
+    } else {
+        return [style, preset];
+    }
+}
+
+function describeReference(reference): string {
+    return typeof reference === "object" && reference !== null
+        ? `stack frame '${reference.frame}'`
+        : `id ${reference}`;
+}
+
+function clone<T>(value: T): T {
+    return JSON.parse(JSON.stringify(value));
+}
+
+export { drawTrace, clone, entityKeys, layoutStates, withPreset };
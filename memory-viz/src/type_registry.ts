@@ -0,0 +1,118 @@
+import { languageProfile } from "./languages";
+import { TypeCategory, TypeInfo } from "./types";
+
+const categories: TypeCategory[] = [
+    "primitive",
+    "sequence",
+    "set",
+    "mapping",
+    "class",
+];
+
+// The types declared with 'registerType', which take precedence over the built-in ones.
+const user_types = new Map<string, Required<TypeInfo>>();
+
+/**
+ * Declare how objects of the given type are drawn, so that types that MemoryViz does not know about can be drawn
+ * without changing the library (this may also override how a built-in type is drawn).
+ *
+ * The category determines the expected value of the objects and how they are drawn:
+ *   - "primitive": a single value (string, number, boolean or null), drawn as text.
+ *   - "sequence": an array of ids, drawn like a list (e.g., a deque).
+ *   - "set": an array of ids, drawn like a set (e.g., a frozenset).
+ *   - "mapping": a JS object mapping key ids to value ids, drawn like a dict (e.g., an OrderedDict).
+ *   - "class": a JS object mapping attribute names to ids, drawn like a `.class` object named after the type.
+ * Immutable objects are drawn with a double border. Registering a type also applies to the `.class` objects with
+ * the same name, e.g. registerType("Point", {category: "class", mutable: false}) draws every Point as immutable.
+ *
+ * @param {string} type - the name of the type (the 'type' attribute of the objects)
+ * @param {TypeInfo | null} info - the category and mutability of the type (objects are mutable unless 'mutable' is
+ *                                 false), or null to remove a previous registration
+ * @throws {Error} if the category is not one of the above
+ */
+function registerType(type: string, info: TypeInfo | null) {
+    if (info === null) {
+        user_types.delete(type);
+        return;
+    }
+    if (!categories.includes(info.category)) {
+        throw new Error(
+            `Invalid category '${
+                info.category
+            }' for type '${type}': expected one of ${categories.join(", ")}.`
+        );
+    }
+    user_types.set(type, {
+        category: info.category,
+        mutable: info.mutable !== false,
+    });
+}
+
+/**
+ * Return the category and mutability of the given type, or undefined if the type is neither built-in nor registered.
+ * @param {string} type - the name of the type
+ * @param {string} language - the language whose built-in types are known (see 'languages'; by default, "python")
+ * @returns {Required<TypeInfo> | undefined} the information about the type
+ */
+function typeInfo(
+    type: string,
+    language: string = "python"
+): Required<TypeInfo> | undefined {
+    if (user_types.has(type)) {
+        return user_types.get(type);
+    }
+    const profile = languageProfile(language);
+    if (profile.types.hasOwnProperty(type)) {
+        return profile.types[type];
+    }
+    return profile.array_type?.test(type)
+        ? { category: "sequence", mutable: true }
+        : undefined;
+}
+
+/**
+ * Return the category of the given type. Types that are neither built-in nor registered are drawn as primitives.
+ */
+function typeCategory(type: string, language: string = "python"): TypeCategory {
+    const info = typeInfo(type, language);
+    return info === undefined ? "primitive" : info.category;
+}
+
+/**
+ * Return whether objects of the given type are immutable (and thus drawn with a double border).
+ */
+function isImmutable(type: string, language: string = "python"): boolean {
+    const info = typeInfo(type, language);
+    return info !== undefined && !info.mutable;
+}
+
+/**
+ * Return whether objects of the given type hold an array of ids (i.e., are sequences or sets).
+ */
+function isCollection(type: string, language: string = "python"): boolean {
+    const category = typeCategory(type, language);
+    return category === "sequence" || category === "set";
+}
+
+/**
+ * Return the text shown in the box of a primitive object, e.g. "True" for a Python bool or the quoted value of a str.
+ * @param {string} type - the primitive data type of the object
+ * @param {*} value - the value of the object
+ * @param {string} language - the language whose literals are written (see 'languages'; by default, "python")
+ */
+function primitiveText(
+    type: string,
+    value,
+    language: string = "python"
+): string {
+    return languageProfile(language).literal(type, value);
+}
+
+export {
+    registerType,
+    typeInfo,
+    typeCategory,
+    isImmutable,
+    isCollection,
+    primitiveText,
+};
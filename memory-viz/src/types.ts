@@ -1,4 +1,13 @@
-export interface DrawnEntity {
+// Limits on the size of the boxes of large objects. They can be set for each object, and for a whole diagram (in the
+// configuration of 'draw'), and have no effect by default.
+export interface SizeLimits {
+    max_items?: number; // Show only the first and last elements (or entries) of larger collections, and how many are hidden
+    items_per_row?: number; // Wrap the elements of sequences into rows of at most this many elements
+    max_value_length?: number; // Truncate (or wrap) primitive values whose text is longer than this many characters
+    wrap_values?: boolean; // Wrap long primitive values over several lines, rather than truncating them
+}
+
+export interface DrawnEntity extends SizeLimits {
     name?: string;
     type?: string;
     x?: number;
@@ -10,8 +19,14 @@ export interface DrawnEntity {
     height?: number;
     width?: number;
     rowBreaker?: boolean;
+    return_value?: number | string | null; // The id of the value a stack frame is about to return (null for a blank slot)
+    active?: boolean; // Whether the stack frame is the one currently executing (drawn with the "active" preset)
 }
 
+// The direction in which the call stack grows in the automatic layout: "down" (the first stack frame at the top) or
+// "up" (the first stack frame at the bottom).
+export type StackDirection = "up" | "down";
+
 export interface AttributeStyle {
     [propName: string]: string | number;
 }
@@ -23,4 +38,212 @@ export interface Style {
     box_id?: AttributeStyle;
     box_type?: AttributeStyle;
     box_container?: AttributeStyle;
+    arrow?: AttributeStyle;
+}
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+export interface Bounds extends Point {
+    width: number;
+    height: number;
+}
+
+export interface ReferenceSlot extends Bounds {
+    target: number | string; // The id held in this slot
+    key?: string; // The name, index, dictionary key or element id of this slot in the object that contains it
+    mapping_key?: boolean; // Whether this slot holds the key (rather than the value) of an entry of a mapping
+    source?: Bounds; // The bounds of the object box that contains this slot
+    style?: AttributeStyle; // The arrow style of the object that contains this slot
+}
+
+// A shape of a diagram, with its geometry and style but no DOM element (see 'MemoryModel.scene').
+export type SceneShape =
+    | {
+          kind: "rect";
+          x: number;
+          y: number;
+          width: number;
+          height: number;
+          style: object; // The Rough.js options of the rectangle
+      }
+    | {
+          kind: "text";
+          text: string;
+          attributes: AttributeStyle; // The SVG attributes of the text, including its x and y coordinates
+      }
+    | {
+          kind: "line" | "polygon";
+          points: Point[];
+          style: object; // The Rough.js options of the line or polygon
+      }
+    | {
+          kind: "group";
+          attributes: AttributeStyle; // The SVG attributes of the group (its class and data attributes)
+          shapes: SceneShape[]; // The shapes of an object or an arrow of an interactive diagram (see 'drawAll')
+      }
+    | {
+          kind: "hit";
+          x: number;
+          y: number;
+          width: number;
+          height: number;
+          attributes: AttributeStyle; // The SVG attributes of the transparent box that responds to the mouse
+      };
+
+// An object drawn at (0, 0) but not yet added to a diagram (see 'MemoryModel.measure').
+export interface Measurement extends Bounds {
+    style: Style; // The complete style of the object
+    garbage_style: any; // The garbage style that was applied to the object (null if none)
+    shapes: SceneShape[]; // The shapes of the object
+    slots: ReferenceSlot[]; // The reference slots of the object
+}
+
+export interface DrawnBox extends Bounds {
+    entity: DrawnEntity; // The object, as drawn by drawAll (with its coordinates and complete style)
+    slots: ReferenceSlot[]; // The reference slots drawn in the box of the object
+}
+
+export interface ValidationError {
+    path: string; // The location of the problem in the input, e.g. "[3].value.b"
+    message: string;
+    severity: "error" | "warning";
+}
+
+export interface TraceStep {
+    line?: number; // The line number of the source code that this step corresponds to
+    source?: string; // The source code of that line
+    add?: DrawnEntity[]; // Objects (and stack frames) that are created by this step
+    update?: Partial<DrawnEntity>[]; // Changes to existing objects, identified by id (or by name, for stack frames)
+    remove?: Array<number | string | { frame: string }>; // Ids of removed objects, or names of returning frames
+}
+
+export interface Trace {
+    initial?: DrawnEntity[]; // The objects drawn before the first step
+    steps: TraceStep[];
+}
+
+// How the boxes and arrows of diagrams are drawn: with the hand-drawn look of Rough.js, or as plain SVG shapes.
+export type Renderer = "rough" | "clean";
+
+export type ExportFormat = "svg" | "png" | "pdf" | "dot" | "mermaid" | "tikz";
+
+export interface ExportOptions {
+    format?: ExportFormat; // The file format (by default, this is inferred from the file extension)
+    scale?: number; // The factor by which PNG images are scaled up (e.g. 2 for high-DPI screens)
+}
+
+// What a diagram was drawn from: the arguments of 'draw', as embedded in SVG files with `embed_source` (see 'load').
+export interface DiagramSource {
+    objects: DrawnEntity[]; // The objects, as given to 'draw' (before they were laid out)
+    automation: boolean; // Whether the objects were laid out automatically
+    configuration: { [key: string]: any }; // The configuration, with the settings 'draw' added (e.g. its width and seed)
+}
+
+// What to blank out of a diagram to make an exercise (see 'exercise').
+export interface ExerciseSelection {
+    ids?: (number | string)[] | "all"; // Blank out the ids of the objects with these ids (or of every object)
+    types?: string[]; // Blank out the values of the objects of these types (or the references they hold)
+    frame_variables?: boolean | string[]; // Blank out the variables of every stack frame (or of the frames with these names)
+    fraction?: number; // Keep only this fraction of the selected blanks, chosen at random
+    seed?: number; // The seed of the random choice of blanks (by default, 0)
+}
+
+// What a blank of an exercise holds, and where it is: in the object with the given id, or in a stack frame.
+export interface ExerciseAnswer {
+    kind: "id" | "value" | "slot"; // The id of an object, the value of a primitive object, or a reference in a slot
+    id?: number | string; // The id of the object containing the blank (for blanks that are not in stack frames)
+    frame?: string; // The name of the stack frame containing the blank
+    frame_index?: number; // The index of the stack frame among those with the same name (for recursive calls)
+    slot?: string; // The index, key, variable or attribute name of the slot (for blanked out references)
+    answer: any; // The id or value that was blanked out
+}
+
+// How an animation (see 'animate') shows its states, in milliseconds.
+export interface AnimationTiming {
+    hold: number; // How long each state is shown
+    transition: number; // How long the transition from one state to the next lasts
+    loop: boolean; // Whether the animation starts over once it reaches the last state
+}
+
+export interface TextConfiguration {
+    columns?: number; // The maximum length of the lines of the diagram (by default, 80)
+    sort_by?: "height" | "id" | "references" | null; // The order of the objects, as in the automatic layout of 'draw'
+    ascii?: boolean; // Whether to draw the boxes with ASCII characters only, rather than box-drawing characters
+    language?: Language; // The memory model of the diagram, as in 'draw' (by default, "python"; see 'languages')
+}
+
+// A function returning the width (in px) that 'text' takes up when drawn with the given SVG text style.
+// The style always includes "font-family" and "font-size", and may include "font-weight" and "font-style".
+export type TextMeasurer = (text: string, style: AttributeStyle) => number;
+
+export interface PythonTraceOptions {
+    lines: number | number[]; // The line(s) of the script to capture the state of memory at
+    occurrence?: number; // Capture each line the n-th time it is reached (by default, the first time)
+    python?: string; // The Python interpreter to use (by default, $PYTHON or "python3")
+    args?: string[]; // Command line arguments for the script
+    timeout?: number; // The maximum time for running the script, in ms (by default, 10 seconds)
+}
+
+export type TypeCategory =
+    | "primitive"
+    | "sequence"
+    | "set"
+    | "mapping"
+    | "class";
+
+export interface TypeInfo {
+    category: TypeCategory; // How objects of the type are drawn
+    mutable?: boolean; // Whether objects of the type are mutable (immutable objects are drawn with a double border)
+}
+
+// The programming languages whose memory models can be drawn (see 'languages').
+export type Language = "python" | "java" | "javascript" | "c";
+
+export interface LanguageProfile {
+    types: Record<string, Required<TypeInfo>>; // The built-in types of the language that MemoryViz knows how to draw
+    array_type?: RegExp; // The names of array types (e.g., "int[]"), which are mutable sequences
+    inline: string[]; // The primitive types whose values are drawn in the slots that hold them, rather than in a box
+    null_reference: string; // The text of a slot holding no reference (null)
+    literal: (type: string, value: string | number | boolean | null) => string; // The literal of a primitive value
+    reference: (id: number | string) => string; // The text of a slot holding a reference to the object with this id
+}
+
+// A primitive value drawn in the slot that holds it (see 'inlineValues'), in place of the id of its object.
+export interface InlineValue {
+    type: string;
+    value: string | number | boolean | null;
+}
+
+export interface Reachability {
+    reachable: Set<number | string>; // The ids of the objects that can be reached from a stack frame
+    unreachable: Set<number | string>; // The ids of the other objects (the garbage)
+}
+
+export interface Theme {
+    background: string; // Fill of the rectangle behind the diagram ("none" for a transparent background)
+    stroke: string; // Color of box borders and arrows
+    stroke_width: number; // Width of box borders and arrows
+    text_color: string; // Default text color (e.g., for variable names in stack frames)
+    value_color: string; // Text color for primitive values and type names
+    id_color: string; // Text color for object ids
+    font_family: string; // Font of every text element
+    highlight_fill: string; // Fill of boxes highlighted with the "highlight" presets
+    fade_fill: string; // Fill of boxes faded with the "fade" preset
+    added_color: string; // Color marking added objects and slots in diffs
+    rebound_color: string; // Color marking rebound slots (and the objects containing them) in diffs
+    removed_color: string; // Color marking removed objects and slots in diffs
+}
+
+// How an object, or a slot of an object, changed between two states of memory.
+export type DiffStatus = "added" | "removed" | "rebound" | "unchanged";
+
+export interface EntityDiff {
+    id: number | string | null; // The id of the object (null for stack frames)
+    name?: string; // The name of the stack frame or class
+    type: string;
+    status: DiffStatus; // An object in both states is "rebound" if any of its slots changed (i.e., it was mutated)
+    slots: Record<string, DiffStatus>; // The status of each slot, by name, index, dictionary key or element id
 }
@@ -1,6 +1,12 @@
 import { MemoryModel } from "./memory_model";
-import { drawAutomated, getSize } from "./automate";
-import { DrawnEntity } from "./types";
+import { drawAutomated } from "./automate";
+import { config } from "./config";
+import { DiagramSource, DrawnEntity } from "./types";
+import { sizeLimits } from "./size_limits";
+import { interactivity } from "./interactive";
+import { InvalidInputError, validate, validateConfiguration } from "./validate";
+import { NOTATION_EXTENSION, parseNotation } from "./notation";
+import { inlineValues } from "./inline_values";
 
 // Dynamic import of Node fs module
 let fs;
@@ -8,6 +14,9 @@ if (typeof window === "undefined") {
     fs = require("fs");
 }
 
+// The seed of the hand-drawn shapes when none is given (see 'seededConfiguration').
+const ROUGH_SEED = 1;
+
 /**
  * Draw the given objects on the canvas.
  *
@@ -16,29 +25,81 @@ if (typeof window === "undefined") {
  * @param {string | DrawnEntity[]} objects - The array of objects to be drawn: this could be passed as an actual JavaScript
  * array of objects, or as a JSON file containing the object array. This array of objects may also include the
  * user-defined style configuration. See the demo files and style.md file for details.
+ * The objects may also be given in the text notation (see 'parseNotation'), as a string or as the path to a file
+ * whose name ends in ".mvz". A string is read as a path if such a file exists (or if it ends in ".json" or ".mvz").
  * @param {boolean} automation - Whether the coordinates (of the objects on the canvas) should be automatically
  * generated or manually inputted.
  * @param {Object} configuration - The configuration (display settings) defined by the user.
- *                          This is also the place to define `sort_by` ("height" or "id") for the object space.
+ *                          This is also the place to define `sort_by` ("height" or "id") for the object space, or
+ *                          `sort_by: "references"` to place objects in columns next to the frames and objects that
+ *                          refer to them.
  *                          NOTE: In the case that automation == true, then the user must define configuration.width,
  *                          as this will be used as the "max canvas width" for the automation process.
  *                          If automation == false, then all configuration properties are optional, and the function
  *                          will still operate even without defining them.
+ *                          Set `arrows` to true to draw an arrow from every reference (id) to the object it refers to.
+ *                          Set `theme` to the name of a built-in theme ("light", "dark" or "high-contrast") or to a
+ *                          theme object (see 'themes') to set the colors, font and background of the diagram, and
+ *                          `font_size` to set the size of its text, in px (by default, 20).
+ *                          Set `renderer` to "clean" to draw plain boxes and arrows, rather than hand-drawn ones
+ *                          (the default "rough" renderer).
+ *                          Set `mark_garbage` to true to apply `garbage_style` (by default, the "fade" preset) to
+ *                          the objects that cannot be reached from any stack frame (see 'reachability'). With
+ *                          automation, set `garbage_region` to true to place these objects in a separate region below
+ *                          the others.
+ *                          Size limits (`max_items`, `items_per_row`, `max_value_length` and `wrap_values`) apply to
+ *                          every object that does not set its own (see 'SizeLimits').
+ *                          With automation, set `stack_direction` to "up" to draw the first stack frame at the bottom
+ *                          of the call stack (by default, "down"), and `region_headings` to true to draw "Call stack"
+ *                          and "Objects" headings above the two regions of the diagram, with a divider between them.
+ *                          Set `interactive` to true to group and tag the shapes of each object and reference, so
+ *                          that 'enableInteraction' can highlight them in a browser, and `embed_script` to true to
+ *                          also embed its script in the SVG (for SVG files opened on their own in a browser).
+ *                          Set `language` to "java", "javascript" or "c" to draw the memory model of that language
+ *                          (by default, "python"; see 'languages'): its built-in types, the literals of its values and
+ *                          how its references are written. The primitive values that the language stores in variables
+ *                          and containers (e.g. a Java int) are drawn in the slots that hold them (see 'inlineValues').
+ *                          Set `embed_source` to true to embed the objects and the configuration in the SVG (see
+ *                          'MemoryModel.embedSource'), so that 'load' can read them back to draw the diagram again.
+ *                          The configuration is then given a fixed seed (see 'seededConfiguration'), unless it has
+ *                          one, so that the hand-drawn shapes are the same every time the diagram is drawn.
  *
  * @returns {MemoryModel} the produced canvas
+ * @throws {InvalidInputError} if the objects are not valid MemoryViz input (see 'validate'), or if the size limits of
+ * the configuration are not (see 'validateConfiguration'); the error lists every problem that was found
+ * @throws {NotationError} if the objects are given in the text notation, but it cannot be parsed
  */
 function draw(objects, automation, configuration) {
     let objs;
 
     if (typeof objects === "string") {
-        const json_string = fs.readFileSync(objects, "utf-8");
-
-        // Convert the JSON string into an array consisting of valid JS objects.
-        objs = JSON.parse(json_string);
+        objs = readObjects(objects);
     } else {
         objs = objects;
     }
 
+    const errors = [
+        ...validateConfiguration(configuration),
+        ...validate(objs, automation, configuration.language),
+    ].filter((error) => error.severity === "error");
+    if (errors.length > 0) {
+        throw new InvalidInputError(errors);
+    }
+
+    // Drawing the objects gives them coordinates, so the embedded objects are copied before they are drawn.
+    let source: DiagramSource | null = null;
+    if (configuration.embed_source) {
+        configuration = seededConfiguration(configuration);
+        source = {
+            objects: structuredClone(objs),
+            automation: Boolean(automation),
+            configuration,
+        };
+    }
+
+    // Primitive values held directly by variables and containers (e.g. a Java int) are not drawn as objects.
+    objs = inlineValues(objs, configuration.language);
+
     let m;
 
     if (automation) {
@@ -49,17 +110,27 @@ function draw(objects, automation, configuration) {
         }
         m = drawAutomated(objs, configuration.width, configuration);
     } else {
+        // The size of the canvas is set once the objects are measured.
+        m = new MemoryModel({
+            roughjs_config: configuration.roughjs_config,
+            renderer: configuration.renderer,
+            theme: configuration.theme,
+            language: configuration.language,
+            font_size: configuration.font_size ?? config.font_size,
+            ...sizeLimits(configuration),
+            ...interactivity(configuration),
+        });
+        // 'drawAll' reuses the shapes of the measured objects.
+        const size = (obj) => m.measurements.get(obj) ?? m.measure(obj);
+
         // Dynamically determining the width of the canvas, in case one has not been provided.
         if (!configuration.hasOwnProperty("width")) {
-            let rightmost_obj;
             let rightmost_edge = 0;
 
             for (const obj of objs) {
-                const width = getSize(obj).width;
-                const curr_edge = obj.x + width;
+                const curr_edge = obj.x + size(obj).width;
                 if (curr_edge > rightmost_edge) {
                     rightmost_edge = curr_edge;
-                    rightmost_obj = obj;
                 }
             }
             configuration.width = rightmost_edge + 100;
@@ -67,31 +138,73 @@ function draw(objects, automation, configuration) {
 
         // Dynamically determining the height of the canvas, in case one has not been provided.
         if (!configuration.hasOwnProperty("height")) {
-            let downmost_obj = objs[0];
             let downmost_edge = 0;
 
             for (const obj of objs) {
-                const height = getSize(obj).height;
-                const curr_edge = obj.y + height;
-
+                const curr_edge = obj.y + size(obj).height;
                 if (curr_edge > downmost_edge) {
-                    downmost_obj = obj;
-                    downmost_edge = obj.y + height;
+                    downmost_edge = curr_edge;
                 }
             }
 
             configuration.height = downmost_edge + 100;
         }
 
-        m = new MemoryModel({
-            width: configuration.width,
-            height: configuration.height,
-            roughjs_config: configuration.roughjs_config,
-        });
-        m.drawAll(objs);
+        m.svg.setAttribute("width", String(configuration.width || 800));
+        m.svg.setAttribute("height", String(configuration.height || 800));
+        m.drawAll(
+            objs,
+            configuration.arrows,
+            configuration.mark_garbage
+                ? configuration.garbage_style || "fade"
+                : null
+        );
+    }
+
+    if (source !== null) {
+        // The configuration now has the settings added while drawing (e.g. the width and the margins).
+        m.embedSource(source);
     }
 
     return m;
 }
 
-export { draw };
+/**
+ * Return a copy of the given configuration (see 'draw') in which the hand-drawn shapes have a fixed seed, unless one
+ * is already given, so that the same objects are drawn with the same shapes in every diagram.
+ */
+function seededConfiguration(configuration) {
+    const roughjs_config = configuration.roughjs_config || {};
+    if (roughjs_config.options?.seed !== undefined) {
+        return { ...configuration };
+    }
+    return {
+        ...configuration,
+        roughjs_config: {
+            ...roughjs_config,
+            options: { ...roughjs_config.options, seed: ROUGH_SEED },
+        },
+    };
+}
+
+/**
+ * Return the objects given as a string to 'draw': the contents of a JSON file (or of a file in the text notation),
+ * or the objects written in the text notation.
+ */
+function readObjects(objects: string) {
+    const is_path =
+        fs !== undefined &&
+        (fs.existsSync(objects) ||
+            objects.endsWith(".json") ||
+            objects.endsWith(NOTATION_EXTENSION));
+    if (!is_path) {
+        return parseNotation(objects);
+    }
+
+    const contents = fs.readFileSync(objects, "utf-8");
+    return objects.endsWith(NOTATION_EXTENSION)
+        ? parseNotation(contents)
+        : JSON.parse(contents);
+}
+
+export { draw, readObjects, seededConfiguration };
@@ -0,0 +1,398 @@
+import { presets } from "./style";
+import { typeCategory } from "./type_registry";
+import { ValidationError } from "./types";
+
+const blank_types = [".blank", ".blank-frame"];
+const style_keys = [
+    "text_id",
+    "text_type",
+    "text_value",
+    "box_id",
+    "box_type",
+    "box_container",
+    "arrow",
+];
+
+/**
+ * An error thrown when the input to 'draw' is not valid MemoryViz input.
+ * The 'errors' property holds every problem that was found (as returned by 'validate').
+ */
+class InvalidInputError extends Error {
+    errors: ValidationError[];
+
+    constructor(errors: ValidationError[]) {
+        super(
+            "Invalid MemoryViz input:\n" +
+                errors
+                    .map((error) => `    ${formatValidationError(error)}`)
+                    .join("\n")
+        );
+        this.name = "InvalidInputError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check the given objects against the rules described in the object structure documentation, and return every
+ * problem that was found (an empty array means that the objects are valid).
+ *
+ * Problems that prevent the objects from being drawn are reported with severity "error". References to ids
+ * that do not belong to any of the objects are reported with severity "warning", as these are commonly left out of
+ * diagrams on purpose.
+ *
+ * @param {*} objects - the objects to be checked, in the format described in MemoryModel.drawAll
+ * @param {boolean} automation - whether the objects will be drawn using automatic layout; if false, every drawn
+ *                               object must have x and y coordinates
+ * @param {string} language - the language whose built-in types are known (see 'languages'; by default, "python")
+ * @returns {ValidationError[]} the problems found, each with the path to the offending value (e.g. "[3].value.b")
+ */
+function validate(
+    objects: any,
+    automation: boolean = true,
+    language: string = "python"
+): ValidationError[] {
+    const errors: ValidationError[] = [];
+    const report = (path: string, message: string, severity = "error") => {
+        errors.push({ path, message, severity } as ValidationError);
+    };
+
+    if (!Array.isArray(objects)) {
+        report("", "expected an array of objects");
+        return errors;
+    }
+
+    // Pass 1: collect the ids of every drawn object.
+    const ids = new Map<string, number>();
+    objects.forEach((obj, i) => {
+        if (isPlainObject(obj) && isId(obj.id)) {
+            const key = String(obj.id);
+            if (ids.has(key)) {
+                report(
+                    `[${i}].id`,
+                    `id ${obj.id} is already used by the object at [${ids.get(
+                        key
+                    )}]`
+                );
+            } else {
+                ids.set(key, i);
+            }
+        }
+    });
+
+    // Pass 2: check each object.
+    objects.forEach((obj, i) => {
+        const path = `[${i}]`;
+        if (!isPlainObject(obj)) {
+            report(path, "expected an object");
+            return;
+        }
+
+        if (typeof obj.type !== "string") {
+            report(`${path}.type`, "expected a string naming the type");
+            return;
+        }
+
+        const references: Array<[string, any]> = [];
+
+        if (blank_types.includes(obj.type)) {
+            for (const dimension of ["width", "height"]) {
+                if (!isPositiveNumber(obj[dimension])) {
+                    report(
+                        `${path}.${dimension}`,
+                        `objects of type '${obj.type}' require a positive number for '${dimension}'`
+                    );
+                }
+            }
+        } else {
+            if (!automation) {
+                for (const coordinate of ["x", "y"]) {
+                    if (obj[coordinate] === undefined) {
+                        report(
+                            `${path}.${coordinate}`,
+                            `'${coordinate}' is required when automatic layout is not used`
+                        );
+                    }
+                }
+            }
+            for (const dimension of ["width", "height"]) {
+                if (
+                    obj[dimension] !== undefined &&
+                    !isPositiveNumber(obj[dimension])
+                ) {
+                    report(
+                        `${path}.${dimension}`,
+                        "expected a positive number"
+                    );
+                }
+            }
+        }
+
+        for (const coordinate of ["x", "y"]) {
+            if (
+                obj[coordinate] !== undefined &&
+                (typeof obj[coordinate] !== "number" ||
+                    !isFinite(obj[coordinate]))
+            ) {
+                report(`${path}.${coordinate}`, "expected a number");
+            }
+        }
+
+        if (obj.type === ".frame") {
+            if (typeof obj.name !== "string") {
+                report(`${path}.name`, "stack frames require a name");
+            }
+            if (obj.id !== null && obj.id !== undefined) {
+                report(`${path}.id`, "stack frames must have a null id");
+            }
+            checkMapping(obj.value, `${path}.value`, report, references);
+            if (obj.return_value !== undefined) {
+                if (obj.return_value !== null && !isId(obj.return_value)) {
+                    report(`${path}.return_value`, "expected an id or null");
+                } else {
+                    references.push([`${path}.return_value`, obj.return_value]);
+                }
+            }
+            if (obj.active !== undefined && typeof obj.active !== "boolean") {
+                report(`${path}.active`, "expected a boolean");
+            }
+        } else if (obj.type === ".class") {
+            if (typeof obj.name !== "string") {
+                report(
+                    `${path}.name`,
+                    "objects of type '.class' require a name"
+                );
+            }
+            checkId(obj.id, `${path}.id`, report);
+            checkMapping(obj.value, `${path}.value`, report, references);
+        } else if (blank_types.includes(obj.type)) {
+            // Blank spaces only need their dimensions, which are checked above.
+        } else if (typeCategory(obj.type, language) === "class") {
+            checkId(obj.id, `${path}.id`, report);
+            checkMapping(obj.value, `${path}.value`, report, references);
+        } else if (typeCategory(obj.type, language) === "mapping") {
+            checkId(obj.id, `${path}.id`, report);
+            checkMapping(obj.value, `${path}.value`, report, references);
+            if (isPlainObject(obj.value)) {
+                for (const key of Object.keys(obj.value)) {
+                    if (!ids.has(key)) {
+                        report(
+                            `${path}.value${formatKey(key)}`,
+                            `the key id ${key} does not refer to any of the given objects`,
+                            "warning"
+                        );
+                    }
+                }
+            }
+        } else if (
+            ["sequence", "set"].includes(typeCategory(obj.type, language))
+        ) {
+            checkId(obj.id, `${path}.id`, report);
+            if (!Array.isArray(obj.value)) {
+                report(
+                    `${path}.value`,
+                    `objects of type '${obj.type}' require an array of ids`
+                );
+            } else {
+                obj.value.forEach((element, j) => {
+                    const element_path = `${path}.value[${j}]`;
+                    if (element !== null && !isId(element)) {
+                        report(element_path, "expected an id or null");
+                    } else {
+                        references.push([element_path, element]);
+                    }
+                });
+            }
+        } else {
+            checkId(obj.id, `${path}.id`, report);
+            const value_type = typeof obj.value;
+            if (
+                obj.value !== null &&
+                obj.value !== undefined &&
+                !["string", "number", "boolean"].includes(value_type)
+            ) {
+                report(
+                    `${path}.value`,
+                    `objects of type '${obj.type}' require a string, number, boolean or null value`
+                );
+            }
+        }
+
+        if (
+            obj.show_indexes !== undefined &&
+            typeof obj.show_indexes !== "boolean"
+        ) {
+            report(`${path}.show_indexes`, "expected a boolean");
+        }
+        checkSizeLimits(obj, path, report);
+
+        if (obj.style !== undefined) {
+            checkStyle(obj.style, `${path}.style`, report);
+        }
+
+        for (const [reference_path, id] of references) {
+            if (id !== null && !ids.has(String(id))) {
+                report(
+                    reference_path,
+                    `id ${id} does not refer to any of the given objects`,
+                    "warning"
+                );
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Check the settings of the given configuration of 'draw' that apply to every object (its size limits, see
+ * 'SizeLimits', and the `garbage_style` of unreachable objects), with the same rules as the settings of each object,
+ * and return every problem that was found.
+ * @param {object} configuration - the configuration to be checked
+ * @returns {ValidationError[]} the problems found, each with the path to the offending setting (e.g.
+ *                              "configuration.items_per_row")
+ */
+function validateConfiguration(configuration: object = {}): ValidationError[] {
+    const errors: ValidationError[] = [];
+    const report = (path: string, message: string) => {
+        errors.push({ path, message, severity: "error" });
+    };
+    checkSizeLimits(configuration, "configuration", report);
+    if ((configuration as any).garbage_style !== undefined) {
+        checkStyle(
+            (configuration as any).garbage_style,
+            "configuration.garbage_style",
+            report
+        );
+    }
+    return errors;
+}
+
+/**
+ * Return a readable, one-line description of the given validation error.
+ * @param {ValidationError} error - the error to be described
+ * @returns {string} the description, e.g. "[3].value.b: expected an id or null"
+ */
+function formatValidationError(error: ValidationError): string {
+    const prefix = error.severity === "warning" ? "(warning) " : "";
+    return `${prefix}${error.path || "<root>"}: ${error.message}`;
+}
+
+/**
+ * Check that 'value' is a JS object mapping names (or keys) to ids, recording each id as a reference.
+ */
+function checkMapping(value, path, report, references) {
+    if (!isPlainObject(value)) {
+        report(path, "expected an object mapping names to ids");
+        return;
+    }
+    for (const key of Object.keys(value)) {
+        const item_path = `${path}${formatKey(key)}`;
+        if (value[key] !== null && !isId(value[key])) {
+            report(item_path, "expected an id or null");
+        } else {
+            references.push([item_path, value[key]]);
+        }
+    }
+}
+
+/**
+ * Check that 'id' is a valid id for a drawn object (null is allowed, and draws an empty id box).
+ */
+function checkId(id, path, report) {
+    if (id === undefined) {
+        report(path, "an id is required (use null to leave it blank)");
+    } else if (id !== null && !isId(id)) {
+        report(path, "expected a number or a string");
+    }
+}
+
+/**
+ * Check the size limits set in 'obj' (see 'SizeLimits'), if any.
+ */
+function checkSizeLimits(obj, path, report) {
+    for (const key of ["max_items", "items_per_row", "max_value_length"]) {
+        if (obj[key] !== undefined && !isPositiveInteger(obj[key])) {
+            report(`${path}.${key}`, "expected a positive integer");
+        }
+    }
+    if (obj.wrap_values !== undefined && typeof obj.wrap_values !== "boolean") {
+        report(`${path}.wrap_values`, "expected a boolean");
+    }
+}
+
+/**
+ * Check that 'style' is a style object, a preset name, or an array of these.
+ */
+function checkStyle(style, path, report) {
+    if (typeof style === "string") {
+        if (!presets.hasOwnProperty(style)) {
+            report(
+                path,
+                `unknown style preset '${style}' (expected one of ${Object.keys(
+                    presets
+                ).join(", ")})`
+            );
+        }
+    } else if (Array.isArray(style)) {
+        style.forEach((el, i) => {
+            if (Array.isArray(el)) {
+                report(
+                    `${path}[${i}]`,
+                    "expected a preset name or a style object"
+                );
+            } else {
+                checkStyle(el, `${path}[${i}]`, report);
+            }
+        });
+    } else if (isPlainObject(style)) {
+        for (const key of Object.keys(style)) {
+            if (!style_keys.includes(key)) {
+                report(
+                    `${path}${formatKey(key)}`,
+                    `unknown style attribute (expected one of ${style_keys.join(
+                        ", "
+                    )})`
+                );
+            } else if (!isPlainObject(style[key])) {
+                report(`${path}${formatKey(key)}`, "expected an object");
+            }
+        }
+    } else {
+        report(path, "expected a preset name, a style object, or an array");
+    }
+}
+
+function isPlainObject(value): boolean {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isId(value): boolean {
+    return (
+        (typeof value === "number" && isFinite(value)) ||
+        (typeof value === "string" && value !== "")
+    );
+}
+
+function isPositiveNumber(value): boolean {
+    return typeof value === "number" && isFinite(value) && value > 0;
+}
+
+function isPositiveInteger(value): boolean {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Return the path segment for the given key, e.g. ".lst" or '["my key"]'.
+ */
+function formatKey(key: string): string {
+    return /^[A-Za-z_$][\w$]*$/.test(key)
+        ? `.${key}`
+        : `[${JSON.stringify(key)}]`;
+}
+
+export {
+    validate,
+    validateConfiguration,
+    formatValidationError,
+    InvalidInputError,
+};
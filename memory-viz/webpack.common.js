@@ -33,6 +33,16 @@ module.exports = {
     },
     externals: {
         fs: "fs",
+        path: "path",
+        child_process: "child_process",
+        // Used to export PNG and PDF files in Node only, so these are loaded at runtime instead of being bundled.
+        "@resvg/resvg-js": "commonjs @resvg/resvg-js",
+        pdfkit: "commonjs pdfkit",
+        "svg-to-pdfkit": "commonjs svg-to-pdfkit",
+    },
+    node: {
+        // Keep Node's __dirname, which is used to locate the bundled fonts and Python tracer.
+        __dirname: false,
     },
     resolve: {
         extensions: [".ts", ".js"],